@@ -0,0 +1,281 @@
+import { normalizeProps, attributeToString } from './props.js';
+
+/**
+ * Fill in the compact format conventions
+ * @param {Object} [options] - Conventions given by the caller
+ * @returns {Object} Complete settings
+ */
+const getSettings = function(options) {
+    const settings = {
+        attributePrefix: '@',
+        attributesKey: null,
+        textKey: '#text',
+        arrays: 'repeated',
+        coerce: false,
+        ...(options && typeof options === 'object' ? options : {}),
+    };
+
+    if (settings.arrays !== 'repeated' && settings.arrays !== 'always') {
+        throw new TypeError(`Invalid arrays value: ${settings.arrays}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Default value coercion: booleans and numbers that survive a roundtrip to a string
+ * @param {string} value - Text or attribute value
+ * @returns {string|number|boolean} Coerced value
+ */
+const coerceValue = function(value) {
+    if (value === 'true') {
+        return true;
+    }
+    if (value === 'false') {
+        return false;
+    }
+    // Values like '007' or '1.50' are kept as strings, they would not come back the same
+    if (/^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === value) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Get the text of a text or CDATA node
+ * @param {Object} node - Node
+ * @returns {string|null} Text, or null for other nodes
+ */
+const getText = function(node) {
+    if (node.type !== '#text' && node.type !== '#cdata') {
+        return null;
+    }
+    const prop = normalizeProps(node.props).find(prop => prop.name === 'textContent');
+    return prop && prop.value !== null && typeof prop.value !== 'undefined' && prop.value !== true ? String(prop.value) : '';
+}
+
+/**
+ * Check if a node is an element
+ * @param {Object} node - Node
+ * @returns {boolean}
+ */
+const isElement = function(node) {
+    return !!node && typeof node.type === 'string' && node.type !== '' && node.type[0] !== '#';
+}
+
+/**
+ * Convert a parsed tree to a compact object keyed by element name, for data-style XML:
+ * `<note><to>Tove</to></note>` becomes `{ note: { to: 'Tove' } }`.
+ *
+ * Attributes become prefixed keys (`@id`), or are grouped under `attributesKey` (e.g. `$`).
+ * Text and CDATA become the element value when the element has nothing else, and go under
+ * `textKey` otherwise. Whitespace-only text next to child elements is left out, and so are
+ * comments, doctypes and processing instructions. Child elements with the same name are
+ * grouped in an array, so the order of interleaved siblings is not kept.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Object} [options] - Format conventions
+ * @param {string} [options.attributePrefix='@'] - Prefix for attribute keys
+ * @param {string} [options.attributesKey] - Key grouping the attributes in an object instead of prefixed keys (e.g. '$')
+ * @param {string} [options.textKey='#text'] - Key for the text of elements that also hold attributes or child elements
+ * @param {string} [options.arrays='repeated'] - 'repeated' uses arrays only for repeated child elements, 'always' for every child element
+ * @param {boolean|Function} [options.coerce=false] - Turn text and attribute values into numbers and booleans, or a function (value, name) doing the conversion
+ * @returns {Object} Compact object with one key per root element
+ */
+export function toCompact(tree, options) {
+    const settings = getSettings(options);
+
+    let coerce = value => value;
+    if (typeof settings.coerce === 'function') {
+        coerce = settings.coerce;
+    } else if (settings.coerce) {
+        coerce = coerceValue;
+    }
+
+    /**
+     * Add a value under a key, grouping repeated keys in an array
+     * @param {Object} target - Object being built
+     * @param {string} key - Element name
+     * @param {*} value - Converted element
+     * @param {boolean} always - Use an array even for the first value
+     */
+    const add = function(target, key, value, always) {
+        if (!Object.prototype.hasOwnProperty.call(target, key)) {
+            target[key] = always ? [value] : value;
+        } else if (Array.isArray(target[key])) {
+            target[key].push(value);
+        } else {
+            target[key] = [target[key], value];
+        }
+    }
+
+    /**
+     * Convert an element to its compact value
+     * @param {Object} node - Element node
+     * @returns {*} String, coerced value or object
+     */
+    const convert = function(node) {
+        const result = {};
+        let hasContent = false;
+
+        const props = normalizeProps(node.props).filter(prop => prop && typeof prop.name === 'string');
+        if (props.length) {
+            const attributes = settings.attributesKey ? (result[settings.attributesKey] = {}) : result;
+            const prefix = settings.attributesKey ? '' : settings.attributePrefix;
+            for (const prop of props) {
+                const value = attributeToString(prop.value);
+                attributes[prefix + prop.name] = coerce(value, prop.name);
+            }
+            hasContent = true;
+        }
+
+        const children = Array.isArray(node.children) ? node.children.filter(Boolean) : [];
+        const elements = children.filter(isElement);
+        let text = '';
+        for (const child of children) {
+            const value = getText(child);
+            if (value !== null) {
+                text += value;
+            }
+        }
+        // Indentation between child elements is not content
+        if (elements.length && !text.trim()) {
+            text = '';
+        }
+
+        for (const child of elements) {
+            // Key order follows the first appearance of each name
+            add(result, child.type, convert(child), settings.arrays === 'always');
+            hasContent = true;
+        }
+
+        if (!hasContent) {
+            return coerce(text, node.type);
+        }
+        if (text) {
+            result[settings.textKey] = coerce(text, node.type);
+        }
+
+        return result;
+    }
+
+    const result = {};
+    if (!tree) {
+        return result;
+    }
+
+    let roots = Array.isArray(tree) ? tree : [tree];
+    // Multiple roots come in a template wrapper
+    if (!Array.isArray(tree) && tree.type === 'template') {
+        roots = tree.children || [];
+    }
+
+    for (const node of roots) {
+        // Root elements only become an array when their name repeats
+        if (isElement(node)) {
+            add(result, node.type, convert(node), false);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Convert a compact object back to nodes that render() accepts. The same conventions
+ * as toCompact() are used to tell attributes, text and child elements apart.
+ * Arrays give one element per item, null gives an empty element, and other values
+ * are written as text.
+ *
+ * @param {Object} object - Compact object with one key per root element
+ * @param {Object} [options] - Format conventions, see toCompact()
+ * @returns {Object|Object[]|undefined} Root node, or list of nodes when there are several roots
+ */
+export function fromCompact(object, options) {
+    const settings = getSettings(options);
+
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        throw new TypeError('Compact input must be an object');
+    }
+
+    /**
+     * Turn a value into a string for a text or attribute node
+     * @param {*} value - Compact value
+     * @returns {string}
+     */
+    const toString = function(value) {
+        return value === null || typeof value === 'undefined' ? '' : String(value);
+    }
+
+    /**
+     * Create a text node
+     * @param {*} value - Compact value
+     * @returns {Object|null} Text node, or null for empty text
+     */
+    const createText = function(value) {
+        const text = toString(value);
+        return text ? { type: '#text', props: [{ name: 'textContent', value: text }] } : null;
+    }
+
+    /**
+     * Create the elements for a key
+     * @param {string} name - Element name
+     * @param {*} value - Compact value, arrays give one element per item
+     * @returns {Object[]} Element nodes
+     */
+    const convert = function(name, value) {
+        if (Array.isArray(value)) {
+            return value.reduce((nodes, item) => nodes.concat(convert(name, item)), []);
+        }
+
+        const node = { type: name };
+
+        if (value === null || typeof value !== 'object') {
+            const text = createText(value);
+            if (text) {
+                node.children = [text];
+            }
+            return [node];
+        }
+
+        const props = [];
+        const children = [];
+
+        for (const key of Object.keys(value)) {
+            if (settings.attributesKey && key === settings.attributesKey) {
+                const attributes = value[key] || {};
+                for (const attribute of Object.keys(attributes)) {
+                    props.push({ name: attribute, value: toString(attributes[attribute]) });
+                }
+            } else if (key === settings.textKey) {
+                const text = createText(value[key]);
+                if (text) {
+                    children.push(text);
+                }
+            } else if (!settings.attributesKey && settings.attributePrefix && key.startsWith(settings.attributePrefix)) {
+                props.push({ name: key.slice(settings.attributePrefix.length), value: toString(value[key]) });
+            } else {
+                children.push(...convert(key, value[key]));
+            }
+        }
+
+        if (props.length) {
+            node.props = props;
+        }
+        if (children.length) {
+            node.children = children;
+        }
+
+        return [node];
+    }
+
+    const nodes = [];
+    for (const key of Object.keys(object)) {
+        nodes.push(...convert(key, object[key]));
+    }
+
+    if (nodes.length === 0) {
+        return undefined;
+    }
+
+    return nodes.length === 1 ? nodes[0] : nodes;
+}
@@ -0,0 +1,105 @@
+/**
+ * Read and write doctype declarations and processing instructions, shared by the parser and the renderer
+ * so a declaration can be checked against the text it was parsed from.
+ */
+
+/**
+ * Parse the content of a doctype declaration
+ * @param {string} text - Full declaration, from "<!DOCTYPE" to ">"
+ * @returns {Array<{name: string, value: string}>} Doctype props
+ */
+export function parseDoctype(text) {
+    const body = text.substring(9, text.length - 1);
+    const match = body.match(/^\s*([^\s\[]*)(?:\s+(PUBLIC|SYSTEM)\s*("[^"]*"|'[^']*')(?:\s*("[^"]*"|'[^']*'))?)?\s*(?:\[([\s\S]*)\])?\s*$/i);
+    const unquote = value => value.substring(1, value.length - 1);
+
+    // Malformed declaration, keep whatever is there as the name
+    if (!match) {
+        return [{ name: 'name', value: body.trim() }];
+    }
+
+    const props = [{ name: 'name', value: match[1] }];
+    if (match[2] && match[2].toUpperCase() === 'PUBLIC') {
+        props.push({ name: 'publicId', value: unquote(match[3]) });
+        if (match[4]) {
+            props.push({ name: 'systemId', value: unquote(match[4]) });
+        }
+    } else if (match[2]) {
+        props.push({ name: 'systemId', value: unquote(match[3]) });
+    }
+    if (typeof(match[5]) !== 'undefined') {
+        props.push({ name: 'internalSubset', value: match[5] });
+    }
+    return props;
+}
+
+/**
+ * Parse a processing instruction
+ * @param {string} text - Full instruction, from "<?" to "?>"
+ * @returns {Array<{name: string, value: string}>} Target and data props
+ */
+export function parseProcessingInstruction(text) {
+    // Remove the <? and ?> delimiters
+    const body = text.substring(2, text.length - 2);
+    const target = body.match(/^[^\s]*/)[0];
+
+    return [
+        { name: 'target', value: target },
+        { name: 'data', value: body.substring(target.length).replace(/^\s+/, '') },
+    ];
+}
+
+/**
+ * Quote a doctype identifier, switching to single quotes when it holds a double quote
+ * @param {string} value - Public or system identifier
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = function(value) {
+    value = String(value);
+    return value.indexOf('"') === -1 ? `"${value}"` : `'${value}'`;
+}
+
+/**
+ * Write a doctype declaration from its props
+ * @param {Array<{name: string, value: *}>} props - Doctype props
+ * @returns {string} Doctype markup
+ */
+export function writeDoctype(props) {
+    const find = name => props.find(p => p.name === name);
+    const name = find('name');
+    const publicId = find('publicId');
+    const systemId = find('systemId');
+    const internalSubset = find('internalSubset');
+
+    let doctype = '<!DOCTYPE';
+    if (name && name.value) {
+        doctype += ` ${name.value}`;
+    }
+    if (publicId) {
+        doctype += ` PUBLIC ${quoteIdentifier(publicId.value)}`;
+        if (systemId) {
+            doctype += ` ${quoteIdentifier(systemId.value)}`;
+        }
+    } else if (systemId) {
+        doctype += ` SYSTEM ${quoteIdentifier(systemId.value)}`;
+    }
+    if (internalSubset) {
+        doctype += ` [${internalSubset.value}]`;
+    }
+    return doctype + '>';
+}
+
+/**
+ * Write a processing instruction from its props
+ * @param {Array<{name: string, value: *}>} props - Target and data props
+ * @returns {string} Processing instruction markup
+ */
+export function writeProcessingInstruction(props) {
+    const find = name => {
+        const prop = props.find(p => p.name === name);
+        return prop ? prop.value : '';
+    };
+    const target = find('target');
+    const data = find('data');
+    return `<?${target}${data ? ' ' + data : ''}?>`;
+}
@@ -0,0 +1,405 @@
+import { normalizeProps } from './props.js';
+
+/**
+ * Get the prop holding the content of a text-like node
+ * @param {Object} node - Node
+ * @returns {string|null} Prop name, null for nodes without text content
+ */
+const getTextProp = function(node) {
+    if (node.type === '#text' || node.type === '#cdata') {
+        return 'textContent';
+    }
+    if (node.type === '#comments') {
+        return 'text';
+    }
+    return null;
+}
+
+/**
+ * Get the value of a prop
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {*} Prop value, undefined when missing
+ */
+const getProp = function(node, name) {
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    return prop ? prop.value : undefined;
+}
+
+/**
+ * Compare two prop values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True when they are the same
+ */
+const sameValue = function(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+}
+
+/**
+ * Deep copy a node, so patches never share nodes with the trees they come from
+ * @param {*} value - Node or value
+ * @returns {*} Copy
+ */
+const clone = function(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = clone(value[key]);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Get the list of root nodes of a tree: a list, the children of a template wrapper, or the root itself
+ * @param {Object|Array} tree - Parsed tree
+ * @returns {Object[]} Root nodes
+ */
+const getRoots = function(tree) {
+    if (Array.isArray(tree)) {
+        return tree;
+    }
+    if (!tree) {
+        return [];
+    }
+    // Multiple roots come in a template wrapper
+    if (tree.type === 'template') {
+        return tree.children || [];
+    }
+    return [tree];
+}
+
+/**
+ * Compare two parsed trees and list the operations turning the first into the second.
+ *
+ * Operations are applied in order, and each one addresses a node by its child index path in
+ * the tree as it is at that point (the roots are the first level, a template wrapper is not
+ * counted). Children are matched in order by node type, and elements with a key attribute
+ * (`key` or `id` by default) are matched by their key wherever they are, so reordered keyed
+ * elements give move operations instead of a removal and an insertion.
+ *
+ * - `{ op: 'remove', path, node }` removes a node (node is the removed node, for display)
+ * - `{ op: 'insert', path, node }` inserts a node
+ * - `{ op: 'move', from, path }` moves a node, path is its position once removed from its old one
+ * - `{ op: 'text', path, oldValue, value }` changes the content of a text, CDATA or comment node
+ * - `{ op: 'add-attribute', path, name, value }`
+ * - `{ op: 'change-attribute', path, name, oldValue, value }`
+ * - `{ op: 'remove-attribute', path, name, oldValue }`
+ *
+ * @param {Object|Array} oldTree - Original tree
+ * @param {Object|Array} newTree - Changed tree
+ * @param {Object} [options] - Diff options
+ * @param {string|string[]|false} [options.key=['key', 'id']] - Attributes matching elements across positions, false to match by position only
+ * @returns {Object[]} Operations
+ */
+export function diff(oldTree, newTree, options) {
+    if (!options || typeof options !== 'object') {
+        options = {};
+    }
+
+    let keys = typeof options.key === 'undefined' ? ['key', 'id'] : options.key;
+    keys = keys ? (Array.isArray(keys) ? keys : [keys]) : [];
+
+    const ops = [];
+
+    /**
+     * Get the key of an element
+     * @param {Object} node - Node
+     * @returns {string|null} Element name and key value, null for nodes without a key
+     */
+    const getKey = function(node) {
+        if (!node || typeof node.type !== 'string' || node.type[0] === '#') {
+            return null;
+        }
+        for (const name of keys) {
+            const value = getProp(node, name);
+            if (value !== null && typeof value !== 'undefined' && value !== '') {
+                return JSON.stringify([node.type, name, String(value)]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * List the prop changes of a matched node
+     * @param {Object} oldNode - Original node
+     * @param {Object} newNode - Changed node
+     * @param {number[]} path - Path of the node
+     */
+    const diffProps = function(oldNode, newNode, path) {
+        const textProp = getTextProp(oldNode);
+        if (textProp) {
+            const oldValue = getProp(oldNode, textProp);
+            const value = getProp(newNode, textProp);
+            if (!sameValue(oldValue, value)) {
+                ops.push({ op: 'text', path, oldValue, value });
+            }
+            return;
+        }
+
+        const oldProps = normalizeProps(oldNode.props).filter(prop => prop && typeof prop.name === 'string');
+        const newProps = normalizeProps(newNode.props).filter(prop => prop && typeof prop.name === 'string');
+
+        for (const prop of oldProps) {
+            if (!newProps.some(p => p.name === prop.name)) {
+                ops.push({ op: 'remove-attribute', path, name: prop.name, oldValue: prop.value });
+            }
+        }
+
+        for (const prop of newProps) {
+            const oldProp = oldProps.find(p => p.name === prop.name);
+            if (!oldProp) {
+                ops.push({ op: 'add-attribute', path, name: prop.name, value: prop.value });
+            } else if (!sameValue(oldProp.value, prop.value)) {
+                ops.push({ op: 'change-attribute', path, name: prop.name, oldValue: oldProp.value, value: prop.value });
+            }
+        }
+    }
+
+    /**
+     * List the operations turning one list of children into another
+     * @param {Object[]} oldChildren - Original children
+     * @param {Object[]} newChildren - Changed children
+     * @param {number[]} path - Path of the parent
+     */
+    const diffChildren = function(oldChildren, newChildren, path) {
+        oldChildren = oldChildren.filter(Boolean);
+        newChildren = newChildren.filter(Boolean);
+
+        // Old node matched to each new child
+        const matches = new Array(newChildren.length).fill(null);
+        const matched = new Set();
+
+        // Keyed elements are matched wherever they are
+        const keyed = new Map();
+        oldChildren.forEach(node => {
+            const key = getKey(node);
+            if (key !== null && !keyed.has(key)) {
+                keyed.set(key, node);
+            }
+        });
+        newChildren.forEach((node, index) => {
+            const key = getKey(node);
+            if (key !== null && keyed.has(key)) {
+                matches[index] = keyed.get(key);
+                matched.add(keyed.get(key));
+                keyed.delete(key);
+            }
+        });
+
+        // Other nodes are matched in order with the next old node of the same type
+        let next = 0;
+        newChildren.forEach((node, index) => {
+            if (matches[index] || getKey(node) !== null) {
+                return;
+            }
+            for (let i = next; i < oldChildren.length; i++) {
+                const candidate = oldChildren[i];
+                if (!matched.has(candidate) && getKey(candidate) === null && candidate.type === node.type) {
+                    matches[index] = candidate;
+                    matched.add(candidate);
+                    next = i + 1;
+                    break;
+                }
+            }
+        });
+
+        // Removals go from the last to the first, so the indexes stay valid
+        for (let i = oldChildren.length - 1; i >= 0; i--) {
+            if (!matched.has(oldChildren[i])) {
+                ops.push({ op: 'remove', path: [...path, i], node: oldChildren[i] });
+            }
+        }
+
+        // Current order of the children while the operations are applied
+        const current = oldChildren.filter(node => matched.has(node));
+
+        newChildren.forEach((node, index) => {
+            const oldNode = matches[index];
+            if (!oldNode) {
+                ops.push({ op: 'insert', path: [...path, index], node });
+                current.splice(index, 0, node);
+                return;
+            }
+            const position = current.indexOf(oldNode);
+            if (position !== index) {
+                ops.push({ op: 'move', from: [...path, position], path: [...path, index] });
+                current.splice(position, 1);
+                current.splice(index, 0, oldNode);
+            }
+        });
+
+        // The children are in place, the changes inside them keep their paths valid
+        newChildren.forEach((node, index) => {
+            const oldNode = matches[index];
+            if (oldNode) {
+                diffProps(oldNode, node, [...path, index]);
+                diffChildren(oldNode.children || [], node.children || [], [...path, index]);
+            }
+        });
+    }
+
+    diffChildren(getRoots(oldTree), getRoots(newTree), []);
+
+    return ops;
+}
+
+/**
+ * Apply the operations listed by diff() to a tree. The tree is not modified, a changed copy is
+ * returned, with a single root as it is and several roots in a template wrapper (or a list when
+ * the tree was given as a list).
+ *
+ * @param {Object|Array} tree - Tree to change
+ * @param {Object[]} ops - Operations from diff()
+ * @returns {Object|Array|undefined} Changed tree, undefined when every root was removed
+ * @throws {RangeError} If a path does not exist in the tree
+ * @throws {TypeError} If an operation is unknown
+ */
+export function applyPatch(tree, ops) {
+    if (!Array.isArray(ops)) {
+        throw new TypeError('Operations must be an array');
+    }
+
+    // Virtual parent holding the roots
+    const root = { children: clone(getRoots(tree)).filter(Boolean) };
+
+    /**
+     * Find the node holding the node at a path
+     * @param {number[]} path - Child index path
+     * @returns {{parent: Object, index: number}} Parent node and child index
+     */
+    const locate = function(path) {
+        if (!Array.isArray(path) || path.length === 0) {
+            throw new RangeError(`Invalid patch path: ${JSON.stringify(path)}`);
+        }
+        let parent = root;
+        for (let i = 0; i < path.length - 1; i++) {
+            parent = parent.children && parent.children[path[i]];
+            if (!parent) {
+                throw new RangeError(`Invalid patch path: ${JSON.stringify(path)}`);
+            }
+        }
+        return { parent, index: path[path.length - 1] };
+    }
+
+    /**
+     * Find the node at a path
+     * @param {number[]} path - Child index path
+     * @returns {Object} Node
+     */
+    const getNode = function(path) {
+        const { parent, index } = locate(path);
+        const node = parent.children && parent.children[index];
+        if (!node) {
+            throw new RangeError(`Invalid patch path: ${JSON.stringify(path)}`);
+        }
+        return node;
+    }
+
+    /**
+     * Take a node out of its parent
+     * @param {number[]} path - Child index path
+     * @returns {Object} Removed node
+     */
+    const remove = function(path) {
+        const { parent, index } = locate(path);
+        if (!parent.children || !parent.children[index]) {
+            throw new RangeError(`Invalid patch path: ${JSON.stringify(path)}`);
+        }
+        const [node] = parent.children.splice(index, 1);
+        if (!parent.children.length) {
+            delete parent.children;
+        }
+        return node;
+    }
+
+    /**
+     * Put a node in its parent
+     * @param {number[]} path - Child index path
+     * @param {Object} node - Node
+     */
+    const insert = function(path, node) {
+        const { parent, index } = locate(path);
+        const children = parent.children || [];
+        if (index < 0 || index > children.length) {
+            throw new RangeError(`Invalid patch path: ${JSON.stringify(path)}`);
+        }
+        children.splice(index, 0, node);
+        parent.children = children;
+    }
+
+    /**
+     * Get the props of a node as an array, converting object props
+     * @param {Object} node - Node
+     * @returns {Array<{name: string, value: *}>} Props
+     */
+    const getProps = function(node) {
+        if (!Array.isArray(node.props)) {
+            node.props = normalizeProps(node.props);
+        }
+        return node.props;
+    }
+
+    for (const operation of ops) {
+        const op = operation && operation.op;
+
+        if (op === 'insert') {
+            insert(operation.path, clone(operation.node));
+        } else if (op === 'remove') {
+            remove(operation.path);
+        } else if (op === 'move') {
+            insert(operation.path, remove(operation.from));
+        } else if (op === 'text') {
+            const node = getNode(operation.path);
+            const name = getTextProp(node);
+            if (!name) {
+                throw new TypeError(`Cannot change the text of a ${node.type} node`);
+            }
+            const prop = getProps(node).find(prop => prop.name === name);
+            if (prop) {
+                prop.value = operation.value;
+            } else {
+                node.props.push({ name, value: operation.value });
+            }
+        } else if (op === 'add-attribute' || op === 'change-attribute') {
+            const props = getProps(getNode(operation.path));
+            const prop = props.find(prop => prop.name === operation.name);
+            if (prop) {
+                prop.value = clone(operation.value);
+            } else {
+                props.push({ name: operation.name, value: clone(operation.value) });
+            }
+        } else if (op === 'remove-attribute') {
+            const node = getNode(operation.path);
+            const props = getProps(node);
+            const index = props.findIndex(prop => prop.name === operation.name);
+            if (index !== -1) {
+                props.splice(index, 1);
+            }
+            if (!props.length) {
+                delete node.props;
+            }
+        } else {
+            throw new TypeError(`Unknown patch operation: ${op}`);
+        }
+    }
+
+    const roots = root.children || [];
+
+    if (Array.isArray(tree)) {
+        return roots;
+    }
+    if (roots.length === 0) {
+        return undefined;
+    }
+    // A single root is returned as it is, like parser() does
+    return roots.length === 1 ? roots[0] : { type: 'template', children: roots };
+}
@@ -0,0 +1,272 @@
+import { normalizeProps, attributeToString } from './props.js';
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+// SVG elements whose children are HTML again
+const svgIntegrationPoints = new Set(['foreignobject', 'desc', 'title']);
+// MathML elements whose children are HTML again
+const mathmlIntegrationPoints = new Set(['mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml']);
+
+// DOM node types
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const PROCESSING_INSTRUCTION_NODE = 7;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_TYPE_NODE = 10;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+/**
+ * Get the value of a prop as a string
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {string} Prop value, empty when missing
+ */
+const getProp = function(node, name) {
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    return prop && prop.value !== null && typeof prop.value !== 'undefined' && prop.value !== true ? String(prop.value) : '';
+}
+
+/**
+ * Get the namespace of an attribute from its prefix
+ * @param {string} name - Attribute name
+ * @returns {string|null} Namespace, null for plain attributes
+ */
+const getAttributeNamespace = function(name) {
+    if (name === 'xmlns' || name.startsWith('xmlns:')) {
+        return XMLNS_NAMESPACE;
+    }
+    if (name.startsWith('xlink:')) {
+        return XLINK_NAMESPACE;
+    }
+    if (name.startsWith('xml:')) {
+        return XML_NAMESPACE;
+    }
+    return null;
+}
+
+/**
+ * Create DOM nodes from a parsed tree. Elements, text, comments and CDATA (as text) are created
+ * with the given document, and the template wrapper and lists of nodes become a
+ * DocumentFragment. svg and math elements and their descendants get the SVG and MathML
+ * namespaces, and an xmlns attribute sets the namespace of its element. Doctypes and processing
+ * instructions cannot be placed in an HTML fragment and are left out, and so are attributes
+ * the DOM rejects.
+ *
+ * Scripts created this way run when they are inserted in the page, so sanitize untrusted
+ * content first.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Document} [document=globalThis.document] - Document creating the nodes
+ * @returns {Node|DocumentFragment|null} DOM node, fragment for several roots, null for an empty tree
+ */
+export function toDOM(tree, document = globalThis.document) {
+    if (!document || typeof document.createElement !== 'function') {
+        throw new TypeError('A document is required to create DOM nodes');
+    }
+
+    /**
+     * Set the attributes of an element
+     * @param {Element} element - DOM element
+     * @param {Object} node - Parsed element
+     */
+    const setAttributes = function(element, node) {
+        for (const prop of normalizeProps(node.props)) {
+            if (!prop || typeof prop.name !== 'string' || prop.value === false) {
+                continue;
+            }
+            // Boolean attributes have an empty value
+            const value = attributeToString(prop.value);
+            const namespace = getAttributeNamespace(prop.name);
+            try {
+                if (namespace) {
+                    element.setAttributeNS(namespace, prop.name, value);
+                } else {
+                    element.setAttribute(prop.name, value);
+                }
+            } catch (error) {
+                // Names the parser accepts but the DOM does not (e.g. with quotes in them)
+            }
+        }
+    }
+
+    /**
+     * Append the DOM nodes for a list of parsed nodes
+     * @param {Node} parent - DOM node receiving the children
+     * @param {Object[]} children - Parsed nodes
+     * @param {string} namespace - Namespace of the parent element
+     */
+    const appendChildren = function(parent, children, namespace) {
+        for (const child of children || []) {
+            const node = convert(child, namespace);
+            if (node) {
+                parent.appendChild(node);
+            }
+        }
+    }
+
+    /**
+     * Create the DOM node for a parsed node
+     * @param {Object} node - Parsed node
+     * @param {string} namespace - Namespace of the parent element
+     * @returns {Node|null} DOM node, null for nodes left out
+     */
+    const convert = function(node, namespace) {
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string' || !node.type) {
+            return null;
+        }
+
+        if (node.type === '#text' || node.type === '#cdata') {
+            return document.createTextNode(getProp(node, 'textContent'));
+        }
+
+        if (node.type === '#comments') {
+            return document.createComment(getProp(node, 'text'));
+        }
+
+        if (node.type[0] === '#') {
+            return null;
+        }
+
+        const name = node.type.toLowerCase();
+        let elementNamespace = namespace;
+        if (name === 'svg') {
+            elementNamespace = SVG_NAMESPACE;
+        } else if (name === 'math') {
+            elementNamespace = MATHML_NAMESPACE;
+        }
+        const xmlns = normalizeProps(node.props).find(prop => prop && prop.name === 'xmlns');
+        if (xmlns && xmlns.value) {
+            elementNamespace = String(xmlns.value);
+        }
+
+        const element = elementNamespace === HTML_NAMESPACE ?
+            document.createElement(node.type) :
+            document.createElementNS(elementNamespace, node.type);
+
+        setAttributes(element, node);
+
+        // Integration points hold HTML content again
+        let childNamespace = elementNamespace;
+        if ((elementNamespace === SVG_NAMESPACE && svgIntegrationPoints.has(name)) ||
+            (elementNamespace === MATHML_NAMESPACE && mathmlIntegrationPoints.has(name))) {
+            childNamespace = HTML_NAMESPACE;
+        }
+
+        // The children of a template element belong to its content fragment
+        const parent = name === 'template' && element.content ? element.content : element;
+        appendChildren(parent, node.children, childNamespace);
+
+        return element;
+    }
+
+    if (!tree) {
+        return null;
+    }
+
+    // Multiple roots come in a template wrapper
+    if (Array.isArray(tree) || tree.type === 'template') {
+        const fragment = document.createDocumentFragment();
+        appendChildren(fragment, Array.isArray(tree) ? tree : tree.children, HTML_NAMESPACE);
+        return fragment;
+    }
+
+    return convert(tree, HTML_NAMESPACE);
+}
+
+/**
+ * Create a parsed tree from DOM nodes, in the same shape parser() gives. Element names are
+ * lowercase for HTML elements and keep their case for SVG and MathML ones. The content of
+ * template elements is read as their children. A document or fragment gives its single child,
+ * or a template wrapper for several.
+ *
+ * @param {Node} node - DOM node, fragment or document
+ * @returns {Object|undefined} Parsed format node, undefined for an empty fragment
+ */
+export function fromDOM(node) {
+    if (!node || typeof node !== 'object' || typeof node.nodeType !== 'number') {
+        throw new TypeError('Input must be a DOM node');
+    }
+
+    /**
+     * Convert the child nodes of a DOM node
+     * @param {Node} parent - DOM node
+     * @returns {Object[]} Parsed nodes
+     */
+    const convertChildren = function(parent) {
+        const children = [];
+        for (const child of Array.from(parent.childNodes || [])) {
+            const result = convert(child);
+            if (result) {
+                children.push(result);
+            }
+        }
+        return children;
+    }
+
+    /**
+     * Convert a DOM node
+     * @param {Node} node - DOM node
+     * @returns {Object|null} Parsed node, null for unknown nodes
+     */
+    const convert = function(node) {
+        switch (node.nodeType) {
+            case ELEMENT_NODE: {
+                const result = { type: node.prefix ? `${node.prefix}:${node.localName}` : node.localName };
+                const props = Array.from(node.attributes || []).map(attribute => ({ name: attribute.name, value: attribute.value }));
+                if (props.length) {
+                    result.props = props;
+                }
+                // The children of a template element are in its content fragment
+                const isTemplate = node.localName === 'template' && node.content && node.content.nodeType === DOCUMENT_FRAGMENT_NODE;
+                const children = convertChildren(isTemplate ? node.content : node);
+                if (children.length) {
+                    result.children = children;
+                }
+                return result;
+            }
+            case TEXT_NODE:
+                return { type: '#text', props: [{ name: 'textContent', value: node.data }] };
+            case CDATA_SECTION_NODE:
+                return { type: '#cdata', props: [{ name: 'textContent', value: node.data }] };
+            case COMMENT_NODE:
+                return { type: '#comments', props: [{ name: 'text', value: node.data }] };
+            case PROCESSING_INSTRUCTION_NODE: {
+                const props = [{ name: 'target', value: node.target }];
+                if (node.data) {
+                    props.push({ name: 'data', value: node.data });
+                }
+                return { type: '#processing-instruction', props };
+            }
+            case DOCUMENT_TYPE_NODE: {
+                const props = [{ name: 'name', value: node.name }];
+                if (node.publicId) {
+                    props.push({ name: 'publicId', value: node.publicId });
+                }
+                if (node.systemId) {
+                    props.push({ name: 'systemId', value: node.systemId });
+                }
+                return { type: '#doctype', props };
+            }
+            default:
+                return null;
+        }
+    }
+
+    if (node.nodeType === DOCUMENT_NODE || node.nodeType === DOCUMENT_FRAGMENT_NODE) {
+        const children = convertChildren(node);
+        if (!children.length) {
+            return undefined;
+        }
+        // A single root is returned as it is, like parser() does
+        return children.length === 1 ? children[0] : { type: 'template', children };
+    }
+
+    return convert(node) || undefined;
+}
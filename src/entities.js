@@ -0,0 +1,80 @@
+import { namedReferences, legacyReferences } from './entity-table.js';
+
+// Legacy names can be used without the trailing semicolon
+const legacy = new Set(legacyReferences);
+
+// Longest legacy name, used to limit the prefix search
+const legacyMaxLength = legacyReferences.reduce((max, name) => Math.max(max, name.length), 0);
+
+// Numeric references in the C1 range are mapped to windows-1252 as browsers do
+const windows1252 = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+    0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ',
+    0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+    0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ',
+};
+
+// Decimal, hexadecimal and named references (the semicolon is optional for recovery)
+const referencePattern = /&(?:#[xX]([0-9a-fA-F]+)|#([0-9]+)|([a-zA-Z][a-zA-Z0-9]*))(;?)/g;
+
+/**
+ * Convert a numeric character reference into a string
+ * @param {number} code - Code point from the reference
+ * @returns {string} Decoded character
+ */
+const decodeCodePoint = function(code) {
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+        return '\uFFFD';
+    }
+
+    if (windows1252[code]) {
+        return windows1252[code];
+    }
+
+    return String.fromCodePoint(code);
+}
+
+/**
+ * Decode HTML character references (named, decimal and hexadecimal) into real characters
+ * @param {string} value - Text or attribute value holding character references
+ * @param {boolean} [isAttribute=false] - Apply the attribute value rules for legacy references
+ * @returns {string} Decoded string
+ */
+export default function decodeEntities(value, isAttribute) {
+    if (typeof value !== 'string' || value.indexOf('&') === -1) {
+        return value;
+    }
+
+    return value.replace(referencePattern, function(match, hex, decimal, name, semicolon, offset, source) {
+        if (hex) {
+            return decodeCodePoint(parseInt(hex, 16));
+        }
+
+        if (decimal) {
+            return decodeCodePoint(parseInt(decimal, 10));
+        }
+
+        // Exact match terminated by a semicolon
+        if (semicolon && Object.prototype.hasOwnProperty.call(namedReferences, name)) {
+            return namedReferences[name];
+        }
+
+        // Longest legacy reference that prefixes the name, e.g. &notit; => ¬it;
+        for (let length = Math.min(name.length, legacyMaxLength); length > 1; length--) {
+            const prefix = name.substring(0, length);
+            if (legacy.has(prefix)) {
+                if (isAttribute) {
+                    // Inside attributes, a legacy reference followed by an alphanumeric or "=" is left alone
+                    const next = length < name.length ? name[length] : (semicolon || source[offset + match.length] || '');
+                    if (next && /[a-zA-Z0-9=]/.test(next)) {
+                        return match;
+                    }
+                }
+                return namedReferences[prefix] + name.substring(length) + semicolon;
+            }
+        }
+
+        return match;
+    });
+}
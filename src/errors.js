@@ -0,0 +1,20 @@
+/**
+ * Problem found while parsing malformed HTML/XML.
+ * Collected as diagnostics, passed to the onError callback, or thrown in strict mode.
+ */
+export class ParseError extends SyntaxError {
+    /**
+     * @param {string} code - Machine-readable error code (e.g., 'unexpected-end-tag')
+     * @param {string} message - Human-readable description
+     * @param {{offset: number, line: number, column: number}} position - Where the problem was found
+     * @param {Object} [node] - Node involved in the problem
+     */
+    constructor(code, message, position, node) {
+        super(position ? `${message} (${position.line}:${position.column})` : message);
+        this.name = 'ParseError';
+        this.code = code;
+        this.reason = message;
+        this.position = position;
+        this.node = node;
+    }
+}
@@ -0,0 +1,554 @@
+import { normalizeProps, attributeToString } from './props.js';
+
+// Attributes whose hast property name is not the attribute name
+const hastPropertyNames = {
+    'accept-charset': 'acceptCharset',
+    accesskey: 'accessKey',
+    autocomplete: 'autoComplete',
+    autofocus: 'autoFocus',
+    autoplay: 'autoPlay',
+    class: 'className',
+    colspan: 'colSpan',
+    contenteditable: 'contentEditable',
+    crossorigin: 'crossOrigin',
+    datetime: 'dateTime',
+    enctype: 'encType',
+    for: 'htmlFor',
+    formaction: 'formAction',
+    formnovalidate: 'formNoValidate',
+    hreflang: 'hrefLang',
+    'http-equiv': 'httpEquiv',
+    inputmode: 'inputMode',
+    ismap: 'isMap',
+    itemprop: 'itemProp',
+    itemscope: 'itemScope',
+    itemtype: 'itemType',
+    maxlength: 'maxLength',
+    minlength: 'minLength',
+    nomodule: 'noModule',
+    novalidate: 'noValidate',
+    playsinline: 'playsInline',
+    readonly: 'readOnly',
+    referrerpolicy: 'referrerPolicy',
+    rowspan: 'rowSpan',
+    spellcheck: 'spellCheck',
+    srcdoc: 'srcDoc',
+    srclang: 'srcLang',
+    srcset: 'srcSet',
+    tabindex: 'tabIndex',
+    usemap: 'useMap',
+};
+
+const hastAttributeNames = Object.fromEntries(Object.entries(hastPropertyNames).map(([name, property]) => [property, name]));
+
+// Boolean attributes, true in hast when present
+const booleanAttributes = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer', 'disabled',
+    'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule',
+    'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected',
+]);
+
+/**
+ * Get the value of a prop
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {*} Prop value, undefined when missing
+ */
+const getProp = function(node, name) {
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    return prop ? prop.value : undefined;
+}
+
+/**
+ * Get the text of a text, CDATA or comment node
+ * @param {Object} node - Node
+ * @returns {string} Text
+ */
+const getText = function(node) {
+    const value = getProp(node, node.type === '#comments' ? 'text' : 'textContent');
+    return value === null || typeof value === 'undefined' ? '' : String(value);
+}
+
+/**
+ * Get the attributes of an element as an object
+ * @param {Object} node - Element node
+ * @returns {Object<string, string|boolean>} Attribute values by name, true for boolean attributes, the last one wins for duplicates
+ */
+const getAttributes = function(node) {
+    const attributes = {};
+    for (const prop of normalizeProps(node.props)) {
+        if (prop && typeof prop.name === 'string' && prop.value !== false) {
+            attributes[prop.name] = prop.value === true ? true : attributeToString(prop.value);
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Get the attributes of an element as an object of strings, boolean attributes being empty
+ * @param {Object} node - Element node
+ * @returns {Object<string, string>} Attribute values by name
+ */
+const getStringAttributes = function(node) {
+    const attributes = getAttributes(node);
+    for (const name of Object.keys(attributes)) {
+        if (attributes[name] === true) {
+            attributes[name] = '';
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Turn an attribute object into props
+ * @param {Object} [attributes] - Attribute values by name
+ * @returns {Array<{name: string, value: string|boolean}>} Props, values that are null, undefined or false are left out, true ones are boolean attributes
+ */
+const toProps = function(attributes) {
+    const props = [];
+    for (const name of Object.keys(attributes || {})) {
+        const value = attributes[name];
+        if (value === null || typeof value === 'undefined' || value === false) {
+            continue;
+        }
+        props.push({ name, value: value === true ? true : String(value) });
+    }
+    return props;
+}
+
+/**
+ * Create a text node
+ * @param {*} value - Text
+ * @returns {Object} Text node
+ */
+const createText = function(value) {
+    return { type: '#text', props: [{ name: 'textContent', value: String(value) }] };
+}
+
+/**
+ * Create an element node, leaving out empty props and children
+ * @param {string} type - Element name
+ * @param {Array} props - Props
+ * @param {Array} children - Child nodes
+ * @returns {Object} Element node
+ */
+const createElement = function(type, props, children) {
+    const node = { type };
+    if (props.length) {
+        node.props = props;
+    }
+    if (children.length) {
+        node.children = children;
+    }
+    return node;
+}
+
+/**
+ * Check if a node is an element (the template wrapper included)
+ * @param {Object} node - Node
+ * @returns {boolean}
+ */
+const isElement = function(node) {
+    return typeof node.type === 'string' && node.type !== '' && node.type[0] !== '#';
+}
+
+/**
+ * Get the children of a node without empty entries
+ * @param {Object} node - Node
+ * @returns {Object[]} Child nodes
+ */
+const getChildren = function(node) {
+    return Array.isArray(node.children) ? node.children.filter(Boolean) : [];
+}
+
+/**
+ * Convert a hyphenated attribute name to camel case (data-foo-bar => dataFooBar)
+ * @param {string} name - Attribute name
+ * @returns {string}
+ */
+const camelCase = function(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Convert a camel case property name to a hyphenated attribute name (dataFooBar => data-foo-bar)
+ * @param {string} name - Property name
+ * @returns {string}
+ */
+const kebabCase = function(name) {
+    return name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+/**
+ * Convert a parsed tree to a hast (unist) tree, the format used by the unified/rehype ecosystem.
+ * The tree always comes back as a hast root. Attributes become hast properties (class becomes
+ * a className list, for becomes htmlFor, data-* and aria-* become camel case, boolean attributes
+ * become true), CDATA sections become text, processing instructions become xast-style
+ * `instruction` nodes and nested template elements get their children as `content`.
+ * Source locations become unist positions.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @returns {Object} hast root
+ */
+export function toHast(tree) {
+    /**
+     * Convert the attributes of an element to hast properties
+     * @param {Object} node - Element node
+     * @returns {Object} Properties
+     */
+    const toProperties = function(node) {
+        const properties = {};
+        const attributes = getStringAttributes(node);
+        for (const name of Object.keys(attributes)) {
+            const lowercase = name.toLowerCase();
+            const value = attributes[name];
+            if (lowercase === 'class') {
+                properties.className = value.split(/[ \t\n\f\r]+/).filter(Boolean);
+            } else if (Object.prototype.hasOwnProperty.call(hastPropertyNames, lowercase)) {
+                properties[hastPropertyNames[lowercase]] = booleanAttributes.has(lowercase) ? true : value;
+            } else if (booleanAttributes.has(lowercase)) {
+                properties[lowercase] = true;
+            } else if (/^(data|aria)-/.test(lowercase)) {
+                properties[camelCase(lowercase)] = value;
+            } else {
+                properties[name] = value;
+            }
+        }
+        return properties;
+    }
+
+    /**
+     * Convert a source location to a unist position
+     * @param {Object} location - Location from the parser
+     * @returns {Object} Position
+     */
+    const toPosition = function(location) {
+        const point = position => ({ line: position.line, column: position.column, offset: position.offset });
+        return { start: point(location.start), end: point(location.end) };
+    }
+
+    /**
+     * Convert a node
+     * @param {Object} node - Parsed node
+     * @returns {Object|null} hast node, null for nodes hast has no place for
+     */
+    const convert = function(node) {
+        let result = null;
+
+        if (node.type === '#text' || node.type === '#cdata') {
+            result = { type: 'text', value: getText(node) };
+        } else if (node.type === '#comments') {
+            result = { type: 'comment', value: getText(node) };
+        } else if (node.type === '#doctype') {
+            result = { type: 'doctype' };
+        } else if (node.type === '#processing-instruction') {
+            const data = getProp(node, 'data');
+            result = { type: 'instruction', name: String(getProp(node, 'target') || ''), value: data ? String(data) : '' };
+        } else if (isElement(node)) {
+            const children = getChildren(node).map(convert).filter(Boolean);
+            result = { type: 'element', tagName: node.type, properties: toProperties(node), children };
+            // hast keeps the template contents in a separate root
+            if (node.type.toLowerCase() === 'template') {
+                result.content = { type: 'root', children };
+                result.children = [];
+            }
+        }
+
+        if (result && node.location && node.location.start && node.location.end) {
+            result.position = toPosition(node.location);
+        }
+
+        return result;
+    }
+
+    let roots = [];
+    if (Array.isArray(tree)) {
+        roots = tree.filter(Boolean);
+    } else if (tree && tree.type === 'template') {
+        // Multiple roots come in a template wrapper
+        roots = getChildren(tree);
+    } else if (tree) {
+        roots = [tree];
+    }
+
+    return { type: 'root', children: roots.map(convert).filter(Boolean) };
+}
+
+/**
+ * Convert a hast (unist) tree back to the parser format. A root with several children
+ * gives a template wrapper, like parser() does. Properties become attributes again,
+ * properties set to false, null or undefined are left out and lists are joined with spaces
+ * (commas for accept).
+ *
+ * @param {Object} tree - hast root or node
+ * @returns {Object|undefined} Root node or template wrapper, undefined for an empty root
+ */
+export function fromHast(tree) {
+    if (!tree || typeof tree !== 'object' || typeof tree.type !== 'string') {
+        throw new TypeError('Input must be a hast node');
+    }
+
+    /**
+     * Convert hast properties to props
+     * @param {Object} [properties] - hast properties
+     * @returns {Array<{name: string, value: string|boolean}>} Props, true for boolean attributes
+     */
+    const toProps = function(properties) {
+        const props = [];
+        for (const property of Object.keys(properties || {})) {
+            let value = properties[property];
+            if (value === null || typeof value === 'undefined' || value === false) {
+                continue;
+            }
+
+            let name = property;
+            if (Object.prototype.hasOwnProperty.call(hastAttributeNames, property)) {
+                name = hastAttributeNames[property];
+            } else if (/^(data|aria)[A-Z]/.test(property)) {
+                name = kebabCase(property);
+            }
+
+            if (Array.isArray(value)) {
+                value = value.join(name === 'accept' ? ', ' : ' ');
+            }
+
+            props.push({ name, value: value === true ? true : String(value) });
+        }
+        return props;
+    }
+
+    /**
+     * Convert a hast node
+     * @param {Object} node - hast node
+     * @returns {Object|null} Parsed format node, null for unknown nodes
+     */
+    const convert = function(node) {
+        if (!node || typeof node !== 'object') {
+            return null;
+        }
+
+        let result = null;
+        const children = () => (Array.isArray(node.children) ? node.children : []).map(convert).filter(Boolean);
+
+        if (node.type === 'text') {
+            result = createText(node.value ?? '');
+        } else if (node.type === 'comment') {
+            result = { type: '#comments', props: [{ name: 'text', value: String(node.value ?? '') }] };
+        } else if (node.type === 'doctype') {
+            result = { type: '#doctype', props: [{ name: 'name', value: node.name || 'html' }] };
+        } else if (node.type === 'instruction') {
+            result = { type: '#processing-instruction', props: [{ name: 'target', value: String(node.name ?? '') }] };
+            if (node.value) {
+                result.props.push({ name: 'data', value: String(node.value) });
+            }
+        } else if (node.type === 'element' && typeof node.tagName === 'string') {
+            const content = node.content && Array.isArray(node.content.children) ? node.content.children.map(convert).filter(Boolean) : [];
+            result = createElement(node.tagName, toProps(node.properties), [...content, ...children()]);
+        } else if (node.type === 'root') {
+            result = { type: 'template', children: children() };
+        }
+
+        if (result && node.position && node.position.start && node.position.end) {
+            result.location = { start: { ...node.position.start }, end: { ...node.position.end } };
+        }
+
+        return result;
+    }
+
+    const result = convert(tree);
+
+    if (result && tree.type === 'root') {
+        if (!result.children.length) {
+            return undefined;
+        }
+        // A single root is returned as it is, like parser() does
+        if (result.children.length === 1) {
+            return result.children[0];
+        }
+        delete result.location;
+    }
+
+    return result || undefined;
+}
+
+/**
+ * Convert a parsed tree to JsonML. Elements become `[name, attributes?, ...children]`
+ * arrays (the attribute object is left out when there are none) and text becomes a string.
+ * Comments and CDATA sections become `['#comment', text]` and `['#cdata', text]`, doctypes
+ * and processing instructions become `['#doctype', props]` and `['#processing-instruction', props]`.
+ * The template wrapper stays a `template` element, which render() writes out as its children.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @returns {Array|string|Array[]} JsonML node, or list of JsonML nodes when given a list
+ */
+export function toJsonML(tree) {
+    /**
+     * Convert a node
+     * @param {Object} node - Parsed node
+     * @returns {Array|string|null} JsonML node
+     */
+    const convert = function(node) {
+        if (!node || typeof node !== 'object') {
+            return null;
+        }
+        if (node.type === '#text') {
+            return getText(node);
+        }
+        if (node.type === '#comments') {
+            return ['#comment', getText(node)];
+        }
+        if (node.type === '#cdata') {
+            return ['#cdata', getText(node)];
+        }
+        if (node.type === '#doctype' || node.type === '#processing-instruction') {
+            return [node.type, getAttributes(node)];
+        }
+        if (!isElement(node)) {
+            return null;
+        }
+
+        const result = [node.type];
+        const attributes = getAttributes(node);
+        if (Object.keys(attributes).length) {
+            result.push(attributes);
+        }
+        for (const child of getChildren(node)) {
+            const value = convert(child);
+            if (value !== null) {
+                result.push(value);
+            }
+        }
+        return result;
+    }
+
+    if (Array.isArray(tree)) {
+        return tree.map(convert).filter(value => value !== null);
+    }
+
+    return tree ? convert(tree) : null;
+}
+
+/**
+ * Convert JsonML back to the parser format
+ * @param {Array|string} jsonml - JsonML node (a string is a text node)
+ * @returns {Object} Parsed format node
+ * @throws {TypeError} If the input is not JsonML
+ */
+export function fromJsonML(jsonml) {
+    if (typeof jsonml === 'string' || typeof jsonml === 'number') {
+        return createText(jsonml);
+    }
+
+    if (!Array.isArray(jsonml) || typeof jsonml[0] !== 'string' || !jsonml[0]) {
+        throw new TypeError('JsonML nodes must be strings or arrays starting with a name');
+    }
+
+    const [type, ...rest] = jsonml;
+    // The attribute object is optional, anything else is a child
+    const hasAttributes = rest.length > 0 && rest[0] !== null && typeof rest[0] === 'object' && !Array.isArray(rest[0]);
+    const attributes = hasAttributes ? rest.shift() : {};
+
+    if (type === '#comment') {
+        return { type: '#comments', props: [{ name: 'text', value: rest.join('') }] };
+    }
+    if (type === '#cdata') {
+        return { type: '#cdata', props: [{ name: 'textContent', value: rest.join('') }] };
+    }
+    if (type === '#doctype' || type === '#processing-instruction') {
+        return { type, props: toProps(attributes) };
+    }
+
+    const children = rest
+        .filter(child => child !== null && typeof child !== 'undefined' && child !== '')
+        .map(fromJsonML);
+
+    return createElement(type, toProps(attributes), children);
+}
+
+/**
+ * Build a tree by calling a hyperscript function (h(type, attributes, children)). Text and CDATA
+ * are passed as strings, the attribute object uses the attribute names and string values from the
+ * markup (class and style as written, not className or a style object), and a template wrapper
+ * gives a list of results. Comments, doctypes and processing instructions have no hyperscript
+ * form and are left out.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Function} [hyperscript=h] - Hyperscript function
+ * @returns {*} What the hyperscript function returns for the root, or a list for several roots
+ */
+export function toHyperscript(tree, hyperscript = h) {
+    if (typeof hyperscript !== 'function') {
+        throw new TypeError('A hyperscript function is required');
+    }
+
+    /**
+     * Convert a node
+     * @param {Object} node - Parsed node
+     * @returns {*} Hyperscript result, string for text, null for left out nodes
+     */
+    const convert = function(node) {
+        if (!node || typeof node !== 'object') {
+            return null;
+        }
+        if (node.type === '#text' || node.type === '#cdata') {
+            return getText(node);
+        }
+        if (!isElement(node)) {
+            return null;
+        }
+
+        const children = getChildren(node).map(convert).filter(child => child !== null);
+        return hyperscript(node.type, getStringAttributes(node), children);
+    }
+
+    let roots;
+    if (Array.isArray(tree)) {
+        roots = tree;
+    } else if (tree && tree.type === 'template') {
+        // Multiple roots come in a template wrapper
+        roots = getChildren(tree);
+    } else {
+        return tree ? convert(tree) : null;
+    }
+
+    return roots.map(convert).filter(child => child !== null);
+}
+
+/**
+ * Hyperscript function building nodes in the parser format, so trees can be written by hand
+ * and hyperscript code can target render(): `h('a', { href: '/' }, 'Home')`.
+ * The attribute object is optional. Strings and numbers become text nodes (empty strings are
+ * left out), arrays are flattened, nodes (comments included) are kept as they are, and null, undefined and
+ * booleans are left out. Attributes set to true become boolean attributes (written by name), false and null leave them out.
+ *
+ * @param {string} type - Element name
+ * @param {Object|null} [attributes] - Attribute values by name
+ * @param {...*} children - Child nodes, strings, numbers or arrays of them
+ * @returns {Object} Element node
+ */
+export function h(type, attributes, ...children) {
+    if (typeof type !== 'string' || !type) {
+        throw new TypeError('Element type must be a non-empty string');
+    }
+
+    // h(type, child, ...) without attributes
+    if (attributes !== null && typeof attributes !== 'undefined' &&
+        (typeof attributes !== 'object' || Array.isArray(attributes) || typeof attributes.type === 'string')) {
+        children.unshift(attributes);
+        attributes = null;
+    }
+
+    const nodes = [];
+    const add = function(child) {
+        if (Array.isArray(child)) {
+            child.forEach(add);
+        } else if ((typeof child === 'string' && child) || typeof child === 'number') {
+            nodes.push(createText(child));
+        } else if (child && typeof child === 'object') {
+            nodes.push(child);
+        }
+    }
+    children.forEach(add);
+
+    return createElement(type, toProps(attributes), nodes);
+}
@@ -1,9 +1,84 @@
+/// <reference lib="dom" />
+/// <reference lib="es2015.iterable" />
+/// <reference lib="es2018.asynciterable" />
+/// <reference lib="es2018.asyncgenerator" />
+
 /**
  * Property in a node (attribute or text content)
  */
 export interface NodeProp {
     name: string;
-    value: string;
+    /** Attribute value, true for attributes written without a value */
+    value: string | boolean;
+    /** Quote of the value in the source, when it was not a double quote: a single quote or none ('') */
+    quote?: "'" | '';
+    /** Namespace URI of an attribute, null for no namespace (parser namespaces option) */
+    namespace?: string | null;
+    /** Prefix of an attribute name, null when it has none (parser namespaces option) */
+    prefix?: string | null;
+    /** Attribute name without its prefix (parser namespaces option) */
+    localName?: string;
+}
+
+/**
+ * Props in the object form, mapping each name to its value (parser propsFormat option)
+ */
+export type PropsObject = Record<string, string | boolean>;
+
+/**
+ * Position in the source string
+ */
+export interface SourcePosition {
+    /** Zero-based offset */
+    offset: number;
+    /** One-based line */
+    line: number;
+    /** One-based column */
+    column: number;
+}
+
+/**
+ * Range in the source string (end is exclusive)
+ */
+export interface SourceRange {
+    start: SourcePosition;
+    end: SourcePosition;
+}
+
+/**
+ * Source location added to nodes when the locations option is enabled
+ */
+export interface SourceLocation extends SourceRange {
+    /** Element start tag */
+    startTag?: SourceRange;
+    /** Element end tag, when present in the source */
+    endTag?: SourceRange;
+    /** Element attributes by name */
+    attributes?: Record<string, SourceRange>;
+}
+
+/**
+ * Source text of an element, added when the lossless option is enabled
+ */
+export interface ElementSource {
+    /** Start tag as written, '' for implied elements */
+    startTag: string;
+    /** Attributes as parsed, with their source text (whitespace before them included) */
+    attributes: Array<{ name: string; value: string | boolean; text: string }>;
+    /** Attributes dropped as duplicates, with their source text, when the start tag has any */
+    duplicates?: Array<{ name: string; text: string }>;
+    /** End tag as written, '' when the start tag closes the element, missing when the source has none */
+    endTag?: string;
+}
+
+/**
+ * Source text of a text, comment, CDATA, doctype or processing instruction node, added when the lossless option is enabled
+ */
+export interface NodeSource {
+    /** Node as written */
+    text: string;
+    /** Props as parsed */
+    props: Array<{ name: string; value: string }>;
 }
 
 /**
@@ -11,7 +86,9 @@ export interface NodeProp {
  */
 export interface BaseNode {
     type: string;
-    props?: NodeProp[];
+    props?: NodeProp[] | PropsObject;
+    location?: SourceLocation;
+    source?: ElementSource | NodeSource;
 }
 
 /**
@@ -19,8 +96,15 @@ export interface BaseNode {
  */
 export interface ElementNode extends BaseNode {
     type: string;
-    props?: NodeProp[];
+    props?: NodeProp[] | PropsObject;
     children?: Node[];
+    source?: ElementSource;
+    /** Namespace URI, null for no namespace (parser namespaces option) */
+    namespace?: string | null;
+    /** Prefix of the element name, null when it has none (parser namespaces option) */
+    prefix?: string | null;
+    /** Element name without its prefix (parser namespaces option) */
+    localName?: string;
 }
 
 /**
@@ -28,7 +112,7 @@ export interface ElementNode extends BaseNode {
  */
 export interface TextNode extends BaseNode {
     type: '#text';
-    props: [{ name: 'textContent'; value: string }];
+    props: [{ name: 'textContent'; value: string }] | { textContent: string };
 }
 
 /**
@@ -36,7 +120,35 @@ export interface TextNode extends BaseNode {
  */
 export interface CommentNode extends BaseNode {
     type: '#comments';
-    props: [{ name: 'text'; value: string }];
+    props: [{ name: 'text'; value: string }] | { text: string };
+}
+
+/**
+ * CDATA section node (content is kept verbatim)
+ */
+export interface CDataNode extends BaseNode {
+    type: '#cdata';
+    props: [{ name: 'textContent'; value: string }] | { textContent: string };
+}
+
+/**
+ * Doctype declaration node
+ */
+export interface DoctypeNode extends BaseNode {
+    type: '#doctype';
+    props: NodeProp[] | PropsObject;
+    /** Declaration as written, when the props would not write it back the same way */
+    raw?: string;
+}
+
+/**
+ * Processing instruction node (the XML declaration uses the "xml" target)
+ */
+export interface ProcessingInstructionNode extends BaseNode {
+    type: '#processing-instruction';
+    props: [{ name: 'target'; value: string }, { name: 'data'; value: string }] | { target: string; data: string };
+    /** Instruction as written, when the props would not write it back the same way */
+    raw?: string;
 }
 
 /**
@@ -50,7 +162,7 @@ export interface TemplateNode extends BaseNode {
 /**
  * Union type for all possible node types
  */
-export type Node = ElementNode | TextNode | CommentNode | TemplateNode;
+export type Node = ElementNode | TextNode | CommentNode | CDataNode | DoctypeNode | ProcessingInstructionNode | TemplateNode;
 
 /**
  * Options for the parser function
@@ -61,6 +173,140 @@ export interface ParserOptions {
      * @example ['script', 'style', 'iframe']
      */
     ignore?: string[];
+
+    /**
+     * Decode named, decimal and hexadecimal character references in text and attribute values.
+     * Set to false to keep them as written (raw mode), render() still escapes the text again.
+     * @default true
+     */
+    decodeEntities?: boolean;
+
+    /**
+     * Override the elements whose content is kept as a single raw text node until the matching end tag
+     * @default ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes'] with htmlMode, [] otherwise
+     */
+    rawTextTags?: string[];
+
+    /**
+     * Override the raw text elements whose content still decodes character references
+     * @default ['textarea', 'title'] with htmlMode, [] otherwise
+     */
+    escapableRawTextTags?: string[];
+
+    /**
+     * Fold CDATA sections into plain #text nodes instead of #cdata nodes
+     * @default false
+     */
+    cdataAsText?: boolean;
+
+    /**
+     * Add a location with source offsets, lines and columns to every node
+     * @default false
+     */
+    locations?: boolean;
+
+    /**
+     * Called with a ParseError for each problem found in malformed input
+     */
+    onError?: (error: ParseError) => void;
+
+    /**
+     * Throw a ParseError on the first problem found
+     * @default false
+     */
+    strict?: boolean;
+
+    /**
+     * Return { tree, errors } instead of the tree alone
+     * @default false
+     */
+    withErrors?: boolean;
+
+    /**
+     * Apply the HTML5 implied end tag and optional tag rules (e.g., <li> closes an open <li>),
+     * and the foreign content rules inside svg and math (self-closing "/>", no HTML tag rules)
+     * @default false
+     */
+    htmlMode?: boolean;
+
+    /**
+     * Drop text nodes holding only whitespace (not inside pre, textarea, raw text or xml:space="preserve")
+     * @default false
+     */
+    dropWhitespace?: boolean;
+
+    /**
+     * Collapse runs of whitespace in text into a single space (not inside pre, textarea, raw text or xml:space="preserve")
+     * @default false
+     */
+    collapseWhitespace?: boolean;
+
+    /**
+     * Trim the whitespace around text, dropping text nodes left empty (not inside pre, textarea, raw text or xml:space="preserve")
+     * @default false
+     */
+    trimText?: boolean;
+
+    /**
+     * Resolve XML namespaces, adding namespace, prefix and localName to elements and attributes
+     * @default false
+     */
+    namespaces?: boolean;
+
+    /**
+     * Form of node props: an array of { name, value } or an object mapping names to values.
+     * The object form drops the quote of attributes and their namespace details (namespaces option), so they
+     * render with double quotes, except the unchanged attributes of the lossless option
+     * @default 'array'
+     */
+    propsFormat?: 'array' | 'object';
+
+    /**
+     * Add a source with the source text of every node, written back by render() while the node is unchanged
+     * @default false
+     */
+    lossless?: boolean;
+}
+
+/**
+ * Error codes reported by the parser
+ */
+export type ParseErrorCode =
+    | 'unexpected-end-tag'
+    | 'missing-end-tag'
+    | 'unclosed-element'
+    | 'invalid-first-character-of-tag-name'
+    | 'eof-in-tag'
+    | 'eof-in-comment'
+    | 'incorrectly-closed-comment'
+    | 'eof-in-cdata'
+    | 'eof-in-doctype'
+    | 'eof-in-processing-instruction'
+    | 'non-void-html-element-start-tag-with-trailing-solidus'
+    | 'unbound-namespace-prefix'
+    | 'duplicate-attribute'
+    | 'unexpected-solidus-in-tag';
+
+/**
+ * Problem found while parsing malformed HTML/XML
+ */
+export class ParseError extends SyntaxError {
+    /** Machine-readable error code */
+    code: ParseErrorCode;
+    /** Description without the position suffix */
+    reason: string;
+    /** Where the problem was found */
+    position: SourcePosition;
+    /** Node involved in the problem, when there is one */
+    node?: Node;
+}
+
+/**
+ * Parser result when the withErrors option is enabled
+ */
+export interface ParseResult {
+    tree: Node | undefined;
+    errors: ParseError[];
 }
 
 /**
@@ -80,7 +326,13 @@ export interface RenderOptions {
     indent?: string;
 
     /**
-     * Override default void/self-closing elements list
+     * Line width above which start tags get one attribute per line (used when pretty is true)
+     * @default 80
+     */
+    maxWidth?: number;
+
+    /**
+     * Override default void/self-closing elements list (empty svg and math elements are always self-closed)
      * @default ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']
      */
     selfClosingTags?: string[];
@@ -90,6 +342,295 @@ export interface RenderOptions {
      * @default false
      */
     xmlMode?: boolean;
+
+    /**
+     * Override the elements whose text content is written without escaping
+     * @default ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes']
+     */
+    rawTextTags?: string[];
+}
+
+/**
+ * Options for the renderStream function
+ */
+export interface RenderStreamOptions extends RenderOptions {
+    /**
+     * Minimum length of the chunks yielded (the last one can be shorter)
+     * @default 16384
+     */
+    chunkSize?: number;
+}
+
+/**
+ * Incremental parser returned by createParser
+ */
+export interface IncrementalParser {
+    /** Add a chunk of input */
+    write(chunk: string): void;
+    /** Finish the input and return what parser() returns */
+    end(chunk?: string): Node | undefined | ParseResult;
+}
+
+/**
+ * Options for createStream and parseStream
+ */
+export interface StreamOptions extends Omit<ParserOptions, 'withErrors'> {
+    /** Element with complete props, called when its start tag ends (children are not there yet) */
+    onOpenTag?: (node: ElementNode) => void;
+    /** Element closed by its end tag or implicitly */
+    onCloseTag?: (node: ElementNode) => void;
+    /** Text node */
+    onText?: (node: TextNode) => void;
+    /** Comment node */
+    onComment?: (node: CommentNode) => void;
+    /** CDATA section node */
+    onCdata?: (node: CDataNode) => void;
+    /** Doctype node */
+    onDoctype?: (node: DoctypeNode) => void;
+    /** Processing instruction node */
+    onProcessingInstruction?: (node: ProcessingInstructionNode) => void;
+    /** Element names whose complete subtrees are kept and handed to onSubtree */
+    subtrees?: string[];
+    /** Completed subtree, outside any other collected subtree */
+    onSubtree?: (node: ElementNode) => void;
+    /**
+     * Encoding used to decode binary chunks
+     * @default 'utf-8'
+     */
+    encoding?: string;
+}
+
+/**
+ * Stream parser returned by createStream
+ */
+export interface StreamParser {
+    /** Add a chunk of input */
+    write(chunk: string | Uint8Array): StreamParser;
+    /** Finish the input, closing whatever is still open */
+    end(chunk?: string | Uint8Array): void;
+}
+
+/**
+ * Allowlist policy for the sanitize function
+ */
+export interface SanitizePolicy {
+    /** Elements kept in the output */
+    elements?: readonly string[];
+
+    /** Attributes kept per element, '*' applies to every element, entries ending with '*' are prefixes */
+    attributes?: Readonly<Record<string, readonly string[]>>;
+
+    /** Attributes holding a URL, checked against allowedSchemes */
+    urlAttributes?: readonly string[];
+
+    /**
+     * URL schemes allowed in URL attributes
+     * @default ['http', 'https', 'mailto', 'tel']
+     */
+    allowedSchemes?: readonly string[];
+
+    /**
+     * Keep URLs without a scheme
+     * @default true
+     */
+    allowRelativeUrls?: boolean;
+
+    /** CSS properties kept in style attributes, when the style attribute is allowed */
+    allowedStyles?: readonly string[];
+
+    /** Elements always removed with their content */
+    dropElements?: readonly string[];
+
+    /**
+     * Keep the content of other disallowed elements ('unwrap') or remove it ('drop')
+     * @default 'unwrap'
+     */
+    disallowedElements?: 'unwrap' | 'drop';
+
+    /**
+     * Keep comments
+     * @default false
+     */
+    allowComments?: boolean;
+}
+
+/**
+ * Context passed to walk visitor callbacks
+ */
+export interface WalkContext {
+    /** Parent node, null for the roots */
+    parent: Node | null;
+    /** Position of the node in the parent's children */
+    index: number;
+    /** Ancestors from the root down to the parent */
+    path: Node[];
+    /** Do not visit the children of the node */
+    skip(): void;
+    /** Remove the node from its parent */
+    remove(): void;
+    /** Replace the node with a node or a list of nodes (not visited) */
+    replace(nodes: Node | Node[]): void;
+    /** Insert nodes before the node (not visited) */
+    insertBefore(nodes: Node | Node[]): void;
+    /** Insert nodes after the node (not visited) */
+    insertAfter(nodes: Node | Node[]): void;
+}
+
+/**
+ * Callback called by walk for a node
+ */
+export type VisitorCallback = (node: Node, context: WalkContext) => void;
+
+/**
+ * Visitor accepted by walk: a callback for every node, or enter/leave callbacks and per type callbacks
+ */
+export type Visitor = VisitorCallback | {
+    enter?: VisitorCallback;
+    leave?: VisitorCallback;
+    [type: string]: VisitorCallback | { enter?: VisitorCallback; leave?: VisitorCallback } | undefined;
+};
+
+/**
+ * Conventions for the compact object format
+ */
+export interface CompactOptions {
+    /**
+     * Prefix for attribute keys
+     * @default '@'
+     */
+    attributePrefix?: string;
+
+    /** Group the attributes in an object under this key instead of prefixed keys (e.g. '$') */
+    attributesKey?: string;
+
+    /**
+     * Key for the text of elements that also hold attributes or child elements
+     * @default '#text'
+     */
+    textKey?: string;
+
+    /**
+     * 'repeated' uses arrays only for repeated child elements, 'always' for every child element
+     * @default 'repeated'
+     */
+    arrays?: 'repeated' | 'always';
+
+    /**
+     * Turn text and attribute values into numbers and booleans, or a function doing the conversion (toCompact only)
+     * @default false
+     */
+    coerce?: boolean | ((value: string, name: string) => unknown);
+}
+
+/**
+ * Value of an element in the compact format
+ */
+export type CompactValue = string | number | boolean | null | CompactObject | CompactValue[];
+
+/**
+ * Element content in the compact format: attributes, text and child elements
+ */
+export interface CompactObject {
+    [key: string]: CompactValue | Record<string, unknown> | undefined;
+}
+
+/**
+ * Position of a hast node in the source
+ */
+export interface HastPosition {
+    start: { line: number; column: number; offset?: number };
+    end: { line: number; column: number; offset?: number };
+}
+
+/**
+ * hast (unist) node produced by toHast
+ */
+export type HastNode =
+    | { type: 'root'; children: HastNode[]; position?: HastPosition }
+    | { type: 'element'; tagName: string; properties: Record<string, string | number | boolean | Array<string | number> | null | undefined>; children: HastNode[]; content?: HastNode; position?: HastPosition }
+    | { type: 'text'; value: string; position?: HastPosition }
+    | { type: 'comment'; value: string; position?: HastPosition }
+    | { type: 'doctype'; name?: string; position?: HastPosition }
+    | { type: 'instruction'; name: string; value: string; position?: HastPosition };
+
+/**
+ * JsonML element: [name, attributes?, ...children]
+ */
+export interface JsonMLElement extends Array<string | Record<string, string | boolean> | JsonMLElement> {
+    0: string;
+}
+
+/**
+ * JsonML node: a string for text, or an element
+ */
+export type JsonML = string | JsonMLElement;
+
+/**
+ * Hyperscript function, as provided by most virtual DOM libraries
+ */
+export type Hyperscript<T> = (type: string, attributes: Record<string, string>, children: Array<T | string>) => T;
+
+/**
+ * Operation listed by diff, nodes are addressed by child index path (the roots are the first level)
+ */
+export type PatchOperation =
+    | { op: 'insert'; path: number[]; node: Node }
+    | { op: 'remove'; path: number[]; node?: Node }
+    | { op: 'move'; from: number[]; path: number[] }
+    | { op: 'text'; path: number[]; oldValue?: string; value: string }
+    | { op: 'add-attribute'; path: number[]; name: string; value: unknown }
+    | { op: 'change-attribute'; path: number[]; name: string; oldValue?: unknown; value: unknown }
+    | { op: 'remove-attribute'; path: number[]; name: string; oldValue?: unknown };
+
+/**
+ * Options for the diff function
+ */
+export interface DiffOptions {
+    /**
+     * Attributes matching elements across positions, false to match by position only
+     * @default ['key', 'id']
+     */
+    key?: string | string[] | false;
+}
+
+/**
+ * Options for the toText function
+ */
+export interface TextOptions {
+    /**
+     * Line width paragraphs are wrapped at, 0 to keep each paragraph on one line
+     * @default 80
+     */
+    width?: number;
+
+    /**
+     * Add the URLs of links as numbered footnotes
+     * @default true
+     */
+    links?: boolean;
+
+    /**
+     * Marker of unordered list items
+     * @default '*'
+     */
+    bullet?: string;
+}
+
+/**
+ * Options for the toMarkdown function
+ */
+export interface MarkdownOptions {
+    /**
+     * Marker of unordered list items
+     * @default '-'
+     */
+    bullet?: '-' | '*' | '+';
+
+    /**
+     * Fence of code blocks
+     * @default '```'
+     */
+    fence?: '```' | '~~~';
 }
 
 /**
@@ -98,6 +639,7 @@ export interface RenderOptions {
  * @param options - Parser options
  * @returns Parsed JSON tree, or undefined if input has no elements
  * @throws {TypeError} If html is not a string
+ * @throws {ParseError} In strict mode, when the input is malformed
  *
  * @example
  * ```typescript
@@ -110,8 +652,46 @@ export interface RenderOptions {
  * const clean = parser(html, { ignore: ['script', 'style'] });
  * ```
  */
+export function parser(html: string, options: ParserOptions & { withErrors: true }): ParseResult;
 export function parser(html: string, options?: ParserOptions): Node | undefined;
 
+/**
+ * Create an incremental parser that takes the input in chunks
+ * @param options - Parser options
+ * @returns Parser with write(chunk) and end(chunk?)
+ *
+ * @example
+ * ```typescript
+ * const instance = createParser();
+ * instance.write('<div cla');
+ * const tree = instance.end('ss="a"></div>');
+ * ```
+ */
+export function createParser(options?: ParserOptions): IncrementalParser;
+
+/**
+ * Create a streaming parser that hands nodes to callbacks as they are completed
+ * @param options - Parser options and stream callbacks
+ * @returns Stream parser with write(chunk) and end(chunk?)
+ */
+export function createStream(options?: StreamOptions): StreamParser;
+
+/**
+ * Parse a Node Readable stream, an async iterable or an iterable of chunks
+ * @param source - Readable stream, (async) iterable of chunks, or a whole string
+ * @param options - Parser options and stream callbacks
+ * @returns Resolves when the whole input is parsed
+ *
+ * @example
+ * ```typescript
+ * await parseStream(createReadStream('export.xml'), {
+ *   subtrees: ['record'],
+ *   onSubtree: record => save(record),
+ * });
+ * ```
+ */
+export function parseStream(source: string | AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>, options?: StreamOptions): Promise<void>;
+
 /**
  * Render a JSON tree back into HTML or XML markup
  * @param tree - The JSON tree to render (single node or array of nodes)
@@ -136,3 +716,376 @@ export function parser(html: string, options?: ParserOptions): Node | undefined;
  * ```
  */
 export function render(tree: Node | Node[], options?: RenderOptions): string;
+
+/**
+ * Render a JSON tree incrementally; the chunks joined together are exactly what render() returns
+ * @param tree - The JSON tree to render (single node or array of nodes)
+ * @param options - Rendering options and chunk size
+ * @returns Async iterable of markup chunks
+ *
+ * @example
+ * ```typescript
+ * Readable.from(renderStream(tree)).pipe(response);
+ * ```
+ */
+export function renderStream(tree: Node | Node[] | undefined, options?: RenderStreamOptions): AsyncGenerator<string, void, undefined>;
+
+/**
+ * Decode HTML character references (named, decimal and hexadecimal) into real characters
+ * @param value - Text holding character references
+ * @param isAttribute - Apply the attribute value rules for references without a semicolon
+ * @returns Decoded string
+ *
+ * @example
+ * ```typescript
+ * decodeEntities('Tom &amp; Jerry &#169; &#x2014;'); // 'Tom & Jerry © —'
+ * ```
+ */
+export function decodeEntities(value: string, isAttribute?: boolean): string;
+
+/**
+ * Find all nodes in a tree that match a CSS selector, in document order
+ * @param tree - Parsed node or list of nodes (the roots are part of the search)
+ * @param selector - CSS selector list
+ * @returns Matching nodes
+ * @throws {SyntaxError} If the selector is invalid or unsupported
+ *
+ * @example
+ * ```typescript
+ * const links = select(tree, 'ul > li a[href^="http"]');
+ * ```
+ */
+export function select(tree: Node | Node[], selector: string): ElementNode[];
+
+/**
+ * Find the first node in a tree that matches a CSS selector
+ * @param tree - Parsed node or list of nodes
+ * @param selector - CSS selector list
+ * @returns First matching node in document order, or null
+ * @throws {SyntaxError} If the selector is invalid or unsupported
+ */
+export function selectOne(tree: Node | Node[], selector: string): ElementNode | null;
+
+/**
+ * Check if a node matches a CSS selector
+ * @param node - Node to test
+ * @param selector - CSS selector list
+ * @param root - Tree holding the node, needed by combinators and child pseudo-classes
+ * @returns True when the node matches
+ */
+export function matches(node: Node, selector: string, root?: Node | Node[]): boolean;
+
+/**
+ * Walk a tree depth-first, calling the visitor when entering and leaving each node
+ * @param tree - Parsed node or list of nodes
+ * @param visitor - Callback or object with enter/leave and per type callbacks
+ * @returns The tree, or what took the place of a single root node
+ *
+ * @example
+ * ```typescript
+ * walk(tree, {
+ *   script: (node, context) => context.remove(),
+ *   '#text': (node, context) => console.log(context.path.length),
+ * });
+ * ```
+ */
+export function walk<T extends Node | Node[]>(tree: T, visitor: Visitor): T | Node | Node[] | null;
+
+/**
+ * Default sanitizer policy: text formatting, lists, tables, links and images
+ */
+export const defaultPolicy: Readonly<Required<SanitizePolicy>>;
+
+/**
+ * Sanitize untrusted HTML against an allowlist policy
+ * @param html - Untrusted HTML
+ * @param policy - Policy settings, merged over defaultPolicy
+ * @returns Sanitized HTML
+ * @throws {TypeError} If html is not a string
+ *
+ * @example
+ * ```typescript
+ * sanitize('<a href="javascript:alert(1)" onclick="x()">Hi</a>'); // '<a>Hi</a>'
+ * ```
+ */
+export function sanitize(html: string, policy?: SanitizePolicy): string;
+
+/**
+ * Convert a parsed tree to a compact object keyed by element name
+ * @param tree - Parsed node or list of nodes
+ * @param options - Format conventions
+ * @returns Compact object with one key per root element
+ * @throws {TypeError} If arrays is not 'repeated' or 'always'
+ *
+ * @example
+ * ```typescript
+ * toCompact(parser('<note><to>Tove</to></note>')); // { note: { to: 'Tove' } }
+ * ```
+ */
+export function toCompact(tree: Node | Node[] | undefined, options?: CompactOptions): CompactObject;
+
+/**
+ * Convert a compact object back to nodes that render() accepts
+ * @param object - Compact object with one key per root element
+ * @param options - Format conventions, see toCompact()
+ * @returns Root node, or list of nodes when there are several roots
+ * @throws {TypeError} If object is not a plain object
+ */
+export function fromCompact(object: CompactObject, options?: CompactOptions): ElementNode | ElementNode[] | undefined;
+
+/**
+ * Convert a parsed tree to a hast (unist) tree
+ * @param tree - Parsed node or list of nodes
+ * @returns hast root
+ */
+export function toHast(tree: Node | Node[] | undefined): HastNode & { type: 'root' };
+
+/**
+ * Convert a hast (unist) tree back to the parser format
+ * @param tree - hast root or node
+ * @returns Root node, template wrapper for several roots, or undefined for an empty root
+ * @throws {TypeError} If tree is not a hast node
+ */
+export function fromHast(tree: HastNode): Node | undefined;
+
+/**
+ * Convert a parsed tree to JsonML
+ * @param tree - Parsed node or list of nodes
+ * @returns JsonML node, or list of JsonML nodes when given a list
+ *
+ * @example
+ * ```typescript
+ * toJsonML(parser('<div class="x">text</div>')); // ['div', { class: 'x' }, 'text']
+ * ```
+ */
+export function toJsonML(tree: Node): JsonML;
+export function toJsonML(tree: Node[]): JsonML[];
+
+/**
+ * Convert JsonML back to the parser format
+ * @param jsonml - JsonML node
+ * @returns Parsed format node
+ * @throws {TypeError} If the input is not JsonML
+ */
+export function fromJsonML(jsonml: JsonML): Node;
+
+/**
+ * Build a tree by calling a hyperscript function for every element
+ * @param tree - Parsed node or list of nodes
+ * @param hyperscript - Hyperscript function, h by default
+ * @returns What the hyperscript function returns, or a list for several roots
+ *
+ * @example
+ * ```typescript
+ * toHyperscript(parser('<p class="x">Hi</p>'), (type, attributes, children) => ({ tag: type, attributes, children }));
+ * // { tag: 'p', attributes: { class: 'x' }, children: ['Hi'] }
+ * ```
+ */
+export function toHyperscript<T = ElementNode>(tree: Node | Node[] | undefined, hyperscript?: Hyperscript<T>): T | string | Array<T | string> | null;
+
+/**
+ * Hyperscript function building nodes in the parser format
+ * @param type - Element name
+ * @param attributes - Attribute values by name (true makes a boolean attribute, false and null leave it out)
+ * @param children - Child nodes, strings, numbers or arrays of them
+ * @returns Element node
+ *
+ * @example
+ * ```typescript
+ * render(h('a', { href: '/' }, 'Home')); // '<a href="/">Home</a>'
+ * ```
+ */
+export function h(type: string, attributes?: Record<string, string | number | boolean | null | undefined> | null, ...children: unknown[]): ElementNode;
+export function h(type: string, ...children: unknown[]): ElementNode;
+
+/**
+ * Create DOM nodes from a parsed tree
+ * @param tree - Parsed node or list of nodes
+ * @param document - Document creating the nodes, the global document by default
+ * @returns DOM node, fragment for the template wrapper or a list, null for an empty tree
+ * @throws {TypeError} If no document is available
+ *
+ * @example
+ * ```typescript
+ * container.appendChild(toDOM(parser(snippet)));
+ * ```
+ */
+export function toDOM(tree: Node | Node[] | undefined, document?: Document): globalThis.Node | DocumentFragment | null;
+
+/**
+ * Create a parsed tree from DOM nodes
+ * @param node - DOM node, fragment or document
+ * @returns Parsed format node, template wrapper for several roots, undefined for an empty fragment
+ * @throws {TypeError} If node is not a DOM node
+ */
+export function fromDOM(node: globalThis.Node): Node | undefined;
+
+/**
+ * Compare two parsed trees and list the operations turning the first into the second
+ * @param oldTree - Original tree
+ * @param newTree - Changed tree
+ * @param options - Diff options
+ * @returns Operations, applied in order
+ *
+ * @example
+ * ```typescript
+ * diff(parser('<p>Hello</p>'), parser('<p>Hi</p>'));
+ * // [{ op: 'text', path: [0, 0], oldValue: 'Hello', value: 'Hi' }]
+ * ```
+ */
+export function diff(oldTree: Node | Node[] | undefined, newTree: Node | Node[] | undefined, options?: DiffOptions): PatchOperation[];
+
+/**
+ * Apply the operations listed by diff to a copy of a tree
+ * @param tree - Tree to change (not modified)
+ * @param ops - Operations from diff
+ * @returns Changed tree, a template wrapper for several roots, undefined when every root was removed
+ * @throws {RangeError} If a path does not exist in the tree
+ * @throws {TypeError} If an operation is unknown
+ */
+export function applyPatch(tree: Node[], ops: PatchOperation[]): Node[];
+export function applyPatch(tree: Node | undefined, ops: PatchOperation[]): Node | undefined;
+
+/**
+ * Extract the readable text of a parsed document, with line breaks at block boundaries,
+ * list bullets, tables in columns and link URLs as footnotes
+ * @param tree - Parsed node or list of nodes
+ * @param options - Text options
+ * @returns Plain text, empty for an empty tree
+ *
+ * @example
+ * ```typescript
+ * toText(parser('<h1>Title</h1><ul><li>One</li><li>Two</li></ul>'));
+ * // 'Title\n\n* One\n* Two'
+ * ```
+ */
+export function toText(tree: Node | Node[] | undefined, options?: TextOptions): string;
+
+/**
+ * Convert a parsed tree into Markdown (CommonMark with GFM tables and strikethrough).
+ * Elements Markdown cannot express are written as raw HTML by render()
+ * @param tree - Parsed node or list of nodes
+ * @param options - Markdown options
+ * @returns Markdown, empty for an empty tree
+ *
+ * @example
+ * ```typescript
+ * toMarkdown(parser('<h1>Title</h1><p>Some <em>text</em></p>'));
+ * // '# Title\n\nSome *text*'
+ * ```
+ */
+export function toMarkdown(tree: Node | Node[] | undefined, options?: MarkdownOptions): string;
+
+/**
+ * Parse Markdown into the tree format of parser(), raw HTML is read with parser()
+ * @param markdown - Markdown text
+ * @returns Parsed tree, a template wrapper for several blocks, undefined for empty input
+ * @throws {TypeError} If markdown is not a string
+ */
+export function fromMarkdown(markdown: string): Node | undefined;
+
+/**
+ * Get the value of an attribute, with props in either form
+ * @param node - Element node
+ * @param name - Attribute name
+ * @returns Attribute value, null when the attribute is missing
+ */
+export function getAttr(node: Node, name: string): string | boolean | null;
+
+/**
+ * Check if an element has an attribute
+ * @param node - Element node
+ * @param name - Attribute name
+ */
+export function hasAttr(node: Node, name: string): boolean;
+
+/**
+ * Set the value of an attribute, in place when it exists and at the end otherwise.
+ * The props keep their form, nodes without props get an array
+ * @param node - Element node (modified)
+ * @param name - Attribute name
+ * @param value - Attribute value
+ * @returns The node
+ */
+export function setAttr<T extends Node>(node: T, name: string, value: string | boolean): T;
+
+/**
+ * Remove an attribute, and the props of the node when none are left
+ * @param node - Element node (modified)
+ * @param name - Attribute name
+ * @returns The node
+ */
+export function removeAttr<T extends Node>(node: T, name: string): T;
+
+/**
+ * Get the class names of an element, without duplicates
+ * @param node - Element node
+ */
+export function getClasses(node: Node): string[];
+
+/**
+ * Check if an element has a class name
+ * @param node - Element node
+ * @param name - Class name
+ */
+export function hasClass(node: Node, name: string): boolean;
+
+/**
+ * Add class names to an element
+ * @param node - Element node (modified)
+ * @param names - Class names
+ * @returns The node
+ */
+export function addClass<T extends Node>(node: T, ...names: string[]): T;
+
+/**
+ * Remove class names from an element, the class attribute is removed when no class is left
+ * @param node - Element node (modified)
+ * @param names - Class names
+ * @returns The node
+ */
+export function removeClass<T extends Node>(node: T, ...names: string[]): T;
+
+/**
+ * Add a class name an element does not have, or remove it when it has it
+ * @param node - Element node (modified)
+ * @param name - Class name
+ * @param force - Only add (true) or only remove (false)
+ * @returns Whether the element has the class name afterwards
+ */
+export function toggleClass(node: Node, name: string, force?: boolean): boolean;
+
+/**
+ * Parse the value of a style attribute into a map of declarations
+ * @param value - Style attribute value
+ * @returns Property name to value (with its !important)
+ *
+ * @example
+ * ```typescript
+ * parseStyle('color: red; background: url(a.png)');
+ * // { color: 'red', background: 'url(a.png)' }
+ * ```
+ */
+export function parseStyle(value: string | null | undefined): Record<string, string>;
+
+/**
+ * Serialize a map of declarations into the value of a style attribute
+ * @param declarations - Property name to value, null, undefined and empty values are left out
+ * @returns Style attribute value, e.g. "color: red; margin: 0;"
+ */
+export function serializeStyle(declarations: Record<string, string | number | null | undefined>): string;
+
+/**
+ * Get the inline style declarations of an element
+ * @param node - Element node
+ * @returns Property name to value
+ */
+export function getStyle(node: Node): Record<string, string>;
+
+/**
+ * Merge declarations into the inline style of an element, a null value removes a property
+ * @param node - Element node (modified)
+ * @param declarations - Property name to value, null to remove the property
+ * @returns The node
+ */
+export function setStyle<T extends Node>(node: T, declarations: Record<string, string | number | null | undefined>): T;
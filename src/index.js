@@ -1,4 +1,26 @@
-import parser from './parser.js';
-import render from './render.js';
+import parser, { createParser } from './parser.js';
+import render, { renderStream } from './render.js';
+import decodeEntities from './entities.js';
+import { ParseError } from './errors.js';
+import { select, selectOne, matches } from './select.js';
+import walk from './walk.js';
+import sanitize, { defaultPolicy } from './sanitize.js';
+import { createStream, parseStream } from './stream.js';
+import { toCompact, fromCompact } from './compact.js';
+import { toHast, fromHast, toJsonML, fromJsonML, toHyperscript, h } from './formats.js';
+import { toDOM, fromDOM } from './dom.js';
+import { diff, applyPatch } from './diff.js';
+import { toText } from './text.js';
+import { toMarkdown, fromMarkdown } from './markdown.js';
+import {
+    getAttr, hasAttr, setAttr, removeAttr, getClasses, hasClass, addClass, removeClass, toggleClass,
+    parseStyle, serializeStyle, getStyle, setStyle,
+} from './props.js';
 
-export { parser, render };
\ No newline at end of file
+export {
+    parser, createParser, render, renderStream, decodeEntities, ParseError, select, selectOne, matches, walk, sanitize, defaultPolicy,
+    createStream, parseStream, toCompact, fromCompact, toHast, fromHast, toJsonML, fromJsonML, toHyperscript, h,
+    toDOM, fromDOM, diff, applyPatch, toText, toMarkdown, fromMarkdown,
+    getAttr, hasAttr, setAttr, removeAttr, getClasses, hasClass, addClass, removeClass, toggleClass,
+    parseStyle, serializeStyle, getStyle, setStyle,
+};
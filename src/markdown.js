@@ -0,0 +1,1590 @@
+import parser from './parser.js';
+import render from './render.js';
+import decodeEntities from './entities.js';
+import { normalizeProps, attributeToString } from './props.js';
+
+// Elements holding their children as blocks, written as plain Markdown when they have no attributes
+const containerElements = new Set([
+    'article', 'aside', 'body', 'div', 'footer', 'header', 'html', 'main', 'nav', 'section'
+]);
+
+// Block-level elements, written as blocks of their own (raw HTML when Markdown cannot express them)
+const blockElements = new Set([
+    ...containerElements,
+    'address', 'blockquote', 'caption', 'center', 'colgroup', 'dd', 'details', 'dialog', 'dir', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'hgroup', 'hr',
+    'iframe', 'legend', 'li', 'link', 'menu', 'meta', 'noscript', 'ol', 'optgroup', 'option', 'p', 'pre',
+    'script', 'search', 'style', 'summary', 'table', 'tbody', 'td', 'template', 'tfoot', 'th', 'thead',
+    'title', 'tr', 'ul'
+]);
+
+// Elements starting an HTML block in Markdown that ends at a blank line
+const htmlBlockElements = new Set([
+    'address', 'article', 'aside', 'base', 'basefont', 'blockquote', 'body', 'caption', 'center', 'col',
+    'colgroup', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr',
+    'html', 'iframe', 'legend', 'li', 'link', 'main', 'menu', 'menuitem', 'nav', 'noframes', 'ol',
+    'optgroup', 'option', 'p', 'param', 'search', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot',
+    'th', 'thead', 'title', 'tr', 'track', 'ul'
+]);
+
+// Elements without content, an HTML block holding one of them does not open an element
+const voidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Markdown syntax
+const escapablePattern = /^[!-\/:-@\[-`{-~]/;
+const entityPattern = /&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/g;
+const fencePattern = /^( {0,3})(`{3,}|~{3,})[ \t]*(.*)$/;
+const headingPattern = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const thematicBreakPattern = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const quotePattern = /^ {0,3}> ?/;
+const setextPattern = /^ {0,3}(=+|-+)[ \t]*$/;
+const listPattern = /^( {0,3})([-+*]|(\d{1,9})([.)]))(?=[ \t]|$)/;
+const tableDelimiterPattern = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const attributePattern = '(?:\\s+[A-Za-z_:][\\w.:-]*(?:\\s*=\\s*(?:[^\\s"\'=<>`]+|\'[^\']*\'|"[^"]*"))?)*';
+const openTagPattern = new RegExp(`^<[A-Za-z][A-Za-z0-9-]*${attributePattern}\\s*\\/?>`);
+const closeTagPattern = /^<\/([A-Za-z][A-Za-z0-9-]*)\s*>/;
+
+/**
+ * Get the value of a prop as a string
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {string|null} Prop value, null when missing
+ */
+const getProp = function(node, name) {
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    if (!prop) {
+        return null;
+    }
+    return attributeToString(prop.value);
+}
+
+/**
+ * Get the lowercase name of an element, null for other nodes
+ * @param {Object} node - Node
+ * @returns {string|null}
+ */
+const elementName = function(node) {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string' || !node.type || node.type[0] === '#') {
+        return null;
+    }
+    return node.type.toLowerCase();
+}
+
+/**
+ * Check if the attributes of an element are all in a list
+ * @param {Object} node - Element node
+ * @param {string[]} names - Attributes Markdown can express for the element
+ * @returns {boolean}
+ */
+const hasOnlyProps = function(node, names) {
+    return normalizeProps(node.props).every(prop => prop && names.includes(prop.name));
+}
+
+/**
+ * Get the text of a text or CDATA node
+ * @param {Object} node - Node
+ * @returns {string}
+ */
+const textOf = function(node) {
+    return getProp(node, 'textContent') || '';
+}
+
+/**
+ * Check if a node is a text node holding only whitespace
+ * @param {Object} node - Node
+ * @returns {boolean}
+ */
+const isWhitespaceText = function(node) {
+    return !!node && node.type === '#text' && /^[ \t\n\f\r]*$/.test(textOf(node));
+}
+
+/**
+ * Check if a node is written as a block of its own
+ * @param {Object} node - Node
+ * @returns {boolean}
+ */
+const isBlockNode = function(node) {
+    if (node && (node.type === '#doctype' || node.type === '#processing-instruction')) {
+        return true;
+    }
+    return blockElements.has(elementName(node));
+}
+
+/**
+ * Escape the characters of a text that Markdown would read as syntax
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = function(text) {
+    return text
+        .replace(/[\\`*_[\]<~]/g, '\\$&')
+        .replace(/&(?=#[0-9]+;|#[xX][0-9a-fA-F]+;|[A-Za-z][A-Za-z0-9]*;)/g, '\\&');
+}
+
+/**
+ * Escape the start of a line that Markdown would read as a block marker (heading, quote, list item...)
+ * @param {string} line - Line of a paragraph
+ * @returns {string}
+ */
+const escapeLineStart = function(line) {
+    return line.replace(/^([#>+=-])/, '\\$1').replace(/^(\d+)([.)])/, '$1\\$2');
+}
+
+/**
+ * Write a link destination, in angle brackets when it has spaces or unbalanced parentheses
+ * @param {string} url - URL
+ * @returns {string}
+ */
+const writeDestination = function(url) {
+    const escaped = url.replace(/\\/g, '\\\\').replace(/&(?=[#A-Za-z][A-Za-z0-9]*;)/g, '\\&');
+    let depth = 0;
+    for (const char of url) {
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+        if (depth < 0) {
+            break;
+        }
+    }
+    if (!url || depth !== 0 || /[\s<>]/.test(url)) {
+        return `<${escaped.replace(/[<>]/g, '\\$&')}>`;
+    }
+    return escaped;
+}
+
+/**
+ * Write a link title
+ * @param {string|null} title - Title, null when there is none
+ * @returns {string} Title with its leading space, empty without title
+ */
+const writeTitle = function(title) {
+    return title === null ? '' : ` "${title.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Convert a parsed tree into Markdown (CommonMark with GFM tables and strikethrough). Headings,
+ * paragraphs, emphasis, links, images, lists, blockquotes, code and tables are written as
+ * Markdown. Elements Markdown cannot express, including supported ones with attributes it has
+ * no syntax for (a class, an id...), are written as raw HTML by render(). Containers such as
+ * div or section without attributes are transparent.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Object} [options] - Markdown options
+ * @param {string} [options.bullet='-'] - Marker of unordered list items ('-', '*' or '+')
+ * @param {string} [options.fence='```'] - Fence of code blocks ('```' or '~~~')
+ * @returns {string} Markdown, empty for an empty tree
+ */
+export function toMarkdown(tree, options = {}) {
+    const bullet = ['-', '*', '+'].includes(options.bullet) ? options.bullet : '-';
+    // Adjacent lists are told apart by their markers
+    const otherBullet = bullet === '-' ? '*' : '-';
+    const fenceChar = options.fence === '~~~' ? '~' : '`';
+
+    /**
+     * Write a node as raw HTML
+     * @param {Object} node - Node
+     * @returns {string}
+     */
+    const raw = function(node) {
+        return render(node);
+    }
+
+    /**
+     * Write inline nodes
+     * @param {Array} nodes - Nodes
+     * @param {boolean} [inTable=false] - Inside a table cell, where lines cannot be broken
+     * @returns {string}
+     */
+    const inline = function(nodes, inTable = false) {
+        let output = '';
+        for (const node of nodes || []) {
+            if (!node || typeof node !== 'object') {
+                continue;
+            }
+            if (node.type === '#text' || node.type === '#cdata') {
+                output += escapeText(textOf(node).replace(/[ \t\n\f\r]+/g, ' '));
+            } else if (elementName(node)) {
+                output += inlineElement(node, inTable);
+            } else if (node.type === '#comments') {
+                output += raw(node);
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Write an inline element
+     * @param {Object} node - Element node
+     * @param {boolean} inTable - Inside a table cell
+     * @returns {string}
+     */
+    const inlineElement = function(node, inTable) {
+        const name = elementName(node);
+        if (blockElements.has(name)) {
+            return raw(node);
+        }
+
+        switch (name) {
+            case 'br':
+                return hasOnlyProps(node, []) && !inTable ? '\\\n' : raw(node);
+            case 'strong':
+            case 'b':
+                return emphasis(node, '**', inTable);
+            case 'em':
+            case 'i':
+                return emphasis(node, '*', inTable);
+            case 'del':
+            case 's':
+            case 'strike':
+                return emphasis(node, '~~', inTable);
+            case 'code':
+                return codeSpan(node) ?? raw(node);
+            case 'a':
+                return link(node, inTable) ?? raw(node);
+            case 'img':
+                return image(node) ?? raw(node);
+            case 'span':
+                return hasOnlyProps(node, []) ? inline(node.children, inTable) : raw(node);
+            default:
+                return raw(node);
+        }
+    }
+
+    /**
+     * Write emphasis, strong emphasis or strikethrough, keeping the whitespace around the content outside the markers
+     * @param {Object} node - Element node
+     * @param {string} marker - Markdown delimiter
+     * @param {boolean} inTable - Inside a table cell
+     * @returns {string}
+     */
+    const emphasis = function(node, marker, inTable) {
+        if (!hasOnlyProps(node, [])) {
+            return raw(node);
+        }
+        const [, before, content, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(inline(node.children, inTable));
+        return content ? `${before}${marker}${content}${marker}${after}` : before + after;
+    }
+
+    /**
+     * Write a code span, with a fence longer than the backtick runs of the code
+     * @param {Object} node - code element
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const codeSpan = function(node) {
+        const children = node.children || [];
+        if (!hasOnlyProps(node, []) || !children.length || !children.every(child => child && (child.type === '#text' || child.type === '#cdata'))) {
+            return null;
+        }
+        const code = children.map(textOf).join('').replace(/\n/g, ' ');
+        if (!code) {
+            return null;
+        }
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        // Spaces keep a backtick from touching the fence, and are removed again when read
+        const padding = code[0] === '`' || code[code.length - 1] === '`' || (/^ .* $/.test(code) && code.trim()) ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    /**
+     * Write a link, as an autolink when its text is its URL
+     * @param {Object} node - a element
+     * @param {boolean} inTable - Inside a table cell
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const link = function(node, inTable) {
+        const href = getProp(node, 'href');
+        if (href === null || !hasOnlyProps(node, ['href', 'title'])) {
+            return null;
+        }
+        const title = getProp(node, 'title');
+        const children = node.children || [];
+        if (title === null && children.length === 1 && children[0].type === '#text' && textOf(children[0]) === href &&
+            /^[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*$/.test(href)) {
+            return `<${href}>`;
+        }
+        return `[${inline(children, inTable)}](${writeDestination(href)}${writeTitle(title)})`;
+    }
+
+    /**
+     * Write an image
+     * @param {Object} node - img element
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const image = function(node) {
+        const src = getProp(node, 'src');
+        if (src === null || !hasOnlyProps(node, ['src', 'alt', 'title'])) {
+            return null;
+        }
+        const alt = escapeText((getProp(node, 'alt') || '').replace(/[ \t\n\f\r]+/g, ' '));
+        return `![${alt}](${writeDestination(src)}${writeTitle(getProp(node, 'title'))})`;
+    }
+
+    /**
+     * Turn inline Markdown into a paragraph: no breaks at its ends, and no line read as a block marker
+     * @param {string} text - Inline Markdown
+     * @returns {string}
+     */
+    const paragraph = function(text) {
+        return text
+            .replace(/^(?:\s|\\\n)+|(?:\s|\\\n)+$/g, '')
+            .split('\n')
+            .map(line => escapeLineStart(line.trim()))
+            .join('\n');
+    }
+
+    /**
+     * Write a list of nodes as blocks, inline nodes in between blocks form paragraphs
+     * @param {Array} nodes - Nodes
+     * @returns {string[]} Blocks
+     */
+    const blocks = function(nodes) {
+        const result = [];
+        let run = [];
+        let previous = null;
+        let alternate = false;
+
+        const flush = function() {
+            const text = paragraph(inline(run));
+            run = [];
+            if (text) {
+                result.push(text);
+                previous = null;
+            }
+        }
+
+        for (const node of nodes || []) {
+            if (!isBlockNode(node)) {
+                run.push(node);
+                continue;
+            }
+            flush();
+            const name = elementName(node);
+            if (name === 'ul' || name === 'ol') {
+                // A list right after another one of the same kind would continue it
+                alternate = previous === name ? !alternate : false;
+                const list = writeList(node, alternate);
+                if (list !== null) {
+                    result.push(list);
+                    previous = name;
+                    continue;
+                }
+            }
+            previous = null;
+            result.push(...block(node));
+        }
+        flush();
+
+        return result;
+    }
+
+    /**
+     * Write a block node
+     * @param {Object} node - Block node
+     * @returns {string[]} Blocks, several for transparent containers
+     */
+    const block = function(node) {
+        const name = elementName(node);
+        if (!name) {
+            return [raw(node)];
+        }
+        const plain = hasOnlyProps(node, []);
+
+        if (containerElements.has(name) && plain) {
+            return blocks(node.children);
+        }
+
+        let markdown = null;
+        switch (name) {
+            case 'p':
+                if (plain) {
+                    const text = paragraph(inline(node.children));
+                    return text ? [text] : [];
+                }
+                break;
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                if (plain) {
+                    // Headings hold a single line, and closing hashes would be removed
+                    const text = paragraph(inline(node.children).replace(/\\\n/g, ' ')).replace(/#$/, '\\#');
+                    markdown = '#'.repeat(Number(name[1])) + (text ? ' ' + text : '');
+                }
+                break;
+            case 'blockquote':
+                if (plain) {
+                    markdown = blocks(node.children).join('\n\n').split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+                }
+                break;
+            case 'pre':
+                markdown = writeCodeBlock(node);
+                break;
+            case 'hr':
+                markdown = plain ? '---' : null;
+                break;
+            case 'table':
+                markdown = writeTable(node);
+                break;
+        }
+
+        return [markdown ?? raw(node)];
+    }
+
+    /**
+     * Write a list, loose (items set apart by blank lines) when its items hold paragraphs
+     * @param {Object} node - ul or ol element
+     * @param {boolean} alternate - Use the other bullet, or ")" after numbers
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const writeList = function(node, alternate) {
+        const ordered = elementName(node) === 'ol';
+        const start = ordered ? getProp(node, 'start') : null;
+        if (!hasOnlyProps(node, ordered ? ['start'] : []) || (start !== null && !/^\d{1,9}$/.test(start))) {
+            return null;
+        }
+
+        const items = [];
+        for (const child of node.children || []) {
+            if (isWhitespaceText(child)) {
+                continue;
+            }
+            if (elementName(child) !== 'li' || !hasOnlyProps(child, [])) {
+                return null;
+            }
+            items.push(child);
+        }
+
+        const loose = items.some(item => (item.children || []).some(child => elementName(child) === 'p'));
+        const first = start === null ? 1 : parseInt(start, 10);
+        const contents = items.map(item => blocks(item.children));
+
+        // Without a blank line before it, an ordered list not starting at 1 would continue the text above it
+        if (!loose && contents.some(parts => parts.slice(1).some(part => /^\d+[.)] /.test(part) && !/^0*1[.)]/.test(part)))) {
+            return null;
+        }
+
+        return contents.map((parts, index) => {
+            const marker = ordered ? `${first + index}${alternate ? ')' : '.'}` : (alternate ? otherBullet : bullet);
+            const indent = ' '.repeat(marker.length + 1);
+            const content = parts.join(loose ? '\n\n' : '\n');
+            if (!content) {
+                return marker;
+            }
+            return content.split('\n').map((line, row) => {
+                if (row === 0) {
+                    return `${marker} ${line}`;
+                }
+                return line ? indent + line : '';
+            }).join('\n');
+        }).join(loose ? '\n\n' : '\n');
+    }
+
+    /**
+     * Write a fenced code block, the language comes from a language-* class of the code element
+     * @param {Object} node - pre element
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const writeCodeBlock = function(node) {
+        if (!hasOnlyProps(node, [])) {
+            return null;
+        }
+        let children = node.children || [];
+        let language = '';
+        if (children.length === 1 && elementName(children[0]) === 'code') {
+            const className = getProp(children[0], 'class');
+            if (!hasOnlyProps(children[0], ['class']) || (className !== null && !/^language-[^\s`]+$/.test(className))) {
+                return null;
+            }
+            language = className ? className.substring(9) : '';
+            children = children[0].children || [];
+        }
+        if (!children.every(child => child && (child.type === '#text' || child.type === '#cdata'))) {
+            return null;
+        }
+
+        const code = children.map(textOf).join('').replace(/\n$/, '');
+        const pattern = fenceChar === '`' ? /`+/g : /~+/g;
+        const longest = Math.max(0, ...(code.match(pattern) || []).map(run => run.length));
+        const fence = fenceChar.repeat(Math.max(3, longest + 1));
+        return code ? `${fence}${language}\n${code}\n${fence}` : `${fence}${language}\n${fence}`;
+    }
+
+    /**
+     * Write a GFM table: a header row of th cells, then rows of td cells holding inline content,
+     * with the same alignment down each column
+     * @param {Object} node - table element
+     * @returns {string|null} Markdown, null when it cannot be expressed
+     */
+    const writeTable = function(node) {
+        if (!hasOnlyProps(node, [])) {
+            return null;
+        }
+
+        const rows = [];
+        const collect = function(nodes, sections) {
+            for (const child of nodes || []) {
+                const name = elementName(child);
+                if (isWhitespaceText(child)) {
+                    continue;
+                }
+                if (name === 'tr' && hasOnlyProps(child, [])) {
+                    rows.push((child.children || []).filter(cell => !isWhitespaceText(cell)));
+                } else if (sections && (name === 'thead' || name === 'tbody') && hasOnlyProps(child, [])) {
+                    if (!collect(child.children, false)) {
+                        return false;
+                    }
+                } else {
+                    // Captions, footers, column groups...
+                    return false;
+                }
+            }
+            return true;
+        }
+        if (!collect(node.children, true) || !rows.length) {
+            return null;
+        }
+
+        const columns = rows[0].length;
+        const aligns = [];
+        for (const [index, row] of rows.entries()) {
+            if (!columns || row.length > columns) {
+                return null;
+            }
+            for (const [column, cell] of row.entries()) {
+                const align = getProp(cell, 'align');
+                if (elementName(cell) !== (index === 0 ? 'th' : 'td') || !hasOnlyProps(cell, ['align']) ||
+                    (align !== null && !['left', 'center', 'right'].includes(align)) ||
+                    (cell.children || []).some(isBlockNode)) {
+                    return null;
+                }
+                // GFM aligns whole columns
+                if (index === 0) {
+                    aligns[column] = align;
+                } else if (align !== aligns[column]) {
+                    return null;
+                }
+            }
+        }
+
+        const writeRow = function(row) {
+            const cells = [];
+            for (let column = 0; column < columns; column++) {
+                const cell = row[column];
+                cells.push(cell ? inline(cell.children, true).replace(/\n/g, ' ').trim().replace(/\|/g, '\\|') : '');
+            }
+            return `| ${cells.join(' | ')} |`;
+        }
+
+        const delimiter = aligns.map(align => {
+            if (align === 'center') {
+                return ':---:';
+            }
+            return align === 'left' ? ':---' : (align === 'right' ? '---:' : '---');
+        });
+
+        return [writeRow(rows[0]), `| ${delimiter.join(' | ')} |`, ...rows.slice(1).map(writeRow)].join('\n');
+    }
+
+    if (!tree) {
+        return '';
+    }
+
+    // Multiple roots come in a template wrapper
+    const nodes = Array.isArray(tree) ? tree : (tree.type === 'template' ? tree.children : [tree]);
+    return blocks(nodes).join('\n\n');
+}
+
+/**
+ * Parse Markdown (CommonMark with GFM tables and strikethrough) into the tree format of
+ * parser(). Raw HTML in the Markdown is read with parser() in htmlMode, and an HTML block holding only
+ * a start tag holds the blocks up to its end tag.
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {Object|undefined} Parsed tree, a template wrapper for several blocks, undefined for empty input
+ * @throws {TypeError} If markdown is not a string
+ */
+export function fromMarkdown(markdown) {
+    if (typeof markdown !== 'string') {
+        throw new TypeError('Markdown input must be a string');
+    }
+
+    // Link reference definitions, by normalized label
+    const definitions = new Map();
+    // Text nodes of the inline pass, joined when text follows them
+    const mergeable = new WeakSet();
+
+    /**
+     * Create a text node
+     * @param {string} value - Text
+     * @returns {Object}
+     */
+    const textNode = function(value) {
+        return { type: '#text', props: [{ name: 'textContent', value }] };
+    }
+
+    /**
+     * Create an element, leaving out empty props and children
+     * @param {string} type - Element name
+     * @param {Array|null} props - Props
+     * @param {Array|null} children - Children
+     * @returns {Object}
+     */
+    const element = function(type, props, children) {
+        const node = { type };
+        if (props && props.length) {
+            node.props = props;
+        }
+        if (children && children.length) {
+            node.children = children;
+        }
+        return node;
+    }
+
+    /**
+     * Remove backslash escapes and decode character references
+     * @param {string} value - Link destination, title or info string
+     * @returns {string}
+     */
+    const unescape = function(value) {
+        return value
+            .replace(/\\([!-\/:-@\[-`{-~])/g, '$1')
+            .replace(entityPattern, reference => decodeEntities(reference));
+    }
+
+    /**
+     * Normalize a link label for matching
+     * @param {string} label - Label
+     * @returns {string}
+     */
+    const normalizeLabel = function(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Read raw HTML with parser()
+     * @param {string} html - Markup
+     * @returns {Object[]} Nodes
+     */
+    const parseHtml = function(html) {
+        const tree = parser(html, { htmlMode: true });
+        if (!tree) {
+            return [];
+        }
+        return tree.type === 'template' && !/^\s*<template[\s>]/i.test(html) ? tree.children || [] : [tree];
+    }
+
+    const isBlank = line => /^[ \t]*$/.test(line);
+    const indentOf = line => /^ */.exec(line)[0].length;
+
+    /**
+     * Read a list item marker
+     * @param {string} line - Line
+     * @returns {Object|null} ordered, start, char, indent of the content and content, null when the line is not an item
+     */
+    const getListMarker = function(line) {
+        const match = listPattern.exec(line);
+        if (!match) {
+            return null;
+        }
+        const rest = line.substring(match[0].length);
+        const empty = isBlank(rest);
+        const spaces = /^[ \t]*/.exec(rest)[0].length;
+        // Content indented by more than 4 spaces is an indented code block
+        const padding = empty || spaces > 4 ? 1 : spaces;
+        return {
+            ordered: !!match[3],
+            start: match[3] ? parseInt(match[3], 10) : null,
+            char: match[3] ? match[4] : match[2],
+            indent: match[0].length + padding,
+            content: empty ? '' : rest.substring(padding),
+            empty,
+        };
+    }
+
+    /**
+     * Find the kind of HTML block a line starts
+     * @param {string} line - Line
+     * @returns {Object|null} end pattern (null when the block ends at a blank line) and whether it can interrupt a paragraph
+     */
+    const getHtmlBlock = function(line) {
+        if (!/^ {0,3}</.test(line)) {
+            return null;
+        }
+        const tag = line.trimStart();
+        if (/^<(script|pre|style|textarea)(?=[\s>]|$)/i.test(tag)) {
+            return { end: /<\/(script|pre|style|textarea)>/i, interrupts: true };
+        }
+        if (tag.startsWith('<!--')) {
+            return { end: /-->/, interrupts: true };
+        }
+        if (tag.startsWith('<?')) {
+            return { end: /\?>/, interrupts: true };
+        }
+        if (tag.startsWith('<![CDATA[')) {
+            return { end: /\]\]>/, interrupts: true };
+        }
+        if (/^<![A-Za-z]/.test(tag)) {
+            return { end: />/, interrupts: true };
+        }
+        const name = /^<\/?([A-Za-z][A-Za-z0-9-]*)(?=[\s/>]|$)/.exec(tag);
+        if (name && htmlBlockElements.has(name[1].toLowerCase())) {
+            return { end: null, interrupts: true };
+        }
+        // Any other complete tag alone on its line
+        const complete = openTagPattern.exec(tag) || closeTagPattern.exec(tag);
+        if (complete && isBlank(tag.substring(complete[0].length))) {
+            return { end: null, interrupts: false };
+        }
+        return null;
+    }
+
+    /**
+     * Check if a line ends a paragraph by starting another block
+     * @param {string} line - Line
+     * @returns {boolean}
+     */
+    const interruptsParagraph = function(line) {
+        const fence = fencePattern.exec(line);
+        if ((fence && !(fence[2][0] === '`' && fence[3].includes('`'))) || headingPattern.test(line) ||
+            thematicBreakPattern.test(line) || quotePattern.test(line)) {
+            return true;
+        }
+        const html = getHtmlBlock(line);
+        if (html && html.interrupts) {
+            return true;
+        }
+        const item = getListMarker(line);
+        return !!item && !item.empty && (!item.ordered || item.start === 1);
+    }
+
+    /**
+     * Remove the link reference definitions at the start of a paragraph
+     * @param {string} text - Paragraph text
+     * @returns {string} Rest of the paragraph
+     */
+    const extractDefinitions = function(text) {
+        const pattern = /^ {0,3}\[((?:[^\\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<(?:[^<>\n\\]|\\.)*>|\S+)(?:(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+        let match;
+        while ((match = pattern.exec(text)) && match[1].trim()) {
+            const label = normalizeLabel(match[1]);
+            if (!definitions.has(label)) {
+                const destination = match[2][0] === '<' ? match[2].slice(1, -1) : match[2];
+                definitions.set(label, {
+                    href: unescape(destination),
+                    title: match[3] ? unescape(match[3].slice(1, -1)) : null,
+                });
+            }
+            text = text.substring(match[0].length);
+        }
+        return text;
+    }
+
+    /**
+     * Create a code block
+     * @param {string} code - Code
+     * @param {string} info - Info string, its first word is the language
+     * @returns {Object} pre element holding a code element
+     */
+    const codeBlock = function(code, info) {
+        const language = unescape(info.trim()).split(/\s+/)[0];
+        const props = language ? [{ name: 'class', value: `language-${language}` }] : null;
+        return element('pre', null, [element('code', props, code ? [textNode(code)] : null)]);
+    }
+
+    /**
+     * Split a table row into cells, \| is a pipe inside a cell
+     * @param {string} line - Row
+     * @returns {string[]} Cell contents
+     */
+    const splitRow = function(line) {
+        let text = line.trim();
+        if (text.startsWith('|')) {
+            text = text.substring(1);
+        }
+        if (text.endsWith('|') && !text.endsWith('\\|')) {
+            text = text.slice(0, -1);
+        }
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && text[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Read a GFM table starting at a line
+     * @param {string[]} lines - Lines
+     * @param {number} start - Index of the header row
+     * @returns {{node: Object, end: number}|null} Table and the index of the line after it, null when there is no table
+     */
+    const parseTable = function(lines, start) {
+        const header = lines[start];
+        const delimiter = lines[start + 1];
+        if (typeof delimiter !== 'string' || !tableDelimiterPattern.test(delimiter) || !(header.includes('|') || delimiter.includes('|'))) {
+            return null;
+        }
+        const aligns = splitRow(delimiter).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) {
+                return 'center';
+            }
+            return left ? 'left' : (right ? 'right' : null);
+        });
+        const headings = splitRow(header);
+        if (headings.length !== aligns.length) {
+            return null;
+        }
+
+        const row = (cells, type) => element('tr', null, aligns.map((align, index) => {
+            const cell = { type };
+            if (align) {
+                cell.props = [{ name: 'align', value: align }];
+            }
+            cell.inline = cells[index] || '';
+            return cell;
+        }));
+
+        const body = [];
+        let end = start + 2;
+        while (end < lines.length && !isBlank(lines[end]) && !interruptsParagraph(lines[end])) {
+            body.push(row(splitRow(lines[end]), 'td'));
+            end++;
+        }
+
+        const sections = [element('thead', null, [row(headings, 'th')])];
+        if (body.length) {
+            sections.push(element('tbody', null, body));
+        }
+        return { node: element('table', null, sections), end };
+    }
+
+    /**
+     * Read a list starting at a line
+     * @param {string[]} lines - Lines
+     * @param {number} start - Index of the first item
+     * @returns {{node: Object, end: number}} List and the index of the line after it
+     */
+    const parseList = function(lines, start) {
+        const first = getListMarker(lines[start]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const marker = getListMarker(lines[i]);
+            if (!marker || marker.ordered !== first.ordered || marker.char !== first.char || thematicBreakPattern.test(lines[i])) {
+                break;
+            }
+            const content = [marker.content];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                if (isBlank(line)) {
+                    content.push('');
+                } else if (indentOf(line) >= marker.indent) {
+                    content.push(line.substring(marker.indent));
+                } else if (!isBlank(content[content.length - 1]) && !interruptsParagraph(line) && !getListMarker(line)) {
+                    // Lazy continuation of a paragraph
+                    content.push(line);
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            let trailing = 0;
+            while (content.length && isBlank(content[content.length - 1])) {
+                content.pop();
+                trailing++;
+            }
+
+            // Blocks of the item itself set apart by a blank line (not inside code or a nested list)
+            let fence = null;
+            content.forEach((line, index) => {
+                const match = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+                if (match) {
+                    fence = fence === null ? match[1][0] : (fence === match[1][0] ? null : fence);
+                } else if (fence === null && index > 0 && isBlank(content[index - 1]) && !isBlank(line) && indentOf(line) === 0) {
+                    loose = true;
+                }
+            });
+
+            items.push(content);
+
+            const next = i < lines.length ? getListMarker(lines[i]) : null;
+            if (trailing && next && next.ordered === first.ordered && next.char === first.char) {
+                loose = true;
+            }
+        }
+
+        const children = items.map(content => {
+            const blocks = parseBlocks(content);
+            // Paragraphs of tight lists are not wrapped in p elements
+            return element('li', null, loose ? blocks : blocks.map(node => node.type === 'p' ? { type: '#inline', inline: node.inline } : node));
+        });
+        const props = first.ordered && first.start !== 1 ? [{ name: 'start', value: String(first.start) }] : null;
+        return { node: element(first.ordered ? 'ol' : 'ul', props, children), end: i };
+    }
+
+    /**
+     * Read the blocks of a list of lines, inline content is kept as text for the inline pass
+     * @param {string[]} lines - Lines, without the markers of the containers holding them
+     * @returns {Object[]} Block nodes
+     */
+    const parseBlocks = function(lines) {
+        const nodes = [];
+        // Elements opened by an HTML block holding only their start tag
+        const open = [];
+        let paragraph = [];
+
+        const append = function(node) {
+            if (open.length) {
+                const parent = open[open.length - 1];
+                if (!parent.children) {
+                    parent.children = [];
+                }
+                parent.children.push(node);
+            } else {
+                nodes.push(node);
+            }
+        }
+
+        const closeParagraph = function() {
+            if (paragraph.length) {
+                const text = extractDefinitions(paragraph.join('\n')).trim();
+                paragraph = [];
+                if (text) {
+                    append({ type: 'p', inline: text });
+                }
+            }
+        }
+
+        const appendHtml = function(html) {
+            const start = /^ {0,3}<([A-Za-z][A-Za-z0-9-]*)[^<>]*>[ \t]*$/.exec(html);
+            if (start && !html.includes('\n') && !/\/>[ \t]*$/.test(html) && !voidElements.has(start[1].toLowerCase()) &&
+                !/^(script|pre|style|textarea)$/i.test(start[1])) {
+                const [node] = parseHtml(html);
+                if (node && elementName(node)) {
+                    append(node);
+                    open.push(node);
+                    return;
+                }
+            }
+            const end = /^ {0,3}<\/([A-Za-z][A-Za-z0-9-]*)\s*>[ \t]*$/.exec(html);
+            if (end) {
+                const index = open.map(elementName).lastIndexOf(end[1].toLowerCase());
+                if (index !== -1) {
+                    open.length = index;
+                    return;
+                }
+            }
+            parseHtml(html).forEach(append);
+        }
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                closeParagraph();
+                i++;
+                continue;
+            }
+
+            if (paragraph.length) {
+                const setext = setextPattern.exec(line);
+                if (setext) {
+                    const text = extractDefinitions(paragraph.join('\n')).trim();
+                    paragraph = [];
+                    if (text) {
+                        append({ type: setext[1][0] === '=' ? 'h1' : 'h2', inline: text });
+                        i++;
+                        continue;
+                    }
+                } else if (!interruptsParagraph(line)) {
+                    paragraph.push(line);
+                    i++;
+                    continue;
+                } else {
+                    closeParagraph();
+                }
+            }
+
+            // Indented code
+            if (/^ {4}/.test(line)) {
+                const code = [];
+                while (i < lines.length && (isBlank(lines[i]) || /^ {4}/.test(lines[i]))) {
+                    code.push(lines[i].substring(4));
+                    i++;
+                }
+                while (code.length && isBlank(code[code.length - 1])) {
+                    code.pop();
+                }
+                append(codeBlock(code.join('\n'), ''));
+                continue;
+            }
+
+            const fence = fencePattern.exec(line);
+            if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+                const indent = new RegExp(`^ {0,${fence[1].length}}`);
+                const code = [];
+                i++;
+                while (i < lines.length) {
+                    const close = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(lines[i]);
+                    if (close && close[1][0] === fence[2][0] && close[1].length >= fence[2].length) {
+                        i++;
+                        break;
+                    }
+                    code.push(lines[i].replace(indent, ''));
+                    i++;
+                }
+                append(codeBlock(code.join('\n'), fence[3]));
+                continue;
+            }
+
+            const heading = headingPattern.exec(line);
+            if (heading) {
+                append({ type: `h${heading[1].length}`, inline: heading[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim() });
+                i++;
+                continue;
+            }
+
+            if (thematicBreakPattern.test(line)) {
+                append({ type: 'hr' });
+                i++;
+                continue;
+            }
+
+            if (quotePattern.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    if (quotePattern.test(lines[i])) {
+                        quoted.push(lines[i].replace(quotePattern, ''));
+                    } else if (!isBlank(lines[i]) && !isBlank(quoted[quoted.length - 1]) && !interruptsParagraph(lines[i])) {
+                        // Lazy continuation of a quoted paragraph
+                        quoted.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                append(element('blockquote', null, parseBlocks(quoted)));
+                continue;
+            }
+
+            if (getListMarker(line)) {
+                const list = parseList(lines, i);
+                append(list.node);
+                i = list.end;
+                continue;
+            }
+
+            const html = getHtmlBlock(line);
+            if (html) {
+                const block = [];
+                while (i < lines.length) {
+                    if (!html.end && isBlank(lines[i])) {
+                        break;
+                    }
+                    block.push(lines[i]);
+                    i++;
+                    if (html.end && html.end.test(block[block.length - 1])) {
+                        break;
+                    }
+                }
+                appendHtml(block.join('\n'));
+                continue;
+            }
+
+            const table = parseTable(lines, i);
+            if (table) {
+                append(table.node);
+                i = table.end;
+                continue;
+            }
+
+            paragraph.push(line);
+            i++;
+        }
+        closeParagraph();
+
+        return nodes;
+    }
+
+    /**
+     * Read a link destination and title after "](", or a reference after "]"
+     * @param {string} source - Inline text
+     * @param {number} position - Index right after the closing bracket
+     * @param {string} label - Text between the brackets, for shortcut references
+     * @returns {{href: string, title: string|null, end: number}|null} Link and the index after it, null when there is no link
+     */
+    const parseLinkTail = function(source, position, label) {
+        if (source[position] === '(') {
+            let i = position + 1;
+            while (/[ \t\n]/.test(source[i] || '')) {
+                i++;
+            }
+            let href;
+            if (source[i] === '<') {
+                const match = /^<((?:[^<>\n\\]|\\.)*)>/.exec(source.substring(i));
+                if (!match) {
+                    return null;
+                }
+                href = match[1];
+                i += match[0].length;
+            } else {
+                const begin = i;
+                let depth = 0;
+                while (i < source.length) {
+                    const char = source[i];
+                    if (char === '\\' && escapablePattern.test(source[i + 1] || '')) {
+                        i += 2;
+                        continue;
+                    }
+                    if (char === '(') {
+                        depth++;
+                    } else if (char === ')') {
+                        if (depth === 0) {
+                            break;
+                        }
+                        depth--;
+                    } else if (/[\s\x00-\x1f]/.test(char)) {
+                        break;
+                    }
+                    i++;
+                }
+                if (depth !== 0) {
+                    return null;
+                }
+                href = source.substring(begin, i);
+            }
+
+            let title = null;
+            const beforeTitle = i;
+            while (/[ \t\n]/.test(source[i] || '')) {
+                i++;
+            }
+            if (i > beforeTitle && /["'(]/.test(source[i] || '')) {
+                const close = source[i] === '(' ? ')' : source[i];
+                let end = i + 1;
+                while (end < source.length && source[end] !== close) {
+                    end += source[end] === '\\' ? 2 : 1;
+                }
+                if (end >= source.length) {
+                    return null;
+                }
+                title = source.substring(i + 1, end);
+                i = end + 1;
+                while (/[ \t\n]/.test(source[i] || '')) {
+                    i++;
+                }
+            }
+            if (source[i] !== ')') {
+                return null;
+            }
+            return { href: unescape(href), title: title === null ? null : unescape(title), end: i + 1 };
+        }
+
+        // Full, collapsed and shortcut references
+        let reference = label;
+        let end = position;
+        const match = /^\[((?:[^\\\[\]]|\\.){0,999})\]/.exec(source.substring(position));
+        if (match) {
+            reference = match[1].trim() ? match[1] : label;
+            end = position + match[0].length;
+        }
+        const definition = definitions.get(normalizeLabel(reference));
+        return definition ? { href: definition.href, title: definition.title, end } : null;
+    }
+
+    /**
+     * Get the plain text of nodes, for the alternative text of images
+     * @param {Array} nodes - Nodes
+     * @returns {string}
+     */
+    const plainText = function(nodes) {
+        return (nodes || []).map(node => {
+            if (node.type === '#text') {
+                return textOf(node);
+            }
+            return node.type === 'img' ? getProp(node, 'alt') || '' : plainText(node.children);
+        }).join('');
+    }
+
+    /**
+     * Build nodes from inline items: text and unmatched delimiters become text, and raw start
+     * and end tags hold the items between them
+     * @param {Object[]} items - Inline items
+     * @returns {Object[]} Nodes
+     */
+    const toNodes = function(items) {
+        const nodes = [];
+        const open = [];
+        const target = function() {
+            if (!open.length) {
+                return nodes;
+            }
+            const parent = open[open.length - 1];
+            if (!parent.children) {
+                parent.children = [];
+            }
+            return parent.children;
+        }
+
+        for (const item of items) {
+            if (item.kind === 'text' || item.kind === 'delimiter') {
+                const value = item.kind === 'text' ? item.value : item.char.repeat(item.count);
+                const list = target();
+                const last = list[list.length - 1];
+                if (last && mergeable.has(last)) {
+                    last.props[0].value += value;
+                } else if (value) {
+                    const node = textNode(value);
+                    mergeable.add(node);
+                    list.push(node);
+                }
+            } else if (item.kind === 'open') {
+                target().push(item.node);
+                open.push(item.node);
+            } else if (item.kind === 'close') {
+                const index = open.map(elementName).lastIndexOf(item.name);
+                if (index !== -1) {
+                    open.length = index;
+                }
+            } else {
+                target().push(item.node);
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Match the emphasis delimiters of inline items, turning the items between them into em, strong and del elements
+     * @param {Object[]} items - Inline items, changed in place
+     */
+    const processEmphasis = function(items) {
+        let i = 0;
+        while (i < items.length) {
+            const closer = items[i];
+            if (closer.kind !== 'delimiter' || !closer.canClose) {
+                i++;
+                continue;
+            }
+
+            let found = -1;
+            for (let j = i - 1; j >= 0; j--) {
+                const opener = items[j];
+                if (opener.kind !== 'delimiter' || opener.char !== closer.char || !opener.canOpen) {
+                    continue;
+                }
+                if (closer.char === '~') {
+                    if (opener.count === closer.count) {
+                        found = j;
+                        break;
+                    }
+                    continue;
+                }
+                // Runs that can both open and close only match when their lengths are not a multiple of 3 together
+                if ((opener.canClose || closer.canOpen) && (opener.length + closer.length) % 3 === 0 &&
+                    !(opener.length % 3 === 0 && closer.length % 3 === 0)) {
+                    continue;
+                }
+                found = j;
+                break;
+            }
+            if (found === -1) {
+                i++;
+                continue;
+            }
+
+            const opener = items[found];
+            const use = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+            const type = closer.char === '~' ? 'del' : (use === 2 ? 'strong' : 'em');
+            const node = element(type, null, toNodes(items.slice(found + 1, i)));
+            opener.count -= use;
+            closer.count -= use;
+            items.splice(found + 1, i - found - 1, { kind: 'node', node });
+            i = found + 2;
+            if (opener.count === 0) {
+                items.splice(found, 1);
+                i--;
+            }
+            if (closer.count === 0) {
+                items.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Parse inline Markdown
+     * @param {string} source - Inline text of a paragraph, heading or table cell
+     * @returns {Object[]} Nodes
+     */
+    const parseInline = function(source) {
+        const items = [];
+        const brackets = [];
+        let text = '';
+        let i = 0;
+
+        const flushText = function() {
+            if (text) {
+                items.push({ kind: 'text', value: text });
+                text = '';
+            }
+        }
+        const pushNode = function(node) {
+            flushText();
+            items.push({ kind: 'node', node });
+        }
+        const isSpace = char => /\s/.test(char);
+        const isPunctuation = char => /[\p{P}\p{S}]/u.test(char);
+
+        while (i < source.length) {
+            const char = source[i];
+            const rest = source.substring(i);
+
+            if (char === '\\') {
+                const next = source[i + 1];
+                if (next === '\n') {
+                    text = text.replace(/ +$/, '');
+                    pushNode({ type: 'br' });
+                    i += 2;
+                    while (source[i] === ' ' || source[i] === '\t') {
+                        i++;
+                    }
+                } else if (next && escapablePattern.test(next)) {
+                    text += next;
+                    i += 2;
+                } else {
+                    text += char;
+                    i++;
+                }
+                continue;
+            }
+
+            if (char === '`') {
+                const run = /^`+/.exec(rest)[0];
+                const pattern = /`+/g;
+                pattern.lastIndex = i + run.length;
+                let match;
+                while ((match = pattern.exec(source)) && match[0].length !== run.length) {
+                    // Look for a closing run of the same length
+                }
+                if (!match) {
+                    text += run;
+                    i += run.length;
+                    continue;
+                }
+                let code = source.substring(i + run.length, match.index).replace(/\n/g, ' ');
+                if (/^ [\s\S]* $/.test(code) && code.trim()) {
+                    code = code.slice(1, -1);
+                }
+                pushNode(element('code', null, [textNode(code)]));
+                i = match.index + run.length;
+                continue;
+            }
+
+            if (char === '*' || char === '_' || char === '~') {
+                const run = rest.match(char === '*' ? /^\*+/ : (char === '_' ? /^_+/ : /^~+/))[0];
+                if (char === '~' && run.length > 2) {
+                    text += run;
+                    i += run.length;
+                    continue;
+                }
+                const before = i > 0 ? source[i - 1] : '\n';
+                const after = source[i + run.length] || '\n';
+                const left = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+                const right = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+                flushText();
+                items.push({
+                    kind: 'delimiter',
+                    char,
+                    count: run.length,
+                    length: run.length,
+                    // Underscores do not open or close emphasis inside words
+                    canOpen: char === '_' ? left && (!right || isPunctuation(before)) : left,
+                    canClose: char === '_' ? right && (!left || isPunctuation(after)) : right,
+                });
+                i += run.length;
+                continue;
+            }
+
+            if (char === '[' || (char === '!' && source[i + 1] === '[')) {
+                const image = char === '!';
+                flushText();
+                brackets.push({ index: items.length, image, active: true, start: i + (image ? 2 : 1) });
+                items.push({ kind: 'text', value: image ? '![' : '[' });
+                i += image ? 2 : 1;
+                continue;
+            }
+
+            if (char === ']') {
+                const bracket = brackets.pop();
+                const tail = bracket && bracket.active ? parseLinkTail(source, i + 1, source.substring(bracket.start, i)) : null;
+                if (!tail) {
+                    text += char;
+                    i++;
+                    continue;
+                }
+                flushText();
+                const inner = items.splice(bracket.index).slice(1);
+                processEmphasis(inner);
+                const children = toNodes(inner);
+                let node;
+                if (bracket.image) {
+                    const props = [{ name: 'src', value: tail.href }, { name: 'alt', value: plainText(children) }];
+                    if (tail.title !== null) {
+                        props.push({ name: 'title', value: tail.title });
+                    }
+                    node = element('img', props, null);
+                } else {
+                    const props = [{ name: 'href', value: tail.href }];
+                    if (tail.title !== null) {
+                        props.push({ name: 'title', value: tail.title });
+                    }
+                    node = element('a', props, children);
+                    // Links cannot hold links
+                    brackets.forEach(open => {
+                        if (!open.image) {
+                            open.active = false;
+                        }
+                    });
+                }
+                items.push({ kind: 'node', node });
+                i = tail.end;
+                continue;
+            }
+
+            if (char === '<') {
+                const autolink = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/.exec(rest);
+                const email = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/.exec(rest);
+                if (autolink || email) {
+                    const address = (autolink || email)[1];
+                    pushNode(element('a', [{ name: 'href', value: autolink ? address : `mailto:${address}` }], [textNode(address)]));
+                    i += (autolink || email)[0].length;
+                    continue;
+                }
+
+                const close = closeTagPattern.exec(rest);
+                if (close) {
+                    flushText();
+                    items.push({ kind: 'close', name: close[1].toLowerCase() });
+                    i += close[0].length;
+                    continue;
+                }
+
+                const open = openTagPattern.exec(rest);
+                if (open) {
+                    const [node] = parseHtml(open[0]);
+                    const name = /^<([A-Za-z][A-Za-z0-9-]*)/.exec(open[0])[1].toLowerCase();
+                    if (node && (open[0].endsWith('/>') || voidElements.has(name))) {
+                        pushNode(node);
+                    } else if (node) {
+                        flushText();
+                        items.push({ kind: 'open', node });
+                    }
+                    i += open[0].length;
+                    continue;
+                }
+
+                const other = /^(?:<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<![A-Za-z][^>]*>|<!\[CDATA\[[\s\S]*?\]\]>)/.exec(rest);
+                if (other) {
+                    parseHtml(other[0]).forEach(pushNode);
+                    i += other[0].length;
+                    continue;
+                }
+            }
+
+            if (char === '&') {
+                const match = /^&(?:#[0-9]{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/.exec(rest);
+                if (match) {
+                    text += decodeEntities(match[0]);
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            if (char === '\n') {
+                // Two spaces at the end of a line break it, other line endings are kept as soft breaks
+                if (/ {2,}$/.test(text)) {
+                    text = text.replace(/ +$/, '');
+                    pushNode({ type: 'br' });
+                } else {
+                    text = text.replace(/ +$/, '') + '\n';
+                }
+                i++;
+                while (source[i] === ' ' || source[i] === '\t') {
+                    i++;
+                }
+                continue;
+            }
+
+            text += char;
+            i++;
+        }
+
+        flushText();
+        processEmphasis(items);
+        return toNodes(items);
+    }
+
+    /**
+     * Parse the inline content kept by the block pass, once every link reference definition is known
+     * @param {Object[]} nodes - Block nodes
+     * @returns {Object[]} Nodes with their inline content
+     */
+    const resolve = function(nodes) {
+        const result = [];
+        for (const node of nodes) {
+            if (node.type === '#inline') {
+                result.push(...parseInline(node.inline));
+                continue;
+            }
+            if (typeof node.inline === 'string') {
+                const children = parseInline(node.inline);
+                delete node.inline;
+                if (children.length) {
+                    node.children = children;
+                }
+            } else if (Array.isArray(node.children)) {
+                node.children = resolve(node.children);
+                if (!node.children.length) {
+                    delete node.children;
+                }
+            }
+            result.push(node);
+        }
+        return result;
+    }
+
+    // Tabs in the indentation count as 4 columns
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/^[ \t]+/, indent => {
+        let spaces = '';
+        for (const char of indent) {
+            spaces += char === '\t' ? ' '.repeat(4 - (spaces.length % 4)) : ' ';
+        }
+        return spaces;
+    }));
+
+    const nodes = resolve(parseBlocks(lines));
+    if (!nodes.length) {
+        return undefined;
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'template', children: nodes };
+}
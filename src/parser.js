@@ -1,11 +1,55 @@
+import decodeEntities from './entities.js';
+import { ParseError } from './errors.js';
+import { normalizeProps, propsToObject } from './props.js';
+import { parseDoctype, parseProcessingInstruction, writeDoctype, writeProcessingInstruction } from './declarations.js';
+
 /**
  * Parse HTML/XML string into a JSON tree structure
  * @param {string} html - HTML or XML string to parse
  * @param {Object} options - Parser options
  * @param {string[]} options.ignore - Array of tag names to ignore (e.g., ['script', 'style'])
+ * @param {boolean} [options.decodeEntities=true] - Decode character references in text and attribute values (false keeps them raw, render() still escapes them again)
+ * @param {string[]} [options.rawTextTags] - Override the elements whose content is kept as raw text (default in htmlMode: script, style, xmp, iframe, noembed, noframes; none otherwise)
+ * @param {string[]} [options.escapableRawTextTags] - Override the raw text elements whose content still decodes character references (default in htmlMode: textarea, title; none otherwise)
+ * @param {boolean} [options.cdataAsText=false] - Fold CDATA sections into plain text nodes instead of #cdata nodes
+ * @param {boolean} [options.locations=false] - Add the source location (offset, line and column) to every node
+ * @param {boolean} [options.htmlMode=false] - Apply the HTML5 implied end tag and optional tag rules (e.g., <li> closes an open <li>), and the foreign content rules inside svg and math
+ * @param {boolean} [options.dropWhitespace=false] - Drop text nodes holding only whitespace
+ * @param {boolean} [options.collapseWhitespace=false] - Collapse runs of whitespace in text into a single space
+ * @param {boolean} [options.trimText=false] - Trim the whitespace around text, dropping text nodes left empty
+ * @param {boolean} [options.namespaces=false] - Resolve XML namespaces, adding namespace, prefix and localName to elements and attributes
+ * @param {string} [options.propsFormat='array'] - Form of node props: 'array' of { name, value } or 'object' mapping names to values (without the quote and namespace details of attributes)
+ * @param {boolean} [options.lossless=false] - Keep the source text of every node in a source property, written back by render() for nodes left unchanged
+ * @param {Function} [options.onError] - Called with a ParseError for each problem found in malformed input
+ * @param {boolean} [options.strict=false] - Throw a ParseError on the first problem found
+ * @param {boolean} [options.withErrors=false] - Return { tree, errors } instead of the tree alone
  * @returns {Object} Parsed JSON tree
+ * @throws {ParseError} In strict mode, when the input is malformed
  */
 export default function parser(html, options) {
+    // Input validation
+    if (typeof html !== 'string') {
+        throw new TypeError('HTML input must be a string');
+    }
+
+    return createParser(options).end(html);
+}
+
+/**
+ * Create an incremental parser that takes the input in chunks. Tags, attributes and other
+ * constructs can be split anywhere across chunks.
+ * @param {Object} options - Parser options, see parser()
+ * @param {Object} [handler] - Callbacks called as nodes are completed, each one with (node, parent)
+ * @param {Function} [handler.onOpenTag] - Element start tag, props are complete but children are not
+ * @param {Function} [handler.onCloseTag] - Element closed, by its end tag or implicitly
+ * @param {Function} [handler.onText] - Text node
+ * @param {Function} [handler.onComment] - Comment node
+ * @param {Function} [handler.onCdata] - CDATA section node
+ * @param {Function} [handler.onDoctype] - Doctype node
+ * @param {Function} [handler.onProcessingInstruction] - Processing instruction node
+ * @returns {{write: Function, end: Function}} write(chunk) adds input, end(chunk) finishes and returns what parser() returns
+ */
+export function createParser(options, handler) {
     // Handle null/undefined options
     if (!options || typeof options !== 'object') {
         options = {};
@@ -13,6 +57,98 @@ export default function parser(html, options) {
 
     // Normalize ignore list to lowercase for case-insensitive matching
     const ignoreTags = new Set((options.ignore || []).map(tag => tag.toLowerCase()));
+    // Character references are decoded unless raw mode is requested
+    const decode = options.decodeEntities !== false;
+    // HTML tree construction rules for optional and implied tags
+    const htmlMode = !!options.htmlMode;
+    // Raw text elements keep their whole body as a single text node until the matching end tag,
+    // by default only in HTML mode, as an XML <title> or <style> can hold markup
+    const rawTextTags = new Set((options.rawTextTags || (htmlMode ? [
+        'script', 'style', 'xmp', 'iframe', 'noembed', 'noframes'
+    ] : [])).map(tag => tag.toLowerCase()));
+    // Escapable raw text elements work the same way, but character references are still decoded
+    const escapableRawTextTags = new Set((options.escapableRawTextTags || (htmlMode ? [
+        'textarea', 'title'
+    ] : [])).map(tag => tag.toLowerCase()));
+    // Source locations are only collected on request
+    const locations = !!options.locations;
+    // Problems found in malformed input
+    const errors = [];
+    const reporting = !!(options.onError || options.strict || options.withErrors);
+    // Start position of open elements, used to report the unclosed ones
+    const openPositions = new WeakMap();
+    // Whitespace handling for text nodes, whitespace is kept as it is by default
+    const dropWhitespace = !!options.dropWhitespace;
+    const collapseWhitespace = !!options.collapseWhitespace;
+    const trimText = !!options.trimText;
+    // Elements whose whitespace is significant, kept whatever the whitespace options say
+    const preformattedTags = new Set(['pre', 'textarea', 'listing', 'plaintext']);
+    // Namespace bindings in scope for each open element, only kept on request
+    const namespaces = !!options.namespaces;
+    const namespaceScopes = new WeakMap();
+    // Props are converted to the object form once a node is complete
+    const objectProps = options.propsFormat === 'object';
+    // Source text of tags, attributes and other nodes, only kept on request
+    const lossless = !!options.lossless;
+    // Prefixes bound in every document, and the default namespace (none)
+    const rootNamespaceScope = {
+        '': null,
+        xml: 'http://www.w3.org/XML/1998/namespace',
+        xmlns: 'http://www.w3.org/2000/xmlns/',
+    };
+
+    // Elements closed by "generate implied end tags"
+    const impliedEndTags = new Set(['dd', 'dt', 'li', 'optgroup', 'option', 'p', 'rb', 'rp', 'rt', 'rtc']);
+    // Elements whose end tag can be omitted in HTML, closing them implicitly is not an error
+    const optionalEndTags = new Set([
+        'body', 'caption', 'colgroup', 'dd', 'dt', 'head', 'html', 'li', 'optgroup', 'option', 'p',
+        'rb', 'rp', 'rt', 'rtc', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+    ]);
+    // Start tags that close an open <p>
+    const closesParagraph = new Set([
+        'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+        'hgroup', 'hr', 'listing', 'main', 'menu', 'nav', 'ol', 'p', 'plaintext', 'pre', 'search', 'section',
+        'summary', 'table', 'ul', 'xmp'
+    ]);
+    // Elements of the "special" category, they stop the search for a matching element
+    const specialElements = new Set([
+        'address', 'applet', 'area', 'article', 'aside', 'base', 'basefont', 'bgsound', 'blockquote', 'body',
+        'br', 'button', 'caption', 'center', 'col', 'colgroup', 'dd', 'details', 'dir', 'div', 'dl', 'dt',
+        'embed', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'iframe', 'img', 'input', 'keygen', 'li',
+        'link', 'listing', 'main', 'marquee', 'menu', 'meta', 'nav', 'noembed', 'noframes', 'noscript',
+        'object', 'ol', 'p', 'param', 'plaintext', 'pre', 'script', 'search', 'section', 'select', 'source',
+        'style', 'summary', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'title',
+        'tr', 'track', 'ul', 'wbr', 'xmp'
+    ]);
+    // Formatting elements, matched through the default scope
+    const formattingElements = new Set([
+        'a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike', 'strong', 'tt', 'u'
+    ]);
+    const headings = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+    const tableParts = ['caption', 'colgroup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'];
+    // Element scopes, the search for an open element stops at these
+    const defaultScope = new Set([
+        'applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template',
+        'foreignobject', 'desc', 'mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml'
+    ]);
+    const listItemScope = new Set([...defaultScope, 'ol', 'ul']);
+    const buttonScope = new Set([...defaultScope, 'button']);
+    const tableScope = new Set(['html', 'table', 'template']);
+    // SVG and MathML elements whose content is HTML again
+    const svgIntegrationPoints = new Set(['foreignobject', 'desc', 'title']);
+    const mathmlIntegrationPoints = new Set(['mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml']);
+    // HTML start tags that end the svg or math element they appear in
+    const breakoutElements = new Set([
+        'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'embed',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta', 'nobr',
+        'ol', 'p', 'pre', 'ruby', 's', 'small', 'span', 'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u',
+        'ul', 'var'
+    ]);
+    // Foreign (svg or math) elements opened in HTML mode, with the name of their namespace
+    const foreignElements = new WeakMap();
+
     /**
      * Check if is a self-closing tag
      * @param {string} type - Tag name
@@ -29,19 +165,208 @@ export default function parser(html, options) {
         return selfClosingTags.includes(type.toLowerCase());
     }
 
+    /**
+     * Get the raw text settings for a tag that is about to be opened
+     * @param {Object} tag - Tag being closed by the parser
+     * @returns {Object|null} Raw text settings or null for regular content
+     */
+    const getRawText = function(tag) {
+        if (!tag || tag.closingTag || tag.closing) {
+            return null;
+        }
+
+        const type = tag.type.toLowerCase();
+        if (escapableRawTextTags.has(type)) {
+            return { type: tag.type, escapable: true };
+        }
+        if (rawTextTags.has(type)) {
+            return { type: tag.type, escapable: false };
+        }
+        return null;
+    }
+
+    /**
+     * Check if the raw text element ends at the given position
+     * @param {string} html - Input string
+     * @param {number} i - Position of the "<" character
+     * @returns {boolean}
+     */
+    const isRawTextEnd = function(html, i) {
+        const type = this.rawText.type;
+        if (html[i + 1] !== '/') {
+            return false;
+        }
+        if (html.substring(i + 2, i + 2 + type.length).toLowerCase() !== type.toLowerCase()) {
+            return false;
+        }
+        const next = html[i + 2 + type.length];
+        return typeof(next) === 'undefined' || next === '>' || next === '/' || /\s/.test(next);
+    }
+
+    /**
+     * Go back to text processing after a tag, entering raw text mode when required
+     * @param {Object|null} rawText - Raw text settings for the tag just opened
+     */
+    const setTextAction = function(rawText) {
+        if (rawText) {
+            this.rawText = rawText;
+            this.action = 'rawText';
+        } else {
+            this.action = 'text';
+        }
+    }
+
+    /**
+     * Get the position of the current character (the end of anything before it)
+     * @returns {{offset: number, line: number, column: number}}
+     */
+    const getPosition = function() {
+        return { offset: this.index, line: this.line, column: this.column };
+    }
+
+    /**
+     * Get the position right after the current character
+     * @returns {{offset: number, line: number, column: number}}
+     */
+    const getEndPosition = function() {
+        if (this.char === '\n') {
+            return { offset: this.index + 1, line: this.line + 1, column: 1 };
+        }
+        return { offset: this.index + 1, line: this.line, column: this.column + 1 };
+    }
+
+    /**
+     * Report a problem found in the input
+     * @param {string} code - Error code
+     * @param {string} message - Error description
+     * @param {Object} position - Where the problem was found
+     * @param {Object} [node] - Node involved
+     */
+    const reportError = function(code, message, position, node) {
+        if (!reporting) {
+            return;
+        }
+
+        const error = new ParseError(code, message, position, node);
+        if (options.strict) {
+            throw error;
+        }
+        if (typeof options.onError === 'function') {
+            options.onError(error);
+        }
+        errors.push(error);
+    }
+
+    // Handler callback for each node type
+    const callbacks = {
+        '#text': 'onText',
+        '#comments': 'onComment',
+        '#cdata': 'onCdata',
+        '#doctype': 'onDoctype',
+        '#processing-instruction': 'onProcessingInstruction',
+    };
+
+    /**
+     * Call the handler for a completed node
+     * @param {string} name - Callback name
+     * @param {Object} node - Node
+     * @param {Object} parent - Node holding it (the template wrapper for the roots)
+     */
+    const emit = function(name, node, parent) {
+        if (handler && typeof handler[name] === 'function') {
+            handler[name](node, parent);
+        }
+    }
+
+    /**
+     * Give the props of a node the requested form, before the node is handed out
+     * @param {Object} node - Node whose props are complete
+     */
+    const formatProps = function(node) {
+        if (objectProps && Array.isArray(node.props)) {
+            node.props = propsToObject(node.props);
+        }
+    }
+
+    /**
+     * Keep the source text of a node with a copy of its props, so render() can tell if it changed
+     * @param {Object} node - Text, comment, CDATA, doctype or processing instruction node
+     * @param {string} text - Source text of the node
+     */
+    const recordSource = function(node, text) {
+        if (lossless) {
+            node.source = {
+                text: text,
+                props: normalizeProps(node.props).map(prop => ({ name: prop.name, value: prop.value })),
+            };
+        }
+    }
+
+    /**
+     * Add a node to the current node's children, with its location when requested
+     * @param {Object} node - Node to append
+     * @param {Object} [start] - Position where the node starts in the source
+     * @param {string} [text] - Source text of the node
+     */
+    const appendNode = function(node, start, text) {
+        if (!this.current.children) {
+            this.current.children = [];
+        }
+
+        if (locations && start) {
+            node.location = { start: start, end: getEndPosition.call(this) };
+        }
+
+        recordSource(node, text);
+        formatProps(node);
+        this.current.children.push(node);
+
+        emit(callbacks[node.type], node, this.current);
+    }
+
+    /**
+     * Set the end of an element location when it is removed from the stack
+     * @param {Object} node - Element being closed
+     * @param {Object} end - Position where the element ends
+     * @param {Object} [endTag] - Location of the end tag, when there is one
+     */
+    const closeElement = function(node, end, endTag) {
+        if (locations && node.location) {
+            node.location.end = end;
+            if (endTag) {
+                node.location.endTag = endTag;
+            }
+        }
+
+        // The node was just removed from the stack, so its parent is on top
+        emit('onCloseTag', node, this.stack.length > 0 ? this.stack[this.stack.length - 1] : this.root);
+    }
+
     /**
      * Create a text node and add it to current node's children
      * @param {Object} tag - Text node properties
+     * @param {string} text - Source text of the node
      */
-    const createTextNode = function(tag) {
+    const createTextNode = function(tag, text) {
         if (!this.current.children) {
             this.current.children = [];
         }
 
-        this.current.children.push({
+        const node = {
             type: '#text',
             props: [tag],
-        });
+        };
+
+        // Text is committed when the next construct starts, so the current position is its end
+        if (locations) {
+            node.location = { start: this.textStart, end: getPosition.call(this) };
+        }
+
+        recordSource(node, text);
+        formatProps(node);
+        this.current.children.push(node);
+
+        emit('onText', node, this.current);
     }
 
     /**
@@ -59,6 +384,394 @@ export default function parser(html, options) {
         return undefined;
     }
 
+    /**
+     * Lowercase name of an element, used by the HTML rules
+     * @param {Object} node - Element node
+     * @returns {string}
+     */
+    const nameOf = function(node) {
+        return node && node.type ? node.type.toLowerCase() : '';
+    }
+
+    /**
+     * Find an open element by name, stopping at the scope boundaries
+     * @param {string[]} names - Lowercase element names to find
+     * @param {Set<string>} scope - Elements that end the search
+     * @returns {Object|undefined}
+     */
+    const findInScope = function(names, scope) {
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            const name = nameOf(this.stack[i]);
+            if (names.includes(name)) {
+                return this.stack[i];
+            }
+            if (scope.has(name)) {
+                return undefined;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Find the open element matching an end tag, following the HTML scope rules
+     * @param {string} type - End tag name
+     * @returns {Object|undefined}
+     */
+    const findEndTagMatch = function(type) {
+        const name = type.toLowerCase();
+        if (name === 'li') {
+            return findInScope.call(this, [name], listItemScope);
+        }
+        if (name === 'p') {
+            return findInScope.call(this, [name], buttonScope);
+        }
+        if (tableParts.includes(name)) {
+            return findInScope.call(this, [name], tableScope);
+        }
+        if (specialElements.has(name) || formattingElements.has(name)) {
+            return findInScope.call(this, [name], defaultScope);
+        }
+        // Any other end tag cannot cross a special element
+        return findInScope.call(this, [name], specialElements);
+    }
+
+    /**
+     * Pop elements from the stack until the target element is closed
+     * @param {Object} target - Element to close
+     * @param {Object} [endTag] - Location of the end tag closing the target, when there is one
+     */
+    const closeUntil = function(target, endTag) {
+        const closer = this.tag.closingTag ? `</${this.tag.type}>` : `<${this.tag.type}>`;
+
+        while (this.stack.length > 0) {
+            const node = this.stack.pop();
+            if (node === target) {
+                // Closed by its end tag, or implicitly where the current tag starts
+                closeElement.call(this, node, endTag ? endTag.end : this.tagStart, endTag);
+                break;
+            }
+            // Elements in between end where the current tag starts
+            if (!(htmlMode && optionalEndTags.has(nameOf(node)))) {
+                reportError('missing-end-tag', `Element <${node.type}> is closed by ${closer} without its own end tag`, this.tagStart, node);
+            }
+            closeElement.call(this, node, this.tagStart);
+        }
+
+        // Current is now the top of stack (or root if empty)
+        this.current = this.stack.length > 0 ? this.stack[this.stack.length - 1] : this.root;
+    }
+
+    /**
+     * Close the current elements that have an implied end tag
+     * @param {string} [except] - Element name to keep open
+     */
+    const generateImpliedEndTags = function(except) {
+        while (this.stack.length > 0) {
+            const name = nameOf(this.current);
+            if (!impliedEndTags.has(name) || name === except) {
+                break;
+            }
+            closeUntil.call(this, this.current);
+        }
+    }
+
+    /**
+     * Close the current elements until the current node is one of the given names
+     * @param {string[]} names - Lowercase element names
+     */
+    const clearStackBackTo = function(names) {
+        while (this.stack.length > 0 && !names.includes(nameOf(this.current))) {
+            closeUntil.call(this, this.current);
+        }
+    }
+
+    /**
+     * Get the namespace of the content of a node in HTML mode, HTML again inside integration points
+     * @param {Object} node - Element node, or the root
+     * @returns {string} 'html', 'svg' or 'math'
+     */
+    const contentNamespaceOf = function(node) {
+        const namespace = foreignElements.get(node);
+        if (!namespace) {
+            return 'html';
+        }
+        const name = nameOf(node);
+        if ((namespace === 'svg' && svgIntegrationPoints.has(name)) || (namespace === 'math' && mathmlIntegrationPoints.has(name))) {
+            return 'html';
+        }
+        return namespace;
+    }
+
+    /**
+     * Check if a start tag inside foreign content is an HTML element that ends it
+     * @param {Object} tag - Start tag
+     * @returns {boolean}
+     */
+    const isBreakout = function(tag) {
+        const name = nameOf(tag);
+        if (name === 'font') {
+            return Array.isArray(tag.props) && tag.props.some(prop => ['color', 'face', 'size'].includes(prop.name.toLowerCase()));
+        }
+        return breakoutElements.has(name);
+    }
+
+    /**
+     * Find the element closed by an end tag in foreign content: the closest open foreign element
+     * with that name, or the HTML rules once an HTML element is reached
+     * @param {string} type - End tag name
+     * @returns {Object|undefined}
+     */
+    const findForeignEndTagMatch = function(type) {
+        const name = type.toLowerCase();
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            if (!foreignElements.has(this.stack[i])) {
+                break;
+            }
+            if (nameOf(this.stack[i]) === name) {
+                return this.stack[i];
+            }
+        }
+        return findEndTagMatch.call(this, type);
+    }
+
+    /**
+     * Split a qualified name into its prefix and local name
+     * @param {string} name - Element or attribute name
+     * @returns {{prefix: string|null, localName: string}}
+     */
+    const splitName = function(name) {
+        const colon = name.indexOf(':');
+        // A name starting or ending with a colon has no prefix
+        if (colon <= 0 || colon === name.length - 1) {
+            return { prefix: null, localName: name };
+        }
+        return { prefix: name.substring(0, colon), localName: name.substring(colon + 1) };
+    }
+
+    /**
+     * Resolve the namespaces of an element and its attributes, with the xmlns declarations
+     * of the element added to the bindings of its parent
+     * @param {Object} node - Element whose start tag is complete
+     * @param {Object} parent - Node holding the element
+     */
+    const resolveNamespaces = function(node, parent) {
+        const parentScope = namespaceScopes.get(parent) || rootNamespaceScope;
+        const props = Array.isArray(node.props) ? node.props : [];
+        let scope = parentScope;
+
+        for (const prop of props) {
+            if (prop.name === 'xmlns' || prop.name.startsWith('xmlns:')) {
+                if (scope === parentScope) {
+                    scope = { ...parentScope };
+                }
+                // An empty value undeclares the prefix
+                scope[prop.name === 'xmlns' ? '' : prop.name.substring(6)] = prop.value || null;
+            }
+        }
+        namespaceScopes.set(node, scope);
+
+        /**
+         * Find the namespace bound to a prefix
+         * @param {string|null} prefix - Prefix, null for the default namespace
+         * @param {string} name - Qualified name, for the error message
+         * @returns {string|null} Namespace URI
+         */
+        const lookup = (prefix, name) => {
+            const namespace = scope[prefix === null ? '' : prefix];
+            if (prefix !== null && !namespace) {
+                reportError('unbound-namespace-prefix', `Namespace prefix "${prefix}" of ${name} is not declared`, this.tagStart, node);
+                return null;
+            }
+            return namespace || null;
+        }
+
+        const element = splitName(node.type);
+        node.namespace = lookup(element.prefix, `<${node.type}>`);
+        node.prefix = element.prefix;
+        node.localName = element.localName;
+
+        for (const prop of props) {
+            const attribute = splitName(prop.name);
+            if (prop.name === 'xmlns') {
+                prop.namespace = rootNamespaceScope.xmlns;
+            } else if (attribute.prefix === null) {
+                // Attributes without a prefix are in no namespace, whatever the default namespace is
+                prop.namespace = null;
+            } else {
+                prop.namespace = lookup(attribute.prefix, `attribute ${prop.name}`);
+            }
+            prop.prefix = attribute.prefix;
+            prop.localName = attribute.localName;
+        }
+    }
+
+    /**
+     * Insert an element whose start tag was omitted (e.g., <tbody> before a <tr>)
+     * @param {string} type - Element name
+     */
+    const insertImpliedElement = function(type) {
+        const node = { type: type };
+        if (locations) {
+            node.location = { start: this.tagStart, end: this.tagStart };
+        }
+        // Implied elements have no tags in the source
+        if (lossless) {
+            node.source = { startTag: '', attributes: [] };
+        }
+
+        if (!this.current.children) {
+            this.current.children = [];
+        }
+        this.current.children.push(node);
+
+        if (namespaces) {
+            resolveNamespaces.call(this, node, this.current);
+        }
+
+        emit('onOpenTag', node, this.current);
+
+        this.stack.push(node);
+        this.current = node;
+    }
+
+    /**
+     * Apply the HTML5 rules for a start tag: close the elements it implies and open the ones it requires
+     * @param {Object} tag - Start tag being inserted
+     */
+    const applyStartTagRules = function(tag) {
+        const name = nameOf(tag);
+
+        // A block-level start tag closes an open paragraph
+        if (closesParagraph.has(name)) {
+            const paragraph = findInScope.call(this, ['p'], buttonScope);
+            if (paragraph) {
+                generateImpliedEndTags.call(this, 'p');
+                closeUntil.call(this, paragraph);
+            }
+        }
+
+        if (headings.includes(name) && headings.includes(nameOf(this.current))) {
+            // Headings do not nest
+            reportError('missing-end-tag', `Element <${this.current.type}> is closed by <${tag.type}> without its own end tag`, this.tagStart, this.current);
+            closeUntil.call(this, this.current);
+        } else if (name === 'li' || name === 'dd' || name === 'dt') {
+            // Close the previous item, unless a special element (other than address, div and p) is in the way
+            const items = name === 'li' ? ['li'] : ['dd', 'dt'];
+            for (let i = this.stack.length - 1; i >= 0; i--) {
+                const current = nameOf(this.stack[i]);
+                if (items.includes(current)) {
+                    generateImpliedEndTags.call(this, current);
+                    closeUntil.call(this, this.stack[i]);
+                    break;
+                }
+                if (specialElements.has(current) && !['address', 'div', 'p'].includes(current)) {
+                    break;
+                }
+            }
+            const paragraph = findInScope.call(this, ['p'], buttonScope);
+            if (paragraph) {
+                generateImpliedEndTags.call(this, 'p');
+                closeUntil.call(this, paragraph);
+            }
+        } else if (name === 'option') {
+            if (nameOf(this.current) === 'option') {
+                closeUntil.call(this, this.current);
+            }
+        } else if (name === 'optgroup') {
+            if (nameOf(this.current) === 'option') {
+                closeUntil.call(this, this.current);
+            }
+            if (nameOf(this.current) === 'optgroup') {
+                closeUntil.call(this, this.current);
+            }
+        } else if (name === 'button') {
+            const button = findInScope.call(this, ['button'], defaultScope);
+            if (button) {
+                generateImpliedEndTags.call(this);
+                closeUntil.call(this, button);
+            }
+        } else if (name === 'rb' || name === 'rtc' || name === 'rt' || name === 'rp') {
+            if (findInScope.call(this, ['ruby'], defaultScope)) {
+                generateImpliedEndTags.call(this, name === 'rt' || name === 'rp' ? 'rtc' : undefined);
+            }
+        } else if (tableParts.includes(name) && name !== 'table' && findInScope.call(this, ['table'], tableScope)) {
+            if (name === 'td' || name === 'th') {
+                // Close the previous cell, then make sure there is a row to hold the new one
+                const cell = findInScope.call(this, ['td', 'th'], tableScope);
+                if (cell) {
+                    generateImpliedEndTags.call(this);
+                    closeUntil.call(this, cell);
+                }
+                clearStackBackTo.call(this, ['tr', 'tbody', 'thead', 'tfoot', 'table', 'template', 'html']);
+                if (nameOf(this.current) === 'table') {
+                    insertImpliedElement.call(this, 'tbody');
+                }
+                if (nameOf(this.current) !== 'tr') {
+                    insertImpliedElement.call(this, 'tr');
+                }
+            } else if (name === 'tr') {
+                // Close the previous row, then make sure there is a table section to hold the new one
+                clearStackBackTo.call(this, ['tbody', 'thead', 'tfoot', 'table', 'template', 'html']);
+                if (nameOf(this.current) === 'table') {
+                    insertImpliedElement.call(this, 'tbody');
+                }
+            } else {
+                // caption, colgroup, tbody, thead and tfoot close any open table section
+                clearStackBackTo.call(this, ['table', 'template', 'html']);
+            }
+        } else if (name === 'col' && findInScope.call(this, ['table'], tableScope)) {
+            clearStackBackTo.call(this, ['colgroup', 'table', 'template', 'html']);
+            if (nameOf(this.current) === 'table') {
+                insertImpliedElement.call(this, 'colgroup');
+            }
+        }
+    }
+
+    /**
+     * Check if whitespace is significant where text is being added: in raw text, inside
+     * preformatted elements, or under xml:space="preserve"
+     * @returns {boolean}
+     */
+    const isWhitespacePreserved = function() {
+        if (this.rawText) {
+            return true;
+        }
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            const node = this.stack[i];
+            if (preformattedTags.has(nameOf(node))) {
+                return true;
+            }
+            // The closest xml:space attribute wins
+            const space = normalizeProps(node.props).find(prop => prop.name === 'xml:space');
+            if (space) {
+                return space.value === 'preserve';
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Apply the whitespace options to the text of a node
+     * @param {string} text - Decoded text
+     * @returns {string} Text to keep, empty when the node is dropped
+     */
+    const normalizeWhitespace = function(text) {
+        if (!(dropWhitespace || collapseWhitespace || trimText) || isWhitespacePreserved.call(this)) {
+            return text;
+        }
+        // Only ASCII whitespace, a non-breaking space is content
+        if (dropWhitespace && /^[ \t\n\f\r]*$/.test(text)) {
+            return '';
+        }
+        if (collapseWhitespace) {
+            text = text.replace(/[ \t\n\f\r]+/g, ' ');
+        }
+        if (trimText) {
+            text = text.replace(/^[ \t\n\f\r]+|[ \t\n\f\r]+$/g, '');
+        }
+        return text;
+    }
+
     /**
      * Handle the text node creation
      */
@@ -69,11 +782,19 @@ export default function parser(html, options) {
                 // Preserve whitespace as-is
                 let text = this.text;
 
+                // Raw text (script, style) is never decoded
+                if (decode && !(this.rawText && !this.rawText.escapable)) {
+                    text = decodeEntities(text);
+                }
+
+                text = normalizeWhitespace.call(this, text);
+
                 if (text) {
-                    createTextNode.call(this, { name: 'textContent', value: text });
+                    createTextNode.call(this, { name: 'textContent', value: text }, this.text);
                 }
             }
             delete this.text;
+            delete this.textStart;
         }
     }
 
@@ -86,24 +807,53 @@ export default function parser(html, options) {
             if (this.ignoreDepth === 0) {
                 let comments = this.comments;
                 if (comments) {
-                    comments = comments
-                        .replace('<!--', '')
-                        .replace('-->', '')
-
-                    if (!this.current.children) {
-                        this.current.children = [];
-                    }
+                    comments = comments.replace('<!--', '');
+                    // "--!>" only ends comments in HTML mode
+                    comments = htmlMode && comments.endsWith('--!>')
+                        ? comments.substring(0, comments.length - 4)
+                        : comments.replace('-->', '');
 
-                    this.current.children.push({
+                    appendNode.call(this, {
                         type: '#comments',
                         props: [{ name: 'text', value: comments }],
-                    });
+                    }, this.markupStart, this.comments);
                 }
             }
             delete this.comments;
+            delete this.markupStart;
         }
     }
 
+    /**
+     * Handle CDATA section node creation
+     */
+    const commitCdata = function() {
+        if (typeof(this.cdata) !== 'undefined') {
+            // Skip if we're inside an ignored tag
+            if (this.ignoreDepth === 0) {
+                // Remove the <![CDATA[ and ]]> delimiters, the content is kept verbatim
+                const value = this.cdata.substring(9, this.cdata.length - 3);
+
+                appendNode.call(this, {
+                    type: options.cdataAsText ? '#text' : '#cdata',
+                    props: [{ name: 'textContent', value: value }],
+                }, this.markupStart, this.cdata);
+            }
+            delete this.cdata;
+            delete this.markupStart;
+        }
+    }
+
+    /**
+     * Take the source text of the attribute just read, from the end of the previous one (whitespace included)
+     * @returns {string} Attribute source text
+     */
+    const takeAttributeSource = function() {
+        const start = this.sourceCursor ?? this.tag.type.length + 1;
+        this.sourceCursor = this.attributeSourceEnd;
+        return this.tagSource.substring(start, this.attributeSourceEnd);
+    }
+
     /**
      * Save the attribute to the tag
      */
@@ -116,19 +866,54 @@ export default function parser(html, options) {
 
             let k = this.tag.attributeName;
             let v = this.tag.attributeValue;
+            const quote = this.tag.attributeQuote;
+
+            // The first of duplicate attributes wins, HTML names are case-insensitive
+            const duplicate = htmlMode
+                ? this.tag.props.some(prop => prop.name.toLowerCase() === k.toLowerCase())
+                : this.tag.props.some(prop => prop.name === k);
 
-            if (typeof(v) === 'undefined') {
-                v = k;
+            if (duplicate) {
+                reportError('duplicate-attribute', `Duplicate attribute ${k} in <${this.tag.type}>`, this.tagStart, { type: this.tag.type });
+                // Dropped attributes keep their source text apart, so a new start tag can leave them out
+                if (lossless) {
+                    this.sourceDuplicates.push({ name: k, text: takeAttributeSource.call(this) });
+                }
+            } else {
+                if (typeof(v) === 'undefined') {
+                    // Attributes without a value are boolean
+                    v = true;
+                } else if (decode) {
+                    v = decodeEntities(v, true);
+                }
+
+                const prop = {
+                    name: k,
+                    value: v,
+                };
+                // Double quotes are the default, other quote styles are kept for the roundtrip
+                if (v !== true && quote !== '"') {
+                    prop.quote = quote || '';
+                }
+                this.tag.props.push(prop);
+
+                if (lossless) {
+                    this.sourceAttributes.push({ name: k, value: v, text: takeAttributeSource.call(this) });
+                }
             }
 
-            this.tag.props.push({
-                name: k,
-                value: v,
-            });
+            if (locations && this.tag.attributeLocation && !duplicate) {
+                if (!this.tag.location.attributes) {
+                    this.tag.location.attributes = {};
+                }
+                this.tag.location.attributes[k] = this.tag.attributeLocation;
+            }
 
             // Clean up temporary properties
             delete this.tag.attributeName;
             delete this.tag.attributeValue;
+            delete this.tag.attributeQuote;
+            delete this.tag.attributeLocation;
 
             if (this.tag.attributeIsReadyToClose) {
                 delete this.tag.attributeIsReadyToClose;
@@ -136,6 +921,94 @@ export default function parser(html, options) {
         }
     }
 
+    /**
+     * Keep the text of a doctype or processing instruction that its props would not write back the same way
+     * (keyword case, whitespace, quotes)
+     * @param {Object} node - Doctype or processing instruction node
+     * @param {string} text - Declaration text
+     * @param {Function} write - Function writing the declaration from its props
+     * @returns {Object} The node
+     */
+    const withRaw = function(node, text, write) {
+        if (write(node.props) !== text) {
+            node.raw = text;
+        }
+        return node;
+    }
+
+    /**
+     * Handle doctype node creation
+     */
+    const commitDoctype = function() {
+        if (typeof(this.doctype) !== 'undefined') {
+            // Skip if we're inside an ignored tag
+            if (this.ignoreDepth === 0) {
+                appendNode.call(this, withRaw({
+                    type: '#doctype',
+                    props: parseDoctype(this.doctype.text),
+                }, this.doctype.text, writeDoctype), this.markupStart, this.doctype.text);
+            }
+            delete this.doctype;
+            delete this.markupStart;
+        }
+    }
+
+    /**
+     * Handle processing instruction node creation (including the XML declaration)
+     */
+    const commitProcessingInstruction = function() {
+        if (typeof(this.instruction) !== 'undefined') {
+            // Skip if we're inside an ignored tag
+            if (this.ignoreDepth === 0) {
+                appendNode.call(this, withRaw({
+                    type: '#processing-instruction',
+                    props: parseProcessingInstruction(this.instruction),
+                }, this.instruction, writeProcessingInstruction), this.markupStart, this.instruction);
+            }
+            delete this.instruction;
+            delete this.markupStart;
+        }
+    }
+
+    /**
+     * Keep track of where the current attribute starts and ends
+     */
+    const trackAttribute = function() {
+        if (locations) {
+            if (!this.tag.attributeLocation) {
+                this.tag.attributeLocation = { start: getPosition.call(this) };
+            }
+            this.tag.attributeLocation.end = getEndPosition.call(this);
+        }
+        if (lossless) {
+            // The current character is not in the tag source yet
+            this.attributeSourceEnd = this.tagSource.length + 1;
+        }
+    }
+
+    /**
+     * Check if the parser is inside an unquoted attribute value, or right after the "=" of one
+     * @param {Object} tag - Tag being parsed
+     * @param {string} action - Current action
+     * @returns {boolean}
+     */
+    const isInUnquotedValue = function(tag, action) {
+        return action === 'attributeValue' && !tag.attributeQuote && !tag.attributeIsReadyToClose;
+    }
+
+    /**
+     * Start a markup construct (comment, CDATA, doctype...), committing any text before it
+     */
+    const startMarkup = function() {
+        commitText.call(this);
+        this.markupStart = getPosition.call(this);
+    }
+
+    /**
+     * Actions that consume their own delimiters, no tag detection happens while they run
+     */
+    const markupActions = new Set(['comments', 'cdata', 'doctype', 'processingInstruction']);
+
     /**
      * Actions controller
      * @param {Object} control - Parser control object
@@ -162,6 +1035,16 @@ export default function parser(html, options) {
             this.tag = {
                 type: ''
             };
+            this.tagStart = getPosition.call(this);
+            if (locations) {
+                this.tag.location = { start: getPosition.call(this) };
+            }
+            if (lossless) {
+                this.tagSource = '';
+                this.sourceAttributes = [];
+                this.sourceDuplicates = [];
+                delete this.sourceCursor;
+            }
         } else if (char.match(/[a-zA-Z0-9-:]/)) {
             // Tag name (including colons for XML namespaces)
             this.tag.type += char;
@@ -182,6 +1065,8 @@ export default function parser(html, options) {
         if (char === '>') {
             // Check if this tag should be ignored
             const shouldIgnore = ignoreTags.has(this.tag.type.toLowerCase());
+            // Raw text elements (script, style, textarea...) switch the parser to raw text mode
+            let rawText = getRawText(this.tag);
 
             // Handle closing tags for ignored elements
             if (this.tag.closingTag && shouldIgnore && this.ignoreDepth > 0) {
@@ -194,7 +1079,7 @@ export default function parser(html, options) {
             // If we're inside an ignored tag, skip processing
             if (this.ignoreDepth > 0) {
                 this.tag = null;
-                this.action = 'text';
+                setTextAction.call(this, rawText);
                 return;
             }
 
@@ -202,31 +1087,125 @@ export default function parser(html, options) {
             if (shouldIgnore && !this.tag.closingTag) {
                 this.ignoreDepth++;
                 this.tag = null;
-                this.action = 'text';
+                setTextAction.call(this, rawText);
                 return;
             }
 
+            // Location of the tag itself, from "<" to ">"
+            let tagLocation;
+            if (locations) {
+                tagLocation = { start: this.tag.location.start, end: getEndPosition.call(this) };
+                const attributes = this.tag.location.attributes;
+                // Recreate the location so it comes after the props
+                delete this.tag.location;
+                if (!this.tag.closingTag) {
+                    this.tag.location = { start: tagLocation.start, end: tagLocation.end, startTag: tagLocation };
+                    if (attributes) {
+                        this.tag.location.attributes = attributes;
+                    }
+                }
+            }
+
+            // Source text of the tag, kept on the element it starts, or the element it ends
+            let endTagSource = null;
+            if (lossless) {
+                const text = this.tagSource + char;
+                if (this.tag.closingTag) {
+                    endTagSource = text;
+                } else {
+                    this.tag.source = { startTag: text, attributes: this.sourceAttributes };
+                    if (this.sourceDuplicates.length) {
+                        this.tag.source.duplicates = this.sourceDuplicates;
+                    }
+                }
+            }
+
+            // Namespace of the element started or ended by this tag in HTML mode ('svg' and 'math' for foreign elements)
+            let foreign = null;
+
+            if (htmlMode && !this.tag.closingTag) {
+                // An HTML element in foreign content closes the svg and math elements it is in
+                if (contentNamespaceOf(this.current) !== 'html' && isBreakout(this.tag)) {
+                    while (this.stack.length > 0 && contentNamespaceOf(this.current) !== 'html') {
+                        closeUntil.call(this, this.current);
+                    }
+                }
+
+                const namespace = contentNamespaceOf(this.current);
+                if (namespace !== 'html') {
+                    foreign = namespace;
+                } else if (nameOf(this.tag) === 'svg' || nameOf(this.tag) === 'math') {
+                    foreign = nameOf(this.tag);
+                }
+
+                if (foreign) {
+                    // Foreign elements have no raw text content, and close with "/>" whatever their name
+                    rawText = null;
+                    foreignElements.set(this.tag, foreign);
+                } else {
+                    // HTML rules for optional and implied tags
+                    applyStartTagRules.call(this, this.tag);
+
+                    // "/>" does not close HTML elements, except void ones
+                    if (this.tag.closing && !isSelfClosing(this.tag.type)) {
+                        reportError('non-void-html-element-start-tag-with-trailing-solidus', `Element <${this.tag.type}> cannot be closed by "/>", its content follows`, this.tagStart, this.tag);
+                        this.tag.closing = false;
+                    }
+                }
+            } else if (htmlMode && contentNamespaceOf(this.current) !== 'html') {
+                // End tag in foreign content
+                foreign = contentNamespaceOf(this.current);
+            }
+
+            // Element started by this tag, and whether it is already complete (void and self-closing tags)
+            const parent = this.current;
+            let opened = null;
+            let complete = false;
+
             // Get the new parent
-            if (isSelfClosing(this.tag.type)) {
+            if (!foreign && isSelfClosing(this.tag.type)) {
                 // Push new tag to the current
                 if (!this.current.children) {
                     this.current.children = [];
                 }
                 this.current.children.push(this.tag);
+                opened = this.tag;
+                complete = true;
             } else if (this.tag.closingTag) {
                 // Need to find the parent on the chain
-                const parentNode = findParentByTagName.call(this, this.tag.type);
+                let parentNode;
+                if (!htmlMode) {
+                    parentNode = findParentByTagName.call(this, this.tag.type);
+                } else if (foreign) {
+                    parentNode = findForeignEndTagMatch.call(this, this.tag.type);
+                } else {
+                    parentNode = findEndTagMatch.call(this, this.tag.type);
+                }
                 if (parentNode) {
-                    // Pop stack until we find the matching tag
-                    while (this.stack.length > 0 && this.stack[this.stack.length - 1] !== parentNode) {
-                        this.stack.pop();
+                    if (lossless && parentNode.source) {
+                        parentNode.source.endTag = endTagSource;
+                    }
+                    // Pop stack until we find the matching tag, those elements end where the end tag starts
+                    closeUntil.call(this, parentNode, tagLocation);
+                } else if (htmlMode && this.tag.type.toLowerCase() === 'p') {
+                    // A </p> without an open paragraph creates an empty one
+                    reportError('unexpected-end-tag', `Unexpected end tag </${this.tag.type}> with no matching open element`, this.tagStart, { type: this.tag.type });
+                    const paragraph = { type: this.tag.type };
+                    if (locations) {
+                        paragraph.location = { start: tagLocation.start, end: tagLocation.end, endTag: tagLocation };
                     }
-                    // Pop the matched tag itself
-                    if (this.stack.length > 0) {
-                        this.stack.pop();
+                    if (lossless) {
+                        paragraph.source = { startTag: '', attributes: [], endTag: endTagSource };
                     }
-                    // Current is now the top of stack (or root if empty)
-                    this.current = this.stack.length > 0 ? this.stack[this.stack.length - 1] : this.root;
+                    if (!this.current.children) {
+                        this.current.children = [];
+                    }
+                    this.current.children.push(paragraph);
+                    opened = paragraph;
+                    complete = true;
+                } else {
+                    // Stray end tag, dropped
+                    reportError('unexpected-end-tag', `Unexpected end tag </${this.tag.type}> with no matching open element`, this.tagStart, { type: this.tag.type });
                 }
             } else {
                 // Store the parent before updating current
@@ -236,6 +1215,8 @@ export default function parser(html, options) {
                         this.current.children = [];
                     }
                     this.current.children.push(this.tag);
+                    opened = this.tag;
+                    complete = true;
                 } else {
                     // Opening tag - push to current's children
                     if (!this.current.children) {
@@ -246,18 +1227,45 @@ export default function parser(html, options) {
                     // Push to stack and update current
                     this.stack.push(this.tag);
                     this.current = this.tag;
+                    opened = this.tag;
+
+                    if (reporting) {
+                        openPositions.set(this.tag, this.tagStart);
+                    }
                 }
             }
 
+            // Void and self-closing elements end with their start tag
+            if (lossless && complete && opened === this.tag) {
+                opened.source.endTag = '';
+            }
+
             // Clean up temporary properties
             delete this.tag.insideQuote;
             delete this.tag.closingTag;
             delete this.tag.closing;
             delete this.tag.locked;
+
+            if (opened) {
+                if (namespaces) {
+                    resolveNamespaces.call(this, opened, parent);
+                }
+                formatProps(opened);
+                emit('onOpenTag', opened, parent);
+                if (complete) {
+                    emit('onCloseTag', opened, parent);
+                }
+            }
+
             // Finalize tag
             this.tag = null;
+            delete this.tagSource;
+            delete this.sourceAttributes;
+            delete this.sourceDuplicates;
+            delete this.sourceCursor;
+            delete this.attributeSourceEnd;
             // New action
-            this.action = 'text';
+            setTextAction.call(this, rawText);
         } else if (!this.tag.locked) {
             if (char === '/') {
                 if (!this.tag.type) {
@@ -281,8 +1289,8 @@ export default function parser(html, options) {
     }
 
     actions.attributeName = function(char) {
-        // There is another attribute to commit
-        if (this.tag.attributeIsReadyToClose) {
+        // There is another attribute to commit, whitespace and "=" can still follow the name
+        if (this.tag.attributeIsReadyToClose && !/[\s=]/.test(char)) {
             commitAttribute.call(this);
         }
 
@@ -292,6 +1300,7 @@ export default function parser(html, options) {
                 this.tag.attributeName = '';
             }
             this.tag.attributeName += char;
+            trackAttribute.call(this);
         } else if (char === '=') {
             // Move to attribute value
             if (this.tag.attributeName) {
@@ -311,18 +1320,31 @@ export default function parser(html, options) {
         }
 
         if (char === '"' || char === "'") {
+            trackAttribute.call(this);
             if (this.tag.insideQuote) {
                 if (this.tag.insideQuote === char) {
                     this.tag.insideQuote = false;
+                    // The value ends with its closing quote
+                    this.tag.attributeIsReadyToClose = true;
+                } else {
+                    this.tag.attributeValue += char;
+                }
+            } else if (this.tag.attributeValue || this.tag.attributeIsReadyToClose) {
+                // A quote inside an unquoted value is part of it
+                if (this.tag.attributeIsReadyToClose) {
+                    this.action = 'attributeName';
+                    actions.attributeName.call(this, char);
                 } else {
                     this.tag.attributeValue += char;
                 }
             } else {
                 this.tag.insideQuote = char;
+                this.tag.attributeQuote = char;
             }
         } else {
             // Inside quotes, keep appending to the attribute value
             if (this.tag.insideQuote) {
+                trackAttribute.call(this);
                 if (this.tag.attributeValue) {
                     this.tag.attributeValue += char;
                 } else {
@@ -332,12 +1354,16 @@ export default function parser(html, options) {
                 if (this.tag.attributeValue) {
                     this.action = 'attributeName';
                 }
-                this.tag.attributeIsReadyToClose = true;
+                // Whitespace between "=" and the value is skipped
+                if (this.tag.attributeValue || this.tag.attributeQuote) {
+                    this.tag.attributeIsReadyToClose = true;
+                }
             } else {
                 if (this.tag.attributeIsReadyToClose) {
                     this.action = 'attributeName';
                     actions.attributeName.call(this, char);
                 } else {
+                    trackAttribute.call(this);
                     if (this.tag.attributeValue) {
                         this.tag.attributeValue += char;
                     } else {
@@ -352,22 +1378,90 @@ export default function parser(html, options) {
         // Normal text processing
         if (!this.text) {
             this.text = '';
+            if (locations) {
+                this.textStart = getPosition.call(this);
+            }
         }
         this.text += char; // Keep appending to text content
     }
 
+    /**
+     * Raw text content is accumulated as text until the matching end tag
+     */
+    actions.rawText = actions.text;
+
     actions.comments = function(char) {
         if (!this.comments) {
+            // Text before the comment is a separate node
+            startMarkup.call(this);
             this.comments = '';
         }
         this.comments += char;
 
-        if (this.comments.endsWith('-->')) {
+        // Browsers also end comments at "--!>"
+        const incorrectlyClosed = htmlMode && this.comments.length >= 8 && this.comments.endsWith('--!>');
+        if (incorrectlyClosed) {
+            reportError('incorrectly-closed-comment', 'Comment closed by "--!>" instead of "-->"', this.markupStart);
+        }
+        if (incorrectlyClosed || this.comments.endsWith('-->')) {
             commitComments.call(this);
             this.action = 'text';
         }
     }
 
+    actions.cdata = function(char) {
+        if (!this.cdata) {
+            // Text before the section is a separate node
+            startMarkup.call(this);
+            this.cdata = '';
+        }
+        this.cdata += char;
+
+        if (this.cdata.endsWith(']]>')) {
+            commitCdata.call(this);
+            this.action = 'text';
+        }
+    }
+
+    actions.doctype = function(char) {
+        if (!this.doctype) {
+            // Text before the declaration is a separate node
+            startMarkup.call(this);
+            this.doctype = { text: '', quote: null, subset: false };
+        }
+        this.doctype.text += char;
+
+        // The declaration ends on the first ">" outside quoted identifiers and the internal subset
+        if (this.doctype.quote) {
+            if (char === this.doctype.quote) {
+                this.doctype.quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            this.doctype.quote = char;
+        } else if (char === '[') {
+            this.doctype.subset = true;
+        } else if (char === ']') {
+            this.doctype.subset = false;
+        } else if (char === '>' && !this.doctype.subset) {
+            commitDoctype.call(this);
+            this.action = 'text';
+        }
+    }
+
+    actions.processingInstruction = function(char) {
+        if (!this.instruction) {
+            // Text before the instruction is a separate node
+            startMarkup.call(this);
+            this.instruction = '';
+        }
+        this.instruction += char;
+
+        if (this.instruction.length > 3 && this.instruction.endsWith('?>')) {
+            commitProcessingInstruction.call(this);
+            this.action = 'text';
+        }
+    }
+
     const result = { type: 'template' };
     const control = {
         root: result,
@@ -375,57 +1469,199 @@ export default function parser(html, options) {
         stack: [],  // Stack to track open tags
         action: 'text',
         ignoreDepth: 0,  // Track depth of ignored tags
+        index: 0,  // Position of the current character
+        line: 1,
+        column: 1,
     };
 
-    // Input validation
-    if (typeof html !== 'string') {
-        throw new TypeError('HTML input must be a string');
-    }
+    // Input not processed yet, and the position of its first character in the whole input
+    let html = '';
+    let offset = 0;
+    let ended = false;
 
-    // Main loop to process the HTML string
-    for (let i = 0; i < html.length; i++) {
-        // Current char
-        let char = html[i];
+    /**
+     * Run the state machine over the buffered input. Unless this is the last of the input, a "<"
+     * without enough characters after it to tell what it starts is kept for the next chunk.
+     * @param {boolean} final - No more input will come
+     */
+    const processInput = function(final) {
+        let i = 0;
 
-        if (control.action === 'text' && char === '<' && html[i+1] === '!' && html[i+2] === '-' && html[i+3] === '-') {
-            control.action = 'comments';
-        }
+        for (; i < html.length; i++) {
+            // Current char
+            let char = html[i];
 
-        if (control.action !== 'comments') {
-            // Global control logic
-            if (control.tag) {
-                if (char === '>' || char === '/') {
-                    // End of tag, commit any attributes and go back to text parsing
-                    if (!control.tag.insideQuote) {
-                        control.action = 'closeTag';
-                    }
+            if (char === '<' && !final) {
+                // Longest lookahead: "<!DOCTYPE", "<![CDATA[" or the end tag of a raw text element
+                const lookahead = control.action === 'rawText' ? control.rawText.type.length + 3 : 9;
+                if (html.length - i < lookahead) {
+                    break;
                 }
-            } else {
-                if (char === '<') {
+            }
+
+            control.index = offset + i;
+            control.char = char;
+
+            if (control.action === 'text' && char === '<') {
+                if (html[i+1] === '!' && html[i+2] === '-' && html[i+3] === '-') {
+                    control.action = 'comments';
+                } else if (html.startsWith('<![CDATA[', i)) {
+                    control.action = 'cdata';
+                } else if (html.substring(i, i + 9).toUpperCase() === '<!DOCTYPE') {
+                    control.action = 'doctype';
+                } else if (html[i+1] === '?') {
+                    control.action = 'processingInstruction';
+                }
+            }
+
+            if (control.action === 'rawText') {
+                // Only the matching end tag can finish a raw text element
+                if (char === '<' && isRawTextEnd.call(control, html, i)) {
+                    commitText.call(control);
+                    delete control.rawText;
                     control.action = 'processTag';
                 }
+            } else if (!markupActions.has(control.action)) {
+                // Global control logic
+                if (control.tag) {
+                    // A solidus is only read once the character after it is known
+                    if (char === '/' && !final && i + 1 >= html.length) {
+                        break;
+                    }
+                    if (char === '/' && isInUnquotedValue(control.tag, control.action)) {
+                        // Unquoted values can hold "/" (e.g., href=/path/to)
+                    } else if (char === '/' && control.tag.type && !control.tag.closingTag && html[i + 1] !== '>' && !control.tag.insideQuote) {
+                        // A solidus not ending a start tag only separates attributes
+                        reportError('unexpected-solidus-in-tag', `Unexpected "/" in tag <${control.tag.type}>`, getPosition.call(control));
+                        char = ' ';
+                    } else if (char === '>' || char === '/') {
+                        // End of tag, commit any attributes and go back to text parsing
+                        if (!control.tag.insideQuote) {
+                            control.action = 'closeTag';
+                        }
+                    }
+                } else {
+                    if (char === '<') {
+                        if (/[a-zA-Z\/!?]/.test(html[i+1] || '')) {
+                            control.action = 'processTag';
+                        } else {
+                            // Not a tag (e.g., "a < b"), the character is kept as text
+                            reportError('invalid-first-character-of-tag-name', 'Unescaped "<" in text', getPosition.call(control));
+                        }
+                    }
+                }
+            }
+
+            // Execute action
+            actions(control, char);
+
+            // Source text of the tag being read, as it is in the input
+            if (lossless && control.tag) {
+                control.tagSource += html[i];
+            }
+
+            // Move the position forward
+            if (char === '\n') {
+                control.line++;
+                control.column = 1;
+            } else {
+                control.column++;
             }
         }
 
-        // Execute action
-        actions(control, char);
+        html = html.substring(i);
+        offset += i;
     }
 
-    // Handle any remaining text
-    commitText.call(control);
+    /**
+     * Add a chunk of input
+     * @param {string} chunk - Next part of the input
+     */
+    const write = function(chunk) {
+        if (ended) {
+            throw new Error('Cannot write after end');
+        }
+        if (typeof chunk !== 'string') {
+            throw new TypeError('HTML input must be a string');
+        }
+
+        html += chunk;
+        processInput(false);
+    }
 
-    // Determine the final result
-    let finalResult;
-    if (result.children) {
-        // If there's only one root element, return it directly
-        if (result.children.length === 1) {
-            finalResult = result.children[0];
+    /**
+     * Finish the input, closing whatever is still open
+     * @param {string} [chunk] - Last part of the input
+     * @returns {Object} Parsed JSON tree, or { tree, errors } with the withErrors option
+     */
+    const end = function(chunk) {
+        if (typeof chunk !== 'undefined') {
+            write(chunk);
         }
-        // If there are multiple root elements, return the template wrapper
-        else if (result.children.length > 1) {
-            finalResult = result;
+        if (ended) {
+            throw new Error('Parser has already ended');
         }
+        ended = true;
+
+        processInput(true);
+
+        // End of input
+        control.index = offset;
+
+        // Constructs cut by the end of input are closed with whatever content they have
+        if (control.action === 'comments' && typeof(control.comments) !== 'undefined') {
+            reportError('eof-in-comment', 'Unexpected end of input in comment', control.markupStart);
+            control.comments += '-->';
+            commitComments.call(control);
+        } else if (control.action === 'cdata' && typeof(control.cdata) !== 'undefined') {
+            reportError('eof-in-cdata', 'Unexpected end of input in CDATA section', control.markupStart);
+            control.cdata += ']]>';
+            commitCdata.call(control);
+        } else if (control.action === 'doctype' && typeof(control.doctype) !== 'undefined') {
+            reportError('eof-in-doctype', 'Unexpected end of input in doctype', control.markupStart);
+            control.doctype.text += '>';
+            commitDoctype.call(control);
+        } else if (control.action === 'processingInstruction' && typeof(control.instruction) !== 'undefined') {
+            reportError('eof-in-processing-instruction', 'Unexpected end of input in processing instruction', control.markupStart);
+            control.instruction += '?>';
+            commitProcessingInstruction.call(control);
+        } else if (control.tag) {
+            // Incomplete tags are dropped
+            reportError('eof-in-tag', `Unexpected end of input in tag <${control.tag.type}>`, control.tagStart, { type: control.tag.type });
+            control.tag = null;
+        }
+
+        // Handle any remaining text
+        commitText.call(control);
+
+        // Elements still open end with the input
+        while (control.stack.length) {
+            const node = control.stack.pop();
+            if (!(htmlMode && optionalEndTags.has(nameOf(node)))) {
+                reportError('unclosed-element', `Element <${node.type}> is not closed`, openPositions.get(node), node);
+            }
+            closeElement.call(control, node, getPosition.call(control));
+        }
+
+        // Determine the final result
+        let finalResult;
+        if (result.children) {
+            // If there's only one root element, return it directly
+            if (result.children.length === 1) {
+                finalResult = result.children[0];
+            }
+            // If there are multiple root elements, return the template wrapper
+            else if (result.children.length > 1) {
+                finalResult = result;
+            }
+        }
+
+        if (options.withErrors) {
+            return { tree: finalResult, errors: errors };
+        }
+
+        return finalResult;
     }
 
-    return finalResult;
+    return { write, end };
 }
@@ -0,0 +1,343 @@
+/**
+ * Normalize props to an array of name/value pairs
+ * @param {*} props - Props from node (array or object)
+ * @returns {Array<{name: string, value: *}>} Normalized props array
+ */
+export function normalizeProps(props) {
+    if (!props) {
+        return [];
+    }
+
+    if (Array.isArray(props)) {
+        return props;
+    }
+
+    if (typeof props === 'object') {
+        return Object.keys(props).map(key => ({ name: key, value: props[key] }));
+    }
+
+    return [];
+}
+
+/**
+ * Check if props are in the object form
+ * @param {*} props - Props from node
+ * @returns {boolean}
+ */
+const isPropsObject = function(props) {
+    return !!props && typeof props === 'object' && !Array.isArray(props);
+}
+
+/**
+ * Convert props to an object mapping each name to its value, the first of duplicate names wins
+ * @param {*} props - Props from node (array or object)
+ * @returns {Object} Props object
+ */
+export function propsToObject(props) {
+    if (isPropsObject(props)) {
+        return props;
+    }
+
+    const result = {};
+    for (const prop of normalizeProps(props)) {
+        if (prop && typeof prop.name === 'string' && !Object.prototype.hasOwnProperty.call(result, prop.name)) {
+            result[prop.name] = prop.value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Get an attribute value as a string
+ * @param {*} value - Attribute value
+ * @returns {string} Value, empty for boolean attributes (true), null and undefined
+ */
+export function attributeToString(value) {
+    return value === null || typeof value === 'undefined' || value === true ? '' : String(value);
+}
+
+/**
+ * Get the value of an attribute
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Attribute name
+ * @returns {*} Attribute value, null when the attribute is missing
+ */
+export function getAttr(node, name) {
+    if (!node || !node.props) {
+        return null;
+    }
+    if (isPropsObject(node.props)) {
+        return Object.prototype.hasOwnProperty.call(node.props, name) ? node.props[name] : null;
+    }
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    return prop ? prop.value : null;
+}
+
+/**
+ * Check if an element has an attribute
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Attribute name
+ * @returns {boolean}
+ */
+export function hasAttr(node, name) {
+    if (!node || !node.props) {
+        return false;
+    }
+    if (isPropsObject(node.props)) {
+        return Object.prototype.hasOwnProperty.call(node.props, name);
+    }
+    return normalizeProps(node.props).some(prop => prop && prop.name === name);
+}
+
+/**
+ * Set the value of an attribute, in place when it exists and at the end otherwise. The props
+ * keep their form, nodes without props get an array.
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Attribute name
+ * @param {*} value - Attribute value
+ * @returns {Object} The node
+ */
+export function setAttr(node, name, value) {
+    if (isPropsObject(node.props)) {
+        node.props[name] = value;
+        return node;
+    }
+    if (!Array.isArray(node.props)) {
+        node.props = [];
+    }
+    const prop = node.props.find(prop => prop && prop.name === name);
+    if (prop) {
+        prop.value = value;
+    } else {
+        node.props.push({ name, value });
+    }
+    return node;
+}
+
+/**
+ * Remove an attribute, and the props of the node when none are left
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Attribute name
+ * @returns {Object} The node
+ */
+export function removeAttr(node, name) {
+    if (isPropsObject(node.props)) {
+        delete node.props[name];
+        if (!Object.keys(node.props).length) {
+            delete node.props;
+        }
+    } else if (Array.isArray(node.props)) {
+        node.props = node.props.filter(prop => !prop || prop.name !== name);
+        if (!node.props.length) {
+            delete node.props;
+        }
+    }
+    return node;
+}
+
+/**
+ * Get the class names of an element
+ * @param {Object} node - Element node, with props in either form
+ * @returns {string[]} Class names, without duplicates
+ */
+export function getClasses(node) {
+    const value = getAttr(node, 'class');
+    if (typeof value !== 'string') {
+        return [];
+    }
+    return [...new Set(value.split(/[ \t\n\f\r]+/).filter(Boolean))];
+}
+
+/**
+ * Check if an element has a class name
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Class name
+ * @returns {boolean}
+ */
+export function hasClass(node, name) {
+    return getClasses(node).includes(name);
+}
+
+/**
+ * Write the class attribute of an element, removing it when no class is left
+ * @param {Object} node - Element node
+ * @param {string[]} classes - Class names
+ * @returns {Object} The node
+ */
+const setClasses = function(node, classes) {
+    if (!classes.length) {
+        return removeAttr(node, 'class');
+    }
+    return setAttr(node, 'class', classes.join(' '));
+}
+
+/**
+ * Add class names to an element, the ones it already has are kept where they are
+ * @param {Object} node - Element node, with props in either form
+ * @param {...string} names - Class names
+ * @returns {Object} The node
+ */
+export function addClass(node, ...names) {
+    const classes = getClasses(node);
+    for (const name of names) {
+        if (!classes.includes(name)) {
+            classes.push(name);
+        }
+    }
+    return setClasses(node, classes);
+}
+
+/**
+ * Remove class names from an element
+ * @param {Object} node - Element node, with props in either form
+ * @param {...string} names - Class names
+ * @returns {Object} The node
+ */
+export function removeClass(node, ...names) {
+    if (!hasAttr(node, 'class')) {
+        return node;
+    }
+    return setClasses(node, getClasses(node).filter(name => !names.includes(name)));
+}
+
+/**
+ * Add a class name an element does not have, or remove it when it has it
+ * @param {Object} node - Element node, with props in either form
+ * @param {string} name - Class name
+ * @param {boolean} [force] - Only add (true) or only remove (false)
+ * @returns {boolean} Whether the element has the class name afterwards
+ */
+export function toggleClass(node, name, force) {
+    const add = typeof force === 'boolean' ? force : !hasClass(node, name);
+    if (add) {
+        addClass(node, name);
+    } else {
+        removeClass(node, name);
+    }
+    return add;
+}
+
+/**
+ * Normalize a CSS property name, custom properties (--name) are case-sensitive
+ * @param {string} name - Property name
+ * @returns {string}
+ */
+const styleName = function(name) {
+    name = name.trim();
+    return name.startsWith('--') ? name : name.toLowerCase();
+}
+
+/**
+ * Parse the value of a style attribute into a map of declarations. Property names are
+ * lowercased (except custom properties), the last of duplicate properties wins, and
+ * semicolons inside strings and parentheses (e.g., data URLs) do not end a declaration.
+ * @param {string} value - Style attribute value
+ * @returns {Object} Declarations, property name to value (with its !important)
+ */
+export function parseStyle(value) {
+    const declarations = {};
+    if (typeof value !== 'string') {
+        return declarations;
+    }
+
+    /**
+     * Add a declaration
+     * @param {string} text - Declaration, "name: value"
+     */
+    const add = function(text) {
+        const colon = text.indexOf(':');
+        if (colon === -1) {
+            return;
+        }
+        const name = styleName(text.substring(0, colon));
+        const declaration = text.substring(colon + 1).trim();
+        if (!name || !declaration) {
+            return;
+        }
+        // Later declarations of a property override the earlier ones
+        delete declarations[name];
+        declarations[name] = declaration;
+    }
+
+    let text = '';
+    let quote = null;
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (quote) {
+            text += char;
+            if (char === '\\' && i + 1 < value.length) {
+                text += value[++i];
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '/' && value[i + 1] === '*') {
+            // Comments are dropped
+            const end = value.indexOf('*/', i + 2);
+            i = end === -1 ? value.length : end + 1;
+        } else if (char === ';' && depth === 0) {
+            add(text);
+            text = '';
+        } else {
+            if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && depth > 0) {
+                depth--;
+            }
+            text += char;
+        }
+    }
+    add(text);
+
+    return declarations;
+}
+
+/**
+ * Serialize a map of declarations into the value of a style attribute
+ * @param {Object} declarations - Property name to value, null, undefined and empty values are left out
+ * @returns {string} Style attribute value, e.g. "color: red; margin: 0;"
+ */
+export function serializeStyle(declarations) {
+    if (!declarations || typeof declarations !== 'object') {
+        return '';
+    }
+    return Object.keys(declarations)
+        .filter(name => declarations[name] !== null && typeof declarations[name] !== 'undefined' && String(declarations[name]).trim() !== '')
+        .map(name => `${name}: ${String(declarations[name]).trim()};`)
+        .join(' ');
+}
+
+/**
+ * Get the inline style declarations of an element
+ * @param {Object} node - Element node, with props in either form
+ * @returns {Object} Declarations, property name to value
+ */
+export function getStyle(node) {
+    return parseStyle(getAttr(node, 'style'));
+}
+
+/**
+ * Change the inline style of an element. The declarations are merged into the ones the
+ * element has, a null value removes a property, and the style attribute is removed when
+ * no declaration is left.
+ * @param {Object} node - Element node, with props in either form
+ * @param {Object} declarations - Property name to value, null to remove the property
+ * @returns {Object} The node
+ */
+export function setStyle(node, declarations) {
+    const style = getStyle(node);
+    for (const key of Object.keys(declarations || {})) {
+        const name = styleName(key);
+        const value = declarations[key];
+        if (value === null || typeof value === 'undefined' || String(value).trim() === '') {
+            delete style[name];
+        } else {
+            style[name] = String(value).trim();
+        }
+    }
+
+    const value = serializeStyle(style);
+    return value ? setAttr(node, 'style', value) : removeAttr(node, 'style');
+}
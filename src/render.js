@@ -1,3 +1,6 @@
+import { normalizeProps } from './props.js';
+import { parseDoctype, parseProcessingInstruction, writeDoctype, writeProcessingInstruction } from './declarations.js';
+
 /**
  * Convert a parsed JSON tree (from HTMLParser) back into HTML/XML markup.
  * This is a clean implementation without LemonadeJS events, bindings, or dynamic features.
@@ -7,11 +10,59 @@
  * @param {Object} options - Rendering options.
  * @param {boolean} [options.pretty=false] - Format output with newlines and indentation.
  * @param {string} [options.indent='  '] - Indentation string when pretty printing.
- * @param {string[]} [options.selfClosingTags] - Optional override for void/self-closing elements.
+ * @param {number} [options.maxWidth=80] - Line width above which the attributes of a start tag are wrapped when pretty printing.
+ * @param {string[]} [options.selfClosingTags] - Optional override for void/self-closing elements (svg and math content always closes empty elements with "/>").
+ * @param {string[]} [options.rawTextTags] - Optional override for elements whose text content is written without escaping.
  * @param {boolean} [options.xmlMode=false] - Use XML self-closing syntax for all empty elements.
  * @returns {string} HTML/XML markup string created from the tree.
  */
 export default function render(tree, options = {}) {
+    let output = '';
+    const next = createRenderer(options)(tree, chunk => {
+        output += chunk;
+    });
+    while (next()) {
+        // Every step adds to the output
+    }
+    return output;
+}
+
+/**
+ * Render a JSON tree incrementally, for piping large documents into a response or a file.
+ * The chunks joined together are exactly what render() returns.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes to render.
+ * @param {Object} options - Rendering options, the same as render().
+ * @param {number} [options.chunkSize=16384] - Minimum length of the chunks yielded (the last one can be shorter).
+ * @returns {AsyncGenerator<string>} Markup chunks, usable with for await or Readable.from().
+ */
+export async function* renderStream(tree, options = {}) {
+    const chunkSize = options.chunkSize > 0 ? options.chunkSize : 16384;
+    let buffer = '';
+
+    // The tree is written a step at a time, and the chunks go out as the buffer fills
+    const next = createRenderer(options)(tree, chunk => {
+        buffer += chunk;
+    });
+    while (next()) {
+        if (buffer.length >= chunkSize) {
+            yield buffer;
+            buffer = '';
+        }
+    }
+
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/**
+ * Create the renderer that writes a tree as a sequence of markup chunks. The tree is walked with
+ * an explicit stack of tasks, so the cost of a chunk does not grow with the depth of the tree.
+ * @param {Object} options - Rendering options, see render()
+ * @returns {Function} Function taking a node or a list of nodes and a receiver for the chunks
+ */
+const createRenderer = function(options) {
     // Void elements default list (can be overridden via options.selfClosingTags)
     const voidElements = new Set(
         (options.selfClosingTags || [
@@ -20,30 +71,66 @@ export default function render(tree, options = {}) {
         ]).map(tag => tag.toLowerCase())
     );
 
+    // Raw text elements default list (can be overridden via options.rawTextTags)
+    const rawTextElements = new Set(
+        (options.rawTextTags || [
+            'script', 'style', 'xmp', 'iframe', 'noembed', 'noframes'
+        ]).map(tag => tag.toLowerCase())
+    );
+
+    // Block-level elements, laid out on their own lines when pretty printing
+    const blockElements = new Set([
+        'address', 'article', 'aside', 'base', 'blockquote', 'body', 'caption', 'col', 'colgroup', 'dd',
+        'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+        'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html', 'li',
+        'link', 'main', 'menu', 'meta', 'nav', 'noscript', 'ol', 'optgroup', 'option', 'p', 'pre', 'script',
+        'section', 'source', 'style', 'summary', 'table', 'tbody', 'td', 'template', 'tfoot', 'th', 'thead',
+        'title', 'tr', 'track', 'ul'
+    ]);
+
+    // Elements whose content is written as it is when pretty printing
+    const preservedElements = new Set(['pre', 'textarea', 'listing', 'plaintext']);
+
+    // SVG and MathML elements whose content is HTML again
+    const svgIntegrationPoints = new Set(['foreignobject', 'desc', 'title']);
+    const mathmlIntegrationPoints = new Set(['mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml']);
+
     const settings = {
         pretty: !!options.pretty,
         indent: options.indent || '  ',
         xmlMode: !!options.xmlMode,
+        maxWidth: typeof options.maxWidth === 'number' ? options.maxWidth : 80,
     };
 
     const newline = settings.pretty ? '\n' : '';
 
+    // Namespace bindings in scope for the element being rendered, the xml and xmlns prefixes are always bound
+    const namespaceScopes = [{
+        xml: 'http://www.w3.org/XML/1998/namespace',
+        xmlns: 'http://www.w3.org/2000/xmlns/',
+    }];
+
+    // Kind of content being rendered: 'html', or 'svg' and 'math' inside foreign elements
+    const contentNamespaces = ['html'];
+
     /**
      * Escape special characters in attribute values
      * @param {*} value - Attribute value
+     * @param {string} [quote='"'] - Quote the value is written between
      * @returns {string} Escaped value
      */
-    const escapeAttribute = function(value) {
+    const escapeAttribute = function(value, quote = '"') {
         if (value === null || typeof value === 'undefined') {
             return '';
         }
 
-        return String(value)
+        const escaped = String(value)
             .replace(/&/g, '&amp;')
-            .replace(/"/g, '&quot;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
             .replace(/'/g, '&#39;');
+        // Double quotes are only escaped in values written between double quotes
+        return quote === '"' ? escaped.replace(/"/g, '&quot;') : escaped;
     };
 
     /**
@@ -62,27 +149,6 @@ export default function render(tree, options = {}) {
             .replace(/>/g, '&gt;');
     };
 
-    /**
-     * Normalize props to an array of name/value pairs
-     * @param {*} props - Props from node (array or object)
-     * @returns {Array<{name: string, value: *}>} Normalized props array
-     */
-    const normalizeProps = function(props) {
-        if (!props) {
-            return [];
-        }
-
-        if (Array.isArray(props)) {
-            return props;
-        }
-
-        if (typeof props === 'object') {
-            return Object.keys(props).map(key => ({ name: key, value: props[key] }));
-        }
-
-        return [];
-    };
-
     /**
      * Get a property value from node props by name
      * @param {Object} node - Node object
@@ -98,74 +164,456 @@ export default function render(tree, options = {}) {
     /**
      * Render element attributes as a string
      * @param {Object} node - Node object
+     * @param {string[]} [declarations=[]] - Namespace declarations written before the attributes
      * @returns {string} Attributes string (with leading space if not empty)
      */
-    const renderAttributes = function(node) {
+    const renderAttributes = function(node, declarations = []) {
+        const attrs = getAttributes(node, declarations);
+        return attrs.length ? ' ' + attrs.join(' ') : '';
+    };
+
+    /**
+     * Render each element attribute as a name="value" string
+     * @param {Object} node - Node object
+     * @param {string[]} [declarations=[]] - Namespace declarations written before the attributes
+     * @returns {string[]} Rendered attributes
+     */
+    const getAttributes = function(node, declarations = []) {
         const props = normalizeProps(node?.props);
         if (!props.length) {
-            return '';
+            return declarations;
         }
 
-        const attrs = props
-            .filter(prop => prop && typeof prop.name === 'string' && prop.name.length && prop.name !== 'textContent')
-            .map(prop => {
-                const value = typeof prop.value === 'undefined' ? prop.name : prop.value;
-                return `${prop.name}="${escapeAttribute(value)}"`;
-            })
-            .filter(Boolean);
+        return declarations.concat(getAttributeProps(node).map(renderAttribute));
+    };
 
-        return attrs.length ? ' ' + attrs.join(' ') : '';
+    /**
+     * Get the props of an element that are written as attributes
+     * @param {Object} node - Element node
+     * @returns {Array<Object>} Props, without the ones set to false
+     */
+    const getAttributeProps = function(node) {
+        return normalizeProps(node?.props)
+            .filter(prop => prop && typeof prop.name === 'string' && prop.name.length && prop.name !== 'textContent' && prop.value !== false);
     };
 
     /**
-     * Render child nodes
-     * @param {Array} children - Array of child nodes
+     * Render an attribute as a name="value" string
+     * @param {Object} prop - Attribute prop
+     * @returns {string} Rendered attribute
+     */
+    const renderAttribute = function(prop) {
+        // Boolean attributes are written by name in HTML
+        if (prop.value === true) {
+            return settings.xmlMode ? `${prop.name}="${escapeAttribute(prop.name)}"` : prop.name;
+        }
+        const value = typeof prop.value === 'undefined' ? prop.name : prop.value;
+        // The quote style of the source is kept when the value allows it
+        if (prop.quote === '\'') {
+            return `${prop.name}='${escapeAttribute(value, '\'')}'`;
+        }
+        if (prop.quote === '' && !settings.xmlMode && /^[^\s"'=<>`&]+$/.test(String(value))) {
+            return `${prop.name}=${value}`;
+        }
+        return `${prop.name}="${escapeAttribute(value)}"`;
+    };
+
+    /**
+     * Check if props have the names and values recorded by the parser lossless option
+     * @param {Array<Object>} props - Current props
+     * @param {Array<Object>} recorded - Props as they were parsed
+     * @returns {boolean}
+     */
+    const sameProps = function(props, recorded) {
+        return props.length === recorded.length &&
+            props.every((prop, i) => prop.name === recorded[i].name && prop.value === recorded[i].value);
+    };
+
+    /**
+     * Render a doctype or processing instruction, with the text it was parsed from while its props still match it
+     * @param {Object} node - Doctype or processing instruction node
+     * @param {Function} parse - Function reading the props from the text
+     * @param {Function} write - Function writing the declaration from its props
+     * @returns {string} Declaration markup
+     */
+    const renderDeclaration = function(node, parse, write) {
+        const props = normalizeProps(node.props);
+        if (typeof node.raw === 'string' && sameProps(props, parse(node.raw))) {
+            return node.raw;
+        }
+        return write(props);
+    };
+
+    /**
+     * Get the source text of a text, comment, CDATA, doctype or processing instruction node
+     * parsed with the lossless option, when its props are unchanged
+     * @param {Object} node - Node
+     * @returns {string|null} Source text, null when the node is written from its props
+     */
+    const getSourceText = function(node) {
+        const source = node.source;
+        if (settings.pretty || !source || typeof source.text !== 'string' || !Array.isArray(source.props)) {
+            return null;
+        }
+        return sameProps(normalizeProps(node.props), source.props) ? source.text : null;
+    };
+
+    /**
+     * Get the start tag of an element parsed with the lossless option: the source text while the
+     * attributes are unchanged, or a new tag keeping the source text of the attributes left as they were
+     * @param {Object} node - Element node
+     * @param {string[]} declarations - Namespace declarations to add to the start tag
+     * @param {boolean} reopened - The start tag closed the element and the element now has content
+     * @returns {string|null} Start tag, null when the element is written from its props
+     */
+    const getSourceStartTag = function(node, declarations, reopened) {
+        const { startTag, attributes, duplicates = [] } = node.source;
+        const props = getAttributeProps(node);
+
+        if (!declarations.length && !reopened && sameProps(props, attributes)) {
+            return startTag;
+        }
+        // Implied elements have no source text to start from
+        if (!startTag) {
+            return null;
+        }
+
+        let tag = `<${node.type}${declarations.map(declaration => ' ' + declaration).join('')}`;
+        // Index of the attribute written last, source text right after it needs no separator
+        let previous = declarations.length ? null : -1;
+        for (const prop of props) {
+            const index = attributes.findIndex(attribute => attribute.name === prop.name && attribute.value === prop.value);
+            if (index === -1) {
+                tag += ' ' + renderAttribute(prop);
+                previous = null;
+            } else {
+                const text = attributes[index].text;
+                tag += index === previous + 1 || /^\s/.test(text) ? text : ' ' + text;
+                previous = index;
+            }
+        }
+
+        // Whitespace, "/" and ">" after the last attribute, past the text of dropped duplicates
+        const end = startTag.substring(attributes.concat(duplicates).reduce((length, attribute) => length + attribute.text.length, node.type.length + 1));
+        return tag + (reopened ? end.replace(/\/>$/, '>') : end);
+    };
+
+    /**
+     * Check if an element has usable source text from the parser lossless option
+     * @param {Object} node - Element node
+     * @returns {boolean} False when pretty printing, or when the element was renamed
+     */
+    const hasSource = function(node) {
+        const source = node.source;
+        if (settings.pretty || !source || typeof source.startTag !== 'string' || !Array.isArray(source.attributes)) {
+            return false;
+        }
+        const name = node.type;
+        return !source.startTag || (source.startTag.substring(1, name.length + 1) === name && !/[a-zA-Z0-9-:]/.test(source.startTag[name.length + 1] || ''));
+    };
+
+    /**
+     * Work out the namespace bindings of an element, and the declarations it needs so that the
+     * namespaces set on it and on its attributes (parser namespaces option) are bound to their prefixes.
+     * Declarations already in the props are kept as they are.
+     * @param {Object} node - Element node
+     * @returns {{scope: Object, declarations: string[]}} Bindings for the children and missing declarations
+     */
+    const getNamespaceScope = function(node) {
+        const parentScope = namespaceScopes[namespaceScopes.length - 1];
+        const props = normalizeProps(node.props).filter(prop => prop && typeof prop.name === 'string');
+        const declared = new Set();
+        const declarations = [];
+        let scope = parentScope;
+
+        const bind = function(prefix, namespace) {
+            if (scope === parentScope) {
+                scope = { ...parentScope };
+            }
+            scope[prefix] = namespace || null;
+            declared.add(prefix);
+        };
+
+        for (const prop of props) {
+            if (prop.name === 'xmlns') {
+                bind('', prop.value);
+            } else if (prop.name.startsWith('xmlns:')) {
+                bind(prop.name.substring(6), prop.value);
+            }
+        }
+
+        /**
+         * Declare the namespace of a name when its prefix is not bound to it
+         * @param {string} name - Qualified name
+         * @param {string|null|undefined} namespace - Namespace URI, undefined when unknown
+         * @param {boolean} attribute - Attributes without a prefix are in no namespace
+         */
+        const require = function(name, namespace, attribute) {
+            if (typeof namespace === 'undefined') {
+                return;
+            }
+            const colon = name.indexOf(':');
+            const prefix = colon > 0 ? name.substring(0, colon) : '';
+            if ((attribute && !prefix) || prefix === 'xml' || prefix === 'xmlns' || declared.has(prefix)) {
+                return;
+            }
+            // A prefix cannot be undeclared, only the default namespace
+            if ((scope[prefix] || null) === (namespace || null) || (prefix && !namespace)) {
+                return;
+            }
+            bind(prefix, namespace);
+            declarations.push(`${prefix ? 'xmlns:' + prefix : 'xmlns'}="${escapeAttribute(namespace || '')}"`);
+        };
+
+        require(node.type, node.namespace, false);
+        for (const prop of props) {
+            if (prop.name !== 'xmlns' && !prop.name.startsWith('xmlns:')) {
+                require(prop.name, prop.namespace, true);
+            }
+        }
+
+        return { scope, declarations };
+    };
+
+    /**
+     * Check if a text node holds whitespace only (it does not render between block-level elements)
+     * @param {Object} node - Node object
+     * @returns {boolean}
+     */
+    const isWhitespace = function(node) {
+        return node.type === '#text' && /^[ \t\n\r\f]*$/.test(String(getPropValue(node, 'textContent') ?? ''));
+    };
+
+    /**
+     * Check if a node can go on its own line without changing how the document renders
+     * @param {*} node - Node to check
+     * @returns {boolean}
+     */
+    const isBlockLevel = function(node) {
+        if (!node || !node.type || typeof node.type !== 'string') {
+            return true;
+        }
+        if (node.type === '#text') {
+            return isWhitespace(node);
+        }
+        if (node.type === '#cdata') {
+            return false;
+        }
+        if (node.type[0] === '#') {
+            // Comments, doctypes and processing instructions
+            return true;
+        }
+        if (node.type === 'template') {
+            return !Array.isArray(node.children) || node.children.every(isBlockLevel);
+        }
+        return settings.xmlMode || blockElements.has(node.type.toLowerCase());
+    };
+
+    /**
+     * Get the children to put on their own lines, or null when they form an inline formatting
+     * context (text or inline elements) and must be written as they are
+     * @param {Array} children - Child nodes
+     * @returns {Array|null} Children without the whitespace between them, or null
+     */
+    const getBlockChildren = function(children) {
+        if (!Array.isArray(children) || !children.every(isBlockLevel)) {
+            return null;
+        }
+
+        const blocks = children.filter(child => child && !isWhitespace(child));
+        return blocks.length ? blocks : null;
+    };
+
+    /**
+     * Check if an element keeps its content exactly as it is (pre, textarea, script, xml:space="preserve")
+     * @param {Object} node - Element node
+     * @returns {boolean}
+     */
+    const isPreserved = function(node) {
+        const name = node.type.toLowerCase();
+        return preservedElements.has(name) || rawTextElements.has(name) || getPropValue(node, 'xml:space') === 'preserve';
+    };
+
+    /**
+     * Write a start tag for pretty printing, wrapping the attributes one per line when the line is too long.
+     * A single attribute is only wrapped when the start tag alone is too long, not for the content after it.
+     * @param {string} tag - Tag name
+     * @param {string[]} attributes - Rendered attributes
      * @param {number} depth - Current indentation depth
-     * @returns {string} Rendered children
+     * @param {string} end - End of the tag, '>' or ' />'
+     * @param {string} [rest=''] - What follows the tag on the same line, counted in the line width
+     * @returns {string} Start tag
      */
-    const renderChildren = function(children, depth) {
-        if (!children || !Array.isArray(children) || !children.length) {
-            return '';
+    const formatStartTag = function(tag, attributes, depth, end, rest = '') {
+        const indent = settings.indent.repeat(depth);
+        const line = `${indent}<${tag}${attributes.length ? ' ' + attributes.join(' ') : ''}${end}`;
+
+        if (!attributes.length || !(settings.maxWidth > 0) || (line + rest).length <= settings.maxWidth) {
+            return line;
+        }
+        if (attributes.length === 1 && line.length <= settings.maxWidth) {
+            return line;
+        }
+
+        const inner = settings.indent.repeat(depth + 1);
+        return `${indent}<${tag}\n${attributes.map(attribute => inner + attribute).join('\n')}\n${indent}${end.trim()}`;
+    };
+
+    // Work left to do, run last in first out so that deep trees need no recursion
+    const tasks = [];
+    // Lists of children being written, and the index of the first one whose current child has written nothing yet
+    let lists = [];
+    let started = 0;
+    // Receives the markup chunks
+    let write = null;
+
+    /**
+     * Write a chunk, after the prefix or separator owed to the lists of children it starts a child of
+     * @param {string} chunk - Markup chunk
+     */
+    const out = function(chunk) {
+        if (!chunk) {
+            return;
+        }
+        // Children that render nothing get no separator
+        for (; started < lists.length; started++) {
+            const list = lists[started];
+            write(list.written ? list.separator : list.prefix);
+            list.written = true;
+        }
+        write(chunk);
+    };
+
+    /**
+     * Render content into a string right away, for content measured before the tag it follows is written
+     * @param {Function} schedule - Adds the tasks rendering the content
+     * @returns {string} Markup
+     */
+    const capture = function(schedule) {
+        const saved = { lists, started, write };
+        let output = '';
+        lists = [];
+        started = 0;
+        write = chunk => { output += chunk; };
+
+        const base = tasks.length;
+        schedule();
+        while (tasks.length > base) {
+            tasks.pop()();
         }
 
-        return children
-            .map(child => renderNode(child, depth))
-            .filter(fragment => fragment !== '')
-            .join(settings.pretty ? '\n' : '');
+        ({ lists, started, write } = saved);
+        return output;
+    };
+
+    /**
+     * Render child nodes, separated by newlines when pretty printing
+     * @param {Array} children - Array of child nodes
+     * @param {number} depth - Current indentation depth
+     * @param {boolean} [rawText=false] - Children belong to a raw text element
+     * @param {boolean} [inline=false] - Children are written as they are, without pretty printing
+     * @param {string} [prefix=''] - Written before the first child that renders something
+     * @param {Function} [done] - Called after the children, with true when any of them rendered something
+     */
+    const renderChildren = function(children, depth, rawText, inline, prefix = '', done) {
+        const list = { prefix, separator: inline ? '' : newline, written: false };
+
+        tasks.push(() => {
+            lists.pop();
+            started = Math.min(started, lists.length);
+            if (done) {
+                done(list.written);
+            }
+        });
+        if (Array.isArray(children)) {
+            for (let i = children.length - 1; i >= 0; i--) {
+                const child = children[i];
+                tasks.push(() => {
+                    started = Math.min(started, lists.length - 1);
+                    renderNode(child, depth, rawText, inline);
+                });
+            }
+        }
+        tasks.push(() => {
+            lists.push(list);
+        });
     };
 
     /**
      * Render a single node
      * @param {*} node - Node to render
      * @param {number} depth - Current indentation depth
-     * @returns {string} Rendered HTML/XML
+     * @param {boolean} [rawText=false] - Node is the content of a raw text element (script, style)
+     * @param {boolean} [inline=false] - Node is part of an inline formatting context, written without pretty printing
      */
-    const renderNode = function(node, depth = 0) {
+    const renderNode = function(node, depth = 0, rawText = false, inline = false) {
         if (!node) {
-            return '';
+            return;
         }
 
+        const pretty = settings.pretty && !inline;
+
         // Handle array of nodes
         if (Array.isArray(node)) {
-            return node.map(child => renderNode(child, depth)).join(settings.pretty ? '\n' : '');
+            if (pretty) {
+                renderList(node, depth);
+            } else {
+                renderChildren(node, depth, false, inline);
+            }
+            return;
         }
 
-        const indent = settings.pretty ? settings.indent.repeat(depth) : '';
+        const indent = pretty ? settings.indent.repeat(depth) : '';
 
         // Handle template wrapper (skip rendering, just render children)
         if (node.type === 'template') {
-            return renderChildren(node.children, depth);
+            if (pretty) {
+                renderList(node.children, depth);
+            } else {
+                renderChildren(node.children, depth, false, inline);
+            }
+            return;
+        }
+
+        // Nodes parsed with the lossless option are written as they were while they are unchanged
+        const sourceText = getSourceText(node);
+        if (sourceText !== null) {
+            out(indent + sourceText);
+            return;
         }
 
         // Handle text nodes
         if (node.type === '#text') {
-            return indent + escapeText(getPropValue(node, 'textContent'));
+            const text = getPropValue(node, 'textContent');
+            // Raw text content (script, style) is written as-is
+            out(indent + (rawText ? String(text ?? '') : escapeText(text)));
+            return;
+        }
+
+        // Handle CDATA sections (a "]]>" inside the content is split across two sections)
+        if (node.type === '#cdata') {
+            const text = String(getPropValue(node, 'textContent') ?? '');
+            out(`${indent}<![CDATA[${text.split(']]>').join(']]]]><![CDATA[>')}]]>`);
+            return;
+        }
+
+        // Handle doctype declarations
+        if (node.type === '#doctype') {
+            out(indent + renderDeclaration(node, parseDoctype, writeDoctype));
+            return;
+        }
+
+        // Handle processing instructions and the XML declaration
+        if (node.type === '#processing-instruction') {
+            out(indent + renderDeclaration(node, parseProcessingInstruction, writeProcessingInstruction));
+            return;
         }
 
         // Handle comment nodes
         if (node.type === '#comments') {
             const text = getPropValue(node, 'text');
-            return `${indent}<!--${text}-->`;
+            out(`${indent}<!--${text}-->`);
+            return;
         }
 
         // Handle element nodes
@@ -173,27 +621,136 @@ export default function render(tree, options = {}) {
 
         // Invalid node - tag name is required
         if (!tagName || typeof tagName !== 'string') {
-            return '';
+            return;
         }
 
-        const attributes = renderAttributes(node);
+        // svg and math elements and their content follow the XML syntax, up to the integration points
+        const name = tagName.toLowerCase();
+        let foreign = contentNamespaces[contentNamespaces.length - 1];
+        if (foreign === 'html') {
+            foreign = name === 'svg' || name === 'math' ? name : null;
+        }
+        const integrationPoint = (foreign === 'svg' && svgIntegrationPoints.has(name)) ||
+            (foreign === 'math' && mathmlIntegrationPoints.has(name));
+
+        const { scope, declarations } = getNamespaceScope(node);
+        namespaceScopes.push(scope);
+        contentNamespaces.push(integrationPoint ? 'html' : foreign || 'html');
+        // The bindings go out of scope once the element and its content are written
+        tasks.push(() => {
+            namespaceScopes.pop();
+            contentNamespaces.pop();
+        });
+        renderElement(node, depth, inline, declarations, !!foreign);
+    };
+
+    /**
+     * Render an element node
+     * @param {Object} node - Element node
+     * @param {number} depth - Current indentation depth
+     * @param {boolean} inline - Element is part of an inline formatting context
+     * @param {string[]} declarations - Namespace declarations to add to the start tag
+     * @param {boolean} foreign - svg or math element, closed with "/>" when empty and never raw text
+     */
+    const renderElement = function(node, depth, inline, declarations, foreign) {
+        const pretty = settings.pretty && !inline;
+        const indent = pretty ? settings.indent.repeat(depth) : '';
+        const tagName = node.type;
         const hasChildren = Array.isArray(node.children) && node.children.length > 0;
-        const children = hasChildren ? renderChildren(node.children, depth + 1) : '';
         const tag = String(tagName);
+        const rawTextContent = !foreign && rawTextElements.has(tag.toLowerCase());
 
         // Decide if element should be self-closing
-        const canSelfClose = !hasChildren && (settings.xmlMode || voidElements.has(tag.toLowerCase()));
+        const canSelfClose = !hasChildren && (settings.xmlMode || foreign || voidElements.has(tag.toLowerCase()));
+
+        if (hasSource(node)) {
+            // An element closed by its start tag ("/>" or a void element) gets an end tag once it has content
+            const reopened = hasChildren && node.source.endTag === '';
+            const startTag = getSourceStartTag(node, declarations, reopened);
+            if (startTag !== null) {
+                out(startTag);
+                // Elements without an end tag in the source (void, self-closing, implied or unclosed) get none
+                tasks.push(() => out(reopened ? `</${tag}>` : node.source.endTag));
+                if (hasChildren) {
+                    renderChildren(node.children, depth + 1, rawTextContent, inline);
+                }
+                return;
+            }
+        }
+
+        if (!pretty) {
+            const attributes = renderAttributes(node, declarations);
+            if (canSelfClose) {
+                out(`<${tag}${attributes} />`);
+                return;
+            }
+
+            out(`<${tag}${attributes}>`);
+            tasks.push(() => out(`</${tag}>`));
+            if (hasChildren) {
+                renderChildren(node.children, depth + 1, rawTextContent, inline);
+            }
+            return;
+        }
+
+        const attributes = getAttributes(node, declarations);
 
         if (canSelfClose) {
-            return `${indent}<${tag}${attributes} />`;
+            out(formatStartTag(tag, attributes, depth, ' />'));
+            return;
         }
 
-        if (settings.pretty && hasChildren && children.length) {
-            return `${indent}<${tag}${attributes}>${newline}${children}${newline}${indent}</${tag}>`;
+        // Block-level children go on their own lines
+        const blocks = isPreserved(node) ? null : getBlockChildren(node.children);
+        if (blocks) {
+            out(formatStartTag(tag, attributes, depth, '>'));
+            renderChildren(blocks, depth + 1, rawTextContent, false, newline, written => {
+                out(written ? `${newline}${indent}</${tag}>` : `</${tag}>`);
+            });
+            return;
         }
 
-        return `${indent}<${tag}${attributes}>${children}</${tag}>`;
+        // Inline formatting contexts and preserved content are kept on the line of the start tag, as they are
+        const content = hasChildren ? capture(() => renderChildren(node.children, depth + 1, rawTextContent, true)) : '';
+        const end = `</${tag}>`;
+        out(formatStartTag(tag, attributes, depth, '>', content + end) + content + end);
     };
 
-    return renderNode(tree);
+    /**
+     * Render a list of root nodes (or the children of a template wrapper) when pretty printing
+     * @param {Array} nodes - Nodes to render
+     * @param {number} depth - Current indentation depth
+     */
+    const renderList = function(nodes, depth) {
+        const blocks = getBlockChildren(nodes);
+        if (blocks) {
+            renderChildren(blocks, depth);
+            return;
+        }
+
+        // Inline content is written on a single line
+        const content = Array.isArray(nodes) ? capture(() => renderChildren(nodes, depth, false, true)) : '';
+        if (content) {
+            out(settings.indent.repeat(depth) + content);
+        }
+    };
+
+    /**
+     * Start rendering a tree
+     * @param {Object|Array} tree - Parsed node or list of nodes
+     * @param {Function} output - Receives the markup chunks, in order
+     * @returns {Function} Renders the next part of the tree, returns false once the whole tree is written
+     */
+    return function(tree, output) {
+        write = output;
+        tasks.push(() => renderNode(tree));
+        return function() {
+            const task = tasks.pop();
+            if (!task) {
+                return false;
+            }
+            task();
+            return true;
+        };
+    };
 };
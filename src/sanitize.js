@@ -0,0 +1,275 @@
+import parser from './parser.js';
+import render from './render.js';
+import walk from './walk.js';
+import { normalizeProps, attributeToString } from './props.js';
+
+/**
+ * Default sanitizer policy: text formatting, lists, tables, links and images,
+ * with no scripts, styles, forms, frames or embedded content.
+ */
+export const defaultPolicy = Object.freeze({
+    // Elements kept in the output
+    elements: Object.freeze([
+        'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+        'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p',
+        'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody',
+        'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr',
+    ]),
+    // Attributes kept per element, '*' applies to every element
+    attributes: Object.freeze({
+        '*': Object.freeze(['class', 'dir', 'lang', 'title']),
+        a: Object.freeze(['href', 'name', 'rel', 'target']),
+        blockquote: Object.freeze(['cite']),
+        col: Object.freeze(['span']),
+        colgroup: Object.freeze(['span']),
+        del: Object.freeze(['cite', 'datetime']),
+        details: Object.freeze(['open']),
+        img: Object.freeze(['alt', 'height', 'src', 'width']),
+        ins: Object.freeze(['cite', 'datetime']),
+        li: Object.freeze(['value']),
+        ol: Object.freeze(['reversed', 'start', 'type']),
+        q: Object.freeze(['cite']),
+        td: Object.freeze(['colspan', 'headers', 'rowspan']),
+        th: Object.freeze(['abbr', 'colspan', 'headers', 'rowspan', 'scope']),
+        time: Object.freeze(['datetime']),
+    }),
+    // Attributes holding a URL, checked against the allowed schemes
+    urlAttributes: Object.freeze([
+        'action', 'background', 'cite', 'data', 'formaction', 'href', 'longdesc', 'poster', 'src', 'xlink:href',
+    ]),
+    // URL schemes allowed in URL attributes
+    allowedSchemes: Object.freeze(['http', 'https', 'mailto', 'tel']),
+    // Keep URLs without a scheme (/path, #anchor, page.html)
+    allowRelativeUrls: true,
+    // CSS properties kept in style attributes, when the style attribute is allowed
+    allowedStyles: Object.freeze([
+        'background-color', 'color', 'font-style', 'font-weight', 'text-align', 'text-decoration',
+    ]),
+    // Elements removed with their content, whatever the elements allowlist says
+    dropElements: Object.freeze([
+        'applet', 'base', 'embed', 'frame', 'frameset', 'iframe', 'link', 'math', 'meta', 'noembed',
+        'noframes', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea',
+        'title', 'xmp',
+    ]),
+    // What to do with other elements that are not allowed: 'unwrap' keeps their content, 'drop' removes it
+    disallowedElements: 'unwrap',
+    // Keep comments
+    allowComments: false,
+});
+
+// Characters browsers ignore inside URLs (whitespace and control characters)
+const ignoredUrlCharacters = /[\u0000-\u0020\u007F-\u009F]/g;
+
+// Style values that can run script or load resources
+const unsafeStyle = /expression\s*\(|url\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import/i;
+
+/**
+ * Sanitize untrusted HTML against an allowlist policy.
+ * The input is parsed in HTML mode, every element, attribute and URL is checked against the policy,
+ * and the result is written out with render().
+ *
+ * @param {string} html - Untrusted HTML
+ * @param {Object} [policy] - Policy settings, merged over defaultPolicy
+ * @param {string[]} [policy.elements] - Elements kept in the output
+ * @param {Object<string, string[]>} [policy.attributes] - Attributes kept per element ('*' for every element, 'data-*' style prefixes allowed)
+ * @param {string[]} [policy.urlAttributes] - Attributes holding a URL
+ * @param {string[]} [policy.allowedSchemes] - URL schemes allowed in URL attributes
+ * @param {boolean} [policy.allowRelativeUrls=true] - Keep URLs without a scheme
+ * @param {string[]} [policy.allowedStyles] - CSS properties kept in style attributes
+ * @param {string[]} [policy.dropElements] - Elements always removed with their content
+ * @param {string} [policy.disallowedElements='unwrap'] - 'unwrap' or 'drop' other elements that are not allowed
+ * @param {boolean} [policy.allowComments=false] - Keep comments, except the ones whose text holds "--" or starts with ">" or "->"
+ * @returns {string} Sanitized HTML
+ */
+export default function sanitize(html, policy = {}) {
+    if (typeof html !== 'string') {
+        throw new TypeError('Input must be a string');
+    }
+
+    const settings = { ...defaultPolicy, ...policy };
+
+    if (settings.disallowedElements !== 'unwrap' && settings.disallowedElements !== 'drop') {
+        throw new TypeError(`Invalid disallowedElements value: ${settings.disallowedElements}`);
+    }
+
+    const lowercase = list => new Set((list || []).map(name => String(name).toLowerCase()));
+
+    const elements = lowercase(settings.elements);
+    const dropElements = lowercase(settings.dropElements);
+    const urlAttributes = lowercase(settings.urlAttributes);
+    const allowedSchemes = lowercase(settings.allowedSchemes);
+    const allowedStyles = lowercase(settings.allowedStyles);
+    const attributes = {};
+    for (const name of Object.keys(settings.attributes || {})) {
+        attributes[name.toLowerCase()] = lowercase(settings.attributes[name]);
+    }
+
+    /**
+     * Check if an attribute is allowed on an element
+     * @param {string} element - Lowercase element name
+     * @param {string} name - Lowercase attribute name
+     * @returns {boolean} True when the policy allows it
+     */
+    const isAllowedAttribute = function(element, name) {
+        for (const list of [attributes[element], attributes['*']]) {
+            if (!list) {
+                continue;
+            }
+            if (list.has(name)) {
+                return true;
+            }
+            for (const entry of list) {
+                // Prefix entries, e.g. data-*
+                if (entry.endsWith('*') && name.startsWith(entry.slice(0, -1))) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if a URL uses an allowed scheme
+     * @param {string} value - URL from an attribute
+     * @returns {boolean} True when the URL is safe to keep
+     */
+    const isAllowedUrl = function(value) {
+        const url = String(value).replace(ignoredUrlCharacters, '');
+        const scheme = /^([^/?#]*?):/.exec(url);
+
+        if (!scheme) {
+            return !!settings.allowRelativeUrls;
+        }
+
+        return allowedSchemes.has(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Keep the allowed declarations of a style attribute
+     * @param {string} value - Style attribute value
+     * @returns {string} Safe declarations
+     */
+    const sanitizeStyle = function(value) {
+        // Comments and escapes can hide unsafe values
+        const style = String(value).replace(/\/\*[\s\S]*?\*\//g, '');
+        if (style.indexOf('\\') !== -1) {
+            return '';
+        }
+
+        return style.split(';')
+            .map(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon === -1) {
+                    return null;
+                }
+                const property = declaration.substring(0, colon).trim().toLowerCase();
+                const propertyValue = declaration.substring(colon + 1).trim();
+                if (!allowedStyles.has(property) || !propertyValue || unsafeStyle.test(propertyValue)) {
+                    return null;
+                }
+                return `${property}: ${propertyValue}`;
+            })
+            .filter(Boolean)
+            .join('; ');
+    }
+
+    /**
+     * Keep the allowed attributes of an element
+     * @param {string} element - Lowercase element name
+     * @param {*} props - Element props (array or object)
+     * @returns {Array<{name: string, value: *}>} Safe props
+     */
+    const sanitizeAttributes = function(element, props) {
+        const result = [];
+
+        for (const prop of normalizeProps(props)) {
+            if (!prop || typeof prop.name !== 'string') {
+                continue;
+            }
+
+            const name = prop.name.toLowerCase();
+            if (!isAllowedAttribute(element, name) || result.some(p => p.name === name)) {
+                continue;
+            }
+
+            if (prop.value === true) {
+                // Boolean attributes have no value to check
+                result.push({ name, value: true });
+                continue;
+            }
+
+            let value = attributeToString(prop.value);
+
+            if (urlAttributes.has(name) && !isAllowedUrl(value)) {
+                continue;
+            }
+
+            if (name === 'style') {
+                value = sanitizeStyle(value);
+                if (!value) {
+                    continue;
+                }
+            }
+
+            result.push({ name, value });
+        }
+
+        return result;
+    }
+
+    const tree = parser(html, { htmlMode: true });
+    if (!tree) {
+        return '';
+    }
+
+    // Multiple roots come in a template wrapper
+    const roots = tree.type === 'template' ? (tree.children || []) : [tree];
+
+    walk(roots, {
+        enter(node, context) {
+            if (node.type === '#text') {
+                return;
+            }
+
+            if (node.type === '#comments') {
+                // Comment text that could end the comment early (or not end it) in a browser is dropped
+                const text = normalizeProps(node.props).find(prop => prop.name === 'text');
+                if (!settings.allowComments || /^-?>|--|<!-$/.test(text ? String(text.value) : '')) {
+                    context.remove();
+                }
+                return;
+            }
+
+            // CDATA, doctypes and processing instructions have no place in HTML content
+            if (typeof node.type !== 'string' || node.type[0] === '#') {
+                context.remove();
+                return;
+            }
+
+            const name = node.type.toLowerCase();
+
+            if (dropElements.has(name) || (!elements.has(name) && settings.disallowedElements === 'drop')) {
+                context.remove();
+                return;
+            }
+
+            node.type = name;
+
+            const props = sanitizeAttributes(name, node.props);
+            if (props.length) {
+                node.props = props;
+            } else {
+                delete node.props;
+            }
+        },
+        leave(node, context) {
+            // Content of disallowed elements is already sanitized when leaving
+            if (node.type[0] !== '#' && !elements.has(node.type)) {
+                context.replace(node.children || []);
+            }
+        },
+    });
+
+    return render(roots);
+}
@@ -0,0 +1,567 @@
+import { normalizeProps, attributeToString } from './props.js';
+
+// Compiled selectors, keyed by their source, the least recently used go first once the cache is full
+const cache = new Map();
+const cacheSize = 256;
+
+// Attribute value operators
+const operators = {
+    '=': (actual, expected) => actual === expected,
+    '~=': (actual, expected) => expected !== '' && actual.split(/\s+/).includes(expected),
+    '|=': (actual, expected) => actual === expected || actual.startsWith(expected + '-'),
+    '^=': (actual, expected) => expected !== '' && actual.startsWith(expected),
+    '$=': (actual, expected) => expected !== '' && actual.endsWith(expected),
+    '*=': (actual, expected) => expected !== '' && actual.includes(expected),
+};
+
+/**
+ * Check if a node is an element (text, comments and other special nodes start with #)
+ * @param {*} node - Node to check
+ * @returns {boolean} True for element nodes
+ */
+const isElement = function(node) {
+    return !!node && typeof node.type === 'string' && node.type.length > 0 && node.type[0] !== '#';
+}
+
+/**
+ * Parse an an+b expression used by :nth-child()
+ * @param {string} expression - Expression such as 2n+1, odd, even or 3
+ * @returns {{a: number, b: number}|null} Parsed coefficients or null when invalid
+ */
+const parseNth = function(expression) {
+    const value = expression.trim().toLowerCase();
+
+    if (value === 'odd') {
+        return { a: 2, b: 1 };
+    }
+
+    if (value === 'even') {
+        return { a: 2, b: 0 };
+    }
+
+    const match = /^(?:([+-]?\d*)n(?:\s*([+-])\s*(\d+))?|([+-]?\d+))$/.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    if (typeof match[4] !== 'undefined') {
+        return { a: 0, b: parseInt(match[4], 10) };
+    }
+
+    const a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+    const b = match[2] ? parseInt(match[2] + match[3], 10) : 0;
+
+    return { a, b };
+}
+
+/**
+ * Compile a selector list into complex selectors. Each complex selector is a list of compound
+ * selectors, from left to right, with the combinator that links each one to the previous.
+ * @param {string} selector - CSS selector list
+ * @returns {Array<Array<{combinator: string|null, compound: Object}>>} Compiled selector list
+ */
+const compile = function(selector) {
+    if (typeof selector !== 'string') {
+        throw new TypeError('Selector must be a string');
+    }
+
+    if (cache.has(selector)) {
+        const cached = cache.get(selector);
+        // Move it to the end, as the most recently used
+        cache.delete(selector);
+        cache.set(selector, cached);
+        return cached;
+    }
+
+    let index = 0;
+
+    const fail = function() {
+        throw new SyntaxError(`Invalid selector: ${selector} (at ${index})`);
+    }
+
+    const peek = function() {
+        return selector[index];
+    }
+
+    const skipWhitespace = function() {
+        const start = index;
+        while (index < selector.length && /\s/.test(selector[index])) {
+            index++;
+        }
+        return index > start;
+    }
+
+    const expect = function(char) {
+        if (selector[index] !== char) {
+            fail();
+        }
+        index++;
+    }
+
+    const readIdentifier = function() {
+        let name = '';
+        while (index < selector.length) {
+            const char = selector[index];
+            if (char === '\\' && index + 1 < selector.length) {
+                // Escaped character, e.g. #a\:b
+                name += selector[index + 1];
+                index += 2;
+            } else if (/[\w\u00A0-\uFFFF-]/.test(char)) {
+                name += char;
+                index++;
+            } else {
+                break;
+            }
+        }
+        if (!name) {
+            fail();
+        }
+        return name;
+    }
+
+    const readString = function() {
+        const quote = selector[index++];
+        let value = '';
+        while (index < selector.length && selector[index] !== quote) {
+            if (selector[index] === '\\' && index + 1 < selector.length) {
+                index++;
+            }
+            value += selector[index++];
+        }
+        expect(quote);
+        return value;
+    }
+
+    // Raw content of a pseudo-class argument, up to the matching parenthesis
+    const readArgument = function() {
+        const start = index;
+        let depth = 0;
+        while (index < selector.length) {
+            const char = selector[index];
+            if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                if (depth === 0) {
+                    return selector.substring(start, index);
+                }
+                depth--;
+            }
+            index++;
+        }
+        return fail();
+    }
+
+    const parseAttribute = function() {
+        expect('[');
+        skipWhitespace();
+        const attribute = { name: readIdentifier().toLowerCase(), operator: null, value: null, ignoreCase: false };
+        skipWhitespace();
+
+        if (peek() !== ']') {
+            const operator = /^[~|^$*]?=/.exec(selector.substring(index));
+            if (!operator) {
+                fail();
+            }
+            attribute.operator = operator[0];
+            index += operator[0].length;
+            skipWhitespace();
+
+            attribute.value = peek() === '"' || peek() === '\'' ? readString() : readIdentifier();
+            skipWhitespace();
+
+            // Case sensitivity flag, e.g. [type="a" i]
+            if (/[iIsS]/.test(peek() || '') && /[\s\]]/.test(selector[index + 1] || '')) {
+                attribute.ignoreCase = peek().toLowerCase() === 'i';
+                index++;
+                skipWhitespace();
+            }
+        }
+
+        expect(']');
+        return attribute;
+    }
+
+    const parsePseudo = function() {
+        expect(':');
+        const name = readIdentifier().toLowerCase();
+
+        if (name === 'first-child' || name === 'last-child' || name === 'only-child') {
+            return { name };
+        }
+
+        if (name === 'not') {
+            expect('(');
+            const list = parseList();
+            expect(')');
+            return { name, list };
+        }
+
+        if (name === 'nth-child' || name === 'nth-last-child') {
+            expect('(');
+            const nth = parseNth(readArgument());
+            if (!nth) {
+                fail();
+            }
+            expect(')');
+            return { name, nth };
+        }
+
+        throw new SyntaxError(`Unsupported pseudo-class: :${name}`);
+    }
+
+    const parseCompound = function() {
+        const compound = { type: null, ids: [], classes: [], attributes: [], pseudos: [] };
+        const start = index;
+
+        if (peek() === '*') {
+            index++;
+        } else if (/[\w\u00A0-\uFFFF\\-]/.test(peek() || '')) {
+            compound.type = readIdentifier().toLowerCase();
+        }
+
+        for (;;) {
+            const char = peek();
+            if (char === '#') {
+                index++;
+                compound.ids.push(readIdentifier());
+            } else if (char === '.') {
+                index++;
+                compound.classes.push(readIdentifier());
+            } else if (char === '[') {
+                compound.attributes.push(parseAttribute());
+            } else if (char === ':') {
+                compound.pseudos.push(parsePseudo());
+            } else {
+                break;
+            }
+        }
+
+        if (index === start) {
+            fail();
+        }
+
+        return compound;
+    }
+
+    const parseComplex = function() {
+        const steps = [];
+        let combinator = null;
+
+        skipWhitespace();
+
+        for (;;) {
+            steps.push({ combinator, compound: parseCompound() });
+
+            const spaced = skipWhitespace();
+            const char = peek();
+            if (typeof char === 'undefined' || char === ',' || char === ')') {
+                break;
+            }
+
+            if (char === '>' || char === '+' || char === '~') {
+                combinator = char;
+                index++;
+                skipWhitespace();
+            } else if (spaced) {
+                combinator = ' ';
+            } else {
+                fail();
+            }
+        }
+
+        return steps;
+    }
+
+    const parseList = function() {
+        const list = [parseComplex()];
+        while (peek() === ',') {
+            index++;
+            list.push(parseComplex());
+        }
+        return list;
+    }
+
+    const list = parseList();
+    if (index < selector.length) {
+        fail();
+    }
+
+    cache.set(selector, list);
+    if (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value);
+    }
+
+    return list;
+}
+
+/**
+ * Get the root nodes of a tree
+ * @param {Object|Array} tree - Root node or list of root nodes
+ * @returns {Array} Roots, the children of the template wrapper for multiple roots
+ */
+const getRoots = function(tree) {
+    if (Array.isArray(tree)) {
+        return tree;
+    }
+    // Multiple roots come in a template wrapper, which is not an element of the document
+    return tree && tree.type === 'template' ? (tree.children || []) : [tree];
+}
+
+/**
+ * Build a lookup of parents for every node under the given roots
+ * @param {Object|Array} tree - Root node or list of root nodes
+ * @returns {Map<Object, Object|null>} Parent of each node (null for a single root)
+ */
+const getParents = function(tree) {
+    const parents = new Map();
+    const roots = getRoots(tree);
+    // A list of roots are siblings of each other, held by a parent that is not an element
+    const fragment = roots.length === 1 && roots[0] === tree ? null : { children: roots };
+    const pending = roots.map(node => [node, fragment]);
+
+    while (pending.length) {
+        const [node, parent] = pending.pop();
+        if (!node || typeof node !== 'object' || parents.has(node)) {
+            continue;
+        }
+        parents.set(node, parent);
+        if (Array.isArray(node.children)) {
+            for (const child of node.children) {
+                pending.push([child, node]);
+            }
+        }
+    }
+
+    return parents;
+}
+
+/**
+ * Create a matcher bound to the parent lookup of one tree
+ * @param {Map<Object, Object|null>} parents - Parent of each node
+ * @returns {Function} Function testing a node against a compiled selector list
+ */
+const createMatcher = function(parents) {
+    // Element children of each parent, filled on demand
+    const siblings = new Map();
+
+    /**
+     * Get the element siblings of a node, including the node itself
+     * @param {Object} node - Element node
+     * @returns {Object[]} Element siblings in document order
+     */
+    const getSiblings = function(node) {
+        const parent = parents.get(node);
+        if (!parent || !Array.isArray(parent.children)) {
+            return [node];
+        }
+        if (!siblings.has(parent)) {
+            siblings.set(parent, parent.children.filter(isElement));
+        }
+        return siblings.get(parent);
+    }
+
+    /**
+     * Get the element that holds a node, if any
+     * @param {Object} node - Node
+     * @returns {Object|null} Parent element
+     */
+    const getParentElement = function(node) {
+        const parent = parents.get(node);
+        return isElement(parent) ? parent : null;
+    }
+
+    const matchesAttribute = function(node, attribute) {
+        const prop = normalizeProps(node.props).find(p => p && typeof p.name === 'string' && p.name.toLowerCase() === attribute.name);
+        if (!prop) {
+            return false;
+        }
+
+        if (!attribute.operator) {
+            return true;
+        }
+
+        let actual = attributeToString(prop.value);
+        let expected = attribute.value;
+        if (attribute.ignoreCase) {
+            actual = actual.toLowerCase();
+            expected = expected.toLowerCase();
+        }
+
+        return operators[attribute.operator](actual, expected);
+    }
+
+    const matchesPseudo = function(node, pseudo) {
+        if (pseudo.name === 'not') {
+            return !matchesList(node, pseudo.list);
+        }
+
+        const elements = getSiblings(node);
+        const position = elements.indexOf(node) + 1;
+
+        if (pseudo.name === 'first-child') {
+            return position === 1;
+        }
+
+        if (pseudo.name === 'last-child') {
+            return position === elements.length;
+        }
+
+        if (pseudo.name === 'only-child') {
+            return elements.length === 1;
+        }
+
+        // nth-child and nth-last-child
+        const { a, b } = pseudo.nth;
+        const n = pseudo.name === 'nth-child' ? position : elements.length - position + 1;
+        if (a === 0) {
+            return n === b;
+        }
+        return (n - b) / a >= 0 && (n - b) % a === 0;
+    }
+
+    const matchesCompound = function(node, compound) {
+        if (!isElement(node)) {
+            return false;
+        }
+
+        if (compound.type && node.type.toLowerCase() !== compound.type) {
+            return false;
+        }
+
+        if (compound.ids.length || compound.classes.length) {
+            const props = normalizeProps(node.props);
+            const id = props.find(p => p && p.name === 'id');
+            const className = props.find(p => p && p.name === 'class');
+
+            if (compound.ids.some(value => !id || String(id.value) !== value)) {
+                return false;
+            }
+
+            const classes = className ? String(className.value).split(/\s+/) : [];
+            if (compound.classes.some(value => !classes.includes(value))) {
+                return false;
+            }
+        }
+
+        return compound.attributes.every(attribute => matchesAttribute(node, attribute)) &&
+            compound.pseudos.every(pseudo => matchesPseudo(node, pseudo));
+    }
+
+    // Match from right to left, walking up the tree for each combinator
+    const matchesComplex = function(node, steps, position) {
+        const step = steps[position];
+        if (!matchesCompound(node, step.compound)) {
+            return false;
+        }
+
+        if (position === 0) {
+            return true;
+        }
+
+        if (step.combinator === '>') {
+            const parent = getParentElement(node);
+            return !!parent && matchesComplex(parent, steps, position - 1);
+        }
+
+        if (step.combinator === ' ') {
+            for (let parent = getParentElement(node); parent; parent = getParentElement(parent)) {
+                if (matchesComplex(parent, steps, position - 1)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        const elements = getSiblings(node);
+        const index = elements.indexOf(node);
+
+        if (step.combinator === '+') {
+            return index > 0 && matchesComplex(elements[index - 1], steps, position - 1);
+        }
+
+        // General sibling (~)
+        for (let i = index - 1; i >= 0; i--) {
+            if (matchesComplex(elements[i], steps, position - 1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    const matchesList = function(node, list) {
+        return list.some(steps => matchesComplex(node, steps, steps.length - 1));
+    }
+
+    return matchesList;
+}
+
+/**
+ * Find all nodes in a tree that match a CSS selector, in document order.
+ * The roots themselves are included in the search, the template wrapper of multiple roots is not.
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {string} selector - CSS selector list (e.g., 'ul > li:first-child, a[href^="http"]')
+ * @returns {Object[]} Matching nodes
+ */
+export function select(tree, selector) {
+    const list = compile(selector);
+    const parents = getParents(tree);
+    const matches = createMatcher(parents);
+    const result = [];
+
+    const visit = function(node) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (matches(node, list)) {
+            result.push(node);
+        }
+        if (Array.isArray(node.children)) {
+            node.children.forEach(visit);
+        }
+    }
+
+    getRoots(tree).forEach(visit);
+
+    return result;
+}
+
+/**
+ * Find the first node in a tree that matches a CSS selector
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {string} selector - CSS selector list
+ * @returns {Object|null} First matching node in document order, or null
+ */
+export function selectOne(tree, selector) {
+    const list = compile(selector);
+    const matches = createMatcher(getParents(tree));
+    const pending = getRoots(tree).slice().reverse();
+
+    while (pending.length) {
+        const node = pending.pop();
+        if (!node || typeof node !== 'object') {
+            continue;
+        }
+        if (matches(node, list)) {
+            return node;
+        }
+        if (Array.isArray(node.children)) {
+            for (let i = node.children.length - 1; i >= 0; i--) {
+                pending.push(node.children[i]);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check if a node matches a CSS selector
+ * @param {Object} node - Node to test
+ * @param {string} selector - CSS selector list
+ * @param {Object|Array} [root] - Tree holding the node, needed by combinators and child pseudo-classes
+ * @returns {boolean} True when the node matches
+ */
+export function matches(node, selector, root) {
+    const list = compile(selector);
+    return createMatcher(getParents(root || node))(node, list);
+}
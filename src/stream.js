@@ -0,0 +1,163 @@
+import { createParser } from './parser.js';
+
+/**
+ * Create a streaming parser for documents too large to hold in memory. Input is given in chunks
+ * with write() and end(), and nodes are handed to SAX-style callbacks as soon as they are complete.
+ * Nodes are not kept once their callbacks return, except inside the subtrees requested with the
+ * subtrees option, which are handed over whole to onSubtree.
+ *
+ * @param {Object} [options] - Parser options (see parser()) and stream callbacks
+ * @param {Function} [options.onOpenTag] - Called with each element when its start tag is complete (children are not there yet)
+ * @param {Function} [options.onCloseTag] - Called with each element when it is closed
+ * @param {Function} [options.onText] - Called with each text node
+ * @param {Function} [options.onComment] - Called with each comment node
+ * @param {Function} [options.onCdata] - Called with each CDATA section node
+ * @param {Function} [options.onDoctype] - Called with each doctype node
+ * @param {Function} [options.onProcessingInstruction] - Called with each processing instruction node
+ * @param {string[]} [options.subtrees] - Element names whose complete subtrees are kept and handed to onSubtree
+ * @param {Function} [options.onSubtree] - Called with each completed subtree, outside any other collected subtree
+ * @param {string} [options.encoding='utf-8'] - Encoding used to decode binary chunks (Buffer, Uint8Array)
+ * @returns {{write: Function, end: Function}} Stream parser
+ */
+export function createStream(options) {
+    if (!options || typeof options !== 'object') {
+        options = {};
+    }
+
+    const subtrees = new Set((options.subtrees || []).map(tag => tag.toLowerCase()));
+    // Binary chunks can split a multi-byte character
+    const decoder = new TextDecoder(options.encoding || 'utf-8');
+
+    // Root of the subtree being collected
+    let collecting = null;
+
+    /**
+     * Call a user callback
+     * @param {Function} callback - Callback from the options
+     * @param {Object} node - Node
+     */
+    const call = function(callback, node) {
+        if (typeof callback === 'function') {
+            callback(node);
+        }
+    }
+
+    /**
+     * Remove a completed node from the tree, so memory use does not grow with the document
+     * @param {Object} node - Completed node
+     * @param {Object} parent - Node holding it
+     */
+    const release = function(node, parent) {
+        if (collecting || !parent || !Array.isArray(parent.children)) {
+            return;
+        }
+
+        // Completed nodes are always the last child of their parent
+        const index = parent.children.lastIndexOf(node);
+        if (index !== -1) {
+            parent.children.splice(index, 1);
+        }
+        if (!parent.children.length) {
+            delete parent.children;
+        }
+    }
+
+    /**
+     * Handler for a node that is complete as soon as it is created
+     * @param {string} name - Callback name in the options
+     * @returns {Function} Handler callback
+     */
+    const leaf = function(name) {
+        return function(node, parent) {
+            call(options[name], node);
+            release(node, parent);
+        }
+    }
+
+    const handler = {
+        onOpenTag: function(node) {
+            if (!collecting && subtrees.has(node.type.toLowerCase())) {
+                collecting = node;
+            }
+            call(options.onOpenTag, node);
+        },
+        onCloseTag: function(node, parent) {
+            call(options.onCloseTag, node);
+            if (node === collecting) {
+                collecting = null;
+                call(options.onSubtree, node);
+            }
+            release(node, parent);
+        },
+        onText: leaf('onText'),
+        onComment: leaf('onComment'),
+        onCdata: leaf('onCdata'),
+        onDoctype: leaf('onDoctype'),
+        onProcessingInstruction: leaf('onProcessingInstruction'),
+    };
+
+    const parser = createParser({ ...options, withErrors: false }, handler);
+
+    /**
+     * Turn a chunk into a string
+     * @param {string|Uint8Array} chunk - Text or binary chunk
+     * @returns {string} Text
+     */
+    const toText = function(chunk) {
+        if (typeof chunk === 'string') {
+            return chunk;
+        }
+        if (chunk instanceof Uint8Array) {
+            return decoder.decode(chunk, { stream: true });
+        }
+        throw new TypeError('Chunks must be strings or binary data');
+    }
+
+    return {
+        /**
+         * Add a chunk of input
+         * @param {string|Uint8Array} chunk - Next part of the document
+         * @returns {Object} The stream parser
+         */
+        write: function(chunk) {
+            parser.write(toText(chunk));
+            return this;
+        },
+        /**
+         * Finish the input, closing whatever is still open
+         * @param {string|Uint8Array} [chunk] - Last part of the document
+         */
+        end: function(chunk) {
+            let text = typeof chunk === 'undefined' ? '' : toText(chunk);
+            // Whatever is left of an incomplete character
+            text += decoder.decode();
+            parser.end(text);
+        },
+    };
+}
+
+/**
+ * Parse a document from a Node Readable stream, an async iterable or an iterable of chunks,
+ * calling the stream callbacks as nodes are completed.
+ * @param {string|AsyncIterable|Iterable} source - Readable stream, (async) iterable of chunks, or a whole string
+ * @param {Object} [options] - Parser options and stream callbacks, see createStream()
+ * @returns {Promise<void>} Resolves when the whole input is parsed
+ */
+export async function parseStream(source, options) {
+    const stream = createStream(options);
+
+    if (typeof source === 'string') {
+        stream.end(source);
+        return;
+    }
+
+    if (!source || (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+        throw new TypeError('Source must be a string, a Readable stream or an iterable of chunks');
+    }
+
+    for await (const chunk of source) {
+        stream.write(chunk);
+    }
+
+    stream.end();
+}
@@ -0,0 +1,418 @@
+import { normalizeProps, attributeToString } from './props.js';
+
+// Elements whose content is never part of the readable text
+const skippedElements = new Set(['head', 'script', 'style', 'template', 'title']);
+
+// Blocks set apart from the text around them by a blank line
+const paragraphElements = new Set([
+    'blockquote', 'details', 'dl', 'fieldset', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'ol', 'p',
+    'pre', 'table', 'ul'
+]);
+
+// Blocks that start on a new line
+const blockElements = new Set([
+    ...paragraphElements,
+    'address', 'article', 'aside', 'body', 'caption', 'dd', 'dialog', 'div', 'dt', 'figcaption', 'footer',
+    'form', 'header', 'hgroup', 'html', 'legend', 'li', 'main', 'menu', 'nav', 'optgroup', 'option', 'search',
+    'section', 'summary', 'tr'
+]);
+
+/**
+ * Get the value of a prop as a string
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {string|null} Prop value, null when missing
+ */
+const getProp = function(node, name) {
+    const prop = normalizeProps(node.props).find(prop => prop && prop.name === name);
+    if (!prop) {
+        return null;
+    }
+    return attributeToString(prop.value);
+}
+
+/**
+ * Check if an element is hidden with the hidden attribute or an inline display: none
+ * @param {Object} node - Element node
+ * @returns {boolean}
+ */
+const isHidden = function(node) {
+    return getProp(node, 'hidden') !== null || /(^|;)\s*display\s*:\s*none\s*(!important\s*)?(;|$)/i.test(getProp(node, 'style') || '');
+}
+
+/**
+ * Get the lowercase name of an element that is part of the text, null for other nodes
+ * @param {Object} node - Node
+ * @returns {string|null}
+ */
+const visibleElementName = function(node) {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string' || !node.type || node.type[0] === '#') {
+        return null;
+    }
+    const name = node.type.toLowerCase();
+    return skippedElements.has(name) || isHidden(node) ? null : name;
+}
+
+/**
+ * Split text into lines no longer than the width, breaking at spaces only
+ * @param {string} text - Text with its whitespace collapsed
+ * @param {number} width - Line width, Infinity to keep the text on one line
+ * @returns {string[]} Lines, empty when there are no words
+ */
+const wrap = function(text, width) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(' ')) {
+        if (!word) {
+            continue;
+        }
+        // Words longer than the line get a line of their own
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Indent block lines, the first one with its own prefix (list markers)
+ * @param {string[]} lines - Lines to indent
+ * @param {string} prefix - Prefix of the other lines
+ * @param {string} [first=prefix] - Prefix of the first line
+ * @returns {string[]} Indented lines, blank lines stay blank
+ */
+const indentLines = function(lines, prefix, first = prefix) {
+    return lines.map((line, index) => {
+        const start = index === 0 ? first : prefix;
+        return line ? start + line : start.trimEnd();
+    });
+}
+
+/**
+ * Extract the readable text of a parsed document. Blocks start on new lines (paragraphs,
+ * headings, lists and tables are set apart by a blank line), br elements break lines, list
+ * items get bullets or numbers, tables are laid out in columns, and link URLs are listed as
+ * footnotes. head, script, style and template elements are left out, and so are the elements
+ * with a hidden attribute or an inline display: none. The whitespace of the text is collapsed,
+ * except in pre elements, and paragraphs are wrapped at the given width.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Object} [options] - Text options
+ * @param {number} [options.width=80] - Line width paragraphs are wrapped at, 0 to keep each paragraph on one line
+ * @param {boolean} [options.links=true] - Add the URLs of links as numbered footnotes
+ * @param {string} [options.bullet='*'] - Marker of unordered list items
+ * @returns {string} Plain text, empty for an empty tree
+ */
+export function toText(tree, options = {}) {
+    const settings = {
+        width: typeof options.width === 'number' && options.width >= 0 ? options.width || Infinity : 80,
+        links: options.links !== false,
+        bullet: typeof options.bullet === 'string' ? options.bullet : '*',
+    };
+
+    // Link URLs in order of appearance
+    const footnotes = [];
+
+    /**
+     * Get the footnote number of a link, the same URL always gets the same number
+     * @param {string} href - Link URL
+     * @returns {number}
+     */
+    const footnote = function(href) {
+        const index = footnotes.indexOf(href);
+        if (index !== -1) {
+            return index + 1;
+        }
+        footnotes.push(href);
+        return footnotes.length;
+    }
+
+    /**
+     * Lay out nodes as lines of text
+     * @param {Array} nodes - Nodes to lay out
+     * @param {number} width - Line width
+     * @param {boolean} [compact=false] - No blank lines between blocks (list items)
+     * @returns {{lines: string[], top: number, bottom: number}} Lines, and the blank lines wanted before and after them
+     */
+    const layout = function(nodes, width, compact = false) {
+        const lines = [];
+        let top = 0;
+        let bottom = 0;
+        // Inline text waiting for the end of its paragraph, br elements are kept as line feeds
+        let text = '';
+
+        /**
+         * Add a block, with a blank line before it when either side asks for one
+         * @param {string[]} block - Lines of the block
+         * @param {number} before - Blank lines wanted before the block
+         * @param {number} after - Blank lines wanted after the block
+         */
+        const add = function(block, before, after) {
+            if (!block.length) {
+                return;
+            }
+            if (compact) {
+                before = after = 0;
+            }
+            if (!lines.length) {
+                top = before;
+            } else if (Math.max(bottom, before)) {
+                lines.push('');
+            }
+            lines.push(...block);
+            bottom = after;
+        }
+
+        /**
+         * Add the inline text collected so far as a paragraph
+         */
+        const flush = function() {
+            const paragraph = [];
+            for (const line of text.split('\n')) {
+                const wrapped = wrap(line, width);
+                paragraph.push(...(wrapped.length ? wrapped : ['']));
+            }
+            text = '';
+            // Breaks at the start and the end of a paragraph have no effect
+            while (paragraph.length && !paragraph[0]) {
+                paragraph.shift();
+            }
+            while (paragraph.length && !paragraph[paragraph.length - 1]) {
+                paragraph.pop();
+            }
+            add(paragraph, 0, 0);
+        }
+
+        /**
+         * Add a node to the text
+         * @param {Object} node - Node
+         */
+        const visit = function(node) {
+            if (node && (node.type === '#text' || node.type === '#cdata')) {
+                text += (getProp(node, 'textContent') || '').replace(/[ \t\n\f\r]+/g, ' ');
+                return;
+            }
+
+            const name = visibleElementName(node);
+            if (!name) {
+                return;
+            }
+
+            if (name === 'br') {
+                text += '\n';
+                return;
+            }
+
+            if (name === 'img') {
+                text += getProp(node, 'alt') || '';
+                return;
+            }
+
+            if (blockElements.has(name)) {
+                flush();
+                const block = renderBlock(node, name, width);
+                const margin = paragraphElements.has(name) ? 1 : 0;
+                add(block.lines, Math.max(margin, block.top), Math.max(margin, block.bottom));
+                return;
+            }
+
+            // Inline elements
+            const start = text.length;
+            for (const child of node.children || []) {
+                visit(child);
+            }
+
+            if (name === 'a' && settings.links) {
+                const href = getProp(node, 'href');
+                // Links within the page, scripts and links showing their own URL need no footnote
+                if (href && href[0] !== '#' && !/^\s*javascript:/i.test(href) && text.substring(start).trim() !== href) {
+                    text += ` [${footnote(href)}]`;
+                }
+            }
+        }
+
+        for (const node of nodes || []) {
+            visit(node);
+        }
+        flush();
+
+        return { lines, top, bottom };
+    }
+
+    /**
+     * Lay out a block element
+     * @param {Object} node - Element node
+     * @param {string} name - Lowercase element name
+     * @param {number} width - Line width
+     * @returns {{lines: string[], top: number, bottom: number}}
+     */
+    const renderBlock = function(node, name, width) {
+        switch (name) {
+            case 'ul':
+            case 'ol':
+            case 'menu':
+                return { lines: renderList(node, name, width), top: 0, bottom: 0 };
+            case 'table':
+                return { lines: renderTable(node), top: 0, bottom: 0 };
+            case 'pre':
+                return { lines: renderPreformatted(node), top: 0, bottom: 0 };
+            case 'hr':
+                return { lines: ['-'.repeat(Math.min(width, 80))], top: 0, bottom: 0 };
+            case 'blockquote': {
+                const quote = layout(node.children, Math.max(width - 2, 1));
+                return { lines: indentLines(quote.lines, '> '), top: 0, bottom: 0 };
+            }
+            case 'dd': {
+                const description = layout(node.children, Math.max(width - 2, 1));
+                return { ...description, lines: indentLines(description.lines, '  ') };
+            }
+            default:
+                return layout(node.children, width);
+        }
+    }
+
+    /**
+     * Lay out a list, with a bullet or a number before each item
+     * @param {Object} node - ul, ol or menu element
+     * @param {string} name - Lowercase element name
+     * @param {number} width - Line width
+     * @returns {string[]} Lines
+     */
+    const renderList = function(node, name, width) {
+        const lines = [];
+        const reversed = name === 'ol' && getProp(node, 'reversed') !== null;
+        const items = (node.children || []).filter(child => visibleElementName(child) === 'li');
+        const start = parseInt(getProp(node, 'start'), 10);
+        let number = Number.isNaN(start) ? (reversed ? items.length : 1) : start;
+        // Content found outside the items is indented like them
+        let pending = [];
+
+        const flushPending = function() {
+            lines.push(...indentLines(layout(pending, Math.max(width - 2, 1), true).lines, '  '));
+            pending = [];
+        }
+
+        for (const child of node.children || []) {
+            if (!items.includes(child)) {
+                pending.push(child);
+                continue;
+            }
+            flushPending();
+
+            if (name === 'ol') {
+                const value = parseInt(getProp(child, 'value'), 10);
+                if (!Number.isNaN(value)) {
+                    number = value;
+                }
+            }
+            const marker = name === 'ol' ? `${number}.` : settings.bullet;
+            number += reversed ? -1 : 1;
+
+            const indent = ' '.repeat(marker.length + 1);
+            const item = layout(child.children, Math.max(width - indent.length, 1), true).lines;
+            lines.push(...(item.length ? indentLines(item, indent, `${marker} `) : [marker]));
+        }
+        flushPending();
+
+        return lines;
+    }
+
+    /**
+     * Lay out a table with its cells in columns, and a line under a header row
+     * @param {Object} node - table element
+     * @returns {string[]} Lines
+     */
+    const renderTable = function(node) {
+        const rows = [];
+        const captions = [];
+
+        const collect = function(nodes) {
+            for (const child of nodes || []) {
+                const name = visibleElementName(child);
+                if (name === 'tr') {
+                    const cells = (child.children || []).filter(cell => ['td', 'th'].includes(visibleElementName(cell)));
+                    rows.push(cells.map(cell => ({
+                        header: visibleElementName(cell) === 'th',
+                        // A cell is written on a single line
+                        text: layout(cell.children, Infinity, true).lines.join(' ').replace(/ +/g, ' ').trim(),
+                    })));
+                } else if (name === 'thead' || name === 'tbody' || name === 'tfoot') {
+                    collect(child.children);
+                } else if (name === 'caption') {
+                    captions.push(...layout(child.children, Infinity, true).lines);
+                }
+            }
+        }
+        collect(node.children);
+
+        const widths = [];
+        for (const row of rows) {
+            row.forEach((cell, index) => {
+                widths[index] = Math.max(widths[index] || 0, cell.text.length);
+            });
+        }
+
+        const lines = [...captions];
+        rows.forEach((row, index) => {
+            if (!row.length) {
+                return;
+            }
+            lines.push(row.map((cell, column) => cell.text.padEnd(widths[column])).join('  ').trimEnd());
+            if (index === 0 && rows.length > 1 && row.every(cell => cell.header)) {
+                lines.push(row.map((cell, column) => '-'.repeat(widths[column])).join('  '));
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Lay out a pre element, keeping its whitespace
+     * @param {Object} node - pre element
+     * @returns {string[]} Lines
+     */
+    const renderPreformatted = function(node) {
+        const read = function(nodes) {
+            let text = '';
+            for (const child of nodes || []) {
+                if (child && (child.type === '#text' || child.type === '#cdata')) {
+                    text += getProp(child, 'textContent') || '';
+                } else if (visibleElementName(child) === 'br') {
+                    text += '\n';
+                } else if (visibleElementName(child)) {
+                    text += read(child.children);
+                }
+            }
+            return text;
+        }
+
+        // A line feed right after the start tag is not part of the content
+        const lines = read(node.children).replace(/^\r?\n/, '').split(/\r?\n/).map(line => line.trimEnd());
+        while (lines.length && !lines[lines.length - 1]) {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    if (!tree) {
+        return '';
+    }
+
+    // Multiple roots come in a template wrapper
+    const nodes = Array.isArray(tree) ? tree : (tree.type === 'template' ? tree.children : [tree]);
+    const lines = layout(nodes, settings.width).lines.map(line => line.trimEnd());
+
+    if (footnotes.length) {
+        if (lines.length) {
+            lines.push('');
+        }
+        footnotes.forEach((href, index) => lines.push(`[${index + 1}] ${href}`));
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,165 @@
+/**
+ * Wrap a node or list of nodes in an array
+ * @param {Object|Object[]} nodes - Node or list of nodes
+ * @returns {Object[]} List of nodes
+ */
+const toArray = function(nodes) {
+    if (Array.isArray(nodes)) {
+        return nodes.filter(Boolean);
+    }
+    return nodes ? [nodes] : [];
+}
+
+/**
+ * Walk a parsed tree depth-first, calling the visitor when entering and leaving each node.
+ * Nodes have no parent references, so the walk keeps track of the parent, the index and the
+ * ancestor path and hands them to the callbacks.
+ *
+ * The visitor is either a function (called when entering every node) or an object with
+ * `enter` and `leave` callbacks for every node and per node type keys (`#text`, `#comments`,
+ * `div`, ...) holding a function or an `{ enter, leave }` pair.
+ *
+ * Callbacks receive the node and a context with `parent`, `index` and `path`, and the
+ * methods `skip()`, `remove()`, `replace(nodes)`, `insertBefore(nodes)` and `insertAfter(nodes)`.
+ * Nodes added by replace and insert are not visited. Replace in `leave` to rewrite a node
+ * after its children have been visited.
+ *
+ * @param {Object|Array} tree - Parsed node or list of nodes
+ * @param {Function|Object} visitor - Callback or object with enter/leave and per type callbacks
+ * @returns {Object|Array|null} The tree, or what took the place of a single root node
+ */
+export default function walk(tree, visitor) {
+    if (typeof visitor === 'function') {
+        visitor = { enter: visitor };
+    }
+
+    if (!visitor || typeof visitor !== 'object') {
+        throw new TypeError('Visitor must be a function or an object');
+    }
+
+    // Ancestors of the node being visited
+    const path = [];
+
+    /**
+     * Get the callbacks for a node type
+     * @param {string} type - Node type
+     * @returns {{enter: Function|undefined, leave: Function|undefined}} Type callbacks
+     */
+    const getTypeVisitor = function(type) {
+        if (typeof type !== 'string') {
+            return {};
+        }
+
+        let handler = Object.prototype.hasOwnProperty.call(visitor, type) ? visitor[type] : undefined;
+        // Element types are also looked up in lowercase
+        if (!handler && type[0] !== '#') {
+            const name = type.toLowerCase();
+            handler = Object.prototype.hasOwnProperty.call(visitor, name) ? visitor[name] : undefined;
+        }
+
+        if (typeof handler === 'function') {
+            return { enter: handler };
+        }
+
+        return handler && typeof handler === 'object' ? handler : {};
+    }
+
+    /**
+     * Visit the node in list[index] and its descendants
+     * @param {Object[]} list - List holding the node (the children of the parent)
+     * @param {number} index - Position of the node in the list
+     * @param {Object|null} parent - Parent node, null for the roots
+     * @returns {number} Position of the next sibling to visit
+     */
+    const visit = function(list, index, parent) {
+        const node = list[index];
+        let skipped = false;
+        let detached = false;
+        // Nodes in the place of the visited node, and nodes inserted after them
+        let size = 1;
+        let inserted = 0;
+
+        if (!node || typeof node !== 'object') {
+            return index + 1;
+        }
+
+        const context = {
+            parent,
+            index,
+            path: path.slice(),
+            skip: function() {
+                skipped = true;
+            },
+            remove: function() {
+                if (detached) {
+                    throw new Error('The node has already been removed or replaced');
+                }
+                list.splice(context.index, 1);
+                detached = true;
+                size = 0;
+            },
+            replace: function(nodes) {
+                if (detached) {
+                    throw new Error('The node has already been removed or replaced');
+                }
+                nodes = toArray(nodes);
+                list.splice(context.index, 1, ...nodes);
+                detached = true;
+                size = nodes.length;
+            },
+            insertBefore: function(nodes) {
+                nodes = toArray(nodes);
+                list.splice(context.index, 0, ...nodes);
+                context.index += nodes.length;
+            },
+            insertAfter: function(nodes) {
+                nodes = toArray(nodes);
+                // Keep the order of successive calls
+                list.splice(context.index + size + inserted, 0, ...nodes);
+                inserted += nodes.length;
+            },
+        };
+
+        const typeVisitor = getTypeVisitor(node.type);
+
+        // Generic callback first when entering, last when leaving
+        for (const enter of [visitor.enter, typeVisitor.enter]) {
+            if (typeof enter === 'function' && !detached) {
+                enter.call(visitor, node, context);
+            }
+        }
+
+        if (!skipped && !detached && Array.isArray(node.children)) {
+            path.push(node);
+            for (let i = 0; i < node.children.length;) {
+                i = visit(node.children, i, node);
+            }
+            path.pop();
+        }
+
+        for (const leave of [typeVisitor.leave, visitor.leave]) {
+            if (typeof leave === 'function' && !detached) {
+                leave.call(visitor, node, context);
+            }
+        }
+
+        return context.index + size + inserted;
+    }
+
+    if (Array.isArray(tree)) {
+        for (let i = 0; i < tree.length;) {
+            i = visit(tree, i, null);
+        }
+        return tree;
+    }
+
+    // A single root is held in a list so it can be removed, replaced or given siblings
+    const roots = [tree];
+    visit(roots, 0, null);
+
+    if (roots.length === 1) {
+        return roots[0];
+    }
+
+    return roots.length ? roots : null;
+}
@@ -0,0 +1,123 @@
+import assert from 'assert';
+import parser, { createParser } from '../src/parser.js';
+import render from '../src/render.js';
+
+/**
+ * Parse markup and collect the codes of the errors found
+ * @param {string} html - Markup
+ * @param {Object} [options] - Parser options
+ * @returns {{tree: Object, codes: string[]}}
+ */
+function parse(html, options) {
+    const { tree, errors } = parser(html, { ...options, withErrors: true });
+    return { tree, codes: errors.map(error => error.code) };
+}
+
+describe('Attributes', function() {
+
+    describe('Duplicates', function() {
+        it('should keep the first of duplicate attributes and report the others', function() {
+            const { tree, codes } = parse('<a href="x" href="y" title="t">a</a>');
+            assert.deepStrictEqual(tree.props, [{ name: 'href', value: 'x' }, { name: 'title', value: 't' }]);
+            assert.deepStrictEqual(codes, ['duplicate-attribute']);
+        });
+
+        it('should compare names case-insensitively in HTML mode only', function() {
+            assert.deepStrictEqual(parse('<p id="a" ID="b"></p>', { htmlMode: true }).tree.props, [{ name: 'id', value: 'a' }]);
+            assert.deepStrictEqual(parse('<p id="a" ID="b"></p>').tree.props, [{ name: 'id', value: 'a' }, { name: 'ID', value: 'b' }]);
+        });
+
+        it('should keep the location of the first attribute', function() {
+            const tree = parser('<p id="a" id="bb"></p>', { locations: true });
+            assert.strictEqual(tree.location.attributes.id.end.offset, 9);
+        });
+
+        it('should throw on duplicates in strict mode', function() {
+            assert.throws(() => parser('<p a="1" a="2"></p>', { strict: true }), error => error.code === 'duplicate-attribute');
+        });
+    });
+
+    describe('Unquoted values', function() {
+        it('should keep "/" in unquoted values', function() {
+            const tree = parser('<a href=/path/to class=x>a</a>');
+            assert.strictEqual(tree.props[0].value, '/path/to');
+            assert.strictEqual(tree.props[1].value, 'x');
+            assert.strictEqual(render(tree), '<a href=/path/to class=x>a</a>');
+        });
+
+        it('should keep "/" at the end of an unquoted value, as HTML does', function() {
+            const tree = parser('<img src=a.png/>');
+            assert.strictEqual(tree.props[0].value, 'a.png/');
+        });
+
+        it('should still self-close after quoted values and spaces', function() {
+            const tree = parser('<x a="1"/><y b=2 /><z c/>text');
+            assert.deepStrictEqual(tree.children.map(node => [node.type, node.children]), [['x', undefined], ['y', undefined], ['z', undefined], ['#text', undefined]]);
+        });
+
+        it('should skip whitespace between "=" and the value', function() {
+            assert.deepStrictEqual(parser('<p a= "1" b =  2></p>').props, [{ name: 'a', value: '1' }, { name: 'b', value: '2', quote: '' }]);
+        });
+
+        it('should start a new attribute right after a quoted value', function() {
+            assert.deepStrictEqual(parser('<p a="1"b=\'2\'></p>').props, [{ name: 'a', value: '1' }, { name: 'b', value: '2', quote: '\'' }]);
+        });
+
+        it('should read "/" across chunks', function() {
+            const parse = createParser();
+            for (const char of '<a href=/a/b>x</a><br/>') {
+                parse.write(char);
+            }
+            assert.strictEqual(render(parse.end()), '<a href=/a/b>x</a><br />');
+        });
+
+        it('should ignore and report a "/" that does not end the tag', function() {
+            const { tree, codes } = parse('<a b/c>x</a>');
+            assert.deepStrictEqual(tree.props, [{ name: 'b', value: true }, { name: 'c', value: true }]);
+            assert.deepStrictEqual(tree.children.length, 1);
+            assert.deepStrictEqual(codes, ['unexpected-solidus-in-tag']);
+        });
+    });
+
+    describe('Boolean attributes', function() {
+        it('should record attributes without a value as true', function() {
+            assert.deepStrictEqual(parser('<input disabled checked="">').props, [{ name: 'disabled', value: true }, { name: 'checked', value: '' }]);
+        });
+
+        it('should write boolean attributes by name, or with their name as value in XML mode', function() {
+            const tree = parser('<input type="checkbox" checked>');
+            assert.strictEqual(render(tree), '<input type="checkbox" checked />');
+            assert.strictEqual(render(tree, { xmlMode: true }), '<input type="checkbox" checked="checked" />');
+        });
+
+        it('should leave out attributes set to false', function() {
+            assert.strictEqual(render({ type: 'input', props: [{ name: 'disabled', value: false }, { name: 'id', value: 'a' }] }), '<input id="a" />');
+        });
+    });
+
+    describe('Quote style', function() {
+        it('should record quotes other than double quotes', function() {
+            assert.deepStrictEqual(parser('<p a="1" b=\'2\' c=3></p>').props, [
+                { name: 'a', value: '1' },
+                { name: 'b', value: '2', quote: '\'' },
+                { name: 'c', value: '3', quote: '' },
+            ]);
+        });
+
+        it('should write values with their original quotes', function() {
+            const html = '<div title=\'Say "Hi"\' data-a=b data-c="d">x</div>';
+            assert.strictEqual(render(parser(html)), html);
+        });
+
+        it('should escape the quote of the value', function() {
+            const tree = { type: 'p', props: [{ name: 'title', value: 'it\'s "x"', quote: '\'' }] };
+            assert.strictEqual(render(tree), '<p title=\'it&#39;s "x"\'></p>');
+        });
+
+        it('should quote unquoted values that cannot be written without quotes', function() {
+            const tree = { type: 'p', props: [{ name: 'a', value: 'x y', quote: '' }, { name: 'b', value: '', quote: '' }, { name: 'c', value: 'a&b', quote: '' }] };
+            assert.strictEqual(render(tree), '<p a="x y" b="" c="a&amp;b"></p>');
+            assert.strictEqual(render(parser('<p a=1></p>'), { xmlMode: true }), '<p a="1" />');
+        });
+    });
+});
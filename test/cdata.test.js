@@ -0,0 +1,60 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+describe('CDATA Sections', function() {
+
+    it('should create a #cdata node', function() {
+        const tree = parser('<description><![CDATA[<p>Hello & welcome</p>]]></description>');
+
+        assert.strictEqual(tree.children.length, 1);
+        assert.strictEqual(tree.children[0].type, '#cdata');
+        assert.strictEqual(tree.children[0].props[0].name, 'textContent');
+        assert.strictEqual(tree.children[0].props[0].value, '<p>Hello & welcome</p>');
+    });
+
+    it('should keep special sequences intact', function() {
+        const tree = parser('<data><![CDATA[a < b && c > d ]] ] > &amp; <!-- x -->]]></data>');
+        assert.strictEqual(tree.children[0].props[0].value, 'a < b && c > d ]] ] > &amp; <!-- x -->');
+    });
+
+    it('should keep text around the section in order', function() {
+        const tree = parser('<item>Before<![CDATA[inside]]>After</item>');
+
+        assert.deepStrictEqual(tree.children.map(child => child.type), ['#text', '#cdata', '#text']);
+        assert.strictEqual(tree.children[0].props[0].value, 'Before');
+        assert.strictEqual(tree.children[2].props[0].value, 'After');
+    });
+
+    it('should handle empty sections', function() {
+        const tree = parser('<x><![CDATA[]]></x>');
+        assert.strictEqual(tree.children[0].type, '#cdata');
+        assert.strictEqual(tree.children[0].props[0].value, '');
+    });
+
+    it('should fold sections into text nodes with cdataAsText', function() {
+        const tree = parser('<x><![CDATA[1 < 2]]></x>', { cdataAsText: true });
+
+        assert.strictEqual(tree.children[0].type, '#text');
+        assert.strictEqual(tree.children[0].props[0].value, '1 < 2');
+        assert.strictEqual(render(tree), '<x>1 &lt; 2</x>');
+    });
+
+    it('should skip sections inside ignored tags', function() {
+        const tree = parser('<root><skip><![CDATA[x]]></skip><keep /></root>', { ignore: ['skip'] });
+        assert.strictEqual(render(tree, { xmlMode: true }), '<root><keep /></root>');
+    });
+
+    it('should roundtrip CDATA sections', function() {
+        const xml = '<rss><channel><item><description><![CDATA[<b>Bold</b> & <i>italic</i>]]></description></item></channel></rss>';
+        assert.strictEqual(render(parser(xml)), xml);
+    });
+
+    it('should split content holding the end delimiter', function() {
+        const tree = { type: '#cdata', props: [{ name: 'textContent', value: 'a]]>b' }] };
+        const output = render(tree);
+
+        assert.strictEqual(output, '<![CDATA[a]]]]><![CDATA[>b]]>');
+        assert.strictEqual(parser(`<x>${output}</x>`).children.map(c => c.props[0].value).join(''), 'a]]>b');
+    });
+});
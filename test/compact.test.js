@@ -0,0 +1,160 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import { toCompact, fromCompact } from '../src/compact.js';
+
+const note = `<note>
+<to>Tove</to>
+<from>Jani</from>
+<heading>Reminder</heading>
+<body>Don't forget me this weekend!</body>
+</note>`;
+
+const catalog = '<?xml version="1.0"?><catalog><book id="1" available="true"><title lang="en">A</title>' +
+    '<price>12.50</price><price>7</price></book><!-- note --><book id="2"/></catalog>';
+
+describe('Compact Format', function() {
+
+    describe('toCompact', function() {
+        it('should map data-style XML to a plain object', function() {
+            assert.deepStrictEqual(toCompact(parser(note)), {
+                note: { to: 'Tove', from: 'Jani', heading: 'Reminder', body: 'Don\'t forget me this weekend!' },
+            });
+        });
+
+        it('should use prefixed keys for attributes and textKey for text next to them', function() {
+            const result = toCompact(parser('<title lang="en">A</title>'));
+            assert.deepStrictEqual(result, { title: { '@lang': 'en', '#text': 'A' } });
+        });
+
+        it('should group attributes under attributesKey', function() {
+            const result = toCompact(parser('<title lang="en">A</title>'), { attributesKey: '$', textKey: '_' });
+            assert.deepStrictEqual(result, { title: { $: { lang: 'en' }, _: 'A' } });
+        });
+
+        it('should use a custom attribute prefix', function() {
+            const result = toCompact(parser('<a href="#">x</a>'), { attributePrefix: '_' });
+            assert.deepStrictEqual(result, { a: { _href: '#', '#text': 'x' } });
+        });
+
+        it('should use arrays only for repeated siblings by default', function() {
+            const result = toCompact(parser(catalog));
+            assert.deepStrictEqual(result, {
+                catalog: {
+                    book: [
+                        { '@id': '1', '@available': 'true', title: { '@lang': 'en', '#text': 'A' }, price: ['12.50', '7'] },
+                        { '@id': '2' },
+                    ],
+                },
+            });
+        });
+
+        it('should always use arrays for child elements with arrays: always', function() {
+            const result = toCompact(parser('<list><item>a</item><other>b</other></list>'), { arrays: 'always' });
+            assert.deepStrictEqual(result, { list: { item: ['a'], other: ['b'] } });
+        });
+
+        it('should coerce numbers and booleans', function() {
+            const result = toCompact(parser(catalog), { coerce: true });
+            assert.deepStrictEqual(result.catalog.book[0].price, ['12.50', 7]);
+            assert.strictEqual(result.catalog.book[0]['@id'], 1);
+            assert.strictEqual(result.catalog.book[0]['@available'], true);
+            assert.strictEqual(result.catalog.book[0].title['#text'], 'A');
+        });
+
+        it('should not coerce values that would not come back the same', function() {
+            const result = toCompact(parser('<r><a>007</a><b>1e3</b><c>-2.5</c><d></d></r>'), { coerce: true });
+            assert.deepStrictEqual(result, { r: { a: '007', b: '1e3', c: -2.5, d: '' } });
+        });
+
+        it('should accept a coercion function', function() {
+            const result = toCompact(parser('<r n="2"><a>1</a></r>'), { coerce: (value, name) => `${name}:${value}` });
+            assert.deepStrictEqual(result, { r: { '@n': 'n:2', a: 'a:1' } });
+        });
+
+        it('should keep mixed content text under textKey', function() {
+            const result = toCompact(parser('<p>Hello <b>world</b>!</p>'));
+            assert.deepStrictEqual(result, { p: { b: 'world', '#text': 'Hello !' } });
+        });
+
+        it('should read CDATA as text', function() {
+            const result = toCompact(parser('<code><![CDATA[a < b]]></code>'));
+            assert.deepStrictEqual(result, { code: 'a < b' });
+        });
+
+        it('should convert every root element', function() {
+            const result = toCompact(parser('<a>1</a><b>2</b><a>3</a>'));
+            assert.deepStrictEqual(result, { a: ['1', '3'], b: '2' });
+        });
+
+        it('should return an empty object for an empty tree', function() {
+            assert.deepStrictEqual(toCompact(parser('')), {});
+        });
+
+        it('should reject an invalid arrays value', function() {
+            assert.throws(() => toCompact(parser(note), { arrays: 'never' }), TypeError);
+        });
+    });
+
+    describe('fromCompact', function() {
+        it('should build nodes that render() accepts', function() {
+            const tree = fromCompact({ note: { to: 'Tove', from: 'Jani' } });
+            assert.strictEqual(render(tree), '<note><to>Tove</to><from>Jani</from></note>');
+        });
+
+        it('should turn arrays into repeated elements', function() {
+            const tree = fromCompact({ list: { item: ['a', 'b'] } });
+            assert.strictEqual(render(tree), '<list><item>a</item><item>b</item></list>');
+        });
+
+        it('should read prefixed attributes and text', function() {
+            const tree = fromCompact({ a: { '@href': '/x', '#text': 'Link' } });
+            assert.deepStrictEqual(tree, {
+                type: 'a',
+                props: [{ name: 'href', value: '/x' }],
+                children: [{ type: '#text', props: [{ name: 'textContent', value: 'Link' }] }],
+            });
+        });
+
+        it('should read grouped attributes', function() {
+            const tree = fromCompact({ a: { $: { href: '/x' }, _: 'Link' } }, { attributesKey: '$', textKey: '_' });
+            assert.strictEqual(render(tree), '<a href="/x">Link</a>');
+        });
+
+        it('should write numbers, booleans and null', function() {
+            const tree = fromCompact({ r: { n: 7, ok: false, empty: null, '@id': 1 } });
+            assert.strictEqual(render(tree), '<r id="1"><n>7</n><ok>false</ok><empty></empty></r>');
+        });
+
+        it('should return a list for several root elements', function() {
+            const tree = fromCompact({ a: '1', b: ['2', '3'] });
+            assert.strictEqual(tree.length, 3);
+            assert.strictEqual(render(tree), '<a>1</a><b>2</b><b>3</b>');
+        });
+
+        it('should escape text and attribute values', function() {
+            const tree = fromCompact({ p: { '@title': '"x"', '#text': 'a < b & c' } });
+            assert.strictEqual(render(tree), '<p title="&quot;x&quot;">a &lt; b &amp; c</p>');
+        });
+
+        it('should reject input that is not an object', function() {
+            assert.throws(() => fromCompact('note'), TypeError);
+            assert.throws(() => fromCompact([]), TypeError);
+        });
+    });
+
+    describe('Roundtrip', function() {
+        it('should give back the same document for data-style XML', function() {
+            const xml = '<catalog><book id="1"><title lang="en">A</title><price>12.50</price><price>7</price></book></catalog>';
+            for (const options of [{}, { attributesKey: '$', arrays: 'always' }, { coerce: true }]) {
+                const compact = toCompact(parser(xml), options);
+                assert.strictEqual(render(fromCompact(compact, options)), xml);
+            }
+        });
+
+        it('should give back the same object', function() {
+            const compact = toCompact(parser(catalog), { coerce: true });
+            assert.deepStrictEqual(toCompact(parser(render(fromCompact(compact))), { coerce: true }), compact);
+        });
+    });
+});
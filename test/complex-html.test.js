@@ -140,7 +140,7 @@ describe('Complex HTML Tests', function() {
 
         if (json.type === 'template') {
             // Multiple root elements wrapped in template
-            // DOCTYPE creates a text node, so find the html element
+            // DOCTYPE creates a #doctype node, so find the html element
             html = json.children.find(child => child && child.type === 'html');
         } else if (json.type === 'html') {
             html = json;
@@ -181,7 +181,7 @@ describe('Complex HTML Tests', function() {
         assert.ok(styleAttr, 'Body should have style attribute');
         assert.ok(styleAttr.value.includes('margin: 0'), 'Style should contain margin: 0');
 
-        // Render it back (render the html element directly since DOCTYPE isn't supported)
+        // Render it back (render the html element directly)
         console.log('Rendering back to HTML...');
         const rendered = render(html);
 
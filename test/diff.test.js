@@ -0,0 +1,162 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import { diff, applyPatch } from '../src/diff.js';
+
+/**
+ * Diff two documents and check that the patch gives the second one
+ * @param {string} before - Original markup
+ * @param {string} after - Changed markup
+ * @param {Object} [options] - Diff options
+ * @returns {Object[]} Operations
+ */
+function check(before, after, options) {
+    const oldTree = parser(before);
+    const newTree = parser(after);
+    const ops = diff(oldTree, newTree, options);
+    assert.deepStrictEqual(applyPatch(oldTree, ops), newTree);
+    return ops;
+}
+
+const text = value => ({ type: '#text', props: [{ name: 'textContent', value }] });
+
+describe('Diff and Patch', function() {
+
+    describe('diff', function() {
+        it('should find no changes between equal trees', function() {
+            assert.deepStrictEqual(check('<div class="a"><p>Hi</p></div>', '<div class="a"><p>Hi</p></div>'), []);
+        });
+
+        it('should find text changes', function() {
+            const ops = check('<p>Hello <b>world</b></p>', '<p>Hello <b>there</b></p>');
+            assert.deepStrictEqual(ops, [{ op: 'text', path: [0, 1, 0], oldValue: 'world', value: 'there' }]);
+        });
+
+        it('should find comment changes', function() {
+            const ops = check('<div><!-- a --></div>', '<div><!-- b --></div>');
+            assert.deepStrictEqual(ops, [{ op: 'text', path: [0, 0], oldValue: ' a ', value: ' b ' }]);
+        });
+
+        it('should find attribute changes', function() {
+            const ops = check('<a href="/a" title="x" target="_blank">a</a>', '<a href="/b" title="x" rel="next">a</a>');
+            assert.deepStrictEqual(ops, [
+                { op: 'remove-attribute', path: [0], name: 'target', oldValue: '_blank' },
+                { op: 'change-attribute', path: [0], name: 'href', oldValue: '/a', value: '/b' },
+                { op: 'add-attribute', path: [0], name: 'rel', value: 'next' },
+            ]);
+        });
+
+        it('should find inserted and removed nodes', function() {
+            const ops = check('<ul><li>A</li><li>B</li></ul>', '<ul><li>A</li><p>new</p><li>B</li><li>C</li></ul>');
+            assert.deepStrictEqual(ops.map(op => [op.op, op.path]), [['insert', [0, 1]], ['insert', [0, 3]]]);
+            assert.strictEqual(render(ops[0].node), '<p>new</p>');
+
+            const removed = check('<ul><li>A</li><p>x</p><li>B</li></ul>', '<ul><li>A</li><li>B</li></ul>');
+            assert.deepStrictEqual(removed.map(op => [op.op, op.path]), [['remove', [0, 1]]]);
+            assert.strictEqual(render(removed[0].node), '<p>x</p>');
+        });
+
+        it('should replace elements whose name changed', function() {
+            const ops = check('<div><b>x</b></div>', '<div><i>x</i></div>');
+            assert.deepStrictEqual(ops.map(op => [op.op, op.path]), [['remove', [0, 0]], ['insert', [0, 0]]]);
+        });
+
+        it('should move reordered keyed elements', function() {
+            const ops = check(
+                '<ul><li id="a">A</li><li id="b">B</li><li id="c">C</li></ul>',
+                '<ul><li id="c">C</li><li id="a">A!</li><li id="b">B</li></ul>'
+            );
+            assert.deepStrictEqual(ops, [
+                { op: 'move', from: [0, 2], path: [0, 0] },
+                { op: 'text', path: [0, 1, 0], oldValue: 'A', value: 'A!' },
+            ]);
+        });
+
+        it('should use the key option', function() {
+            const before = '<ul><li data-key="1">A</li><li data-key="2">B</li></ul>';
+            const after = '<ul><li data-key="2">B</li><li data-key="1">A</li></ul>';
+            const keyed = check(before, after, { key: 'data-key' });
+            assert.deepStrictEqual(keyed.map(op => op.op), ['move']);
+
+            // Matched by position, the text and attributes change instead
+            const positional = check(before, after, { key: false });
+            assert.deepStrictEqual(positional.map(op => op.op), ['change-attribute', 'text', 'change-attribute', 'text']);
+        });
+
+        it('should not match keyed elements with a different name', function() {
+            const ops = check('<div><p id="x">A</p></div>', '<div><section id="x">A</section></div>');
+            assert.deepStrictEqual(ops.map(op => op.op), ['remove', 'insert']);
+        });
+
+        it('should address the roots of several root documents', function() {
+            const ops = check('<p>A</p><p>B</p>', '<p>A</p><p>C</p>');
+            assert.deepStrictEqual(ops, [{ op: 'text', path: [1, 0], oldValue: 'B', value: 'C' }]);
+        });
+
+        it('should handle empty trees', function() {
+            assert.deepStrictEqual(check('<p>A</p>', '<p>A</p>'), []);
+            const ops = diff(parser(''), parser('<p>A</p>'));
+            assert.deepStrictEqual(ops.map(op => [op.op, op.path]), [['insert', [0]]]);
+            assert.deepStrictEqual(diff(parser('<p>A</p>'), undefined).map(op => op.op), ['remove']);
+        });
+    });
+
+    describe('applyPatch', function() {
+        it('should not change the original tree', function() {
+            const tree = parser('<p class="a">Hi</p>');
+            const copy = JSON.parse(JSON.stringify(tree));
+            const result = applyPatch(tree, diff(tree, parser('<p class="b">Hi <b>there</b></p>')));
+            assert.deepStrictEqual(tree, copy);
+            assert.strictEqual(render(result), '<p class="b">Hi <b>there</b></p>');
+        });
+
+        it('should return several roots in a template wrapper and lists as lists', function() {
+            const result = applyPatch(parser('<p>A</p>'), [{ op: 'insert', path: [1], node: text('B') }]);
+            assert.strictEqual(result.type, 'template');
+            assert.strictEqual(render(result), '<p>A</p>B');
+
+            const list = applyPatch([parser('<p>A</p>')], [{ op: 'remove', path: [0] }]);
+            assert.deepStrictEqual(list, []);
+            assert.strictEqual(applyPatch(parser('<p>A</p>'), [{ op: 'remove', path: [0] }]), undefined);
+        });
+
+        it('should remove empty props and children', function() {
+            const result = applyPatch(parser('<p id="x">A</p>'), [
+                { op: 'remove-attribute', path: [0], name: 'id' },
+                { op: 'remove', path: [0, 0] },
+            ]);
+            assert.deepStrictEqual(result, { type: 'p' });
+        });
+
+        it('should apply operations written by hand', function() {
+            const result = applyPatch(parser('<ul><li>A</li><li>B</li></ul>'), [
+                { op: 'move', from: [0, 0], path: [0, 1] },
+                { op: 'add-attribute', path: [0, 0], name: 'class', value: 'first' },
+                { op: 'text', path: [0, 1, 0], value: 'a' },
+            ]);
+            assert.strictEqual(render(result), '<ul><li class="first">B</li><li>a</li></ul>');
+        });
+
+        it('should accept object props', function() {
+            const result = applyPatch({ type: 'a', props: { href: '/' } }, [{ op: 'change-attribute', path: [0], name: 'href', value: '/x' }]);
+            assert.deepStrictEqual(result.props, [{ name: 'href', value: '/x' }]);
+        });
+
+        it('should reject invalid paths and operations', function() {
+            const tree = parser('<p>A</p>');
+            assert.throws(() => applyPatch(tree, [{ op: 'remove', path: [3] }]), RangeError);
+            assert.throws(() => applyPatch(tree, [{ op: 'text', path: [0, 5, 0], value: 'x' }]), RangeError);
+            assert.throws(() => applyPatch(tree, [{ op: 'insert', path: [], node: text('x') }]), RangeError);
+            assert.throws(() => applyPatch(tree, [{ op: 'text', path: [0], value: 'x' }]), TypeError);
+            assert.throws(() => applyPatch(tree, [{ op: 'rename', path: [0] }]), TypeError);
+            assert.throws(() => applyPatch(tree, {}), TypeError);
+        });
+    });
+
+    it('should patch nested structure changes', function() {
+        check(
+            '<article><h1>Title</h1><section id="s1"><p>One</p><p>Two</p></section><section id="s2"><p>Three</p></section></article>',
+            '<article><section id="s2"><p>Three</p><p>Four</p></section><h1 class="t">Title!</h1><section id="s1"><p>Two</p></section></article>'
+        );
+    });
+});
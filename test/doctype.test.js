@@ -0,0 +1,127 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+describe('Doctype and Processing Instructions', function() {
+
+    describe('Doctype', function() {
+
+        it('should create a #doctype node for HTML5 documents', function() {
+            const tree = parser('<!DOCTYPE html><html><body></body></html>');
+
+            assert.strictEqual(tree.type, 'template');
+            assert.strictEqual(tree.children[0].type, '#doctype');
+            assert.deepStrictEqual(tree.children[0].props, [{ name: 'name', value: 'html' }]);
+            assert.strictEqual(tree.children[1].type, 'html');
+        });
+
+        it('should recognise lowercase declarations and write them back as they were', function() {
+            const tree = parser('<!doctype html>');
+            assert.strictEqual(tree.type, '#doctype');
+            assert.strictEqual(tree.raw, '<!doctype html>');
+            assert.strictEqual(render(tree), '<!doctype html>');
+            assert.strictEqual(parser('<!DOCTYPE html>').raw, undefined);
+        });
+
+        it('should keep the layout of the declaration until its props change', function() {
+            const html = '<!DOCTYPE html PUBLIC \'-//W3C//DTD XHTML 1.0 Strict//EN\'\n  "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">';
+            const tree = parser(html);
+            assert.strictEqual(render(tree), html);
+
+            tree.props[1].value = '-//W3C//DTD XHTML 1.0 Transitional//EN';
+            assert.strictEqual(render(tree), '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">');
+        });
+
+        it('should read public and system identifiers', function() {
+            const html = '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">';
+            const tree = parser(html);
+
+            assert.deepStrictEqual(tree.props, [
+                { name: 'name', value: 'html' },
+                { name: 'publicId', value: '-//W3C//DTD XHTML 1.0 Strict//EN' },
+                { name: 'systemId', value: 'http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd' },
+            ]);
+            assert.strictEqual(render(tree), html);
+        });
+
+        it('should read system identifiers', function() {
+            const xml = '<!DOCTYPE note SYSTEM "note.dtd">';
+            const tree = parser(xml);
+
+            assert.deepStrictEqual(tree.props, [
+                { name: 'name', value: 'note' },
+                { name: 'systemId', value: 'note.dtd' },
+            ]);
+            assert.strictEqual(render(tree), xml);
+        });
+
+        it('should keep the internal subset', function() {
+            const xml = '<!DOCTYPE note [<!ELEMENT note (#PCDATA)><!ENTITY writer "Donald > Duck">]>';
+            const tree = parser(xml + '<note>x</note>');
+
+            assert.strictEqual(tree.children[0].type, '#doctype');
+            assert.strictEqual(tree.children[0].props[1].name, 'internalSubset');
+            assert.strictEqual(tree.children[0].props[1].value, '<!ELEMENT note (#PCDATA)><!ENTITY writer "Donald > Duck">');
+            assert.strictEqual(tree.children[1].type, 'note');
+            assert.strictEqual(render(tree.children[0]), '<!DOCTYPE note [<!ELEMENT note (#PCDATA)><!ENTITY writer "Donald > Duck">]>');
+        });
+    });
+
+    describe('Processing Instructions', function() {
+
+        it('should create a node for the XML declaration', function() {
+            const tree = parser('<?xml version="1.0" encoding="UTF-8"?><root />');
+
+            assert.strictEqual(tree.children[0].type, '#processing-instruction');
+            assert.deepStrictEqual(tree.children[0].props, [
+                { name: 'target', value: 'xml' },
+                { name: 'data', value: 'version="1.0" encoding="UTF-8"' },
+            ]);
+            assert.strictEqual(tree.children[1].type, 'root');
+        });
+
+        it('should handle instructions inside elements', function() {
+            const tree = parser('<doc><?render mode="fast"?><p>x</p></doc>');
+
+            assert.strictEqual(tree.children[0].type, '#processing-instruction');
+            assert.strictEqual(tree.children[0].props[0].value, 'render');
+            assert.strictEqual(tree.children[1].type, 'p');
+        });
+
+        it('should keep ">" inside instruction data', function() {
+            const tree = parser('<?php if ($a > $b) echo "<b>"; ?>');
+            assert.strictEqual(tree.props[1].value, 'if ($a > $b) echo "<b>"; ');
+        });
+
+        it('should keep the whitespace of instructions until their props change', function() {
+            const tree = parser('<?xml-stylesheet   type="text/xsl"\n  href="style.xsl" ?>');
+            assert.strictEqual(render(tree), '<?xml-stylesheet   type="text/xsl"\n  href="style.xsl" ?>');
+
+            tree.props[0].value = 'xml-style';
+            assert.strictEqual(render(tree), '<?xml-style type="text/xsl"\n  href="style.xsl" ?>');
+        });
+
+        it('should handle instructions without data', function() {
+            const tree = parser('<?page-break?>');
+            assert.deepStrictEqual(tree.props, [{ name: 'target', value: 'page-break' }, { name: 'data', value: '' }]);
+            assert.strictEqual(render(tree), '<?page-break?>');
+        });
+    });
+
+    describe('Roundtrip', function() {
+
+        it('should roundtrip a whole XML document', function() {
+            const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<?xml-stylesheet type="text/xsl" href="style.xsl"?>\n' +
+                '<!DOCTYPE catalog SYSTEM "catalog.dtd">\n' +
+                '<catalog><book id="1">Title</book></catalog>';
+
+            assert.strictEqual(render(parser(xml)), xml);
+        });
+
+        it('should roundtrip a whole HTML document', function() {
+            const html = '<!DOCTYPE html>\n<html><head><title>Page</title></head><body><p>Text</p></body></html>';
+            assert.strictEqual(render(parser(html)), html);
+        });
+    });
+});
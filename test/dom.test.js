@@ -0,0 +1,166 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import { toDOM, fromDOM } from '../src/dom.js';
+import { createDocument } from './fixtures/fake-document.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+describe('DOM Conversion', function() {
+
+    let document;
+
+    beforeEach(function() {
+        document = createDocument();
+    });
+
+    describe('toDOM', function() {
+        it('should create elements, attributes and text', function() {
+            const element = toDOM(parser('<div id="app" class="x">Hello <b>world</b></div>'), document);
+            assert.strictEqual(element.nodeType, 1);
+            assert.strictEqual(element.tagName, 'DIV');
+            assert.strictEqual(element.getAttribute('id'), 'app');
+            assert.strictEqual(element.getAttribute('class'), 'x');
+            assert.strictEqual(element.childNodes.length, 2);
+            assert.strictEqual(element.childNodes[0].nodeType, 3);
+            assert.strictEqual(element.childNodes[0].data, 'Hello ');
+            assert.strictEqual(element.childNodes[1].localName, 'b');
+            assert.strictEqual(element.childNodes[1].parentNode, element);
+        });
+
+        it('should create comments and turn CDATA into text', function() {
+            const element = toDOM(parser('<div><!-- note --><![CDATA[a < b]]></div>'), document);
+            assert.strictEqual(element.childNodes[0].nodeType, 8);
+            assert.strictEqual(element.childNodes[0].data, ' note ');
+            assert.strictEqual(element.childNodes[1].nodeType, 3);
+            assert.strictEqual(element.childNodes[1].data, 'a < b');
+        });
+
+        it('should turn the template wrapper into a fragment', function() {
+            const fragment = toDOM(parser('<!DOCTYPE html><p>One</p><p>Two</p>'), document);
+            assert.strictEqual(fragment.nodeType, 11);
+            // The doctype cannot be placed in a fragment
+            assert.deepStrictEqual(fragment.childNodes.map(node => node.localName), ['p', 'p']);
+        });
+
+        it('should turn a list of nodes into a fragment', function() {
+            const fragment = toDOM([parser('<a></a>'), parser('<b></b>')], document);
+            assert.strictEqual(fragment.nodeType, 11);
+            assert.strictEqual(fragment.childNodes.length, 2);
+        });
+
+        it('should put the children of template elements in their content', function() {
+            const div = toDOM(parser('<div><template><p>t</p></template></div>'), document);
+            const template = div.childNodes[0];
+            assert.strictEqual(template.childNodes.length, 0);
+            assert.strictEqual(template.content.childNodes[0].localName, 'p');
+        });
+
+        it('should create SVG and MathML elements in their namespaces', function() {
+            const div = toDOM(parser('<div><svg viewBox="0 0 10 10"><circle r="5"/></svg><math><mi>x</mi></math></div>'), document);
+            const [svg, math] = div.childNodes;
+            assert.strictEqual(div.namespaceURI, HTML_NAMESPACE);
+            assert.strictEqual(svg.namespaceURI, SVG_NAMESPACE);
+            assert.strictEqual(svg.getAttribute('viewBox'), '0 0 10 10');
+            assert.strictEqual(svg.childNodes[0].namespaceURI, SVG_NAMESPACE);
+            assert.strictEqual(math.namespaceURI, MATHML_NAMESPACE);
+            assert.strictEqual(math.childNodes[0].namespaceURI, MATHML_NAMESPACE);
+        });
+
+        it('should keep the case of SVG element names', function() {
+            const svg = toDOM(parser('<svg><linearGradient id="g"/></svg>'), document);
+            assert.strictEqual(svg.childNodes[0].localName, 'linearGradient');
+        });
+
+        it('should switch back to HTML inside foreignObject', function() {
+            const svg = toDOM(parser('<svg><foreignObject><p>x</p></foreignObject></svg>'), document);
+            const foreignObject = svg.childNodes[0];
+            assert.strictEqual(foreignObject.namespaceURI, SVG_NAMESPACE);
+            assert.strictEqual(foreignObject.childNodes[0].namespaceURI, HTML_NAMESPACE);
+        });
+
+        it('should set namespaced attributes in their namespaces', function() {
+            const svg = toDOM(parser('<svg xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"/></svg>'), document);
+            assert.strictEqual(svg.childNodes[0].getAttributeNode('xlink:href').namespaceURI, XLINK_NAMESPACE);
+        });
+
+        it('should use the namespace of an xmlns attribute', function() {
+            const element = toDOM(parser('<feed xmlns="http://www.w3.org/2005/Atom"><title>x</title></feed>'), document);
+            assert.strictEqual(element.namespaceURI, 'http://www.w3.org/2005/Atom');
+            assert.strictEqual(element.childNodes[0].namespaceURI, 'http://www.w3.org/2005/Atom');
+        });
+
+        it('should leave out attributes the DOM rejects', function() {
+            const element = toDOM({ type: 'div', props: [{ name: 'a"b', value: '1' }, { name: 'id', value: 'x' }] }, document);
+            assert.deepStrictEqual(element.attributes.map(attribute => attribute.name), ['id']);
+        });
+
+        it('should return null for an empty tree', function() {
+            assert.strictEqual(toDOM(parser(''), document), null);
+        });
+
+        it('should require a document', function() {
+            assert.throws(() => toDOM(parser('<p></p>'), null), TypeError);
+        });
+    });
+
+    describe('fromDOM', function() {
+        it('should create the parser format from DOM nodes', function() {
+            const div = document.createElement('div');
+            div.setAttribute('id', 'app');
+            div.appendChild(document.createTextNode('Hi '));
+            div.appendChild(document.createElement('b')).appendChild(document.createTextNode('there'));
+            div.appendChild(document.createComment(' c '));
+
+            assert.deepStrictEqual(fromDOM(div), parser('<div id="app">Hi <b>there</b><!-- c --></div>'));
+        });
+
+        it('should convert CDATA, processing instructions and doctypes', function() {
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(document.createProcessingInstruction('xml', 'version="1.0"'));
+            fragment.appendChild(document.implementation.createDocumentType('html', '', ''));
+            const element = fragment.appendChild(document.createElementNS('urn:x', 'x:data'));
+            element.appendChild({ nodeType: 4, data: 'a < b' });
+
+            assert.deepStrictEqual(fromDOM(fragment), parser('<?xml version="1.0"?><!DOCTYPE html><x:data><![CDATA[a < b]]></x:data>'));
+        });
+
+        it('should return a single root or a template wrapper for fragments', function() {
+            const fragment = document.createDocumentFragment();
+            assert.strictEqual(fromDOM(fragment), undefined);
+            fragment.appendChild(document.createElement('p'));
+            assert.deepStrictEqual(fromDOM(fragment), { type: 'p' });
+            fragment.appendChild(document.createElement('p'));
+            assert.deepStrictEqual(fromDOM(fragment), { type: 'template', children: [{ type: 'p' }, { type: 'p' }] });
+        });
+
+        it('should read template content as children', function() {
+            const template = document.createElement('template');
+            template.content.appendChild(document.createElement('p'));
+            assert.deepStrictEqual(fromDOM(template), { type: 'template', children: [{ type: 'p' }] });
+        });
+
+        it('should reject values that are not DOM nodes', function() {
+            assert.throws(() => fromDOM({}), TypeError);
+            assert.throws(() => fromDOM('<p>'), TypeError);
+        });
+    });
+
+    describe('Roundtrip', function() {
+        it('should give back the same tree', function() {
+            const html = '<div class="card"><h1>Title &amp; more</h1><!-- note --><p>Text<br>line</p>' +
+                '<svg viewBox="0 0 1 1"><path d="M0 0"/><foreignObject><span>x</span></foreignObject></svg>' +
+                '<ul><li>One</li><li>Two</li></ul></div>';
+            const tree = parser(html);
+            assert.deepStrictEqual(fromDOM(toDOM(tree, document)), tree);
+        });
+
+        it('should give back the same markup for several roots', function() {
+            const html = '<p>One</p><!-- c --><p>Two <i>2</i></p>';
+            assert.strictEqual(render(fromDOM(toDOM(parser(html), document))), html);
+        });
+    });
+});
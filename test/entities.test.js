@@ -0,0 +1,85 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import decodeEntities from '../src/entities.js';
+
+describe('Character References', function() {
+
+    describe('decodeEntities', function() {
+
+        it('should decode named references', function() {
+            assert.strictEqual(decodeEntities('&amp; &lt; &gt; &quot; &apos; &nbsp;'), '& < > " \'  ');
+            assert.strictEqual(decodeEntities('&copy; &NotEqualTilde;'), '© ≂̸');
+        });
+
+        it('should decode decimal and hexadecimal references', function() {
+            assert.strictEqual(decodeEntities('&#39;&#x27;&#X41;&#128512;'), '\'\'A\u{1F600}');
+        });
+
+        it('should replace invalid code points', function() {
+            assert.strictEqual(decodeEntities('&#0;&#xD800;&#x110000;'), '���');
+            assert.strictEqual(decodeEntities('&#128;&#x99;'), '€™');
+        });
+
+        it('should decode legacy references without a semicolon', function() {
+            assert.strictEqual(decodeEntities('a &amp b &copy2024'), 'a & b ©2024');
+            assert.strictEqual(decodeEntities('&notit;'), '¬it;');
+        });
+
+        it('should keep unknown references as written', function() {
+            assert.strictEqual(decodeEntities('&unknown; & &; &#;'), '&unknown; & &; &#;');
+        });
+
+        it('should not decode legacy references followed by alphanumerics in attributes', function() {
+            assert.strictEqual(decodeEntities('?a=1&copy=2', true), '?a=1&copy=2');
+            assert.strictEqual(decodeEntities('?a=1&copyb', true), '?a=1&copyb');
+            assert.strictEqual(decodeEntities('?a=1&copy;', true), '?a=1©');
+        });
+    });
+
+    describe('Parser', function() {
+
+        it('should decode references in text', function() {
+            const tree = parser('<p>Tom &amp; Jerry&nbsp;&#8212; &lt;3</p>');
+            assert.strictEqual(tree.children[0].props[0].value, 'Tom & Jerry — <3');
+        });
+
+        it('should decode references in attribute values', function() {
+            const tree = parser('<a title="&quot;Hi&quot; &#39;there&#39;" href="/?a=1&amp;b=2">x</a>');
+            assert.strictEqual(tree.props[0].value, '"Hi" \'there\'');
+            assert.strictEqual(tree.props[1].value, '/?a=1&b=2');
+        });
+
+        it('should not decode comments', function() {
+            const tree = parser('<!-- &amp; -->');
+            assert.strictEqual(tree.props[0].value, ' &amp; ');
+        });
+
+        it('should keep references as written when decodeEntities is false', function() {
+            const tree = parser('<p title="a &amp; b">&lt;raw&gt;</p>', { decodeEntities: false });
+            assert.strictEqual(tree.props[0].value, 'a &amp; b');
+            assert.strictEqual(tree.children[0].props[0].value, '&lt;raw&gt;');
+        });
+    });
+
+    describe('Roundtrip', function() {
+
+        it('should not double-escape text', function() {
+            const html = '<p>Fish &amp; Chips &lt;b&gt;</p>';
+            assert.strictEqual(render(parser(html)), html);
+        });
+
+        it('should not double-escape attributes', function() {
+            const html = '<a href="/?a=1&amp;b=2" title="&quot;quoted&quot;">Link</a>';
+            assert.strictEqual(render(parser(html)), html);
+        });
+
+        it('should be stable across repeated roundtrips', function() {
+            const html = '<div title="&lt;tag&gt;">&amp;amp;</div>';
+            const once = render(parser(html));
+            const twice = render(parser(once));
+            assert.strictEqual(once, html);
+            assert.strictEqual(twice, once);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import { ParseError } from '../src/errors.js';
+
+/**
+ * Parse and return the error codes found
+ * @param {string} html - Input
+ * @returns {string[]} Error codes
+ */
+function codes(html) {
+    return parser(html, { withErrors: true }).errors.map(error => error.code);
+}
+
+describe('Parse Errors', function() {
+
+    it('should return the tree unchanged without error options', function() {
+        const tree = parser('<div></span></div>');
+        assert.strictEqual(tree.type, 'div');
+    });
+
+    it('should return errors next to the tree', function() {
+        const result = parser('<div>ok</div>', { withErrors: true });
+
+        assert.strictEqual(result.tree.type, 'div');
+        assert.deepStrictEqual(result.errors, []);
+    });
+
+    it('should report stray end tags', function() {
+        const { tree, errors } = parser('<div>\n  text</span></div>', { withErrors: true });
+
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof ParseError);
+        assert.strictEqual(errors[0].code, 'unexpected-end-tag');
+        assert.deepStrictEqual(errors[0].position, { offset: 12, line: 2, column: 7 });
+        assert.deepStrictEqual(errors[0].node, { type: 'span' });
+        assert.ok(errors[0].message.includes('</span>'));
+        assert.ok(errors[0].message.includes('(2:7)'));
+        assert.strictEqual(tree.children.length, 1);
+    });
+
+    it('should report elements closed without their end tag', function() {
+        const { tree, errors } = parser('<div><span>text</div>', { withErrors: true });
+
+        assert.deepStrictEqual(errors.map(e => e.code), ['missing-end-tag']);
+        assert.strictEqual(errors[0].node, tree.children[0]);
+        assert.strictEqual(errors[0].position.offset, 15);
+    });
+
+    it('should report elements left open at the end of input', function() {
+        const { tree, errors } = parser('<root>\n<item>value', { withErrors: true });
+
+        assert.deepStrictEqual(errors.map(e => e.code), ['unclosed-element', 'unclosed-element']);
+        assert.strictEqual(errors[0].node, tree.children[1]);
+        assert.deepStrictEqual(errors[0].position, { offset: 7, line: 2, column: 1 });
+        assert.strictEqual(errors[1].node, tree);
+    });
+
+    it('should keep unterminated comments and report them', function() {
+        const { tree, errors } = parser('<div>a</div><!-- unfinished', { withErrors: true });
+
+        assert.deepStrictEqual(errors.map(e => e.code), ['eof-in-comment']);
+        assert.strictEqual(errors[0].position.offset, 12);
+        assert.strictEqual(tree.children[1].type, '#comments');
+        assert.strictEqual(tree.children[1].props[0].value, ' unfinished');
+    });
+
+    it('should end comments at "--!>" in HTML mode and report it', function() {
+        const { tree, errors } = parser('<!--a--!><img src=x>', { htmlMode: true, withErrors: true });
+
+        assert.deepStrictEqual(errors.map(e => e.code), ['incorrectly-closed-comment']);
+        assert.deepStrictEqual(tree.children.map(node => node.type), ['#comments', 'img']);
+        assert.strictEqual(tree.children[0].props[0].value, 'a');
+        assert.strictEqual(parser('<!--a--!>b-->').props[0].value, 'a--!>b');
+    });
+
+    it('should report other constructs cut by the end of input', function() {
+        assert.deepStrictEqual(codes('<x><![CDATA[abc'), ['eof-in-cdata', 'unclosed-element']);
+        assert.deepStrictEqual(codes('<!DOCTYPE html'), ['eof-in-doctype']);
+        assert.deepStrictEqual(codes('<?xml version="1.0"'), ['eof-in-processing-instruction']);
+        assert.deepStrictEqual(codes('<div class="a'), ['eof-in-tag']);
+    });
+
+    it('should keep unescaped "<" in text', function() {
+        const { tree, errors } = parser('<p>a < b and 1 <3</p>', { withErrors: true });
+
+        assert.deepStrictEqual(errors.map(e => e.code), ['invalid-first-character-of-tag-name', 'invalid-first-character-of-tag-name']);
+        assert.strictEqual(tree.children.length, 1);
+        assert.strictEqual(tree.children[0].props[0].value, 'a < b and 1 <3');
+    });
+
+    it('should call onError for each problem', function() {
+        const found = [];
+        const tree = parser('<a></b><c>', { onError: error => found.push(error.code) });
+
+        assert.deepStrictEqual(found, ['unexpected-end-tag', 'unclosed-element', 'unclosed-element']);
+        assert.strictEqual(tree.type, 'a');
+    });
+
+    it('should throw on the first problem in strict mode', function() {
+        assert.throws(
+            () => parser('<config><value>1</config>', { strict: true }),
+            error => error instanceof ParseError && error.code === 'missing-end-tag' && error.node.type === 'value'
+        );
+    });
+
+    it('should not throw for well-formed input in strict mode', function() {
+        const tree = parser('<?xml version="1.0"?><config><value>1</value><flag /></config>', { strict: true });
+        assert.strictEqual(tree.children[1].type, 'config');
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Minimal DOM for the tests: just enough of Document, Element, Text, Comment and
+ * DocumentFragment for toDOM() and fromDOM(), following the DOM rules they rely on
+ * (lowercase HTML names, namespaces, template content, fragments emptied on append).
+ */
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+class FakeNode {
+    constructor(nodeType, ownerDocument) {
+        this.nodeType = nodeType;
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    appendChild(child) {
+        // Appending a fragment moves its children
+        if (child.nodeType === 11) {
+            for (const node of child.childNodes.slice()) {
+                this.appendChild(node);
+            }
+            return child;
+        }
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        child.parentNode = this;
+        this.childNodes.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index === -1) {
+            throw new Error('NotFoundError');
+        }
+        this.childNodes.splice(index, 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+}
+
+class FakeCharacterData extends FakeNode {
+    constructor(nodeType, ownerDocument, data) {
+        super(nodeType, ownerDocument);
+        this.data = String(data);
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(ownerDocument, namespaceURI, qualifiedName) {
+        super(1, ownerDocument);
+        const colon = qualifiedName.indexOf(':');
+        this.namespaceURI = namespaceURI;
+        this.prefix = colon === -1 ? null : qualifiedName.slice(0, colon);
+        this.localName = colon === -1 ? qualifiedName : qualifiedName.slice(colon + 1);
+        this.tagName = namespaceURI === HTML_NAMESPACE ? qualifiedName.toUpperCase() : qualifiedName;
+        this.attributes = [];
+        if (namespaceURI === HTML_NAMESPACE && this.localName === 'template') {
+            this.content = ownerDocument.createDocumentFragment();
+        }
+    }
+
+    setAttribute(name, value) {
+        if (!/^[^\s"'>/=\0]+$/.test(name)) {
+            throw new Error('InvalidCharacterError');
+        }
+        this.setAttributeNS(null, this.namespaceURI === HTML_NAMESPACE ? name.toLowerCase() : name, value);
+    }
+
+    setAttributeNS(namespaceURI, name, value) {
+        const attribute = this.attributes.find(attribute => attribute.name === name);
+        if (attribute) {
+            attribute.value = String(value);
+        } else {
+            this.attributes.push({ name, value: String(value), namespaceURI });
+        }
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(attribute => attribute.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    getAttributeNode(name) {
+        return this.attributes.find(attribute => attribute.name === name) || null;
+    }
+}
+
+/**
+ * Create an empty HTML document
+ * @returns {Object} Fake document
+ */
+export function createDocument() {
+    const document = new FakeNode(9, null);
+
+    Object.assign(document, {
+        createElement(name) {
+            return new FakeElement(document, HTML_NAMESPACE, name.toLowerCase());
+        },
+        createElementNS(namespaceURI, qualifiedName) {
+            return new FakeElement(document, namespaceURI, qualifiedName);
+        },
+        createTextNode(data) {
+            return new FakeCharacterData(3, document, data);
+        },
+        createCDATASection(data) {
+            // Not allowed in HTML documents
+            throw new Error('NotSupportedError');
+        },
+        createComment(data) {
+            return new FakeCharacterData(8, document, data);
+        },
+        createProcessingInstruction(target, data) {
+            const node = new FakeCharacterData(7, document, data);
+            node.target = target;
+            return node;
+        },
+        createDocumentFragment() {
+            return new FakeNode(11, document);
+        },
+        implementation: {
+            createDocumentType(name, publicId, systemId) {
+                return Object.assign(new FakeNode(10, document), { name, publicId, systemId });
+            },
+        },
+    });
+
+    return document;
+}
@@ -0,0 +1,94 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+/**
+ * Parse in HTML mode and render back
+ * @param {string} html - Input
+ * @returns {string} Rendered markup
+ */
+function normalize(html) {
+    return render(parser(html, { htmlMode: true }));
+}
+
+describe('Foreign Content', function() {
+
+    describe('parser', function() {
+        it('should close foreign elements with "/>" and keep the case of their names', function() {
+            const tree = parser('<svg viewBox="0 0 10 10"><linearGradient id="g"/><path d="M0 0"/><circle r="5"/></svg>', { htmlMode: true });
+            assert.deepStrictEqual(tree.children.map(child => child.type), ['linearGradient', 'path', 'circle']);
+            assert.deepStrictEqual(tree.props, [{ name: 'viewBox', value: '0 0 10 10' }]);
+        });
+
+        it('should keep HTML elements open after "/>"', function() {
+            const errors = [];
+            const tree = parser('<div/><p>x</p>', { htmlMode: true, onError: error => errors.push(error) });
+            assert.strictEqual(render(tree), '<div><p>x</p></div>');
+            assert.strictEqual(errors[0].code, 'non-void-html-element-start-tag-with-trailing-solidus');
+            // Void elements close anyway
+            assert.strictEqual(normalize('<p>a<br/>b</p>'), '<p>a<br />b</p>');
+        });
+
+        it('should not close elements with "/>" differently without htmlMode', function() {
+            assert.strictEqual(render(parser('<div/><p>x</p>')), '<div></div><p>x</p>');
+        });
+
+        it('should not treat foreign elements as void or raw text', function() {
+            const tree = parser('<svg><link>a</link><title><b>t</b></title><style>a &gt; b {}</style></svg>', { htmlMode: true });
+            assert.deepStrictEqual(tree.children[0].children, [{ type: '#text', props: [{ name: 'textContent', value: 'a' }] }]);
+            // SVG title holds HTML
+            assert.strictEqual(tree.children[1].children[0].type, 'b');
+            assert.strictEqual(tree.children[2].children[0].props[0].value, 'a > b {}');
+        });
+
+        it('should not apply the HTML optional tag rules in foreign content', function() {
+            assert.strictEqual(normalize('<math><mrow><mi>x</mi><mo>=</mo></mrow></math>'), '<math><mrow><mi>x</mi><mo>=</mo></mrow></math>');
+            assert.strictEqual(normalize('<svg><g><tr/></g></svg>'), '<svg><g><tr /></g></svg>');
+        });
+
+        it('should switch back to HTML rules inside foreignObject', function() {
+            const tree = parser('<svg><foreignObject><p>a<p>b<br/></p></foreignObject><rect/></svg>', { htmlMode: true });
+            assert.strictEqual(render(tree), '<svg><foreignObject><p>a</p><p>b<br /></p></foreignObject><rect /></svg>');
+            // An open HTML element keeps the end tag of the integration point from closing it
+            assert.strictEqual(normalize('<svg><foreignObject><div/></foreignObject><rect/>'), '<svg><foreignObject><div><rect></rect></div></foreignObject></svg>');
+        });
+
+        it('should close foreign content at HTML start tags', function() {
+            assert.strictEqual(normalize('<p>a<svg><g><p>b</p></g></svg>'), '<p>a<svg><g /></svg></p><p>b</p>');
+            assert.strictEqual(normalize('<svg><font color="red">x</font></svg>'), '<svg /><font color="red">x</font>');
+            assert.strictEqual(normalize('<svg><font>x</font></svg>'), '<svg><font>x</font></svg>');
+        });
+
+        it('should match end tags in foreign content', function() {
+            assert.strictEqual(normalize('<div><svg><g><rect></g></svg>x</div>'), '<div><svg><g><rect /></g></svg>x</div>');
+            assert.strictEqual(normalize('<svg><clipPath><rect></clippath></svg>'), '<svg><clipPath><rect /></clipPath></svg>');
+        });
+    });
+
+    describe('render', function() {
+        it('should write empty svg and math elements with "/>"', function() {
+            const tree = parser('<div><svg><path d="M0 0"></path><use href="#a"></use></svg><math><mspace></mspace></math><span></span></div>');
+            assert.strictEqual(
+                render(tree),
+                '<div><svg><path d="M0 0" /><use href="#a" /></svg><math><mspace /></math><span></span></div>'
+            );
+        });
+
+        it('should write HTML rules inside integration points', function() {
+            const tree = parser('<svg><foreignObject><div></div><br></foreignObject><desc><span></span></desc></svg>');
+            assert.strictEqual(render(tree), '<svg><foreignObject><div></div><br /></foreignObject><desc><span></span></desc></svg>');
+        });
+
+        it('should escape the text of foreign script and style elements', function() {
+            const tree = { type: 'svg', children: [{ type: 'style', children: [{ type: '#text', props: [{ name: 'textContent', value: 'a < b' }] }] }] };
+            assert.strictEqual(render(tree), '<svg><style>a &lt; b</style></svg>');
+        });
+
+        it('should give back the same inline SVG', function() {
+            const html = '<p>Icon: <svg viewBox="0 0 24 24"><defs><linearGradient id="g"><stop offset="0" /></linearGradient></defs>' +
+                '<path d="M12 2L2 22h20z" fill="url(#g)" /><foreignObject><b>x</b></foreignObject></svg></p>';
+            assert.strictEqual(normalize(html), html);
+            assert.strictEqual(render(parser(html)), html);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import { toHast, fromHast, toJsonML, fromJsonML, toHyperscript, h } from '../src/formats.js';
+
+const html = '<!DOCTYPE html><html><body class="page  main" data-user-id="7"><!-- note -->' +
+    '<label for="name" aria-label="Name">Name</label><input id="name" disabled>' +
+    '<p>Hello <b>world</b></p></body></html>';
+
+const text = value => ({ type: '#text', props: [{ name: 'textContent', value }] });
+
+describe('Tree Formats', function() {
+
+    describe('hast', function() {
+        it('should convert nodes to hast nodes', function() {
+            const hast = toHast(parser('<p>Hi<!-- c --></p>'));
+            assert.deepStrictEqual(hast, {
+                type: 'root',
+                children: [{
+                    type: 'element',
+                    tagName: 'p',
+                    properties: {},
+                    children: [{ type: 'text', value: 'Hi' }, { type: 'comment', value: ' c ' }],
+                }],
+            });
+        });
+
+        it('should convert attributes to hast properties', function() {
+            const body = toHast(parser(html)).children[1].children[0];
+            assert.deepStrictEqual(body.properties, { className: ['page', 'main'], dataUserId: '7' });
+            const [, label, input] = body.children;
+            assert.deepStrictEqual(label.properties, { htmlFor: 'name', ariaLabel: 'Name' });
+            assert.deepStrictEqual(input.properties, { id: 'name', disabled: true });
+        });
+
+        it('should map the template wrapper to the root', function() {
+            const hast = toHast(parser('<!DOCTYPE html><p>a</p><p>b</p>'));
+            assert.deepStrictEqual(hast.children.map(node => node.type), ['doctype', 'element', 'element']);
+        });
+
+        it('should put the children of template elements in content', function() {
+            const template = toHast(parser('<div><template><p>t</p></template></div>')).children[0].children[0];
+            assert.deepStrictEqual(template.children, []);
+            assert.strictEqual(template.content.type, 'root');
+            assert.strictEqual(template.content.children[0].tagName, 'p');
+        });
+
+        it('should convert CDATA to text and processing instructions to instructions', function() {
+            const hast = toHast(parser('<?xml version="1.0"?><a><![CDATA[x < y]]></a>'));
+            assert.deepStrictEqual(hast.children[0], { type: 'instruction', name: 'xml', value: 'version="1.0"' });
+            assert.deepStrictEqual(hast.children[1].children[0], { type: 'text', value: 'x < y' });
+        });
+
+        it('should convert locations to positions', function() {
+            const hast = toHast(parser('<p>Hi</p>', { locations: true }));
+            assert.deepStrictEqual(hast.children[0].position, {
+                start: { line: 1, column: 1, offset: 0 },
+                end: { line: 1, column: 10, offset: 9 },
+            });
+        });
+
+        it('should convert hast back to the same markup', function() {
+            const result = render(fromHast(toHast(parser(html))));
+            assert.strictEqual(result, html.replace('page  main', 'page main').replace('disabled>', 'disabled />'));
+        });
+
+        it('should convert hast properties back to attributes', function() {
+            const node = fromHast({
+                type: 'element',
+                tagName: 'input',
+                properties: { className: ['a', 'b'], readOnly: true, hidden: false, dataFooBar: 1, accept: ['.png', '.jpg'], viewBox: '0 0 1 1' },
+                children: [],
+            });
+            assert.deepStrictEqual(node.props, [
+                { name: 'class', value: 'a b' },
+                { name: 'readonly', value: true },
+                { name: 'data-foo-bar', value: '1' },
+                { name: 'accept', value: '.png, .jpg' },
+                { name: 'viewBox', value: '0 0 1 1' },
+            ]);
+        });
+
+        it('should return a single root as it is and several in a template wrapper', function() {
+            assert.strictEqual(fromHast({ type: 'root', children: [{ type: 'text', value: 'a' }] }).type, '#text');
+            const wrapper = fromHast(toHast(parser('<p>a</p><p>b</p>')));
+            assert.strictEqual(wrapper.type, 'template');
+            assert.strictEqual(wrapper.children.length, 2);
+            assert.strictEqual(fromHast({ type: 'root', children: [] }), undefined);
+        });
+
+        it('should bring template content back as children', function() {
+            const result = render(fromHast(toHast(parser('<div><template><p>t</p></template></div>'))));
+            assert.strictEqual(result, render(parser('<div><template><p>t</p></template></div>')));
+        });
+
+        it('should reject input that is not a hast node', function() {
+            assert.throws(() => fromHast(null), TypeError);
+            assert.throws(() => fromHast('<p>'), TypeError);
+        });
+    });
+
+    describe('JsonML', function() {
+        it('should convert elements to arrays and text to strings', function() {
+            const jsonml = toJsonML(parser('<ul class="x"><li>One</li><li>Two <b>2</b></li></ul>'));
+            assert.deepStrictEqual(jsonml, ['ul', { class: 'x' }, ['li', 'One'], ['li', 'Two ', ['b', '2']]]);
+        });
+
+        it('should convert comments, CDATA, doctypes and processing instructions', function() {
+            const jsonml = toJsonML(parser('<?xml version="1.0"?><!DOCTYPE note><note><!-- c --><![CDATA[x]]></note>'));
+            assert.deepStrictEqual(jsonml, [
+                'template',
+                ['#processing-instruction', { target: 'xml', data: 'version="1.0"' }],
+                ['#doctype', { name: 'note' }],
+                ['note', ['#comment', ' c '], ['#cdata', 'x']],
+            ]);
+        });
+
+        it('should convert a list of nodes to a list', function() {
+            const jsonml = toJsonML([h('a', null, 'x'), h('b')]);
+            assert.deepStrictEqual(jsonml, [['a', 'x'], ['b']]);
+        });
+
+        it('should convert JsonML back to nodes', function() {
+            const node = fromJsonML(['p', { id: 'x' }, 'Hi ', ['b', 'there'], ['#comment', 'c']]);
+            assert.deepStrictEqual(node, {
+                type: 'p',
+                props: [{ name: 'id', value: 'x' }],
+                children: [
+                    text('Hi '),
+                    { type: 'b', children: [text('there')] },
+                    { type: '#comments', props: [{ name: 'text', value: 'c' }] },
+                ],
+            });
+        });
+
+        it('should give back the same markup', function() {
+            const source = '<?xml version="1.0"?><!DOCTYPE html><html><body><!-- c --><p a="1">x &amp; <i>y</i></p><![CDATA[z]]></body></html>';
+            assert.strictEqual(render(fromJsonML(toJsonML(parser(source)))), source);
+        });
+
+        it('should keep boolean attributes', function() {
+            const jsonml = toJsonML(parser('<input type="checkbox" checked disabled="">'));
+            assert.deepStrictEqual(jsonml, ['input', { type: 'checkbox', checked: true, disabled: '' }]);
+            assert.deepStrictEqual(fromJsonML(jsonml), parser('<input type="checkbox" checked disabled="">'));
+        });
+
+        it('should reject input that is not JsonML', function() {
+            assert.throws(() => fromJsonML([]), TypeError);
+            assert.throws(() => fromJsonML([{ id: 1 }]), TypeError);
+            assert.throws(() => fromJsonML({}), TypeError);
+        });
+    });
+
+    describe('Hyperscript', function() {
+        it('should call the hyperscript function for every element', function() {
+            const calls = [];
+            const result = toHyperscript(parser('<p class="x">Hi <b>there</b></p>'), (type, attributes, children) => {
+                calls.push(type);
+                return { type, attributes, children };
+            });
+            assert.deepStrictEqual(calls, ['b', 'p']);
+            assert.deepStrictEqual(result, {
+                type: 'p',
+                attributes: { class: 'x' },
+                children: ['Hi ', { type: 'b', attributes: {}, children: ['there'] }],
+            });
+        });
+
+        it('should leave comments out and return a list for the template wrapper', function() {
+            const result = toHyperscript(parser('<!DOCTYPE html><a>1</a><!-- c --><b>2</b>'), (type, attributes, children) => [type, ...children]);
+            assert.deepStrictEqual(result, [['a', '1'], ['b', '2']]);
+        });
+
+        it('should build parsed format nodes with h', function() {
+            const node = h('a', { href: '/', hidden: true, disabled: false, title: null }, 'Home');
+            assert.deepStrictEqual(node, {
+                type: 'a',
+                props: [{ name: 'href', value: '/' }, { name: 'hidden', value: true }],
+                children: [text('Home')],
+            });
+        });
+
+        it('should accept h calls without attributes and nested children', function() {
+            const node = h('ul', [1, 2].map(i => h('li', 'Item ', i)), null, false, '');
+            assert.strictEqual(render(node), '<ul><li>Item 1</li><li>Item 2</li></ul>');
+        });
+
+        it('should keep nodes passed as children', function() {
+            const node = h('div', h('p', 'x'), { type: '#comments', props: [{ name: 'text', value: ' c ' }] });
+            assert.strictEqual(render(node), '<div><p>x</p><!-- c --></div>');
+        });
+
+        it('should give back the same markup with h', function() {
+            const source = '<div id="app"><p>Hello <b>world</b></p><br /></div>';
+            assert.strictEqual(render(toHyperscript(parser(source))), source);
+        });
+
+        it('should reject invalid arguments', function() {
+            assert.throws(() => h(''), TypeError);
+            assert.throws(() => toHyperscript(parser('<p></p>'), 'h'), TypeError);
+        });
+    });
+});
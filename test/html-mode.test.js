@@ -0,0 +1,142 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+/**
+ * Parse in HTML mode and render back
+ * @param {string} html - Input
+ * @returns {string} Rendered markup
+ */
+function normalize(html) {
+    return render(parser(html, { htmlMode: true }));
+}
+
+describe('HTML Mode', function() {
+
+    describe('Implied end tags', function() {
+
+        it('should close list items', function() {
+            const tree = parser('<ul><li>a<li>b</ul>', { htmlMode: true });
+
+            assert.deepStrictEqual(tree.children.map(child => child.type), ['li', 'li']);
+            assert.strictEqual(render(tree), '<ul><li>a</li><li>b</li></ul>');
+        });
+
+        it('should not close list items of an outer list', function() {
+            assert.strictEqual(normalize('<ul><li>a<ul><li>b<li>c</ul></ul>'), '<ul><li>a<ul><li>b</li><li>c</li></ul></li></ul>');
+        });
+
+        it('should close paragraphs', function() {
+            assert.strictEqual(normalize('<p>one<p>two'), '<p>one</p><p>two</p>');
+            assert.strictEqual(normalize('<p>text<div>block</div>'), '<p>text</p><div>block</div>');
+            assert.strictEqual(normalize('<p>text<ul><li>x</ul>'), '<p>text</p><ul><li>x</li></ul>');
+            assert.strictEqual(normalize('<p>text<hr>more'), '<p>text</p><hr />more');
+        });
+
+        it('should not close paragraphs across a button', function() {
+            assert.strictEqual(normalize('<p><button><p>inner</button></p>'), '<p><button><p>inner</p></button></p>');
+        });
+
+        it('should close definition terms and descriptions', function() {
+            assert.strictEqual(normalize('<dl><dt>a<dd>b<dt>c<dd>d</dl>'), '<dl><dt>a</dt><dd>b</dd><dt>c</dt><dd>d</dd></dl>');
+        });
+
+        it('should close options and option groups', function() {
+            assert.strictEqual(
+                normalize('<select><option>a<option>b<optgroup label="g"><option>c<optgroup label="h"></select>'),
+                '<select><option>a</option><option>b</option><optgroup label="g"><option>c</option></optgroup><optgroup label="h"></optgroup></select>'
+            );
+        });
+
+        it('should close table cells and rows', function() {
+            assert.strictEqual(
+                normalize('<table><tbody><tr><td>x<td>y<tr><th>z</table>'),
+                '<table><tbody><tr><td>x</td><td>y</td></tr><tr><th>z</th></tr></tbody></table>'
+            );
+        });
+
+        it('should close table sections', function() {
+            assert.strictEqual(
+                normalize('<table><thead><tr><th>h<tbody><tr><td>b<tfoot><tr><td>f</table>'),
+                '<table><thead><tr><th>h</th></tr></thead><tbody><tr><td>b</td></tr></tbody><tfoot><tr><td>f</td></tr></tfoot></table>'
+            );
+        });
+
+        it('should close ruby annotations', function() {
+            assert.strictEqual(normalize('<ruby>漢<rp>(<rt>kan<rp>)</ruby>'), '<ruby>漢<rp>(</rp><rt>kan</rt><rp>)</rp></ruby>');
+        });
+
+        it('should close nested buttons and headings', function() {
+            assert.strictEqual(normalize('<button>a<button>b'), '<button>a</button><button>b</button>');
+            assert.strictEqual(normalize('<h1>a<h2>b</h2>'), '<h1>a</h1><h2>b</h2>');
+        });
+    });
+
+    describe('Optional start tags', function() {
+
+        it('should insert tbody and tr for rows and cells', function() {
+            const tree = parser('<table><tr><td>x<td>y</table>', { htmlMode: true });
+
+            assert.strictEqual(tree.children[0].type, 'tbody');
+            assert.strictEqual(tree.children[0].children[0].type, 'tr');
+            assert.strictEqual(tree.children[0].children[0].children.length, 2);
+        });
+
+        it('should insert a row for cells directly in a table section', function() {
+            assert.strictEqual(normalize('<table><tbody><td>x</table>'), '<table><tbody><tr><td>x</td></tr></tbody></table>');
+        });
+
+        it('should insert colgroup for columns', function() {
+            assert.strictEqual(normalize('<table><col><col><tr><td>1</table>'), '<table><colgroup><col /><col /></colgroup><tbody><tr><td>1</td></tr></tbody></table>');
+        });
+    });
+
+    describe('End tags', function() {
+
+        it('should match end tags case-insensitively', function() {
+            assert.strictEqual(normalize('<DIV><Span>x</SPAN></div>'), '<DIV><Span>x</Span></DIV>');
+        });
+
+        it('should ignore end tags that cross a special element', function() {
+            const { tree, errors } = parser('<span><div></span>x</div>', { htmlMode: true, withErrors: true });
+
+            assert.strictEqual(render(tree), '<span><div>x</div></span>');
+            assert.strictEqual(errors[0].code, 'unexpected-end-tag');
+        });
+
+        it('should create an empty paragraph for a stray </p>', function() {
+            assert.strictEqual(normalize('<div>a</p>b</div>'), '<div>a<p></p>b</div>');
+        });
+
+        it('should not report optional end tags as errors', function() {
+            const { errors } = parser('<ul><li>a<li>b</ul><p>x<table><tr><td>1</table>', { htmlMode: true, withErrors: true });
+            assert.deepStrictEqual(errors, []);
+        });
+
+        it('should still report elements closed without an end tag', function() {
+            const { errors } = parser('<p><b>bold<div>x</div>', { htmlMode: true, withErrors: true });
+
+            assert.deepStrictEqual(errors.map(e => e.code), ['missing-end-tag']);
+            assert.strictEqual(errors[0].node.type, 'b');
+        });
+    });
+
+    describe('Default mode', function() {
+
+        it('should keep nesting elements without HTML mode', function() {
+            const tree = parser('<ul><li>a<li>b</ul>');
+            assert.strictEqual(tree.children.length, 1);
+            assert.strictEqual(tree.children[0].children[1].type, 'li');
+        });
+
+        it('should locate implicitly closed elements', function() {
+            const html = '<ul><li>a<li>b</ul>';
+            const tree = parser(html, { htmlMode: true, locations: true });
+            const [first, second] = tree.children;
+
+            assert.strictEqual(html.substring(first.location.start.offset, first.location.end.offset), '<li>a');
+            assert.strictEqual(first.location.endTag, undefined);
+            assert.strictEqual(html.substring(second.location.start.offset, second.location.end.offset), '<li>b');
+        });
+    });
+});
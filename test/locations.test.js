@@ -0,0 +1,117 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+/**
+ * Build a position object
+ * @param {number} offset - Zero-based offset
+ * @param {number} line - One-based line
+ * @param {number} column - One-based column
+ * @returns {Object} Position
+ */
+function pos(offset, line, column) {
+    return { offset, line, column };
+}
+
+describe('Source Locations', function() {
+
+    it('should not add locations by default', function() {
+        const tree = parser('<div id="a">Text<!-- c --></div>');
+
+        assert.strictEqual(tree.location, undefined);
+        assert.strictEqual(tree.children[0].location, undefined);
+        assert.strictEqual(tree.children[1].location, undefined);
+    });
+
+    it('should locate elements, start tags and end tags', function() {
+        const tree = parser('<div>\n  <p>Hi</p>\n</div>', { locations: true });
+        const p = tree.children[1];
+
+        assert.deepStrictEqual(tree.location.start, pos(0, 1, 1));
+        assert.deepStrictEqual(tree.location.end, pos(24, 3, 7));
+        assert.deepStrictEqual(tree.location.startTag, { start: pos(0, 1, 1), end: pos(5, 1, 6) });
+        assert.deepStrictEqual(tree.location.endTag, { start: pos(18, 3, 1), end: pos(24, 3, 7) });
+
+        assert.deepStrictEqual(p.location.start, pos(8, 2, 3));
+        assert.deepStrictEqual(p.location.end, pos(17, 2, 12));
+        assert.deepStrictEqual(p.location.startTag, { start: pos(8, 2, 3), end: pos(11, 2, 6) });
+        assert.deepStrictEqual(p.location.endTag, { start: pos(13, 2, 8), end: pos(17, 2, 12) });
+    });
+
+    it('should locate text nodes', function() {
+        const html = '<p>Hello\nworld</p>';
+        const text = parser(html, { locations: true }).children[0];
+
+        assert.deepStrictEqual(text.location, { start: pos(3, 1, 4), end: pos(14, 2, 6) });
+        assert.strictEqual(html.substring(text.location.start.offset, text.location.end.offset), 'Hello\nworld');
+    });
+
+    it('should locate comments', function() {
+        const html = '<div>a<!-- note -->b</div>';
+        const tree = parser(html, { locations: true });
+        const comment = tree.children[1];
+
+        assert.strictEqual(comment.type, '#comments');
+        assert.strictEqual(html.substring(comment.location.start.offset, comment.location.end.offset), '<!-- note -->');
+        assert.strictEqual(tree.children[0].props[0].value, 'a');
+        assert.strictEqual(tree.children[2].props[0].value, 'b');
+    });
+
+    it('should locate each attribute', function() {
+        const html = '<input type="text" name=\'user\' disabled value=x>';
+        const tree = parser(html, { locations: true });
+        const attributes = tree.location.attributes;
+        const source = name => html.substring(attributes[name].start.offset, attributes[name].end.offset);
+
+        assert.strictEqual(source('type'), 'type="text"');
+        assert.strictEqual(source('name'), "name='user'");
+        assert.strictEqual(source('disabled'), 'disabled');
+        assert.strictEqual(source('value'), 'value=x');
+    });
+
+    it('should locate void and self-closing elements', function() {
+        const html = '<div><br><img src="a.png" /></div>';
+        const tree = parser(html, { locations: true });
+        const [br, img] = tree.children;
+
+        assert.strictEqual(html.substring(br.location.start.offset, br.location.end.offset), '<br>');
+        assert.strictEqual(html.substring(img.location.start.offset, img.location.end.offset), '<img src="a.png" />');
+        assert.strictEqual(img.location.endTag, undefined);
+    });
+
+    it('should end implicitly closed elements at the end tag that closes them', function() {
+        const html = '<div><span>text</div>';
+        const tree = parser(html, { locations: true });
+        const span = tree.children[0];
+
+        assert.strictEqual(span.location.end.offset, html.indexOf('</div>'));
+        assert.strictEqual(span.location.endTag, undefined);
+        assert.strictEqual(tree.location.end.offset, html.length);
+    });
+
+    it('should end unclosed elements at the end of input', function() {
+        const html = '<div>\n<span>text';
+        const tree = parser(html, { locations: true });
+
+        assert.deepStrictEqual(tree.location.end, pos(16, 2, 11));
+        assert.deepStrictEqual(tree.children[1].location.end, pos(16, 2, 11));
+    });
+
+    it('should locate raw text, CDATA, doctype and processing instructions', function() {
+        const html = '<?xml version="1.0"?>\n<!DOCTYPE x>\n<x><![CDATA[a<b]]><script>if (a<b) {}</script></x>';
+        const tree = parser(html, { locations: true, rawTextTags: ['script'] });
+        const source = node => html.substring(node.location.start.offset, node.location.end.offset);
+        const x = tree.children[4];
+
+        assert.strictEqual(source(tree.children[0]), '<?xml version="1.0"?>');
+        assert.strictEqual(source(tree.children[2]), '<!DOCTYPE x>');
+        assert.strictEqual(source(x.children[0]), '<![CDATA[a<b]]>');
+        assert.strictEqual(source(x.children[1].children[0]), 'if (a<b) {}');
+        assert.deepStrictEqual(x.location.start, pos(35, 3, 1));
+    });
+
+    it('should still render trees with locations', function() {
+        const html = '<div class="a"><p>Text</p></div>';
+        assert.strictEqual(render(parser(html, { locations: true })), html);
+    });
+});
@@ -0,0 +1,149 @@
+import assert from 'assert';
+import parser, { createParser } from '../src/parser.js';
+import render from '../src/render.js';
+import { setAttr, removeAttr } from '../src/props.js';
+
+/**
+ * Parse markup keeping the source text of every node
+ * @param {string} html - Markup
+ * @param {Object} [options] - Parser options
+ * @returns {Object} Parsed tree
+ */
+function parse(html, options) {
+    return parser(html, { ...options, lossless: true });
+}
+
+describe('Lossless roundtrip', function() {
+
+    describe('Source text', function() {
+        it('should not record the source by default', function() {
+            assert.strictEqual(parser('<p a=1>x</p>').source, undefined);
+        });
+
+        it('should record the tags and attributes of elements', function() {
+            const tree = parse('<P  id=a class=\'b\'\n  hidden>x</P >');
+            assert.deepStrictEqual(tree.source, {
+                startTag: '<P  id=a class=\'b\'\n  hidden>',
+                attributes: [
+                    { name: 'id', value: 'a', text: '  id=a' },
+                    { name: 'class', value: 'b', text: ' class=\'b\'' },
+                    { name: 'hidden', value: true, text: '\n  hidden' },
+                ],
+                endTag: '</P >',
+            });
+        });
+
+        it('should record the text of other nodes with their props as parsed', function() {
+            const tree = parse('<!doctype html><p>Fish &amp; Chips</p>');
+            assert.deepStrictEqual(tree.children[0].source, { text: '<!doctype html>', props: [{ name: 'name', value: 'html' }] });
+            assert.deepStrictEqual(tree.children[1].children[0].source, { text: 'Fish &amp; Chips', props: [{ name: 'textContent', value: 'Fish & Chips' }] });
+        });
+
+        it('should tell elements closed by their start tag from elements without an end tag', function() {
+            const tree = parse('<ul><li><br><wbr/>a<li>b</ul>', { htmlMode: true });
+            const [first, second] = tree.children;
+            assert.strictEqual(first.children[0].source.endTag, '');
+            assert.strictEqual(first.children[1].source.endTag, '');
+            assert.strictEqual('endTag' in first.source, false);
+            assert.strictEqual('endTag' in second.source, false);
+        });
+
+        it('should record the text of dropped duplicate attributes apart', function() {
+            const tree = parse('<div a=1 a=2 c=3>x</div>');
+            assert.deepStrictEqual(tree.source.attributes.map(attribute => attribute.text), [' a=1', ' c=3']);
+            assert.deepStrictEqual(tree.source.duplicates, [{ name: 'a', text: ' a=2' }]);
+        });
+    });
+
+    describe('Unchanged nodes', function() {
+        const documents = {
+            'quotes, spacing and case': '<DIV  Class=\'a\'   id=x data-x="1"b=2 hidden >text<BR><img src=a.png/></DIV >',
+            'character references': '<p title="a &amp; b" data-q=\'&quot;\'>T&eacute;st &#169; &lt;</p>',
+            'markup declarations': '<!doctype html>\n<?xml-stylesheet  href="a.css"?><!-- note --><svg><![CDATA[x]]></svg>',
+            'raw text': '<script type=module>if (a<b && c) run()</script ><textarea>&lt;b&gt;</textarea>',
+            'duplicate attributes': '<a href="/a" HREF="/b">x</a>',
+            'implied tags': '<ul>\n  <li>one\n  <li>two\n</ul>\n<table><tr><td>1<td>2</table><p>a<p>b</p></p>',
+        };
+
+        for (const [name, html] of Object.entries(documents)) {
+            it(`should write back ${name} as they were`, function() {
+                assert.strictEqual(render(parse(html)), html);
+                assert.strictEqual(render(parse(html, { htmlMode: true })), html);
+            });
+        }
+
+        it('should record the source across chunks', function() {
+            const html = documents['quotes, spacing and case'] + documents['character references'];
+            const parse = createParser({ lossless: true });
+            for (const char of html) {
+                parse.write(char);
+            }
+            assert.strictEqual(render(parse.end()), html);
+        });
+
+        it('should ignore the source when pretty printing', function() {
+            assert.strictEqual(render(parse('<div><p  class="a">x</p ></div>'), { pretty: true }), '<div>\n  <p class="a">x</p>\n</div>');
+        });
+    });
+
+    describe('Changed nodes', function() {
+        it('should keep the source of the attributes left as they were', function() {
+            const tree = parse('<a  HREF=/home class=\'nav\'\n   title="Home &amp; more">Home</a>');
+            setAttr(tree, 'class', 'nav active');
+            assert.strictEqual(render(tree), '<a  HREF=/home class=\'nav active\'\n   title="Home &amp; more">Home</a>');
+
+            setAttr(tree, 'id', 'x');
+            removeAttr(tree, 'HREF');
+            assert.strictEqual(render(tree), '<a class=\'nav active\'\n   title="Home &amp; more" id="x">Home</a>');
+        });
+
+        it('should separate attributes that followed a removed one without whitespace', function() {
+            const tree = parse('<p a="1"b="2"></p>');
+            removeAttr(tree, 'a');
+            assert.strictEqual(render(tree), '<p b="2"></p>');
+        });
+
+        it('should write changed text from its props', function() {
+            const tree = parse('<p>&copy; 2020 <b>A &amp; B</b></p>');
+            tree.children[0].props[0].value = '© 2024 ';
+            assert.strictEqual(render(tree), '<p>© 2024 <b>A &amp; B</b></p>');
+        });
+
+        it('should write renamed and new elements from their props', function() {
+            const tree = parse('<div><B class=x>a</B ></div>');
+            tree.children[0].type = 'strong';
+            tree.children.push({ type: 'br' });
+            assert.strictEqual(render(tree), '<div><strong class=x>a</strong><br /></div>');
+        });
+
+        it('should give an end tag to a self-closed element with content', function() {
+            const tree = parse('<list><item  id="a"/></list>');
+            tree.children[0].children = [{ type: '#text', props: [{ name: 'textContent', value: 'x' }] }];
+            assert.strictEqual(render(tree), '<list><item  id="a">x</item></list>');
+        });
+
+        it('should give an end tag to a void element with content', function() {
+            const tree = parse('<p><br class=a></p>', { htmlMode: true });
+            tree.children[0].children = [{ type: '#text', props: [{ name: 'textContent', value: 'x' }] }];
+            assert.strictEqual(render(tree), '<p><br class=a>x</br></p>');
+        });
+
+        it('should leave dropped duplicate attributes out of a new start tag', function() {
+            const tree = parse('<div a=1 a=2>x</div>');
+            setAttr(tree, 'b', '3');
+            assert.strictEqual(render(tree), '<div a=1 b="3">x</div>');
+
+            const other = parse('<div a=1 A=2 c=3 >x</div>', { htmlMode: true });
+            setAttr(other, 'c', '4');
+            assert.strictEqual(render(other), '<div a=1 c=4 >x</div>');
+        });
+
+        it('should write implied elements from their props once they have attributes', function() {
+            const tree = parse('<table><tr><td>1</td></tr></table>', { htmlMode: true });
+            const tbody = tree.children[0];
+            assert.strictEqual(render(tree), '<table><tr><td>1</td></tr></table>');
+            setAttr(tbody, 'class', 'rows');
+            assert.strictEqual(render(tree), '<table><tbody class="rows"><tr><td>1</td></tr></tbody></table>');
+        });
+    });
+});
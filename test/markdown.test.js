@@ -0,0 +1,227 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import { toMarkdown, fromMarkdown } from '../src/markdown.js';
+
+/**
+ * Write markup as Markdown
+ * @param {string} html - Markup
+ * @param {Object} [options] - Markdown options
+ * @returns {string} Markdown
+ */
+function md(html, options) {
+    return toMarkdown(parser(html), options);
+}
+
+/**
+ * Read Markdown and render the tree
+ * @param {string} markdown - Markdown
+ * @returns {string} Markup
+ */
+function html(markdown) {
+    return render(fromMarkdown(markdown));
+}
+
+describe('Markdown', function() {
+
+    describe('toMarkdown', function() {
+        it('should write headings and paragraphs', function() {
+            assert.strictEqual(md('<h1>Title</h1><p>One</p><h3>Sub</h3><p>Two</p>'), '# Title\n\nOne\n\n### Sub\n\nTwo');
+        });
+
+        it('should collapse whitespace', function() {
+            assert.strictEqual(md('<p>\n  Hello\n    world  </p>'), 'Hello world');
+        });
+
+        it('should write emphasis, strikethrough and inline code', function() {
+            assert.strictEqual(md('<p><strong>b</strong> <em>i</em> <b>b</b> <i>i</i> <del>d</del> <code>c</code></p>'), '**b** *i* **b** *i* ~~d~~ `c`');
+            assert.strictEqual(md('<p>a<em> b </em>c</p>'), 'a *b* c');
+            assert.strictEqual(md('<p><code>a`b</code> <code>`x</code></p>'), '``a`b`` `` `x ``');
+        });
+
+        it('should write links, autolinks and images', function() {
+            assert.strictEqual(md('<p><a href="/a" title="T">link</a></p>'), '[link](/a "T")');
+            assert.strictEqual(md('<p><a href="https://example.com">https://example.com</a></p>'), '<https://example.com>');
+            assert.strictEqual(md('<p><a href="/a b">x</a> <a href="/a(b">y</a></p>'), '[x](</a b>) [y](</a(b>)');
+            assert.strictEqual(md('<p><img src="a.png" alt="An image" title="T"></p>'), '![An image](a.png "T")');
+        });
+
+        it('should write line breaks', function() {
+            assert.strictEqual(md('<p>one<br>two<br></p>'), 'one\\\ntwo');
+        });
+
+        it('should write nested lists', function() {
+            assert.strictEqual(
+                md('<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul><ol start="3"><li>a</li><li>b<ol><li>c</li></ol></li></ol>'),
+                '- One\n- Two\n  - Nested\n\n3. a\n4. b\n   1. c'
+            );
+        });
+
+        it('should write loose lists and tell adjacent lists apart', function() {
+            assert.strictEqual(md('<ul><li><p>One</p><p>more</p></li><li><p>Two</p></li></ul>'), '- One\n\n  more\n\n- Two');
+            assert.strictEqual(md('<ul><li>a</li></ul><ul><li>b</li></ul><ol><li>c</li></ol><ol><li>d</li></ol>'), '- a\n\n* b\n\n1. c\n\n1) d');
+        });
+
+        it('should use the bullet and fence options', function() {
+            assert.strictEqual(md('<ul><li>a</li></ul>', { bullet: '*' }), '* a');
+            assert.strictEqual(md('<pre><code>x</code></pre>', { fence: '~~~' }), '~~~\nx\n~~~');
+        });
+
+        it('should write blockquotes', function() {
+            assert.strictEqual(md('<blockquote><p>One</p><blockquote><p>Two</p></blockquote></blockquote>'), '> One\n>\n> > Two');
+        });
+
+        it('should write code blocks with their language', function() {
+            assert.strictEqual(md('<pre><code class="language-js">let a = 1;\n</code></pre>'), '```js\nlet a = 1;\n```');
+            assert.strictEqual(md('<pre><code>```\n</code></pre>'), '````\n```\n````');
+            assert.strictEqual(md('<pre>plain *text*</pre>'), '```\nplain *text*\n```');
+        });
+
+        it('should write thematic breaks', function() {
+            assert.strictEqual(md('<p>a</p><hr><p>b</p>'), 'a\n\n---\n\nb');
+        });
+
+        it('should write GFM tables', function() {
+            const table = '<table><thead><tr><th>Name</th><th align="right">Price</th></tr></thead>' +
+                '<tbody><tr><td>A|B</td><td align="right"><em>1</em></td></tr><tr><td>C</td></tr></tbody></table>';
+            assert.strictEqual(md(table), '| Name | Price |\n| --- | ---: |\n| A\\|B | *1* |\n| C |  |');
+        });
+
+        it('should write tables Markdown cannot express as HTML', function() {
+            const tables = [
+                '<table><caption>C</caption><tr><th>A</th></tr><tr><td>1</td></tr></table>',
+                '<table><tr><td>A</td></tr><tr><td>1</td></tr></table>',
+                '<table><tr><th>A</th></tr><tr><td colspan="2">1</td></tr></table>',
+                '<table><tr><th>A</th></tr><tr><td><p>1</p></td></tr></table>',
+                '<table><tr><th align="left">A</th></tr><tr><td>1</td></tr></table>',
+            ];
+            for (const table of tables) {
+                assert.strictEqual(md(table), render(parser(table)));
+            }
+        });
+
+        it('should write elements with attributes Markdown cannot express as HTML', function() {
+            assert.strictEqual(md('<p class="note">Hi <em>there</em></p>'), '<p class="note">Hi <em>there</em></p>');
+            assert.strictEqual(md('<p>a <span class="x">b</span> <a href="/" target="_blank">c</a> <sup>2</sup></p>'),
+                'a <span class="x">b</span> <a href="/" target="_blank">c</a> <sup>2</sup>');
+            assert.strictEqual(md('<ul class="x"><li>a</li></ul>'), '<ul class="x"><li>a</li></ul>');
+            // A nested list starting at 2 needs a blank line, which would make the list loose
+            assert.strictEqual(md('<ul><li>a<ol start="2"><li>b</li></ol></li></ul>'), '<ul><li>a<ol start="2"><li>b</li></ol></li></ul>');
+            assert.strictEqual(md('<dl><dt>T</dt><dd>D</dd></dl>'), '<dl><dt>T</dt><dd>D</dd></dl>');
+        });
+
+        it('should look through containers without attributes', function() {
+            assert.strictEqual(md('<html><body><div><section><h2>T</h2><p>x</p></section></div></body></html>'), '## T\n\nx');
+            assert.strictEqual(md('<div>Loose <b>text</b><p>Para</p>tail</div>'), 'Loose **text**\n\nPara\n\ntail');
+            assert.strictEqual(md('<div id="a"><p>x</p></div>'), '<div id="a"><p>x</p></div>');
+        });
+
+        it('should escape text Markdown would read as syntax', function() {
+            assert.strictEqual(md('<p>*a* _b_ [c] `d` &lt;e&gt; ~f~ \\ &amp;amp;</p>'), '\\*a\\* \\_b\\_ \\[c\\] \\`d\\` \\<e> \\~f\\~ \\\\ \\&amp;');
+            assert.strictEqual(md('<p># no</p><p>1. no</p><p>- no<br>+ no</p>'), '\\# no\n\n1\\. no\n\n\\- no\\\n\\+ no');
+        });
+
+        it('should keep comments and return an empty string for empty trees', function() {
+            assert.strictEqual(md('<p>a<!-- c -->b</p>'), 'a<!-- c -->b');
+            assert.strictEqual(toMarkdown(parser('')), '');
+            assert.strictEqual(toMarkdown([parser('<h1>a</h1>'), parser('<p>b</p>')]), '# a\n\nb');
+        });
+    });
+
+    describe('fromMarkdown', function() {
+        it('should create the parser format', function() {
+            assert.deepStrictEqual(fromMarkdown('# Hi *there*'), parser('<h1>Hi <em>there</em></h1>'));
+            assert.deepStrictEqual(fromMarkdown('Some **bold**\n\n---'), parser('<p>Some <strong>bold</strong></p><hr>'));
+        });
+
+        it('should read headings', function() {
+            assert.strictEqual(html('## Two ##\n\nSetext\n======\n\nOther\n---'), '<h2>Two</h2><h1>Setext</h1><h2>Other</h2>');
+        });
+
+        it('should read emphasis', function() {
+            assert.strictEqual(html('*a* _b_ **c** __d__ ~~e~~ ***f***'),
+                '<p><em>a</em> <em>b</em> <strong>c</strong> <strong>d</strong> <del>e</del> <em><strong>f</strong></em></p>');
+            assert.strictEqual(html('*foo**bar**baz*'), '<p><em>foo<strong>bar</strong>baz</em></p>');
+            assert.strictEqual(html('snake_case_word and * no *'), '<p>snake_case_word and * no *</p>');
+        });
+
+        it('should read code spans and escapes', function() {
+            assert.strictEqual(html('`a` ``b`c`` \\*x\\* `\\*`'), '<p><code>a</code> <code>b`c</code> *x* <code>\\*</code></p>');
+        });
+
+        it('should read links and images', function() {
+            assert.strictEqual(html('[a](/x "T") ![i *m*](/i.png) <https://e.com> <me@e.com>'),
+                '<p><a href="/x" title="T">a</a> <img src="/i.png" alt="i m" /> <a href="https://e.com">https://e.com</a> <a href="mailto:me@e.com">me@e.com</a></p>');
+            assert.strictEqual(html('[a [b](/b)](/a)'), '<p>[a <a href="/b">b</a>](/a)</p>');
+            assert.strictEqual(html('[a](</a b>)'), '<p><a href="/a b">a</a></p>');
+        });
+
+        it('should read reference links', function() {
+            assert.strictEqual(html('[full][Ref] [Ref][] [ref] [none]\n\n[ref]: /url \'T\''),
+                '<p><a href="/url" title="T">full</a> <a href="/url" title="T">Ref</a> <a href="/url" title="T">ref</a> [none]</p>');
+        });
+
+        it('should read line breaks', function() {
+            assert.strictEqual(html('a  \nb\\\nc\nd'), '<p>a<br />b<br />c\nd</p>');
+        });
+
+        it('should read tight and loose lists', function() {
+            assert.strictEqual(html('- a\n- b\n  - c\n\n3. x\n4. y'), '<ul><li>a</li><li>b<ul><li>c</li></ul></li></ul><ol start="3"><li>x</li><li>y</li></ol>');
+            assert.strictEqual(html('- a\n\n- b'), '<ul><li><p>a</p></li><li><p>b</p></li></ul>');
+            assert.strictEqual(html('- a\n- b\n\n  c'), '<ul><li><p>a</p></li><li><p>b</p><p>c</p></li></ul>');
+            assert.strictEqual(html('- a\n* b\n1. c\n1) d'), '<ul><li>a</li></ul><ul><li>b</li></ul><ol><li>c</li></ol><ol><li>d</li></ol>');
+        });
+
+        it('should read blockquotes with lazy lines', function() {
+            assert.strictEqual(html('> a\nlazy\n>\n> > b'), '<blockquote><p>a\nlazy</p><blockquote><p>b</p></blockquote></blockquote>');
+        });
+
+        it('should read code blocks', function() {
+            assert.strictEqual(html('```js\nlet a;\n\n```\n\n    indented\n      more'),
+                '<pre><code class="language-js">let a;\n</code></pre><pre><code>indented\n  more</code></pre>');
+            assert.strictEqual(html('~~~\nunclosed'), '<pre><code>unclosed</code></pre>');
+            assert.strictEqual(html('\tcode'), '<pre><code>code</code></pre>');
+        });
+
+        it('should read GFM tables', function() {
+            assert.strictEqual(html('| a | b |\n|:--|--:|\n| 1 | 2 \\| 3 |\n| *x* |'),
+                '<table><thead><tr><th align="left">a</th><th align="right">b</th></tr></thead>' +
+                '<tbody><tr><td align="left">1</td><td align="right">2 | 3</td></tr><tr><td align="left"><em>x</em></td><td align="right"></td></tr></tbody></table>');
+            assert.strictEqual(html('a | b\n-- | --'), '<table><thead><tr><th>a</th><th>b</th></tr></thead></table>');
+        });
+
+        it('should read raw HTML', function() {
+            assert.strictEqual(html('a <span class="x">*b*</span> <br> <!-- c -->'), '<p>a <span class="x"><em>b</em></span> <br /> <!-- c --></p>');
+            assert.strictEqual(html('<div class="x">\n*not md*\n</div>'), '<div class="x">\n*not md*\n</div>');
+            assert.strictEqual(html('<div class="note">\n\nSome *md*\n\n</div>'), '<div class="note"><p>Some <em>md</em></p></div>');
+            assert.strictEqual(html('<script>if (a<b) run()</script>'), '<script>if (a<b) run()</script>');
+        });
+
+        it('should decode character references', function() {
+            assert.strictEqual(html('&copy; &#65; &nope;'), '<p>© A &amp;nope;</p>');
+        });
+
+        it('should return a template wrapper for several blocks and undefined for empty input', function() {
+            assert.strictEqual(fromMarkdown('a\n\nb').type, 'template');
+            assert.strictEqual(fromMarkdown(''), undefined);
+            assert.strictEqual(fromMarkdown('\n  \n'), undefined);
+            assert.throws(() => fromMarkdown(null), TypeError);
+        });
+    });
+
+    describe('Roundtrip', function() {
+        it('should give back the same tree', function() {
+            const documents = [
+                '<h1>Title</h1><p>Text with <strong>bold</strong>, <em>em</em>, <del>del</del>, <code>code</code> and <a href="/x" title="T">a link</a>.</p>',
+                '<ul><li>One</li><li>Two<ol><li>a</li><li>b</li></ol></li></ul><ol start="2"><li>c</li></ol><blockquote><p>Quote</p></blockquote>',
+                '<pre><code class="language-py">def f():\n    return 1</code></pre><hr><p><img src="a.png" alt="A" /> line<br />break</p>',
+                '<table><thead><tr><th>A</th><th align="center">B</th></tr></thead><tbody><tr><td>1</td><td align="center">2</td></tr></tbody></table>',
+                '<p>Escaped *stars* and [brackets] and <span class="x">raw</span></p><p class="note">Raw paragraph</p>',
+            ];
+            for (const document of documents) {
+                const tree = parser(document);
+                assert.deepStrictEqual(fromMarkdown(toMarkdown(tree)), tree);
+            }
+        });
+    });
+});
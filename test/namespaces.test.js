@@ -0,0 +1,125 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import { ParseError } from '../src/errors.js';
+import render from '../src/render.js';
+
+const SOAP = 'http://schemas.xmlsoap.org/soap/envelope/';
+const XLINK = 'http://www.w3.org/1999/xlink';
+const XML = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS = 'http://www.w3.org/2000/xmlns/';
+
+const envelope = `<soap:Envelope xmlns:soap="${SOAP}" xmlns="urn:orders">` +
+    '<soap:Body><order id="1" soap:mustUnderstand="1"><item>A</item></order></soap:Body></soap:Envelope>';
+
+/**
+ * Get a prop of a node by name
+ * @param {Object} node - Node
+ * @param {string} name - Prop name
+ * @returns {Object|undefined} Prop
+ */
+const propOf = (node, name) => node.props.find(prop => prop.name === name);
+
+describe('Namespaces', function() {
+
+    describe('parser', function() {
+        it('should leave elements alone without the namespaces option', function() {
+            const tree = parser(envelope);
+            assert.strictEqual(tree.namespace, undefined);
+            assert.strictEqual(propOf(tree, 'xmlns').namespace, undefined);
+        });
+
+        it('should resolve prefixed and default element namespaces', function() {
+            const tree = parser(envelope, { namespaces: true });
+            const body = tree.children[0];
+            const order = body.children[0];
+
+            assert.strictEqual(tree.namespace, SOAP);
+            assert.strictEqual(tree.prefix, 'soap');
+            assert.strictEqual(tree.localName, 'Envelope');
+            assert.strictEqual(body.namespace, SOAP);
+            assert.strictEqual(order.namespace, 'urn:orders');
+            assert.strictEqual(order.prefix, null);
+            assert.strictEqual(order.localName, 'order');
+            assert.strictEqual(order.children[0].namespace, 'urn:orders');
+        });
+
+        it('should put unprefixed attributes in no namespace', function() {
+            const order = parser(envelope, { namespaces: true }).children[0].children[0];
+            assert.deepStrictEqual(propOf(order, 'id'), { name: 'id', value: '1', namespace: null, prefix: null, localName: 'id' });
+            assert.deepStrictEqual(propOf(order, 'soap:mustUnderstand'), {
+                name: 'soap:mustUnderstand', value: '1', namespace: SOAP, prefix: 'soap', localName: 'mustUnderstand',
+            });
+        });
+
+        it('should put declarations and xml attributes in their reserved namespaces', function() {
+            const tree = parser('<doc xmlns="urn:d" xmlns:x="urn:x" xml:lang="en"/>', { namespaces: true });
+            assert.strictEqual(propOf(tree, 'xmlns').namespace, XMLNS);
+            assert.strictEqual(propOf(tree, 'xmlns:x').namespace, XMLNS);
+            assert.strictEqual(propOf(tree, 'xml:lang').namespace, XML);
+        });
+
+        it('should scope declarations to their element', function() {
+            const tree = parser('<a><b xmlns:x="urn:1"><x:c/></b><b xmlns:x="urn:2"><x:c/></b><d xmlns="urn:3"><e xmlns=""/></d></a>', { namespaces: true });
+            const [first, second, d] = tree.children;
+            assert.strictEqual(tree.namespace, null);
+            assert.strictEqual(first.children[0].namespace, 'urn:1');
+            assert.strictEqual(second.children[0].namespace, 'urn:2');
+            assert.strictEqual(d.namespace, 'urn:3');
+            // An empty default namespace declaration undeclares it
+            assert.strictEqual(d.children[0].namespace, null);
+        });
+
+        it('should report prefixes that are not declared', function() {
+            const errors = [];
+            const tree = parser('<root><x:item x:id="1"/></root>', { namespaces: true, onError: error => errors.push(error) });
+            const item = tree.children[0];
+            assert.strictEqual(item.namespace, null);
+            assert.strictEqual(item.prefix, 'x');
+            assert.strictEqual(propOf(item, 'x:id').namespace, null);
+            assert.deepStrictEqual(errors.map(error => error.code), ['unbound-namespace-prefix', 'unbound-namespace-prefix']);
+            assert.ok(errors[0] instanceof ParseError);
+
+            assert.throws(() => parser('<x:item/>', { namespaces: true, strict: true }), ParseError);
+        });
+
+        it('should resolve namespaces of SVG attributes in HTML', function() {
+            const tree = parser(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="${XLINK}"><use xlink:href="#a"></use></svg>`, { namespaces: true });
+            assert.strictEqual(tree.children[0].namespace, 'http://www.w3.org/2000/svg');
+            assert.strictEqual(propOf(tree.children[0], 'xlink:href').namespace, XLINK);
+        });
+    });
+
+    describe('render', function() {
+        it('should write parsed documents back unchanged', function() {
+            assert.strictEqual(render(parser(envelope, { namespaces: true }), { xmlMode: true }), envelope);
+        });
+
+        it('should declare the namespaces of subtrees rendered on their own', function() {
+            const body = parser(envelope, { namespaces: true }).children[0];
+            assert.strictEqual(
+                render(body),
+                `<soap:Body xmlns:soap="${SOAP}"><order xmlns="urn:orders" id="1" soap:mustUnderstand="1"><item>A</item></order></soap:Body>`
+            );
+        });
+
+        it('should declare the namespaces of moved and created nodes', function() {
+            const tree = parser('<feed xmlns="urn:feed"><entry/></feed>', { namespaces: true });
+            tree.children.push({
+                type: 'm:meta',
+                namespace: 'urn:meta',
+                props: [{ name: 'm:rel', value: 'x', namespace: 'urn:meta' }],
+                children: [{ type: 'm:value', namespace: 'urn:meta' }],
+            });
+            tree.children.push({ type: 'plain', namespace: null });
+            assert.strictEqual(
+                render(tree, { xmlMode: true }),
+                '<feed xmlns="urn:feed"><entry /><m:meta xmlns:m="urn:meta" m:rel="x"><m:value /></m:meta><plain xmlns="" /></feed>'
+            );
+        });
+
+        it('should keep declarations already in the props', function() {
+            const tree = { type: 'x:a', namespace: 'urn:x', props: [{ name: 'xmlns:x', value: 'urn:other' }] };
+            assert.strictEqual(render(tree), '<x:a xmlns:x="urn:other"></x:a>');
+        });
+    });
+});
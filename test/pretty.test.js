@@ -0,0 +1,155 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render, { renderStream } from '../src/render.js';
+
+/**
+ * Parse and pretty print
+ * @param {string} html - Input markup
+ * @param {Object} [options] - Extra render options
+ * @returns {string} Pretty printed markup
+ */
+function pretty(html, options = {}) {
+    return render(parser(html), { pretty: true, ...options });
+}
+
+describe('Pretty Printing', function() {
+
+    describe('Block and inline layout', function() {
+        it('should put block children on their own indented lines', function() {
+            const result = pretty('<div><h1>Title</h1><p>Text</p></div>');
+            assert.strictEqual(result, '<div>\n  <h1>Title</h1>\n  <p>Text</p>\n</div>');
+        });
+
+        it('should indent nested blocks', function() {
+            const result = pretty('<ul><li><p>One</p></li><li>Two</li></ul>');
+            assert.strictEqual(result, '<ul>\n  <li>\n    <p>One</p>\n  </li>\n  <li>Two</li>\n</ul>');
+        });
+
+        it('should keep inline content on one line', function() {
+            const result = pretty('<p>Hello <b>world</b>, <a href="#">link</a>.</p>');
+            assert.strictEqual(result, '<p>Hello <b>world</b>, <a href="#">link</a>.</p>');
+        });
+
+        it('should not add whitespace inside inline elements', function() {
+            const result = pretty('<div><p><span>a</span><span>b</span></p></div>');
+            assert.strictEqual(result, '<div>\n  <p><span>a</span><span>b</span></p>\n</div>');
+        });
+
+        it('should drop whitespace-only text between blocks', function() {
+            const result = pretty('<div>\n    <p>One</p>\n    <p>Two</p>\n</div>');
+            assert.strictEqual(result, '<div>\n  <p>One</p>\n  <p>Two</p>\n</div>');
+        });
+
+        it('should keep whitespace next to inline content', function() {
+            const result = pretty('<p> a <i>b</i> </p>');
+            assert.strictEqual(result, '<p> a <i>b</i> </p>');
+        });
+
+        it('should put comments and void elements on their own lines between blocks', function() {
+            const result = pretty('<div><!-- note --><hr><p>Text</p></div>');
+            assert.strictEqual(result, '<div>\n  <!-- note -->\n  <hr />\n  <p>Text</p>\n</div>');
+        });
+
+        it('should lay out multiple roots', function() {
+            const result = pretty('<!DOCTYPE html><html><head><title>T</title></head><body></body></html>');
+            assert.strictEqual(result, '<!DOCTYPE html>\n<html>\n  <head>\n    <title>T</title>\n  </head>\n  <body></body>\n</html>');
+        });
+
+        it('should use the indent option', function() {
+            const result = pretty('<div><p>Text</p></div>', { indent: '\t' });
+            assert.strictEqual(result, '<div>\n\t<p>Text</p>\n</div>');
+        });
+
+        it('should keep the text of a roundtrip', function() {
+            const html = '<div><p>Hello <b>world</b></p><ul><li>One</li><li>Two</li></ul></div>';
+            const once = pretty(html);
+            assert.strictEqual(pretty(once), once);
+        });
+    });
+
+    describe('Preserved content', function() {
+        it('should leave pre content untouched', function() {
+            const result = pretty('<div><pre>  line one\n    <b>line</b> two\n</pre></div>');
+            assert.strictEqual(result, '<div>\n  <pre>  line one\n    <b>line</b> two\n</pre>\n</div>');
+        });
+
+        it('should leave textarea content untouched', function() {
+            const result = pretty('<textarea>  a\n    b  </textarea>');
+            assert.strictEqual(result, '<textarea>  a\n    b  </textarea>');
+        });
+
+        it('should leave script and style content untouched', function() {
+            const script = 'if (a < b) {\n  run();\n}';
+            const result = pretty(`<head><script>${script}</script><style>p { color: red; }</style></head>`);
+            assert.strictEqual(result, `<head>\n  <script>${script}</script>\n  <style>p { color: red; }</style>\n</head>`);
+        });
+
+        it('should respect xml:space="preserve"', function() {
+            const result = pretty('<doc><code xml:space="preserve"><a/>  <b/></code></doc>', { xmlMode: true });
+            assert.strictEqual(result, '<doc>\n  <code xml:space="preserve"><a />  <b /></code>\n</doc>');
+        });
+    });
+
+    describe('XML mode', function() {
+        it('should put every element on its own line', function() {
+            const result = pretty('<note><to>Tove</to><from>Jani</from><empty/></note>', { xmlMode: true });
+            assert.strictEqual(result, '<note>\n  <to>Tove</to>\n  <from>Jani</from>\n  <empty />\n</note>');
+        });
+
+        it('should keep mixed content on one line', function() {
+            const result = pretty('<para>Some <em>mixed</em> text</para>', { xmlMode: true });
+            assert.strictEqual(result, '<para>Some <em>mixed</em> text</para>');
+        });
+    });
+
+    describe('Attribute wrapping', function() {
+        const attributes = 'class="a-very-long-class-name another-class" id="identifier-for-this" data-value="something long here"';
+
+        it('should put one attribute per line when the start tag is too long', function() {
+            const result = pretty(`<div ${attributes}><p>x</p></div>`);
+            assert.strictEqual(result, '<div\n  class="a-very-long-class-name another-class"\n  id="identifier-for-this"\n' +
+                '  data-value="something long here"\n>\n  <p>x</p>\n</div>');
+        });
+
+        it('should wrap self-closing tags', function() {
+            const result = pretty(`<section><hr ${attributes}></section>`);
+            assert.strictEqual(result, '<section>\n  <hr\n    class="a-very-long-class-name another-class"\n' +
+                '    id="identifier-for-this"\n    data-value="something long here"\n  />\n</section>');
+        });
+
+        it('should not wrap tags that fit', function() {
+            const result = pretty('<div class="a" id="b"><p>x</p></div>');
+            assert.strictEqual(result, '<div class="a" id="b">\n  <p>x</p>\n</div>');
+        });
+
+        it('should only wrap a single attribute when the start tag alone is too long', function() {
+            const paths = '<path d="M0 0h1" /><path d="M0 1h1" /><path d="M1 0v1" /><path d="M0 0v1" />';
+            const svg = `<svg viewBox="0 0 1 1">${paths}</svg>`;
+            assert.strictEqual(pretty(svg), svg);
+
+            const long = `<div data-value="${'x'.repeat(80)}"><p>x</p></div>`;
+            assert.strictEqual(pretty(long), `<div\n  data-value="${'x'.repeat(80)}"\n>\n  <p>x</p>\n</div>`);
+        });
+
+        it('should use the maxWidth option', function() {
+            const result = pretty('<div class="a" id="b"><p>x</p></div>', { maxWidth: 10 });
+            assert.strictEqual(result, '<div\n  class="a"\n  id="b"\n>\n  <p>x</p>\n</div>');
+        });
+
+        it('should not wrap without pretty', function() {
+            const result = render(parser(`<div ${attributes}></div>`), { maxWidth: 10 });
+            assert.strictEqual(result, `<div ${attributes}></div>`);
+        });
+    });
+
+    describe('Streaming', function() {
+        it('should match render() in pretty mode', async function() {
+            const tree = parser('<div class="card"><h1>Title</h1><p>Hello <b>world</b></p><pre> x </pre></div>');
+            let result = '';
+            for await (const chunk of renderStream(tree, { pretty: true, chunkSize: 8 })) {
+                result += chunk;
+            }
+            assert.strictEqual(result, render(tree, { pretty: true }));
+        });
+    });
+});
@@ -0,0 +1,179 @@
+import assert from 'assert';
+import parser, { createParser } from '../src/parser.js';
+import render from '../src/render.js';
+import {
+    normalizeProps, propsToObject, getAttr, hasAttr, setAttr, removeAttr, getClasses, hasClass, addClass,
+    removeClass, toggleClass, parseStyle, serializeStyle, getStyle, setStyle,
+} from '../src/props.js';
+
+describe('Props', function() {
+
+    describe('propsFormat option', function() {
+        it('should keep props as arrays by default', function() {
+            const tree = parser('<a href="/" class="x">Home</a>');
+            assert.deepStrictEqual(tree.props, [{ name: 'href', value: '/' }, { name: 'class', value: 'x' }]);
+            assert.deepStrictEqual(parser('<a href="/">Home</a>', { propsFormat: 'array' }), parser('<a href="/">Home</a>'));
+        });
+
+        it('should give every node object props', function() {
+            const tree = parser('<!DOCTYPE html><?xml-stylesheet href="a.css"?><p id="a">Hi<!-- c --><![CDATA[x]]><br></p>', { propsFormat: 'object' });
+            const [doctype, instruction, p] = tree.children;
+            assert.deepStrictEqual(doctype.props, { name: 'html' });
+            assert.deepStrictEqual(instruction.props, { target: 'xml-stylesheet', data: 'href="a.css"' });
+            assert.deepStrictEqual(p.props, { id: 'a' });
+            assert.deepStrictEqual(p.children.map(child => child.props), [{ textContent: 'Hi' }, { text: ' c ' }, { textContent: 'x' }, undefined]);
+        });
+
+        it('should keep the first of duplicate attributes', function() {
+            assert.deepStrictEqual(parser('<p id="a" id="b"></p>', { propsFormat: 'object' }).props, { id: 'a' });
+        });
+
+        it('should give object props to the handler', function() {
+            const seen = [];
+            createParser({ propsFormat: 'object' }, {
+                onOpenTag: node => seen.push(node.props),
+                onText: node => seen.push(node.props),
+            }).end('<p class="x">a</p>');
+            assert.deepStrictEqual(seen, [{ class: 'x' }, { textContent: 'a' }]);
+        });
+
+        it('should drop the quote of attributes, kept by the lossless option for unchanged ones', function() {
+            const html = '<a href=\'/x\' title=t id="i">x</a>';
+            assert.strictEqual(render(parser(html, { propsFormat: 'object' })), '<a href="/x" title="t" id="i">x</a>');
+
+            const tree = parser(html, { propsFormat: 'object', lossless: true });
+            setAttr(tree, 'id', 'j');
+            assert.strictEqual(render(tree), '<a href=\'/x\' title=t id="j">x</a>');
+        });
+
+        it('should render both forms the same way', function() {
+            const html = '<div class="a" style="color: red"><p xml:space="preserve">  x  </p><img src="a.png" alt=""></div>';
+            const options = { collapseWhitespace: true };
+            assert.strictEqual(render(parser(html, { ...options, propsFormat: 'object' })), render(parser(html, options)));
+        });
+    });
+
+    describe('normalizeProps / propsToObject', function() {
+        it('should convert between the forms', function() {
+            assert.deepStrictEqual(normalizeProps({ a: '1', b: '2' }), [{ name: 'a', value: '1' }, { name: 'b', value: '2' }]);
+            assert.deepStrictEqual(propsToObject([{ name: 'a', value: '1' }, { name: 'a', value: '2' }]), { a: '1' });
+            assert.deepStrictEqual(propsToObject(undefined), {});
+        });
+    });
+
+    describe('Attributes', function() {
+        it('should read attributes in both forms', function() {
+            for (const propsFormat of ['array', 'object']) {
+                const node = parser('<input type="text" disabled>', { propsFormat });
+                assert.strictEqual(getAttr(node, 'type'), 'text');
+                assert.strictEqual(getAttr(node, 'value'), null);
+                assert.strictEqual(hasAttr(node, 'disabled'), true);
+                assert.strictEqual(hasAttr(node, 'value'), false);
+            }
+            assert.strictEqual(getAttr({ type: 'p' }, 'id'), null);
+        });
+
+        it('should set attributes in place or at the end', function() {
+            const node = parser('<a href="/a" class="x">a</a>');
+            setAttr(node, 'href', '/b');
+            setAttr(node, 'title', 'T');
+            assert.strictEqual(render(node), '<a href="/b" class="x" title="T">a</a>');
+
+            const object = parser('<a href="/a">a</a>', { propsFormat: 'object' });
+            assert.strictEqual(setAttr(object, 'href', '/b'), object);
+            assert.deepStrictEqual(object.props, { href: '/b' });
+
+            assert.deepStrictEqual(setAttr({ type: 'p' }, 'id', 'x'), { type: 'p', props: [{ name: 'id', value: 'x' }] });
+        });
+
+        it('should remove attributes and empty props', function() {
+            for (const propsFormat of ['array', 'object']) {
+                const node = parser('<p id="a" class="b"></p>', { propsFormat });
+                removeAttr(node, 'id');
+                assert.strictEqual(render(node), '<p class="b"></p>');
+                removeAttr(node, 'class');
+                assert.deepStrictEqual(node, { type: 'p' });
+            }
+        });
+    });
+
+    describe('Class names', function() {
+        it('should read class names', function() {
+            const node = parser('<p class="  a b\ta "></p>');
+            assert.deepStrictEqual(getClasses(node), ['a', 'b']);
+            assert.strictEqual(hasClass(node, 'b'), true);
+            assert.strictEqual(hasClass(node, 'c'), false);
+            assert.deepStrictEqual(getClasses(parser('<p></p>')), []);
+        });
+
+        it('should add, remove and toggle class names in both forms', function() {
+            for (const propsFormat of ['array', 'object']) {
+                const node = parser('<p id="x" class="a b">x</p>', { propsFormat });
+                addClass(node, 'c', 'a');
+                assert.strictEqual(getAttr(node, 'class'), 'a b c');
+                removeClass(node, 'a', 'z');
+                assert.strictEqual(getAttr(node, 'class'), 'b c');
+                assert.strictEqual(toggleClass(node, 'b'), false);
+                assert.strictEqual(toggleClass(node, 'd'), true);
+                assert.strictEqual(toggleClass(node, 'd', true), true);
+                assert.strictEqual(toggleClass(node, 'e', false), false);
+                assert.strictEqual(render(node), '<p id="x" class="c d">x</p>');
+                removeClass(node, 'c', 'd');
+                assert.strictEqual(hasAttr(node, 'class'), false);
+            }
+        });
+    });
+
+    describe('Inline styles', function() {
+        it('should parse style declarations', function() {
+            assert.deepStrictEqual(parseStyle('color: red; MARGIN:0 auto;; font-weight: bold !important;'), {
+                color: 'red',
+                margin: '0 auto',
+                'font-weight': 'bold !important',
+            });
+            assert.deepStrictEqual(parseStyle('color: red; color: blue'), { color: 'blue' });
+            assert.deepStrictEqual(parseStyle('--Accent: #333; /* note; */ width: 10px; broken; : x'), { '--Accent': '#333', width: '10px' });
+            assert.deepStrictEqual(parseStyle(null), {});
+        });
+
+        it('should not split declarations inside strings and parentheses', function() {
+            const style = 'background: url(data:image/png;base64,iVBOR==); content: "a; b: c"; font-family: \'Segoe UI\', Arial';
+            assert.deepStrictEqual(parseStyle(style), {
+                background: 'url(data:image/png;base64,iVBOR==)',
+                content: '"a; b: c"',
+                'font-family': '\'Segoe UI\', Arial',
+            });
+        });
+
+        it('should serialize style declarations', function() {
+            assert.strictEqual(serializeStyle({ color: 'red', margin: 0, padding: null, border: '' }), 'color: red; margin: 0;');
+            assert.strictEqual(serializeStyle({}), '');
+        });
+
+        it('should read and change the inline styles of the complex HTML', function() {
+            const html = `<div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+                <h1 style="color: white; margin: 0; font-size: 2.5em; text-shadow: 2px 2px 4px rgba(0,0,0,0.3);">Welcome</h1>
+            </div>`;
+            for (const propsFormat of ['array', 'object']) {
+                const header = parser(html, { propsFormat });
+                assert.deepStrictEqual(getStyle(header), {
+                    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                    padding: '40px',
+                    'border-radius': '10px',
+                    'box-shadow': '0 4px 6px rgba(0,0,0,0.1)',
+                });
+
+                const title = header.children.find(child => child.type === 'h1');
+                setStyle(title, { color: '#222', margin: null, 'Font-Size': '2em', 'line-height': 1.2 });
+                assert.strictEqual(getAttr(title, 'style'), 'color: #222; font-size: 2em; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); line-height: 1.2;');
+            }
+        });
+
+        it('should remove the style attribute when no declaration is left', function() {
+            const node = parser('<p style="color: red">x</p>');
+            setStyle(node, { color: null });
+            assert.strictEqual(render(node), '<p>x</p>');
+            assert.strictEqual(render(setStyle(parser('<p>x</p>'), { color: 'red' })), '<p style="color: red;">x</p>');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+
+describe('Raw Text Elements', function() {
+
+    describe('Parser', function() {
+
+        it('should keep script content as a single text node', function() {
+            const tree = parser('<script>if (a < b && c > d) { x = "<div>"; }</script>', { htmlMode: true });
+
+            assert.strictEqual(tree.type, 'script');
+            assert.strictEqual(tree.children.length, 1);
+            assert.strictEqual(tree.children[0].type, '#text');
+            assert.strictEqual(tree.children[0].props[0].value, 'if (a < b && c > d) { x = "<div>"; }');
+        });
+
+        it('should keep style content with child selectors', function() {
+            const css = 'ul > li + li { color: red; } a[href$=".pdf"]::after { content: "<pdf>"; }';
+            const tree = parser(`<style>${css}</style>`, { htmlMode: true });
+
+            assert.strictEqual(tree.children.length, 1);
+            assert.strictEqual(tree.children[0].props[0].value, css);
+        });
+
+        it('should not decode character references in raw text', function() {
+            const tree = parser('<script>var s = "&amp;";</script>', { htmlMode: true });
+            assert.strictEqual(tree.children[0].props[0].value, 'var s = "&amp;";');
+        });
+
+        it('should decode character references in escapable raw text', function() {
+            const tree = parser('<textarea><b>&amp;</b></textarea>', { htmlMode: true });
+            assert.strictEqual(tree.children.length, 1);
+            assert.strictEqual(tree.children[0].props[0].value, '<b>&</b>');
+        });
+
+        it('should treat comments in raw text as text', function() {
+            const tree = parser('<title><!-- not a comment --></title>', { htmlMode: true });
+            assert.strictEqual(tree.children[0].type, '#text');
+            assert.strictEqual(tree.children[0].props[0].value, '<!-- not a comment -->');
+        });
+
+        it('should only end at the matching end tag', function() {
+            const tree = parser('<div><script>document.write("</div>"); var x = "</scripts>";</script><p>After</p></div>', { htmlMode: true });
+
+            assert.strictEqual(tree.children.length, 2);
+            assert.strictEqual(tree.children[0].children[0].props[0].value, 'document.write("</div>"); var x = "</scripts>";');
+            assert.strictEqual(tree.children[1].type, 'p');
+        });
+
+        it('should handle empty raw text elements', function() {
+            const tree = parser('<div><script></script><p>x</p></div>', { htmlMode: true });
+            assert.strictEqual(tree.children[0].children, undefined);
+            assert.strictEqual(tree.children[1].type, 'p');
+        });
+
+        it('should keep unterminated raw text until the end of input', function() {
+            const tree = parser('<script>a < b', { htmlMode: true });
+            assert.strictEqual(tree.children[0].props[0].value, 'a < b');
+        });
+
+        it('should accept a custom list of raw text elements', function() {
+            const tree = parser('<template-code><b>x</b></template-code>', { rawTextTags: ['template-code'] });
+            assert.strictEqual(tree.children[0].props[0].value, '<b>x</b>');
+
+            const title = parser('<title><b>x</b></title>', { htmlMode: true, escapableRawTextTags: [] });
+            assert.strictEqual(title.children[0].type, 'b');
+        });
+
+        it('should only use the default lists in HTML content', function() {
+            const xml = parser('<chapter><title>Using <command>ls</command></title></chapter>');
+            assert.strictEqual(xml.children[0].children[1].type, 'command');
+            assert.strictEqual(render(xml), '<chapter><title>Using <command>ls</command></title></chapter>');
+
+            const svg = '<svg><title>A <tspan>b</tspan></title><style>a > b {}</style></svg>';
+            assert.strictEqual(parser(svg).children[0].children[1].type, 'tspan');
+            assert.strictEqual(parser(svg, { htmlMode: true }).children[0].children[1].type, 'tspan');
+        });
+
+        it('should read CDATA sections in an XML title', function() {
+            const rss = '<item><title><![CDATA[Hello & <b>World</b>]]></title></item>';
+            const title = parser(rss).children[0];
+            assert.strictEqual(title.children[0].type, '#cdata');
+            assert.strictEqual(title.children[0].props[0].value, 'Hello & <b>World</b>');
+            assert.strictEqual(render(parser(rss)), rss);
+        });
+
+        it('should skip the content of ignored raw text elements', function() {
+            const tree = parser('<div><script>if (a<b) { "</div>" }</script><p>Text</p></div>', { htmlMode: true, ignore: ['script'] });
+            assert.strictEqual(render(tree), '<div><p>Text</p></div>');
+        });
+    });
+
+    describe('Render', function() {
+
+        it('should roundtrip inline scripts byte for byte', function() {
+            const html = '<script>if (a < b && c > d) { console.log("<b>&amp;</b>"); }</script>';
+            assert.strictEqual(render(parser(html, { htmlMode: true })), html);
+        });
+
+        it('should roundtrip inline styles byte for byte', function() {
+            const html = '<style>.menu > li::before { content: "&"; }</style>';
+            assert.strictEqual(render(parser(html, { htmlMode: true })), html);
+        });
+
+        it('should escape escapable raw text', function() {
+            const html = '<textarea>&lt;b&gt; &amp; more</textarea>';
+            assert.strictEqual(render(parser(html, { htmlMode: true })), html);
+        });
+
+        it('should accept a custom list of raw text elements', function() {
+            const tree = { type: 'code-block', children: [{ type: '#text', props: [{ name: 'textContent', value: 'a < b' }] }] };
+            assert.strictEqual(render(tree), '<code-block>a &lt; b</code-block>');
+            assert.strictEqual(render(tree, { rawTextTags: ['code-block'] }), '<code-block>a < b</code-block>');
+        });
+    });
+});
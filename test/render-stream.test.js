@@ -0,0 +1,110 @@
+import assert from 'assert';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import parser from '../src/parser.js';
+import render, { renderStream } from '../src/render.js';
+
+const html = '<!DOCTYPE html><html><head><title>Page</title><script>if (a < b) run();</script></head>' +
+    '<body><div class="card"><h1>Title &amp; more</h1><p>Text<br>line<img src="a.png"></p><!-- note -->' +
+    '<ul><li>One</li><li></li></ul><![CDATA[raw]]></div></body></html>';
+
+/**
+ * Collect the chunks of an async iterable
+ * @param {AsyncIterable<string>} iterable - Chunks
+ * @returns {Promise<string[]>} All chunks
+ */
+async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+describe('Streaming Renderer', function() {
+
+    const tree = parser(html);
+
+    it('should match render() for every option set', async function() {
+        const optionSets = [
+            {},
+            { pretty: true },
+            { pretty: true, indent: '\t' },
+            { xmlMode: true },
+            { selfClosingTags: ['br', 'li'] },
+            { pretty: true, xmlMode: true, selfClosingTags: [] },
+        ];
+
+        for (const options of optionSets) {
+            const chunks = await collect(renderStream(tree, { ...options, chunkSize: 1 }));
+            assert.strictEqual(chunks.join(''), render(tree, options), JSON.stringify(options));
+        }
+    });
+
+    it('should match render() for lists and wrappers with empty nodes', async function() {
+        const nodes = [
+            parser('<p>a</p>'),
+            null,
+            { type: 'template', children: [{ type: '' }, { type: 'b' }, { type: 'template', children: [] }] },
+            { type: 'div', children: [null, { type: 'span' }] },
+        ];
+
+        for (const options of [{}, { pretty: true }]) {
+            const chunks = await collect(renderStream(nodes, { ...options, chunkSize: 1 }));
+            assert.strictEqual(chunks.join(''), render(nodes, options));
+        }
+    });
+
+    it('should write markup incrementally in chunks of the requested size', async function() {
+        const chunks = await collect(renderStream(tree, { chunkSize: 32 }));
+
+        assert.ok(chunks.length > 1);
+        chunks.slice(0, -1).forEach(chunk => assert.ok(chunk.length >= 32));
+        assert.ok(chunks[chunks.length - 1].length > 0);
+    });
+
+    it('should yield nothing for an empty tree', async function() {
+        assert.deepStrictEqual(await collect(renderStream(undefined)), []);
+        assert.deepStrictEqual(await collect(renderStream({ type: 'template' })), []);
+    });
+
+    it('should pipe into a writable stream', async function() {
+        const received = [];
+        const sink = new Writable({
+            write(chunk, encoding, callback) {
+                received.push(chunk.toString());
+                callback();
+            },
+        });
+
+        await pipeline(Readable.from(renderStream(tree, { chunkSize: 64 })), sink);
+
+        assert.strictEqual(received.join(''), render(tree));
+    });
+
+    it('should render a large tree without building the whole string at once', async function() {
+        const rows = [];
+        for (let i = 0; i < 2000; i++) {
+            rows.push({ type: 'tr', children: [{ type: 'td', children: [{ type: '#text', props: [{ name: 'textContent', value: `Row ${i} <${i}>` }] }] }] });
+        }
+        const table = { type: 'table', children: [{ type: 'tbody', children: rows }] };
+
+        const chunks = await collect(renderStream(table));
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length < 16384 + 100));
+        assert.strictEqual(chunks.join(''), render(table));
+    });
+
+    it('should render a deep tree', async function() {
+        const levels = 10000;
+        let node = { type: 'hr' };
+        for (let i = 0; i < levels; i++) {
+            node = { type: 'div', children: [node] };
+        }
+        const expected = '<div>'.repeat(levels) + '<hr />' + '</div>'.repeat(levels);
+
+        assert.strictEqual(render(node), expected);
+        assert.strictEqual((await collect(renderStream(node, { chunkSize: 1024 }))).join(''), expected);
+    });
+});
@@ -112,10 +112,10 @@ describe('HTML/XML Roundtrip Tests', function() {
         });
 
         it('should handle attributes with special characters', function() {
-            // Parser does not decode HTML entities (they are stored as-is)
-            // This means roundtrip will double-escape. Use raw characters instead.
-            const html = '<div title="Hello and Goodbye">Text</div>';
+            // Character references are decoded by the parser and escaped again on render
+            const html = '<div title="Hello &amp; Goodbye">Text</div>';
             const json = HTMLParser(html);
+            assert.strictEqual(json.props[0].value, 'Hello & Goodbye');
             const reconstructed = HTMLRenderer(json);
             assert.strictEqual(normalizeHTML(reconstructed), normalizeHTML(html));
         });
@@ -124,17 +124,13 @@ describe('HTML/XML Roundtrip Tests', function() {
             const html = `<div title='Say "Hello"'>Text</div>`;
             const json = HTMLParser(html);
             const reconstructed = HTMLRenderer(json);
-            // Output always uses double quotes, so inner quotes get escaped
-            assert.strictEqual(
-                normalizeHTML(reconstructed),
-                `<div title="Say &quot;Hello&quot;">Text</div>`
-            );
+            // The single quotes of the source are kept, so inner double quotes stay as they are
+            assert.strictEqual(json.props[0].quote, "'");
+            assert.strictEqual(normalizeHTML(reconstructed), html);
         });
 
         it('should handle attributes with less than and greater than', function() {
-            // Note: < and > should not appear unescaped in HTML attributes
-            // If they do, they will be double-escaped in roundtrip
-            this.skip();
+            testRoundtrip('<div title="a &lt; b &gt; c">Text</div>', 'Escaped angle brackets in attribute');
         });
 
         it('should handle boolean-like attributes', function() {
@@ -313,9 +309,8 @@ describe('HTML/XML Roundtrip Tests', function() {
         });
 
         it('should handle special HTML entities', function() {
-            // Parser does not decode entities, so they would be double-escaped
-            // Use raw characters instead for proper roundtrip
-            const html = '<p>Special chars work fine</p>';
+            // Entities are decoded on parse and escaped again on render
+            const html = '<p>Special &amp; chars &lt;work&gt; fine</p>';
             testRoundtrip(html, 'Text content');
         });
     });
@@ -356,7 +351,7 @@ describe('HTML/XML Roundtrip Tests', function() {
     describe('Renderer Options', function() {
 
         it('should format output when pretty is true', function() {
-            const html = '<div><span>Test</span></div>';
+            const html = '<div><p>Test</p></div>';
             const json = HTMLParser(html, null);
             const pretty = HTMLRenderer(json, { pretty: true });
 
@@ -364,7 +359,7 @@ describe('HTML/XML Roundtrip Tests', function() {
         });
 
         it('should use custom indentation', function() {
-            const html = '<div><span>Test</span></div>';
+            const html = '<div><p>Test</p></div>';
             const json = HTMLParser(html, null);
             const pretty = HTMLRenderer(json, { pretty: true, indent: '    ' });
 
@@ -0,0 +1,148 @@
+import assert from 'assert';
+import sanitize, { defaultPolicy } from '../src/sanitize.js';
+
+describe('Sanitizer', function() {
+
+    describe('Default policy', function() {
+
+        it('should keep allowed markup', function() {
+            const html = '<p class="intro">Hello <b>world</b> <a href="https://example.com" title="x">link</a></p>';
+            assert.strictEqual(sanitize(html), html);
+        });
+
+        it('should keep relative and allowed scheme URLs', function() {
+            assert.strictEqual(sanitize('<a href="/path?a=1&amp;b=2#top">x</a>'), '<a href="/path?a=1&amp;b=2#top">x</a>');
+            assert.strictEqual(sanitize('<a href="mailto:me@example.com">m</a>'), '<a href="mailto:me@example.com">m</a>');
+            assert.strictEqual(sanitize('<img src="images/a.png" alt="A">'), '<img src="images/a.png" alt="A" />');
+        });
+
+        it('should escape text and attribute values', function() {
+            assert.strictEqual(sanitize('1 &lt; 2 &amp; 3'), '1 &lt; 2 &amp; 3');
+            assert.strictEqual(
+                sanitize('<p title="&quot;><script>alert(1)</script>">t</p>'),
+                '<p title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">t</p>'
+            );
+        });
+
+        it('should normalize element and attribute names', function() {
+            assert.strictEqual(sanitize('<DIV TITLE="a" ONCLICK="x">Y</DIV>'), '<div title="a">Y</div>');
+        });
+
+        it('should fix unclosed markup', function() {
+            assert.strictEqual(sanitize('<ul><li>a<li>b'), '<ul><li>a</li><li>b</li></ul>');
+        });
+
+        it('should return an empty string for empty input', function() {
+            assert.strictEqual(sanitize(''), '');
+            assert.throws(() => sanitize(null), TypeError);
+        });
+    });
+
+    describe('XSS vectors', function() {
+
+        const vectors = {
+            'script element': ['<script>alert(1)</script><p>ok</p>', '<p>ok</p>'],
+            'uppercase script element': ['<SCRIPT SRC=//evil.example/x.js></SCRIPT>', ''],
+            'split script tag': ['<scr<script>ipt>alert(1)</script>', ''],
+            'event handler attribute': ['<img src=x onerror=alert(1)>', '<img src="x" />'],
+            'event handler on disallowed element': ['<body onload=alert(1)><b>hi</b></body>', '<b>hi</b>'],
+            'toggle handler': ['<details open ontoggle=alert(1)>', '<details open></details>'],
+            'javascript URL': ['<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+            'mixed case javascript URL': ['<a href=" JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+            'tab inside the scheme': ['<a href="jav&#x09;ascript:alert(1)">x</a>', '<a>x</a>'],
+            'newline inside the scheme': ['<a href="java\nscript:alert(1)">x</a>', '<a>x</a>'],
+            'numeric reference in the scheme': ['<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+            'named reference for the colon': ['<a href="javascript&colon;alert(1)">x</a>', '<a>x</a>'],
+            'vbscript URL': ['<a href="vbscript:msgbox(1)">x</a>', '<a>x</a>'],
+            'data URL': ['<img src="data:image/svg+xml;base64,PHN2Zz4=">', '<img />'],
+            'scheme-like src with eval': ['<img src=x:alert(alt) onerror=eval(src) alt=0>', '<img alt="0" />'],
+            'svg onload': ['<svg onload=alert(1)><circle /></svg>', ''],
+            'svg script': ['<svg><script>alert(1)</script></svg>', ''],
+            'math href': ['<math><mi xlink:href="javascript:alert(1)">x</mi></math>', ''],
+            'iframe': ['<iframe src="javascript:alert(1)"></iframe>', ''],
+            'object data': ['<object data="javascript:alert(1)"></object>', ''],
+            'embed': ['<embed src="x.swf">', ''],
+            'form action': ['<form action="javascript:alert(1)"><button>go</button></form>', 'go'],
+            'meta refresh': ['<meta http-equiv="refresh" content="0;url=javascript:alert(1)">', ''],
+            'base href': ['<base href="javascript:alert(1)//">', ''],
+            'style element': ['<style>@import "http://evil.example/x.css";</style>', ''],
+            'style attribute': ['<div style="background:url(javascript:alert(1))">x</div>', '<div>x</div>'],
+            'comment hiding a script': ['<!--<script>alert(1)</script>-->', ''],
+            'conditional comment': ['<!--[if IE]><script>alert(1)</script><![endif]-->', ''],
+            'CDATA section': ['<![CDATA[<script>alert(1)</script>]]>', ''],
+            'textarea breakout': ['<textarea></textarea><script>alert(1)</script>', ''],
+            'title breakout': ['<title></title><img src=x onerror=alert(1)>', '<img src="x" />'],
+            'noscript breakout': ['<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>', ''],
+            'xmp breakout': ['<xmp><script>alert(1)</script></xmp>', ''],
+            'template content': ['<div><template><img src=x onerror=alert(1)></template></div>', '<div></div>'],
+        };
+
+        for (const [name, [input, expected]] of Object.entries(vectors)) {
+            it(`should neutralize ${name}`, function() {
+                const output = sanitize(input);
+                assert.strictEqual(output, expected);
+                assert.ok(!/<script|javascript:|\son\w+=/i.test(output));
+            });
+        }
+    });
+
+    describe('Policies', function() {
+
+        it('should drop disallowed elements with their content in drop mode', function() {
+            assert.strictEqual(sanitize('<p>a<font>b</font><custom>c</custom></p>'), '<p>abc</p>');
+            assert.strictEqual(sanitize('<p>a<font>b</font><custom>c</custom></p>', { disallowedElements: 'drop' }), '<p>a</p>');
+            assert.throws(() => sanitize('<p></p>', { disallowedElements: 'strip' }), TypeError);
+        });
+
+        it('should use a custom element and attribute allowlist', function() {
+            const policy = {
+                elements: ['p', 'span'],
+                attributes: { span: ['data-*'] },
+            };
+
+            assert.strictEqual(
+                sanitize('<p class="x"><span data-id="1" id="2">a</span><b>b</b></p>', policy),
+                '<p><span data-id="1">a</span>b</p>'
+            );
+        });
+
+        it('should check URLs against custom schemes', function() {
+            const policy = { allowedSchemes: ['https'], allowRelativeUrls: false };
+
+            assert.strictEqual(sanitize('<a href="https://a.example">a</a>', policy), '<a href="https://a.example">a</a>');
+            assert.strictEqual(sanitize('<a href="http://a.example">a</a>', policy), '<a>a</a>');
+            assert.strictEqual(sanitize('<a href="/local">a</a>', policy), '<a>a</a>');
+        });
+
+        it('should filter style declarations when style is allowed', function() {
+            const policy = { attributes: { '*': ['style'] } };
+
+            assert.strictEqual(
+                sanitize('<p style="color: red; position: fixed; background-color: expression(alert(1))">x</p>', policy),
+                '<p style="color: red">x</p>'
+            );
+            assert.strictEqual(sanitize('<p style="color: \\72 ed">x</p>', policy), '<p>x</p>');
+            assert.strictEqual(sanitize('<p style="color:/**/url(x)">x</p>', policy), '<p>x</p>');
+        });
+
+        it('should keep comments when allowed', function() {
+            assert.strictEqual(sanitize('<p>a<!-- note --></p>', { allowComments: true }), '<p>a<!-- note --></p>');
+        });
+
+        it('should end comments at "--!>" and drop comments that could break out', function() {
+            assert.strictEqual(sanitize('<!--a--!><img src=x onerror=1>', { allowComments: true }), '<!--a--><img src="x" />');
+            assert.strictEqual(sanitize('<p><!--->x--></p>', { allowComments: true }), '<p>x--&gt;</p>');
+            assert.strictEqual(sanitize('<p><!-- a -- b --></p>', { allowComments: true }), '<p></p>');
+        });
+
+        it('should always drop elements in dropElements', function() {
+            assert.strictEqual(sanitize('<script>alert(1)</script>', { elements: ['script'] }), '');
+        });
+
+        it('should expose a frozen default policy', function() {
+            assert.ok(Object.isFrozen(defaultPolicy));
+            assert.ok(defaultPolicy.elements.includes('p'));
+            assert.ok(!defaultPolicy.elements.includes('script'));
+        });
+    });
+});
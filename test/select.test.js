@@ -0,0 +1,161 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import { select, selectOne, matches } from '../src/select.js';
+
+const html = `<div id="app" class="page main">
+    <ul class="menu">
+        <li class="item first"><a href="https://example.com" lang="en-US">Home</a></li>
+        <li class="item"><a href="/about" data-tag="Team">About</a></li>
+        <li class="item active"><a href="/contact">Contact</a></li>
+    </ul>
+    <h2>Title</h2>
+    <p>One</p>
+    <p>Two <b>bold</b></p>
+</div>`;
+
+/**
+ * Text of the first text child
+ * @param {Object} node - Element node
+ * @returns {string} Text content
+ */
+function text(node) {
+    return node.children[0].props[0].value;
+}
+
+describe('Query API', function() {
+
+    const tree = parser(html);
+
+    describe('Simple selectors', function() {
+
+        it('should select by type', function() {
+            assert.strictEqual(select(tree, 'li').length, 3);
+            assert.strictEqual(select(tree, 'LI').length, 3);
+        });
+
+        it('should select by id and class', function() {
+            assert.strictEqual(selectOne(tree, '#app'), tree);
+            assert.strictEqual(select(tree, '.item').length, 3);
+            assert.strictEqual(select(tree, 'li.item.active').length, 1);
+            assert.strictEqual(select(tree, '.page.main').length, 1);
+            assert.strictEqual(select(tree, '.pag').length, 0);
+        });
+
+        it('should select everything with the universal selector', function() {
+            assert.strictEqual(select(tree, '*').length, 12);
+        });
+
+        it('should select by attribute', function() {
+            assert.strictEqual(select(tree, '[href]').length, 3);
+            assert.strictEqual(text(selectOne(tree, '[href="/about"]')), 'About');
+            assert.strictEqual(text(selectOne(tree, 'a[href^="http"]')), 'Home');
+            assert.strictEqual(text(selectOne(tree, '[href$=contact]')), 'Contact');
+            assert.strictEqual(select(tree, '[href*="o"]').length, 3);
+            assert.strictEqual(select(tree, '[class~="first"]').length, 1);
+            assert.strictEqual(select(tree, '[lang|="en"]').length, 1);
+            assert.strictEqual(select(tree, '[data-tag="team"]').length, 0);
+            assert.strictEqual(select(tree, '[data-tag="team" i]').length, 1);
+        });
+    });
+
+    describe('Combinators', function() {
+
+        it('should match descendants and children', function() {
+            assert.strictEqual(select(tree, 'div a').length, 3);
+            assert.strictEqual(select(tree, 'div > a').length, 0);
+            assert.strictEqual(select(tree, 'ul > li > a').length, 3);
+            assert.strictEqual(select(tree, '#app p b').length, 1);
+        });
+
+        it('should match adjacent and general siblings', function() {
+            assert.deepStrictEqual(select(tree, 'h2 + p').map(text), ['One']);
+            assert.deepStrictEqual(select(tree, 'h2 ~ p').map(text), ['One', 'Two ']);
+            assert.strictEqual(select(tree, 'ul + p').length, 0);
+        });
+    });
+
+    describe('Pseudo-classes', function() {
+
+        it('should match :first-child and :last-child ignoring text nodes', function() {
+            assert.strictEqual(select(tree, 'li:first-child').length, 1);
+            assert.ok(selectOne(tree, 'li:first-child').props[0].value.includes('first'));
+            assert.ok(selectOne(tree, 'li:last-child').props[0].value.includes('active'));
+            assert.strictEqual(select(tree, 'a:only-child').length, 3);
+        });
+
+        it('should match :nth-child()', function() {
+            assert.strictEqual(select(tree, 'li:nth-child(2) a').map(text)[0], 'About');
+            assert.deepStrictEqual(select(tree, 'li:nth-child(odd) a').map(text), ['Home', 'Contact']);
+            assert.deepStrictEqual(select(tree, 'li:nth-child(2n) a').map(text), ['About']);
+            assert.deepStrictEqual(select(tree, 'li:nth-child(-n+2) a').map(text), ['Home', 'About']);
+            assert.deepStrictEqual(select(tree, 'li:nth-last-child(1) a').map(text), ['Contact']);
+        });
+
+        it('should match :not()', function() {
+            assert.strictEqual(select(tree, 'li:not(.active)').length, 2);
+            assert.strictEqual(select(tree, 'li:not(.first, .active)').length, 1);
+            assert.strictEqual(select(tree, 'p:not(:first-child)').length, 2);
+        });
+    });
+
+    describe('Selector lists and results', function() {
+
+        it('should return matches once and in document order', function() {
+            const result = select(tree, 'p, h2, .menu');
+            assert.deepStrictEqual(result.map(node => node.type), ['ul', 'h2', 'p', 'p']);
+            assert.strictEqual(select(tree, 'li, .item').length, 3);
+        });
+
+        it('should return null when nothing matches', function() {
+            assert.strictEqual(selectOne(tree, 'table'), null);
+            assert.deepStrictEqual(select(tree, 'table'), []);
+        });
+
+        it('should search every root of a fragment', function() {
+            const fragment = parser('<p>a</p><p>b</p>');
+            assert.deepStrictEqual(select(fragment, 'p').map(text), ['a', 'b']);
+            assert.deepStrictEqual(select(fragment.children, 'p:last-child').map(text), ['b']);
+        });
+
+        it('should not match the template wrapper of a fragment', function() {
+            const fragment = parser('<p>a</p><p>b</p>');
+            assert.deepStrictEqual(select(fragment, '*').map(node => node.type), ['p', 'p']);
+            assert.deepStrictEqual(select(fragment, 'template > p'), []);
+            assert.deepStrictEqual(select(fragment, 'p:first-child').map(text), ['a']);
+            assert.strictEqual(matches(fragment.children[1], 'p + p', fragment), true);
+        });
+
+        it('should reject invalid selectors', function() {
+            assert.throws(() => select(tree, 'div >'), SyntaxError);
+            assert.throws(() => select(tree, '[href'), SyntaxError);
+            assert.throws(() => select(tree, 'li:hover'), SyntaxError);
+            assert.throws(() => select(tree, ''), SyntaxError);
+        });
+    });
+
+    describe('Props format', function() {
+
+        it('should accept props in object form', function() {
+            const node = {
+                type: 'div',
+                props: { id: 'root', class: 'box' },
+                children: [
+                    { type: 'a', props: { href: 'https://example.com' }, children: [] },
+                ],
+            };
+
+            assert.strictEqual(selectOne(node, '#root.box'), node);
+            assert.strictEqual(selectOne(node, '.box > a[href^="https"]'), node.children[0]);
+        });
+    });
+
+    describe('matches', function() {
+
+        it('should test a single node', function() {
+            const link = selectOne(tree, '[href="/about"]');
+            assert.strictEqual(matches(link, 'a[data-tag]'), true);
+            assert.strictEqual(matches(link, 'li > a', tree), true);
+            assert.strictEqual(matches(link, 'li.active > a', tree), false);
+        });
+    });
+});
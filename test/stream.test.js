@@ -0,0 +1,220 @@
+import assert from 'assert';
+import { Readable } from 'stream';
+import parser, { createParser } from '../src/parser.js';
+import { createStream, parseStream } from '../src/stream.js';
+
+const document = '<?xml version="1.0"?><!DOCTYPE feed><feed xmlns="http://www.w3.org/2005/Atom">' +
+    '<entry id="1"><title type="text">First &amp; best</title><!-- note --><summary><![CDATA[<b>raw</b>]]></summary></entry>' +
+    '<entry id="2"><title>Second</title><link href="/2" /></entry>' +
+    '</feed>';
+
+/**
+ * Record the stream events for an input split in chunks of the given size
+ * @param {string} html - Input
+ * @param {number} size - Chunk size
+ * @param {Object} [options] - Stream options
+ * @returns {string[]} Events
+ */
+function record(html, size, options = {}) {
+    const events = [];
+    const stream = createStream({
+        ...options,
+        onOpenTag: node => events.push(`open ${node.type} ${JSON.stringify(node.props || [])}`),
+        onCloseTag: node => events.push(`close ${node.type}`),
+        onText: node => events.push(`text ${node.props[0].value}`),
+        onComment: node => events.push(`comment ${node.props[0].value}`),
+        onCdata: node => events.push(`cdata ${node.props[0].value}`),
+        onDoctype: node => events.push(`doctype ${node.props[0].value}`),
+        onProcessingInstruction: node => events.push(`pi ${node.props[0].value}`),
+    });
+
+    for (let i = 0; i < html.length; i += size) {
+        stream.write(html.substring(i, i + size));
+    }
+    stream.end();
+
+    return events;
+}
+
+describe('Streaming Parser', function() {
+
+    describe('createParser', function() {
+
+        it('should build the same tree from chunks as from the whole string', function() {
+            const expected = JSON.stringify(parser(document, { locations: true }));
+
+            for (let size = 1; size <= 12; size++) {
+                const instance = createParser({ locations: true });
+                for (let i = 0; i < document.length; i += size) {
+                    instance.write(document.substring(i, i + size));
+                }
+                assert.strictEqual(JSON.stringify(instance.end()), expected, `chunk size ${size}`);
+            }
+        });
+
+        it('should handle every split point of tricky constructs', function() {
+            const inputs = [
+                '<a href="x > y" title=\'it\'s\' data-v=z>t</a>',
+                '<script>if (a </b) {}</scr</script><p>x</p>',
+                '<!---->a<!-- -- ->-->b<![CDATA[]]]]>c<!doctype html [ <!ENTITY x "y"> ]>',
+                '<?pi data?>1 < 2 &amp;&copy text',
+            ];
+
+            for (const html of inputs) {
+                const expected = JSON.stringify(parser(html, { htmlMode: true, withErrors: true }));
+                for (let split = 1; split < html.length; split++) {
+                    const instance = createParser({ htmlMode: true, withErrors: true });
+                    instance.write(html.substring(0, split));
+                    const result = instance.end(html.substring(split));
+                    assert.strictEqual(JSON.stringify(result), expected, `${html} split at ${split}`);
+                }
+            }
+        });
+
+        it('should not accept input after the end', function() {
+            const instance = createParser();
+            instance.end('<p></p>');
+            assert.throws(() => instance.write('<p></p>'), /after end/);
+            assert.throws(() => instance.write(42), Error);
+        });
+    });
+
+    describe('createStream', function() {
+
+        it('should emit SAX-style events in document order', function() {
+            assert.deepStrictEqual(record(document, document.length), [
+                'pi xml',
+                'doctype feed',
+                'open feed [{"name":"xmlns","value":"http://www.w3.org/2005/Atom"}]',
+                'open entry [{"name":"id","value":"1"}]',
+                'open title [{"name":"type","value":"text"}]',
+                'text First & best',
+                'close title',
+                'comment  note ',
+                'open summary []',
+                'cdata <b>raw</b>',
+                'close summary',
+                'close entry',
+                'open entry [{"name":"id","value":"2"}]',
+                'open title []',
+                'text Second',
+                'close title',
+                'open link [{"name":"href","value":"/2"}]',
+                'close link',
+                'close entry',
+                'close feed',
+            ]);
+        });
+
+        it('should emit the same events whatever the chunk size', function() {
+            const expected = record(document, document.length);
+            for (const size of [1, 2, 3, 7, 16]) {
+                assert.deepStrictEqual(record(document, size), expected, `chunk size ${size}`);
+            }
+        });
+
+        it('should emit implied closes in HTML mode', function() {
+            const events = record('<ul><li>a<li>b</ul>', 2, { htmlMode: true });
+            assert.deepStrictEqual(events, [
+                'open ul []', 'open li []', 'text a', 'close li', 'open li []', 'text b', 'close li', 'close ul',
+            ]);
+        });
+
+        it('should hand over completed subtrees', function() {
+            const entries = [];
+            const stream = createStream({ subtrees: ['entry'], onSubtree: node => entries.push(node) });
+
+            for (let i = 0; i < document.length; i += 5) {
+                stream.write(document.substring(i, i + 5));
+            }
+            stream.end();
+
+            assert.strictEqual(entries.length, 2);
+            assert.deepStrictEqual(entries[1], {
+                type: 'entry',
+                props: [{ name: 'id', value: '2' }],
+                children: [
+                    { type: 'title', children: [{ type: '#text', props: [{ name: 'textContent', value: 'Second' }] }] },
+                    { type: 'link', props: [{ name: 'href', value: '/2' }] },
+                ],
+            });
+            assert.deepStrictEqual(entries[0].children.map(child => child.type), ['title', '#comments', 'summary']);
+        });
+
+        it('should hand over the outermost subtree only', function() {
+            const found = [];
+            const stream = createStream({ subtrees: ['div'], onSubtree: node => found.push(node) });
+            stream.end('<div id="a"><div id="b"></div></div><div id="c"></div>');
+
+            assert.deepStrictEqual(found.map(node => node.props[0].value), ['a', 'c']);
+            assert.strictEqual(found[0].children[0].props[0].value, 'b');
+        });
+
+        it('should not keep nodes outside subtrees', function() {
+            const parents = [];
+            const stream = createStream({
+                onCloseTag: node => {
+                    if (node.type === 'feed') {
+                        parents.push(node);
+                    }
+                },
+            });
+            stream.end(document);
+
+            assert.strictEqual(parents[0].children, undefined);
+        });
+
+        it('should decode binary chunks split inside a character', function() {
+            const bytes = Buffer.from('<p>café €</p>', 'utf-8');
+            const texts = [];
+            const stream = createStream({ onText: node => texts.push(node.props[0].value) });
+
+            for (let i = 0; i < bytes.length; i++) {
+                stream.write(bytes.subarray(i, i + 1));
+            }
+            stream.end();
+
+            assert.deepStrictEqual(texts, ['café €']);
+        });
+    });
+
+    describe('parseStream', function() {
+
+        it('should read a Node Readable stream', async function() {
+            const titles = [];
+            const chunks = [];
+            for (let i = 0; i < document.length; i += 10) {
+                chunks.push(Buffer.from(document.substring(i, i + 10)));
+            }
+
+            await parseStream(Readable.from(chunks), {
+                subtrees: ['title'],
+                onSubtree: node => titles.push(node.children[0].props[0].value),
+            });
+
+            assert.deepStrictEqual(titles, ['First & best', 'Second']);
+        });
+
+        it('should read an async iterable', async function() {
+            async function* source() {
+                yield '<list><item>1</it';
+                yield 'em><item>2</item>';
+                yield '</list>';
+            }
+
+            const items = [];
+            await parseStream(source(), { subtrees: ['item'], onSubtree: node => items.push(node.children[0].props[0].value) });
+
+            assert.deepStrictEqual(items, ['1', '2']);
+        });
+
+        it('should report errors through the parser options', async function() {
+            const errors = [];
+            await parseStream(['<a><b>', '</a>'], { onError: error => errors.push(error.code) });
+            assert.deepStrictEqual(errors, ['missing-end-tag']);
+
+            await assert.rejects(parseStream(['<a>', '</b>'], { strict: true }), { code: 'unexpected-end-tag' });
+            await assert.rejects(parseStream(42), TypeError);
+        });
+    });
+});
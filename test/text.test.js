@@ -0,0 +1,134 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import { toText } from '../src/text.js';
+
+/**
+ * Parse markup and extract its text
+ * @param {string} html - Input
+ * @param {Object} [options] - Text options
+ * @returns {string} Text
+ */
+function text(html, options) {
+    return toText(parser(html), options);
+}
+
+describe('Text Extraction', function() {
+
+    describe('Blocks', function() {
+        it('should break lines between blocks and keep inline text together', function() {
+            assert.strictEqual(text('<div>One<div>Two</div></div><div>Three <b>bold</b> <i>end</i></div>'), 'One\nTwo\nThree bold end');
+        });
+
+        it('should set paragraphs and headings apart with a blank line', function() {
+            assert.strictEqual(text('<h1>Title</h1><p>One</p>text<section><p>Two</p></section>'), 'Title\n\nOne\n\ntext\n\nTwo');
+        });
+
+        it('should collapse whitespace', function() {
+            assert.strictEqual(text('<div>\n  <p>\n    Hello\n    world\n  </p>\n  <p>Again</p>\n</div>'), 'Hello world\n\nAgain');
+        });
+
+        it('should break lines at br elements', function() {
+            assert.strictEqual(text('<p>One<br>Two<br><br>Three<br></p>'), 'One\nTwo\n\nThree');
+        });
+
+        it('should keep the whitespace of pre elements', function() {
+            assert.strictEqual(text('<p>Code:</p><pre>\nif (a) {\n    b();\n}\n</pre>'), 'Code:\n\nif (a) {\n    b();\n}');
+        });
+
+        it('should quote blockquotes and draw horizontal rules', function() {
+            assert.strictEqual(text('<blockquote><p>One</p><p>Two</p></blockquote><hr><p>End</p>', { width: 10 }), '> One\n>\n> Two\n\n----------\n\nEnd');
+        });
+
+        it('should indent definitions', function() {
+            assert.strictEqual(text('<dl><dt>Term</dt><dd>Meaning</dd></dl>'), 'Term\n  Meaning');
+        });
+    });
+
+    describe('Lists', function() {
+        it('should put bullets before list items', function() {
+            assert.strictEqual(text('<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul>'), '* One\n* Two\n  * Nested');
+            assert.strictEqual(text('<ul><li>One</li></ul>', { bullet: '-' }), '- One');
+        });
+
+        it('should number ordered list items', function() {
+            assert.strictEqual(text('<ol><li>A</li><li>B</li></ol>'), '1. A\n2. B');
+            assert.strictEqual(text('<ol start="9"><li>A</li><li>B</li><li value="20">C</li></ol>'), '9. A\n10. B\n20. C');
+            assert.strictEqual(text('<ol reversed><li>A</li><li>B</li></ol>'), '2. A\n1. B');
+        });
+
+        it('should indent the wrapped lines of an item', function() {
+            assert.strictEqual(text('<ol><li>one two three four</li></ol>', { width: 12 }), '1. one two\n   three\n   four');
+        });
+    });
+
+    describe('Tables', function() {
+        it('should lay out cells in columns', function() {
+            const table = '<table><caption>Stock</caption><thead><tr><th>Fruit</th><th>Count</th></tr></thead>' +
+                '<tbody><tr><td>Apples</td><td>10</td></tr><tr><td>Fig</td><td><b>2</b> left</td></tr></tbody></table>';
+            assert.strictEqual(text(table), 'Stock\nFruit   Count\n------  ------\nApples  10\nFig     2 left');
+        });
+
+        it('should not underline tables without a header row', function() {
+            assert.strictEqual(text('<table><tr><td>a</td><td>b</td></tr><tr><td>ccc</td><td>d</td></tr></table>'), 'a    b\nccc  d');
+        });
+    });
+
+    describe('Links', function() {
+        it('should list link URLs as footnotes', function() {
+            const html = '<p>See <a href="/docs">the docs</a>, <a href="https://example.com">this</a> and <a href="/docs">again</a>.</p>';
+            assert.strictEqual(text(html), 'See the docs [1], this [2] and again [1].\n\n[1] /docs\n[2] https://example.com');
+        });
+
+        it('should leave out the URLs of anchors, scripts and links showing their URL', function() {
+            assert.strictEqual(text('<a href="#top">Top</a> <a href="javascript:void(0)">Run</a> <a href="https://a.b">https://a.b</a>'), 'Top Run https://a.b');
+        });
+
+        it('should leave out footnotes with the links option', function() {
+            assert.strictEqual(text('<a href="/x">X</a>', { links: false }), 'X');
+        });
+    });
+
+    describe('Hidden content', function() {
+        it('should skip head, scripts, styles and templates', function() {
+            const html = '<html><head><title>Page</title><style>p {}</style></head>' +
+                '<body><script>run()</script><p>Visible</p><template><p>Later</p></template><!-- note --></body></html>';
+            assert.strictEqual(text(html), 'Visible');
+        });
+
+        it('should skip hidden elements', function() {
+            assert.strictEqual(text('<p>A<span hidden>B</span><span style="color: red; display: none">C</span>D</p>'), 'AD');
+        });
+
+        it('should use the alternative text of images', function() {
+            assert.strictEqual(text('<p><img src="a.png" alt="Logo"> Company</p>'), 'Logo Company');
+        });
+    });
+
+    describe('Wrapping', function() {
+        const paragraph = '<p>The quick brown fox jumps over the lazy dog</p>';
+
+        it('should wrap paragraphs at 80 characters by default', function() {
+            const long = `<p>${'word '.repeat(30)}</p>`;
+            assert.ok(text(long).split('\n').every(line => line.length <= 80));
+            assert.strictEqual(text(long).split('\n').length, 2);
+        });
+
+        it('should wrap at the given width', function() {
+            assert.strictEqual(text(paragraph, { width: 20 }), 'The quick brown fox\njumps over the lazy\ndog');
+        });
+
+        it('should keep paragraphs on one line with a width of 0', function() {
+            assert.strictEqual(text(`<p>${'word '.repeat(30)}</p>`, { width: 0 }), 'word '.repeat(30).trim());
+        });
+
+        it('should not break long words', function() {
+            assert.strictEqual(text('<p>a https://example.com/a/very/long/path b</p>', { width: 10 }), 'a\nhttps://example.com/a/very/long/path\nb');
+        });
+    });
+
+    it('should handle several roots, lists of nodes and empty trees', function() {
+        assert.strictEqual(text('<p>One</p><p>Two</p>'), 'One\n\nTwo');
+        assert.strictEqual(toText([parser('<b>a</b>'), parser('<i>b</i>')]), 'ab');
+        assert.strictEqual(toText(parser('')), '');
+    });
+});
@@ -0,0 +1,214 @@
+import assert from 'assert';
+import parser from '../src/parser.js';
+import render from '../src/render.js';
+import walk from '../src/walk.js';
+
+describe('Tree Walker', function() {
+
+    describe('Traversal', function() {
+
+        it('should visit every node depth-first with enter and leave', function() {
+            const tree = parser('<div><p>a</p><!-- c --><br></div>');
+            const events = [];
+
+            walk(tree, {
+                enter(node) {
+                    events.push('enter ' + node.type);
+                },
+                leave(node) {
+                    events.push('leave ' + node.type);
+                },
+            });
+
+            assert.deepStrictEqual(events, [
+                'enter div',
+                'enter p', 'enter #text', 'leave #text', 'leave p',
+                'enter #comments', 'leave #comments',
+                'enter br', 'leave br',
+                'leave div',
+            ]);
+        });
+
+        it('should accept a function as the visitor', function() {
+            const types = [];
+            walk(parser('<ul><li>1</li></ul>'), node => types.push(node.type));
+            assert.deepStrictEqual(types, ['ul', 'li', '#text']);
+        });
+
+        it('should call callbacks per node type', function() {
+            const tree = parser('<div>one<span>two</span><!-- note --></div>');
+            const texts = [];
+            const comments = [];
+            let spans = 0;
+
+            walk(tree, {
+                '#text': node => texts.push(node.props[0].value),
+                '#comments': node => comments.push(node.props[0].value),
+                span: {
+                    enter: () => spans++,
+                    leave: () => spans++,
+                },
+            });
+
+            assert.deepStrictEqual(texts, ['one', 'two']);
+            assert.deepStrictEqual(comments, [' note ']);
+            assert.strictEqual(spans, 2);
+        });
+
+        it('should match element type keys case-insensitively', function() {
+            let count = 0;
+            walk(parser('<DIV><Div></Div></DIV>'), { div: () => count++ });
+            assert.strictEqual(count, 2);
+        });
+
+        it('should provide the parent, index and ancestor path', function() {
+            const tree = parser('<ul><li>a</li><li><b>b</b></li></ul>');
+            let found = null;
+
+            walk(tree, {
+                b(node, context) {
+                    found = context;
+                },
+            });
+
+            assert.strictEqual(found.parent, tree.children[1]);
+            assert.strictEqual(found.index, 0);
+            assert.deepStrictEqual(found.path, [tree, tree.children[1]]);
+        });
+
+        it('should give roots a null parent and an empty path', function() {
+            const contexts = [];
+            walk(parser('<p>a</p><p>b</p>').children, {
+                p: (node, context) => contexts.push(context),
+            });
+
+            assert.deepStrictEqual(contexts.map(c => [c.parent, c.index, c.path.length]), [[null, 0, 0], [null, 1, 0]]);
+        });
+
+        it('should not add parent references to the nodes', function() {
+            const tree = parser('<div><p>x</p></div>');
+            walk(tree, () => {});
+            assert.strictEqual(JSON.stringify(tree), JSON.stringify(parser('<div><p>x</p></div>')));
+        });
+    });
+
+    describe('Transformation', function() {
+
+        it('should skip the children of a node', function() {
+            const types = [];
+            walk(parser('<div><pre><b>x</b></pre><i>y</i></div>'), {
+                enter(node, context) {
+                    types.push(node.type);
+                    if (node.type === 'pre') {
+                        context.skip();
+                    }
+                },
+            });
+
+            assert.deepStrictEqual(types, ['div', 'pre', 'i', '#text']);
+        });
+
+        it('should remove nodes and keep visiting the next sibling', function() {
+            const tree = parser('<ul><li class="x">1</li><li class="x">2</li><li>3</li></ul>');
+            const visited = [];
+
+            walk(tree, {
+                li(node, context) {
+                    visited.push(node.children[0].props[0].value);
+                    if (node.props) {
+                        context.remove();
+                    }
+                },
+            });
+
+            assert.deepStrictEqual(visited, ['1', '2', '3']);
+            assert.strictEqual(render(tree), '<ul><li>3</li></ul>');
+        });
+
+        it('should not visit the children or call leave of a removed node', function() {
+            const events = [];
+            walk(parser('<div><script>x</script></div>'), {
+                enter(node, context) {
+                    events.push('enter ' + node.type);
+                    if (node.type === 'script') {
+                        context.remove();
+                    }
+                },
+                leave(node) {
+                    events.push('leave ' + node.type);
+                },
+            });
+
+            assert.deepStrictEqual(events, ['enter div', 'enter script', 'leave div']);
+        });
+
+        it('should replace nodes without visiting the replacement', function() {
+            const tree = parser('<p><b>bold</b> text</p>');
+            let strong = 0;
+
+            walk(tree, {
+                b(node, context) {
+                    context.replace({ type: 'strong', children: node.children });
+                },
+                strong: () => strong++,
+            });
+
+            assert.strictEqual(render(tree), '<p><strong>bold</strong> text</p>');
+            assert.strictEqual(strong, 0);
+        });
+
+        it('should unwrap elements when replacing in leave', function() {
+            const tree = parser('<div><font>a<font>b</font></font>c</div>');
+
+            walk(tree, {
+                font: {
+                    leave(node, context) {
+                        context.replace(node.children);
+                    },
+                },
+            });
+
+            assert.strictEqual(render(tree), '<div>abc</div>');
+        });
+
+        it('should insert nodes before and after', function() {
+            const tree = parser('<ul><li>b</li></ul>');
+            const visited = [];
+
+            walk(tree, {
+                li(node, context) {
+                    visited.push(node);
+                    context.insertBefore({ type: 'li', children: [{ type: '#text', props: [{ name: 'textContent', value: 'a' }] }] });
+                    context.insertAfter({ type: 'li', children: [{ type: '#text', props: [{ name: 'textContent', value: 'c' }] }] });
+                    context.insertAfter({ type: 'li', children: [{ type: '#text', props: [{ name: 'textContent', value: 'd' }] }] });
+                    assert.strictEqual(context.index, 1);
+                },
+            });
+
+            assert.strictEqual(visited.length, 1);
+            assert.strictEqual(render(tree), '<ul><li>a</li><li>b</li><li>c</li><li>d</li></ul>');
+        });
+
+        it('should not allow removing a node twice', function() {
+            assert.throws(() => {
+                walk(parser('<div><p></p></div>'), {
+                    p(node, context) {
+                        context.remove();
+                        context.replace({ type: 'span' });
+                    },
+                });
+            }, /already been removed/);
+        });
+
+        it('should return what took the place of the root', function() {
+            const tree = parser('<div>x</div>');
+
+            assert.strictEqual(walk(tree, () => {}), tree);
+            assert.strictEqual(walk(tree, { div: (node, context) => context.remove() }), null);
+            assert.strictEqual(walk(tree, { div: (node, context) => context.replace({ type: 'span' }) }).type, 'span');
+
+            const siblings = walk(parser('<div></div>'), { div: (node, context) => context.insertAfter({ type: 'hr' }) });
+            assert.strictEqual(render(siblings), '<div></div><hr />');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import assert from 'assert';
+import parser, { createParser } from '../src/parser.js';
+import render from '../src/render.js';
+
+const xml = '<items>\n    <item id="1">  One  </item>\n    <item id="2">Two\n        and   more</item>\n</items>';
+
+/**
+ * Get the text of the text nodes directly under a node
+ * @param {Object} node - Parent node
+ * @returns {string[]} Text of each text node
+ */
+function texts(node) {
+    return (node.children || [])
+        .filter(child => child.type === '#text')
+        .map(child => child.props[0].value);
+}
+
+describe('Whitespace Options', function() {
+
+    it('should keep whitespace by default', function() {
+        const tree = parser(xml);
+        assert.deepStrictEqual(texts(tree), ['\n    ', '\n    ', '\n']);
+        assert.deepStrictEqual(texts(tree.children[1]), ['  One  ']);
+    });
+
+    describe('dropWhitespace', function() {
+        it('should drop whitespace-only text nodes', function() {
+            const tree = parser(xml, { dropWhitespace: true });
+            assert.deepStrictEqual(tree.children.map(child => child.type), ['item', 'item']);
+        });
+
+        it('should leave text with content untouched', function() {
+            const tree = parser(xml, { dropWhitespace: true });
+            assert.deepStrictEqual(texts(tree.children[0]), ['  One  ']);
+            assert.deepStrictEqual(texts(tree.children[1]), ['Two\n        and   more']);
+        });
+
+        it('should keep non-breaking spaces', function() {
+            const tree = parser('<p><b>a</b>&nbsp;<i>b</i></p>', { dropWhitespace: true });
+            assert.deepStrictEqual(texts(tree), [' ']);
+        });
+    });
+
+    describe('collapseWhitespace', function() {
+        it('should collapse runs of whitespace into a single space', function() {
+            const tree = parser(xml, { collapseWhitespace: true });
+            assert.deepStrictEqual(texts(tree), [' ', ' ', ' ']);
+            assert.deepStrictEqual(texts(tree.children[1]), [' One ']);
+            assert.deepStrictEqual(texts(tree.children[3]), ['Two and more']);
+        });
+
+        it('should combine with dropWhitespace', function() {
+            const tree = parser(xml, { collapseWhitespace: true, dropWhitespace: true });
+            assert.strictEqual(render(tree), '<items><item id="1"> One </item><item id="2">Two and more</item></items>');
+        });
+    });
+
+    describe('trimText', function() {
+        it('should trim text and drop text left empty', function() {
+            const tree = parser(xml, { trimText: true });
+            assert.strictEqual(render(tree), '<items><item id="1">One</item><item id="2">Two\n        and   more</item></items>');
+        });
+
+        it('should combine with collapseWhitespace', function() {
+            const tree = parser(xml, { trimText: true, collapseWhitespace: true });
+            assert.strictEqual(render(tree), '<items><item id="1">One</item><item id="2">Two and more</item></items>');
+        });
+    });
+
+    describe('Significant whitespace', function() {
+        const options = { dropWhitespace: true, collapseWhitespace: true, trimText: true };
+
+        it('should keep whitespace inside pre', function() {
+            const tree = parser('<div> <pre>  a\n   <b> b </b>\n</pre> </div>', options);
+            assert.strictEqual(render(tree), '<div><pre>  a\n   <b> b </b>\n</pre></div>');
+        });
+
+        it('should keep whitespace inside textarea', function() {
+            const tree = parser('<form> <textarea>  a\n\n  b </textarea> </form>', options);
+            assert.strictEqual(render(tree), '<form><textarea>  a\n\n  b </textarea></form>');
+        });
+
+        it('should keep whitespace in raw text elements', function() {
+            const tree = parser('<script>\n  if (a)  run();\n</script>', { ...options, htmlMode: true });
+            assert.strictEqual(render(tree), '<script>\n  if (a)  run();\n</script>');
+        });
+
+        it('should keep whitespace under xml:space="preserve"', function() {
+            const tree = parser('<doc> <code xml:space="preserve">  x  <i> y </i>\n</code> <p> z </p></doc>', options);
+            assert.strictEqual(render(tree), '<doc><code xml:space="preserve">  x  <i> y </i>\n</code><p>z</p></doc>');
+        });
+
+        it('should apply the options again under xml:space="default"', function() {
+            const tree = parser('<doc xml:space="preserve"> <p xml:space="default"> a </p> </doc>', options);
+            assert.strictEqual(render(tree), '<doc xml:space="preserve"> <p xml:space="default">a</p> </doc>');
+        });
+    });
+
+    it('should give the same tree when the input comes in chunks', function() {
+        const options = { dropWhitespace: true, collapseWhitespace: true };
+        const instance = createParser(options);
+        for (const chunk of xml.match(/[\s\S]{1,3}/g)) {
+            instance.write(chunk);
+        }
+        assert.deepStrictEqual(instance.end(), parser(xml, options));
+    });
+});